@@ -0,0 +1,105 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+// Turns a real hashAPI payload into a mock fixture with personal data replaced.
+//
+//   node anonymize-fixture.js <report> <real-payload.json>                    (175, 176, 198)
+//   node anonymize-fixture.js <report> <real-payload.json> --client <number>  (180, 184, 185)
+//
+// Replacements are derived from a hash of the original value, so the same account gets the same fake
+// key, card number and name in every report and the fixtures still join up. Set ANONYMIZE_SALT to
+// make the replacements unguessable from known values. Amounts and dates are kept.
+
+const fixturesDir = path.join(path.dirname(fileURLToPath(import.meta.url)), 'mock-fixtures');
+const perCustomerReports = ['180', '184', '185'];
+const salt = process.env.ANONYMIZE_SALT || '';
+
+const fakeNames = ['אלון', 'ברק', 'גלבוע', 'דקל', 'הדר', 'ורד', 'זית', 'חרמון', 'טל', 'יערה', 'כרמל', 'לבונה', 'מורן', 'נחל', 'סהר', 'ענבר'];
+const fakeSuffixes = ['שיווק', 'מערכות', 'סחר', 'הנדסה', 'מזון', 'תעשיות', 'לוגיסטיקה', 'בע"מ'];
+const fakeStreets = ['הרצל', 'העצמאות', 'ויצמן', 'ביאליק', 'יפו', 'הנמל', 'רגר', 'בן עמי'];
+
+const hashNumber = (value) =>
+    parseInt(crypto.createHash('sha256').update(`${salt}${value}`).digest('hex').slice(0, 12), 16);
+
+const pick = (list, value, offset = 0) => list[Math.floor(hashNumber(value) / (offset + 1)) % list.length];
+const digits = (value, length) => String(hashNumber(value)).padStart(length, '0').slice(-length);
+
+const anonymizers = {
+    accountKey: (value) => `C-${digits(value, 5)}`,
+    cardNumber: (value) => String(10000 + (hashNumber(value) % 90000)),
+    name: (value) => `${pick(fakeNames, value)} ${pick(fakeSuffixes, value, 7)}`,
+    email: (value) => `user${digits(value, 6)}@example.com`,
+    phone: (value) => `0${3 + (hashNumber(value) % 6)}-${digits(value, 7)}`,
+    mobile: (value) => `05${hashNumber(value) % 9}-${digits(value, 7)}`,
+    address: (value) => `${pick(fakeStreets, value)} ${1 + (hashNumber(value) % 120)}`,
+    idNumber: (value) => digits(value, 9),
+    details: (value) => `פרטים ${digits(value, 4)}`
+};
+
+const columnKinds = {
+    'מפתח חשבון': 'accountKey',
+    'ח-ן נגדי': 'accountKey',
+    'מספר כרטיס חשבון': 'cardNumber',
+    'שם חשבון': 'name',
+    'שם חשבון נגדי': 'name',
+    'שם איש קשר': 'name',
+    'סוכן': 'name',
+    'דוא"ל': 'email',
+    email: 'email',
+    Email: 'email',
+    'טלפון': 'phone',
+    phone: 'phone',
+    Phone: 'phone',
+    'טלפון נייד': 'mobile',
+    mobile: 'mobile',
+    Mobile: 'mobile',
+    'כתובת': 'address',
+    'ח.פ': 'idNumber',
+    'ח.פ.': 'idNumber',
+    'ת.ז': 'idNumber',
+    'ת.ז.': 'idNumber',
+    'פרטים': 'details'
+};
+
+const anonymizeValue = (value) => {
+    if (Array.isArray(value)) return value.map(anonymizeValue);
+    if (!value || typeof value !== 'object') return value;
+
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => {
+        const kind = columnKinds[key];
+        const isBlank = item === null || item === undefined || String(item).trim() === '';
+        if (!kind || isBlank || typeof item === 'object') return [key, anonymizeValue(item)];
+        return [key, anonymizers[kind](String(item).trim())];
+    }));
+};
+
+const [report, inputFile, ...options] = process.argv.slice(2);
+const clientIndex = options.indexOf('--client');
+const clientNumber = clientIndex >= 0 ? options[clientIndex + 1] : null;
+
+if (!report || !inputFile) {
+    console.error('Usage: node anonymize-fixture.js <report> <payload.json> [--client <clientNumber>]');
+    process.exit(1);
+}
+if (perCustomerReports.includes(report) && !clientNumber) {
+    console.error(`Report ${report} is per customer - pass the client number it was fetched for with --client`);
+    process.exit(1);
+}
+
+const payload = anonymizeValue(JSON.parse(fs.readFileSync(inputFile, 'utf8')));
+const outputFile = path.join(fixturesDir, `${report}.json`);
+
+if (perCustomerReports.includes(report)) {
+    const fixture = fs.existsSync(outputFile) ? JSON.parse(fs.readFileSync(outputFile, 'utf8')) : { clients: {} };
+    const fakeClientNumber = /^\d+$/.test(clientNumber)
+        ? anonymizers.cardNumber(clientNumber)
+        : anonymizers.accountKey(clientNumber);
+    fixture.clients = { ...fixture.clients, [fakeClientNumber]: payload };
+    fs.writeFileSync(outputFile, `${JSON.stringify(fixture, null, 2)}\n`);
+    console.log(`Wrote report ${report} for client ${fakeClientNumber} to ${outputFile}`);
+} else {
+    fs.writeFileSync(outputFile, `${JSON.stringify(payload, null, 2)}\n`);
+    console.log(`Wrote report ${report} to ${outputFile}`);
+}
@@ -1,6 +1,14 @@
 import dotenv from 'dotenv';
 dotenv.config();
 
+// Request window for a synced report: REPORT_<code>_DATE_FROM (dd/mm/yyyy), or REPORT_<code>_MONTHS_BACK
+// for a rolling window, and an optional REPORT_<code>_DATE_TO
+const reportDateRange = (reportCode) => ({
+    dateFrom: process.env[`REPORT_${reportCode}_DATE_FROM`] || '01/01/2020',
+    dateTo: process.env[`REPORT_${reportCode}_DATE_TO`] || '',
+    monthsBack: parseInt(process.env[`REPORT_${reportCode}_MONTHS_BACK`] || '0')
+});
+
 const config = {
     port: process.env.PORT || 3001,
 
@@ -14,7 +22,23 @@ const config = {
 
     jwt: {
         secret: process.env.JWT_SECRET || 'default_secret_change_me',
-        expiresIn: '24h'
+        expiresIn: process.env.JWT_ACCESS_EXPIRES_IN || '15m',
+        refreshTokenTtlDays: parseInt(process.env.JWT_REFRESH_TTL_DAYS || '30')
+    },
+
+    loginProtection: {
+        maxFailedAttempts: parseInt(process.env.LOGIN_MAX_FAILED_ATTEMPTS || '5'),
+        ipMaxFailedAttempts: parseInt(process.env.LOGIN_IP_MAX_FAILED_ATTEMPTS || '100'),
+        ipFreeAttempts: parseInt(process.env.LOGIN_IP_FREE_ATTEMPTS || '50'),
+        attemptWindowMinutes: parseInt(process.env.LOGIN_ATTEMPT_WINDOW_MINUTES || '15'),
+        lockoutMinutes: parseInt(process.env.LOGIN_LOCKOUT_MINUTES || '15'),
+        freeAttempts: parseInt(process.env.LOGIN_FREE_ATTEMPTS || '2'),
+        delayBaseMs: parseInt(process.env.LOGIN_DELAY_BASE_MS || '1000'),
+        delayMaxMs: parseInt(process.env.LOGIN_DELAY_MAX_MS || '30000')
+    },
+
+    passwordReset: {
+        tokenTtlMinutes: parseInt(process.env.PASSWORD_RESET_TOKEN_TTL_MINUTES || '1440')
     },
 
     externalApi: {
@@ -26,13 +50,66 @@ const config = {
         report185Url: process.env.EXTERNAL_REPORT_185_API_URL || 'http://localhost:5000/hashAPI/route-hashAPI/185',
         token: process.env.EXTERNAL_CUSTOMERS_API_TOKEN || '',
         timeoutMs: parseInt(process.env.EXTERNAL_CUSTOMERS_API_TIMEOUT_MS || '30000'),
-        report198TimeoutMs: parseInt(process.env.EXTERNAL_REPORT_198_TIMEOUT_MS || process.env.EXTERNAL_CUSTOMERS_API_TIMEOUT_MS || '45000')
+        report198TimeoutMs: parseInt(process.env.EXTERNAL_REPORT_198_TIMEOUT_MS || process.env.EXTERNAL_CUSTOMERS_API_TIMEOUT_MS || '45000'),
+        retry: {
+            maxRetries: parseInt(process.env.EXTERNAL_API_MAX_RETRIES || '3'),
+            baseDelayMs: parseInt(process.env.EXTERNAL_API_RETRY_BASE_MS || '1000'),
+            maxDelayMs: parseInt(process.env.EXTERNAL_API_RETRY_MAX_MS || '15000')
+        },
+        customerReportsCacheTtlMs: parseInt(process.env.CUSTOMER_REPORTS_CACHE_TTL_MS || '600000'),
+        customerReportsCacheMaxCustomers: parseInt(process.env.CUSTOMER_REPORTS_CACHE_MAX_CUSTOMERS || '500'),
+        report180CacheTtlMs: parseInt(process.env.REPORT_180_CACHE_TTL_MS || '600000'),
+        report180CacheMaxCustomers: parseInt(process.env.REPORT_180_CACHE_MAX_CUSTOMERS || '200'),
+        circuitBreaker: {
+            failureThreshold: parseInt(process.env.EXTERNAL_API_BREAKER_THRESHOLD || '3'),
+            cooldownMs: parseInt(process.env.EXTERNAL_API_BREAKER_COOLDOWN_MS || '300000')
+        }
+    },
+
+    smtp: {
+        host: process.env.SMTP_HOST || '',
+        port: parseInt(process.env.SMTP_PORT || '587'),
+        secure: String(process.env.SMTP_SECURE || 'false').toLowerCase() === 'true',
+        user: process.env.SMTP_USER || '',
+        password: process.env.SMTP_PASSWORD || '',
+        from: process.env.SMTP_FROM || 'no-reply@localhost'
+    },
+
+    digest: {
+        // The digest job only runs when SMTP_HOST is set
+        enabled: String(process.env.DIGEST_ENABLED || 'true').toLowerCase() !== 'false',
+        checkIntervalMs: parseInt(process.env.DIGEST_CHECK_INTERVAL_MS || '60000'),
+        // A failed send waits retryBaseMinutes, then twice as long each time, up to maxAttempts a day
+        retryBaseMinutes: parseInt(process.env.DIGEST_RETRY_BASE_MINUTES || '5'),
+        maxAttempts: parseInt(process.env.DIGEST_MAX_ATTEMPTS || '4'),
+        appUrl: process.env.APP_URL || 'http://localhost:3000'
+    },
+
+    overdueFollowUps: {
+        intervalMs: parseInt(process.env.OVERDUE_FOLLOW_UPS_INTERVAL_MS || '900000')
+    },
+
+    paymentPromises: {
+        // Payments dated up to this many days after the promised date still count toward the promise
+        graceDays: parseInt(process.env.PAYMENT_PROMISE_GRACE_DAYS || '3')
+    },
+
+    reportMappings: {
+        file: process.env.REPORT_MAPPINGS_FILE || 'report-mappings.json'
     },
 
     sync: {
         backgroundIntervalMs: parseInt(process.env.CUSTOMERS_BACKGROUND_SYNC_INTERVAL_MS || '1800000'),
         autoStart: String(process.env.CUSTOMERS_BACKGROUND_SYNC_AUTOSTART || 'true').toLowerCase() !== 'false',
-        supplementalFreshMs: parseInt(process.env.CUSTOMERS_SUPPLEMENTAL_FRESH_MS || '1800000')
+        supplementalFreshMs: parseInt(process.env.CUSTOMERS_SUPPLEMENTAL_FRESH_MS || '1800000'),
+        report175IntervalMs: parseInt(process.env.REPORT_175_SYNC_INTERVAL_MS || '0'),
+        report175Times: String(process.env.REPORT_175_SYNC_TIMES || '').split(',').map((time) => time.trim()).filter(Boolean),
+        report175Days: process.env.REPORT_175_SYNC_DAYS || '0-4',
+        reportDateRanges: {
+            175: reportDateRange(175),
+            198: reportDateRange(198),
+            176: reportDateRange(176)
+        }
     }
 };
 
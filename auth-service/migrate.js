@@ -0,0 +1,226 @@
+import mysql from 'mysql2/promise';
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+import config from './config.js';
+
+// Applies the numbered migrations in migrations/ and records them in schema_migrations.
+//
+//   node migrate.js up [version]     apply pending migrations, optionally only up to a version
+//   node migrate.js down [steps]     roll back the last applied migration(s), 1 by default
+//   node migrate.js status           list migrations and whether they are applied
+//
+// A migration is either NNN_name.sql or NNN_name.js. SQL files hold a `-- migrate:up` section and an
+// optional `-- migrate:down` section; JS files export `up(connection)` and optionally `down(connection)`.
+// A migration without a down step can't be rolled back. An empty down section is a deliberate no-op.
+
+const migrationsDir = path.join(path.dirname(fileURLToPath(import.meta.url)), 'migrations');
+const migrationFilePattern = /^(\d+)_([\w-]+)\.(sql|js)$/;
+const sqlSectionPattern = /^--\s*migrate:(up|down)\s*$/gm;
+const LOCK_NAME = 'schema_migrations';
+const LOCK_TIMEOUT_SECONDS = 30;
+
+const parseSqlMigration = (source) => {
+    const markers = [...source.matchAll(sqlSectionPattern)];
+    if (!markers.length) return { up: source.trim(), down: null };
+
+    const sections = {};
+    markers.forEach((marker, index) => {
+        const end = index + 1 < markers.length ? markers[index + 1].index : source.length;
+        sections[marker[1]] = source.slice(marker.index + marker[0].length, end).trim();
+    });
+    return { up: sections.up || '', down: sections.down ?? null };
+};
+
+const loadMigration = async (file) => {
+    const [, version, name, type] = file.match(migrationFilePattern);
+    const fullPath = path.join(migrationsDir, file);
+    const source = fs.readFileSync(fullPath, 'utf8');
+    const migration = {
+        version: Number(version),
+        name,
+        file,
+        checksum: crypto.createHash('sha256').update(source).digest('hex')
+    };
+
+    if (type === 'sql') {
+        const { up, down } = parseSqlMigration(source);
+        return {
+            ...migration,
+            up: (connection) => (up ? connection.query(up) : null),
+            down: down === null ? null : (connection) => (down ? connection.query(down) : null)
+        };
+    }
+
+    const module = await import(pathToFileURL(fullPath).href);
+    if (typeof module.up !== 'function') {
+        throw new Error(`Migration ${file} does not export an up() function`);
+    }
+    return { ...migration, up: module.up, down: typeof module.down === 'function' ? module.down : null };
+};
+
+export const loadMigrations = async () => {
+    const files = fs.readdirSync(migrationsDir).filter((file) => migrationFilePattern.test(file));
+    const migrations = await Promise.all(files.map(loadMigration));
+    migrations.sort((a, b) => a.version - b.version);
+
+    for (let i = 1; i < migrations.length; i += 1) {
+        if (migrations[i].version === migrations[i - 1].version) {
+            throw new Error(`Migrations ${migrations[i - 1].file} and ${migrations[i].file} share version ${migrations[i].version}`);
+        }
+    }
+    return migrations;
+};
+
+// Multiple statements are needed for the SQL migration files
+export const connectForMigrations = () => mysql.createConnection({
+    host: config.db.host,
+    port: config.db.port,
+    user: config.db.user,
+    password: config.db.password,
+    database: config.db.name,
+    multipleStatements: true
+});
+
+const ensureMigrationsTable = (connection) => connection.query(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+        version INT PRIMARY KEY,
+        name VARCHAR(255) NOT NULL,
+        checksum CHAR(64) NOT NULL,
+        applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+`);
+
+const getAppliedMigrations = async (connection) => {
+    await ensureMigrationsTable(connection);
+    const [rows] = await connection.query('SELECT version, name, checksum, applied_at FROM schema_migrations ORDER BY version ASC');
+    return new Map(rows.map((row) => [Number(row.version), row]));
+};
+
+// Keeps two processes (e.g. two deploys) from migrating the same database at once
+const withMigrationLock = async (connection, work) => {
+    const [[{ acquired }]] = await connection.query('SELECT GET_LOCK(?, ?) as acquired', [LOCK_NAME, LOCK_TIMEOUT_SECONDS]);
+    if (acquired !== 1) {
+        throw new Error('Another migration run holds the schema_migrations lock');
+    }
+    try {
+        return await work();
+    } finally {
+        await connection.query('SELECT RELEASE_LOCK(?)', [LOCK_NAME]);
+    }
+};
+
+export const getMigrationStatus = async (connection) => {
+    const migrations = await loadMigrations();
+    const applied = await getAppliedMigrations(connection);
+    const known = new Set(migrations.map((migration) => migration.version));
+
+    return [
+        ...migrations.map((migration) => {
+            const row = applied.get(migration.version);
+            return {
+                version: migration.version,
+                name: migration.name,
+                applied: Boolean(row),
+                appliedAt: row?.applied_at || null,
+                modified: Boolean(row) && row.checksum !== migration.checksum,
+                reversible: Boolean(migration.down)
+            };
+        }),
+        // Applied on this database but no longer on disk
+        ...[...applied.values()]
+            .filter((row) => !known.has(Number(row.version)))
+            .map((row) => ({
+                version: Number(row.version),
+                name: row.name,
+                applied: true,
+                appliedAt: row.applied_at,
+                modified: false,
+                reversible: false,
+                missing: true
+            }))
+    ];
+};
+
+// Applies pending migrations in order, up to and including `to` when given. Returns the applied versions.
+export const migrateUp = async (connection, { to = null } = {}) => withMigrationLock(connection, async () => {
+    const migrations = await loadMigrations();
+    const applied = await getAppliedMigrations(connection);
+    const pending = migrations.filter((migration) =>
+        !applied.has(migration.version) && (to === null || migration.version <= to));
+
+    for (const migration of pending) {
+        console.log(`Applying ${migration.file}`);
+        await migration.up(connection);
+        await connection.query(
+            'INSERT INTO schema_migrations (version, name, checksum) VALUES (?, ?, ?)',
+            [migration.version, migration.name, migration.checksum]
+        );
+    }
+    return pending.map((migration) => migration.version);
+});
+
+// Rolls back the last `steps` applied migrations, newest first. Returns the rolled back versions.
+export const migrateDown = async (connection, { steps = 1 } = {}) => withMigrationLock(connection, async () => {
+    const migrations = new Map((await loadMigrations()).map((migration) => [migration.version, migration]));
+    const applied = await getAppliedMigrations(connection);
+    const targets = [...applied.keys()].sort((a, b) => b - a).slice(0, steps);
+
+    for (const version of targets) {
+        const migration = migrations.get(version);
+        if (!migration) throw new Error(`Migration ${version} is applied but its file is missing`);
+        if (!migration.down) throw new Error(`Migration ${migration.file} has no down step and can't be rolled back`);
+    }
+
+    for (const version of targets) {
+        const migration = migrations.get(version);
+        console.log(`Rolling back ${migration.file}`);
+        await migration.down(connection);
+        await connection.query('DELETE FROM schema_migrations WHERE version = ?', [version]);
+    }
+    return targets;
+});
+
+const printStatus = (status) => {
+    for (const item of status) {
+        const state = item.missing ? 'applied, file missing' : item.applied ? `applied ${new Date(item.appliedAt).toISOString()}` : 'pending';
+        const notes = [
+            item.modified ? 'modified since applied' : null,
+            !item.missing && !item.reversible ? 'no down' : null
+        ].filter(Boolean);
+        console.log(`${String(item.version).padStart(3, '0')}_${item.name}  ${state}${notes.length ? ` (${notes.join(', ')})` : ''}`);
+    }
+};
+
+const runCli = async ([command = 'up', argument]) => {
+    if (!['up', 'down', 'status'].includes(command)) {
+        throw new Error(`Unknown command "${command}" - use up, down or status`);
+    }
+
+    const connection = await connectForMigrations();
+    try {
+        if (command === 'status') {
+            printStatus(await getMigrationStatus(connection));
+        } else if (command === 'up') {
+            const to = argument ? parseInt(argument) : null;
+            if (to !== null && !Number.isInteger(to)) throw new Error('up takes a migration version number');
+            const applied = await migrateUp(connection, { to });
+            console.log(applied.length ? `Applied ${applied.length} migration(s)` : 'Database is up to date');
+        } else {
+            const steps = argument ? parseInt(argument) : 1;
+            if (!Number.isInteger(steps) || steps < 1) throw new Error('down takes a positive number of steps');
+            const rolledBack = await migrateDown(connection, { steps });
+            console.log(rolledBack.length ? `Rolled back ${rolledBack.length} migration(s)` : 'Nothing to roll back');
+        }
+    } finally {
+        await connection.end();
+    }
+};
+
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+    runCli(process.argv.slice(2)).catch((error) => {
+        console.error('\nMigration failed:', error.message);
+        process.exit(1);
+    });
+}
@@ -1,3 +1,4 @@
+-- migrate:up
 CREATE TABLE IF NOT EXISTS users (
     id INT AUTO_INCREMENT PRIMARY KEY,
     username VARCHAR(255) NOT NULL UNIQUE,
@@ -63,3 +64,9 @@ CREATE TABLE IF NOT EXISTS customer_notes (
     FOREIGN KEY (group_id) REFERENCES `groups`(id) ON DELETE SET NULL,
     INDEX idx_customer_created (customer_id, created_at)
 ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+
+-- migrate:down
+DROP TABLE IF EXISTS customer_notes;
+DROP TABLE IF EXISTS customers;
+DROP TABLE IF EXISTS `groups`;
+DROP TABLE IF EXISTS users;
@@ -0,0 +1,20 @@
+// Adds user roles. Databases that predate roles get their first user promoted so someone can still administer.
+export async function up(connection) {
+    await connection.query(`
+        ALTER TABLE users
+        ADD COLUMN IF NOT EXISTS role ENUM('admin', 'supervisor', 'collector') NOT NULL DEFAULT 'collector' AFTER full_name
+    `);
+
+    const [[adminsCount]] = await connection.query("SELECT COUNT(*) as total FROM users WHERE role = 'admin'");
+    if (adminsCount.total === 0) {
+        const [[firstUser]] = await connection.query('SELECT id, username FROM users ORDER BY id ASC LIMIT 1');
+        if (firstUser) {
+            await connection.query("UPDATE users SET role = 'admin' WHERE id = ?", [firstUser.id]);
+            console.log(`No admin found - promoted '${firstUser.username}' to admin`);
+        }
+    }
+}
+
+export async function down(connection) {
+    await connection.query('ALTER TABLE users DROP COLUMN IF EXISTS role');
+}
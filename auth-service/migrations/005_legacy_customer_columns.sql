@@ -0,0 +1,22 @@
+-- Brings customers and customer_notes tables created before the initial schema up to it.
+-- The columns are part of 001, so there is nothing to undo.
+
+-- migrate:up
+ALTER TABLE customers ADD COLUMN IF NOT EXISTS external_id VARCHAR(128) UNIQUE AFTER id;
+ALTER TABLE customers ADD COLUMN IF NOT EXISTS created_by INT NULL AFTER notes;
+ALTER TABLE customers ADD COLUMN IF NOT EXISTS assigned_user_id INT NULL AFTER created_by;
+ALTER TABLE customers ADD COLUMN IF NOT EXISTS group_id INT NULL AFTER assigned_user_id;
+ALTER TABLE customers ADD COLUMN IF NOT EXISTS status VARCHAR(50) NULL AFTER group_id;
+ALTER TABLE customers ADD COLUMN IF NOT EXISTS priority INT NOT NULL DEFAULT 0 AFTER status;
+ALTER TABLE customers ADD COLUMN IF NOT EXISTS internal_summary TEXT NULL AFTER priority;
+ALTER TABLE customers ADD COLUMN IF NOT EXISTS balance DECIMAL(18, 2) NOT NULL DEFAULT 0 AFTER company;
+ALTER TABLE customers ADD COLUMN IF NOT EXISTS credit_limit DECIMAL(18, 2) NOT NULL DEFAULT 0 AFTER balance;
+ALTER TABLE customers ADD COLUMN IF NOT EXISTS raw_payload JSON NULL AFTER credit_limit;
+ALTER TABLE customers ADD COLUMN IF NOT EXISTS last_synced_at TIMESTAMP NULL AFTER raw_payload;
+
+ALTER TABLE customer_notes ADD COLUMN IF NOT EXISTS due_date DATE AFTER note;
+ALTER TABLE customer_notes ADD COLUMN IF NOT EXISTS managed_by INT AFTER created_by;
+ALTER TABLE customer_notes ADD COLUMN IF NOT EXISTS group_id INT NULL AFTER managed_by;
+ALTER TABLE customer_notes ADD COLUMN IF NOT EXISTS action_type ENUM('note', 'transfer') NOT NULL DEFAULT 'note' AFTER group_id;
+
+-- migrate:down
@@ -0,0 +1,22 @@
+// Older databases cascade user deletes into note history - switch those keys to RESTRICT.
+// No down step: cascading deletes would silently remove collection history again.
+export async function up(connection) {
+    const [cascadingNoteKeys] = await connection.query(`
+        SELECT rc.CONSTRAINT_NAME as constraint_name, kcu.COLUMN_NAME as column_name
+        FROM information_schema.REFERENTIAL_CONSTRAINTS rc
+        INNER JOIN information_schema.KEY_COLUMN_USAGE kcu
+            ON kcu.CONSTRAINT_SCHEMA = rc.CONSTRAINT_SCHEMA
+           AND kcu.CONSTRAINT_NAME = rc.CONSTRAINT_NAME
+        WHERE rc.CONSTRAINT_SCHEMA = DATABASE()
+          AND rc.TABLE_NAME = 'customer_notes'
+          AND rc.REFERENCED_TABLE_NAME = 'users'
+          AND rc.DELETE_RULE = 'CASCADE'
+    `);
+    for (const key of cascadingNoteKeys) {
+        await connection.query(`ALTER TABLE customer_notes DROP FOREIGN KEY \`${key.constraint_name}\``);
+        await connection.query(`
+            ALTER TABLE customer_notes
+            ADD FOREIGN KEY (\`${key.column_name}\`) REFERENCES users(id) ON DELETE RESTRICT
+        `);
+    }
+}
@@ -0,0 +1,53 @@
+-- Last mapped rows of the external reports, reloaded into memory on server start
+
+-- migrate:up
+CREATE TABLE IF NOT EXISTS report_snapshots (
+    report_code VARCHAR(8) PRIMARY KEY,
+    synced_at TIMESTAMP NOT NULL,
+    row_count INT NOT NULL DEFAULT 0
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+
+CREATE TABLE IF NOT EXISTS report175_snapshot_rows (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    external_id VARCHAR(128) NULL,
+    account_card_number BIGINT NULL,
+    account_key VARCHAR(255) NULL,
+    account_name VARCHAR(255) NULL,
+    account_balance DECIMAL(18, 2) NOT NULL DEFAULT 0,
+    deferred_checks DECIMAL(18, 2) NOT NULL DEFAULT 0,
+    open_delivery_notes_balance DECIMAL(18, 2) NOT NULL DEFAULT 0,
+    total_obligo DECIMAL(18, 2) NOT NULL DEFAULT 0,
+    total_credit DECIMAL(18, 2) NOT NULL DEFAULT 0,
+    credit_limit DECIMAL(18, 2) NOT NULL DEFAULT 0,
+    credit_deviation DECIMAL(18, 2) NOT NULL DEFAULT 0,
+    obligo_limit DECIMAL(18, 2) NOT NULL DEFAULT 0,
+    obligo_deviation DECIMAL(18, 2) NOT NULL DEFAULT 0,
+    raw_payload JSON NULL,
+    INDEX idx_external_id (external_id)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+
+CREATE TABLE IF NOT EXISTS report198_snapshot_rows (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    external_id VARCHAR(128) NULL,
+    account_key VARCHAR(255) NULL,
+    account_name VARCHAR(255) NULL,
+    email VARCHAR(255) NULL,
+    phone VARCHAR(50) NULL,
+    mobile_phone VARCHAR(50) NULL
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+
+CREATE TABLE IF NOT EXISTS report176_snapshot_rows (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    account_key VARCHAR(255) NULL,
+    account_name VARCHAR(255) NULL,
+    contact_name VARCHAR(255) NULL,
+    email VARCHAR(255) NULL,
+    phone VARCHAR(50) NULL,
+    mobile_phone VARCHAR(50) NULL
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+
+-- migrate:down
+DROP TABLE IF EXISTS report176_snapshot_rows;
+DROP TABLE IF EXISTS report198_snapshot_rows;
+DROP TABLE IF EXISTS report175_snapshot_rows;
+DROP TABLE IF EXISTS report_snapshots;
@@ -0,0 +1,15 @@
+-- migrate:up
+CREATE TABLE IF NOT EXISTS customer_balance_history (
+    id BIGINT AUTO_INCREMENT PRIMARY KEY,
+    customer_id INT NOT NULL,
+    synced_at TIMESTAMP NOT NULL,
+    account_balance DECIMAL(18, 2) NOT NULL DEFAULT 0,
+    total_obligo DECIMAL(18, 2) NOT NULL DEFAULT 0,
+    credit_deviation DECIMAL(18, 2) NOT NULL DEFAULT 0,
+    obligo_deviation DECIMAL(18, 2) NOT NULL DEFAULT 0,
+    FOREIGN KEY (customer_id) REFERENCES customers(id) ON DELETE CASCADE,
+    UNIQUE KEY uniq_customer_synced_at (customer_id, synced_at)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+
+-- migrate:down
+DROP TABLE IF EXISTS customer_balance_history;
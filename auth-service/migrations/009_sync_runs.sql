@@ -0,0 +1,30 @@
+-- migrate:up
+CREATE TABLE IF NOT EXISTS sync_runs (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    report_code VARCHAR(8) NOT NULL,
+    trigger_type VARCHAR(16) NOT NULL,
+    triggered_by INT NULL,
+    date_from VARCHAR(10) NULL,
+    date_to VARCHAR(10) NULL,
+    status VARCHAR(32) NOT NULL DEFAULT 'running',
+    started_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    finished_at TIMESTAMP NULL,
+    duration_ms INT NULL,
+    rows_received INT NULL,
+    rows_upserted INT NULL,
+    rows_skipped INT NULL,
+    fields_repaired INT NULL,
+    warnings JSON NULL,
+    error TEXT NULL,
+    FOREIGN KEY (triggered_by) REFERENCES users(id) ON DELETE SET NULL,
+    INDEX idx_report_started (report_code, started_at)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+
+-- Tables created before the repair count and date range columns
+ALTER TABLE sync_runs
+ADD COLUMN IF NOT EXISTS fields_repaired INT NULL AFTER rows_skipped,
+ADD COLUMN IF NOT EXISTS date_from VARCHAR(10) NULL AFTER triggered_by,
+ADD COLUMN IF NOT EXISTS date_to VARCHAR(10) NULL AFTER date_from;
+
+-- migrate:down
+DROP TABLE IF EXISTS sync_runs;
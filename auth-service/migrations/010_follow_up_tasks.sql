@@ -0,0 +1,40 @@
+-- Follow-ups as tasks with a status, instead of the due date on the latest note
+
+-- migrate:up
+CREATE TABLE IF NOT EXISTS follow_up_tasks (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    customer_id INT NOT NULL,
+    note_id INT NULL,
+    assigned_to INT NULL,
+    due_date DATE NOT NULL,
+    status ENUM('open', 'done', 'cancelled', 'missed') NOT NULL DEFAULT 'open',
+    outcome TEXT NULL,
+    completed_at TIMESTAMP NULL,
+    completed_by INT NULL,
+    created_by INT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    FOREIGN KEY (customer_id) REFERENCES customers(id) ON DELETE CASCADE,
+    FOREIGN KEY (note_id) REFERENCES customer_notes(id) ON DELETE SET NULL,
+    FOREIGN KEY (assigned_to) REFERENCES users(id) ON DELETE SET NULL,
+    FOREIGN KEY (completed_by) REFERENCES users(id) ON DELETE SET NULL,
+    FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL,
+    INDEX idx_customer_status_due (customer_id, status, due_date),
+    INDEX idx_assigned_status_due (assigned_to, status, due_date)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+
+-- The latest note's due date was the follow-up until now - carry it over as the open task
+INSERT INTO follow_up_tasks (customer_id, note_id, assigned_to, due_date, created_by, created_at)
+SELECT n.customer_id, n.id, COALESCE(c.assigned_user_id, n.managed_by), n.due_date, n.created_by, n.created_at
+FROM customer_notes n
+INNER JOIN (
+    SELECT customer_id, MAX(id) as latest_id
+    FROM customer_notes
+    GROUP BY customer_id
+) latest ON latest.latest_id = n.id
+INNER JOIN customers c ON c.id = n.customer_id
+WHERE n.due_date IS NOT NULL
+  AND NOT EXISTS (SELECT 1 FROM follow_up_tasks t WHERE t.customer_id = n.customer_id);
+
+-- migrate:down
+DROP TABLE IF EXISTS follow_up_tasks;
@@ -0,0 +1,15 @@
+-- Email address and daily digest preferences on each user
+
+-- migrate:up
+ALTER TABLE users
+ADD COLUMN IF NOT EXISTS email VARCHAR(255) NULL AFTER full_name,
+ADD COLUMN IF NOT EXISTS digest_enabled TINYINT(1) NOT NULL DEFAULT 1 AFTER email,
+ADD COLUMN IF NOT EXISTS digest_send_time TIME NOT NULL DEFAULT '07:00:00' AFTER digest_enabled,
+ADD COLUMN IF NOT EXISTS digest_last_sent_at TIMESTAMP NULL AFTER digest_send_time;
+
+-- migrate:down
+ALTER TABLE users
+DROP COLUMN IF EXISTS digest_last_sent_at,
+DROP COLUMN IF EXISTS digest_send_time,
+DROP COLUMN IF EXISTS digest_enabled,
+DROP COLUMN IF EXISTS email;
@@ -0,0 +1,25 @@
+-- Promises to pay, recorded with a note and checked against the credit movements in report 180
+
+-- migrate:up
+CREATE TABLE IF NOT EXISTS payment_promises (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    customer_id INT NOT NULL,
+    note_id INT NULL,
+    amount DECIMAL(18, 2) NOT NULL,
+    promised_date DATE NOT NULL,
+    status ENUM('open', 'kept', 'partial', 'broken', 'cancelled') NOT NULL DEFAULT 'open',
+    paid_amount DECIMAL(18, 2) NOT NULL DEFAULT 0,
+    reconciled_at TIMESTAMP NULL,
+    resolved_at TIMESTAMP NULL,
+    created_by INT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    FOREIGN KEY (customer_id) REFERENCES customers(id) ON DELETE CASCADE,
+    FOREIGN KEY (note_id) REFERENCES customer_notes(id) ON DELETE SET NULL,
+    FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL,
+    INDEX idx_customer_status (customer_id, status),
+    INDEX idx_status_date (status, promised_date)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+
+-- migrate:down
+DROP TABLE IF EXISTS payment_promises;
@@ -0,0 +1,11 @@
+-- Failed digest sends, so the job backs off instead of retrying every check
+
+-- migrate:up
+ALTER TABLE users
+ADD COLUMN IF NOT EXISTS digest_last_attempt_at TIMESTAMP NULL AFTER digest_last_sent_at,
+ADD COLUMN IF NOT EXISTS digest_failed_attempts INT NOT NULL DEFAULT 0 AFTER digest_last_attempt_at;
+
+-- migrate:down
+ALTER TABLE users
+DROP COLUMN IF EXISTS digest_failed_attempts,
+DROP COLUMN IF EXISTS digest_last_attempt_at;
@@ -0,0 +1,9 @@
+-- Totals and rows of one-off windowed report 175 pulls, shown from the sync history
+
+-- migrate:up
+ALTER TABLE sync_runs
+ADD COLUMN IF NOT EXISTS windowed_result JSON NULL AFTER warnings;
+
+-- migrate:down
+ALTER TABLE sync_runs
+DROP COLUMN IF EXISTS windowed_result;
@@ -0,0 +1,119 @@
+import express from 'express';
+import dotenv from 'dotenv';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+// Local stand-in for the ERP hashAPI (reports 175, 176, 180, 184, 185, 198) for development and demos.
+// Answers are read from mock-fixtures/<report>.json on every request, so fixtures can be edited live.
+// Per-customer reports (180, 184, 185) keep one payload per client number under "clients".
+//
+//   npm run mock-hashapi
+//
+// Failure switches, from the environment or at runtime with PUT /mock/settings:
+//   MOCK_LATENCY_MS=2000          delay every answer
+//   MOCK_FAIL_RATE=0.3            answer 500 to this share of requests
+//   MOCK_ERROR_REPORTS=175,198    always answer 503 for these reports
+//   MOCK_TIMEOUT_REPORTS=198      never answer these reports (the caller's timeout fires)
+//   MOCK_MOJIBAKE_REPORTS=175     send keys and values as UTF-8 decoded as Windows-1252
+
+dotenv.config();
+
+const fixturesDir = path.join(path.dirname(fileURLToPath(import.meta.url)), 'mock-fixtures');
+const reports = ['175', '176', '180', '184', '185', '198'];
+const perCustomerReports = ['180', '184', '185'];
+
+const parseList = (value) => String(value || '').split(',').map((item) => item.trim()).filter(Boolean);
+
+const settings = {
+    latencyMs: parseInt(process.env.MOCK_LATENCY_MS || '0'),
+    failRate: Number(process.env.MOCK_FAIL_RATE || 0),
+    errorReports: parseList(process.env.MOCK_ERROR_REPORTS),
+    timeoutReports: parseList(process.env.MOCK_TIMEOUT_REPORTS),
+    mojibakeReports: parseList(process.env.MOCK_MOJIBAKE_REPORTS)
+};
+
+// Windows-1252 characters for bytes 0x80-0x9F (Node decodes "windows-1252" as latin1); unmapped bytes stay as is
+const cp1252HighChars = '\u20ac\u0081\u201a\u0192\u201e\u2026\u2020\u2021\u02c6\u2030\u0160\u2039\u0152\u008d\u017d\u008f'
+    + '\u0090\u2018\u2019\u201c\u201d\u2022\u2013\u2014\u02dc\u2122\u0161\u203a\u0153\u009d\u017e\u0178';
+
+const decodeAsCp1252 = (buffer) => Array.from(buffer, (byte) =>
+    (byte >= 0x80 && byte <= 0x9f ? cp1252HighChars[byte - 0x80] : String.fromCharCode(byte))).join('');
+
+const toMojibake = (value) => {
+    if (typeof value === 'string') return decodeAsCp1252(Buffer.from(value, 'utf8'));
+    if (Array.isArray(value)) return value.map(toMojibake);
+    if (value && typeof value === 'object') {
+        return Object.fromEntries(Object.entries(value).map(([key, item]) => [toMojibake(key), toMojibake(item)]));
+    }
+    return value;
+};
+
+const readFixture = (report) => JSON.parse(fs.readFileSync(path.join(fixturesDir, `${report}.json`), 'utf8'));
+
+// Per-customer fixtures are looked up by the clientNumber the server sends (account key or card number)
+const getCustomerPayload = (fixture, clientNumber) => {
+    const clients = fixture.clients || {};
+    if (clients[clientNumber]) return clients[clientNumber];
+
+    const match = Object.values(clients).find((payload) =>
+        JSON.stringify(payload).includes(`"מספר כרטיס חשבון":"${clientNumber}"`));
+    return match || { data: [] };
+};
+
+const app = express();
+app.use(express.json());
+
+app.get('/mock/settings', (req, res) => {
+    res.json(settings);
+});
+
+app.put('/mock/settings', (req, res) => {
+    const patch = req.body || {};
+    if (patch.latencyMs !== undefined) settings.latencyMs = Math.max(parseInt(patch.latencyMs) || 0, 0);
+    if (patch.failRate !== undefined) settings.failRate = Math.min(Math.max(Number(patch.failRate) || 0, 0), 1);
+    for (const key of ['errorReports', 'timeoutReports', 'mojibakeReports']) {
+        if (patch[key] !== undefined) settings[key] = (Array.isArray(patch[key]) ? patch[key] : parseList(patch[key])).map(String);
+    }
+    console.log('Mock settings:', settings);
+    res.json(settings);
+});
+
+app.post('/hashAPI/route-hashAPI/:report', async (req, res) => {
+    const report = String(req.params.report);
+    const { clientNumber, dateFrom, dateTo } = req.body || {};
+    console.log(`POST ${report}`, clientNumber ? `clientNumber=${clientNumber}` : `dateFrom=${dateFrom || '-'} dateTo=${dateTo || '-'}`);
+
+    if (!reports.includes(report)) {
+        return res.status(404).json({ error: `Unknown report ${report}` });
+    }
+    if (settings.timeoutReports.includes(report)) {
+        return;
+    }
+    if (settings.latencyMs > 0) {
+        await new Promise((resolve) => setTimeout(resolve, settings.latencyMs));
+    }
+    if (settings.errorReports.includes(report)) {
+        return res.status(503).json({ error: 'Service unavailable (mock)' });
+    }
+    if (Math.random() < settings.failRate) {
+        return res.status(500).json({ error: 'Internal error (mock)' });
+    }
+
+    try {
+        const fixture = readFixture(report);
+        const payload = perCustomerReports.includes(report)
+            ? getCustomerPayload(fixture, String(clientNumber || ''))
+            : fixture;
+        res.json(settings.mojibakeReports.includes(report) ? toMojibake(payload) : payload);
+    } catch (error) {
+        console.error(`Fixture ${report} error:`, error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+const port = parseInt(process.env.MOCK_HASHAPI_PORT || '5000');
+app.listen(port, () => {
+    console.log(`Mock hashAPI running on http://localhost:${port}/hashAPI/route-hashAPI/<report>`);
+    console.log('Settings:', settings);
+});
@@ -22,10 +22,10 @@ async function seed() {
         if (usersCount.total === 0) {
             const passwordHash = await bcrypt.hash('pass123', 10);
             await connection.query(
-                `INSERT INTO users (username, password) VALUES
-                ('Admin User', ?),
-                ('Follow-up Agent', ?),
-                ('Sales Rep', ?)`,
+                `INSERT INTO users (username, password, role) VALUES
+                ('Admin User', ?, 'admin'),
+                ('Follow-up Agent', ?, 'collector'),
+                ('Sales Rep', ?, 'supervisor')`,
                 [passwordHash, passwordHash, passwordHash]
             );
             console.log('Seeded users.');
@@ -62,15 +62,13 @@ async function seed() {
         const [customerRows] = await connection.query('SELECT id FROM customers ORDER BY id ASC LIMIT 3');
         const [groupRows] = await connection.query('SELECT id FROM `groups` ORDER BY id ASC LIMIT 2');
         if (customerRows.length > 0 && groupRows.length > 0) {
-            for (const customer of customerRows) {
-                for (const group of groupRows) {
-                    await connection.query(
-                        'INSERT IGNORE INTO customer_groups (customer_id, group_id) VALUES (?, ?)',
-                        [customer.id, group.id]
-                    );
-                }
+            for (const [index, customer] of customerRows.entries()) {
+                await connection.query(
+                    'UPDATE customers SET group_id = ? WHERE id = ? AND group_id IS NULL',
+                    [groupRows[index % groupRows.length].id, customer.id]
+                );
             }
-            console.log('Seeded customer_groups links.');
+            console.log('Seeded customer group assignments.');
         }
 
         console.log('\nDemo seed completed.');
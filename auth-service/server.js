@@ -3,6 +3,11 @@ import mysql from 'mysql2/promise';
 import bcrypt from 'bcrypt';
 import jwt from 'jsonwebtoken';
 import cors from 'cors';
+import nodemailer from 'nodemailer';
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
 import config from './config.js';
 
 const app = express();
@@ -33,7 +38,7 @@ app.get('/health', (req, res) => {
 app.get('/api/login-users', async (req, res) => {
     try {
         const [users] = await pool.execute(
-            'SELECT id, username FROM users ORDER BY username ASC'
+            'SELECT id, username FROM users WHERE is_active = 1 ORDER BY username ASC'
         );
         res.json({ users });
     } catch (error) {
@@ -42,6 +47,101 @@ app.get('/api/login-users', async (req, res) => {
     }
 });
 
+// ===== LOGIN PROTECTION =====
+
+// Failed logins are counted per username and per client IP. After `freeAttempts`
+// failures every further attempt has to wait an exponentially growing delay, and
+// reaching the limit locks the identifier out. Counters are kept in MySQL so a
+// restart does not reset them. Many users can share one IP (an office behind NAT),
+// so the IP limits are much higher and only stop guessing across many usernames.
+const getLoginAttemptKeys = (username, req) => [
+    {
+        scope: 'username',
+        identifier: String(username).trim().toLowerCase(),
+        freeAttempts: config.loginProtection.freeAttempts,
+        maxFailedAttempts: config.loginProtection.maxFailedAttempts
+    },
+    {
+        scope: 'ip',
+        identifier: req.ip || 'unknown',
+        freeAttempts: config.loginProtection.ipFreeAttempts,
+        maxFailedAttempts: config.loginProtection.ipMaxFailedAttempts
+    }
+];
+
+const getLoginDelayMs = (failedCount, freeAttempts = config.loginProtection.freeAttempts) => {
+    const { delayBaseMs, delayMaxMs } = config.loginProtection;
+    if (failedCount <= freeAttempts) return 0;
+    return Math.min(delayBaseMs * 2 ** (failedCount - freeAttempts - 1), delayMaxMs);
+};
+
+// Returns { code, retryAfterSeconds } when any of the keys may not attempt a login right now
+const getLoginBlock = async (keys) => {
+    const [rows] = await pool.execute(`
+        SELECT
+            scope,
+            failed_count,
+            TIMESTAMPDIFF(SECOND, CURRENT_TIMESTAMP, locked_until) as lock_seconds_left,
+            TIMESTAMPDIFF(SECOND, last_failed_at, CURRENT_TIMESTAMP) as seconds_since_failure
+        FROM login_attempts
+        WHERE ${keys.map(() => '(scope = ? AND identifier = ?)').join(' OR ')}
+    `, keys.flatMap((key) => [key.scope, key.identifier]));
+
+    let block = null;
+    for (const row of rows) {
+        if (row.lock_seconds_left > 0) {
+            if (block?.code !== 'LOGIN_LOCKED' || row.lock_seconds_left > block.retryAfterSeconds) {
+                block = { code: 'LOGIN_LOCKED', retryAfterSeconds: row.lock_seconds_left };
+            }
+            continue;
+        }
+
+        const key = keys.find((candidate) => candidate.scope === row.scope);
+        const waitSeconds = Math.ceil(getLoginDelayMs(row.failed_count, key?.freeAttempts) / 1000) - row.seconds_since_failure;
+        if (waitSeconds > 0 && !block) {
+            block = { code: 'LOGIN_THROTTLED', retryAfterSeconds: waitSeconds };
+        } else if (waitSeconds > 0 && block.code === 'LOGIN_THROTTLED') {
+            block.retryAfterSeconds = Math.max(block.retryAfterSeconds, waitSeconds);
+        }
+    }
+    return block;
+};
+
+// Assignments run left to right, so `locked_until` sees the already incremented `failed_count`.
+// A failure after the window has passed, or after a lockout has expired, starts a new count.
+const recordLoginFailure = async (keys) => {
+    const { attemptWindowMinutes, lockoutMinutes } = config.loginProtection;
+    for (const key of keys) {
+        await pool.execute(`
+            INSERT INTO login_attempts (scope, identifier, failed_count, first_failed_at, last_failed_at)
+            VALUES (?, ?, 1, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
+            ON DUPLICATE KEY UPDATE
+                failed_count = IF(
+                    last_failed_at < CURRENT_TIMESTAMP - INTERVAL ? MINUTE OR locked_until <= CURRENT_TIMESTAMP,
+                    1,
+                    failed_count + 1
+                ),
+                first_failed_at = IF(failed_count = 1, CURRENT_TIMESTAMP, first_failed_at),
+                locked_until = IF(failed_count >= ?, CURRENT_TIMESTAMP + INTERVAL ? MINUTE, NULL),
+                last_failed_at = CURRENT_TIMESTAMP
+        `, [key.scope, key.identifier, attemptWindowMinutes, key.maxFailedAttempts, lockoutMinutes]);
+    }
+};
+
+// Unknown usernames are checked against this hash, so a login takes as long whether or not the account exists
+const DUMMY_PASSWORD_HASH = '$2b$10$fKXwcS7gwT1WCFz7letu5u5V3bzUVtyvHaN3uFkgl5DzKnITCIztK';
+
+const sendLoginBlocked = (res, block) => {
+    res.set('Retry-After', String(block.retryAfterSeconds));
+    return res.status(429).json({
+        error: block.code === 'LOGIN_LOCKED'
+            ? 'Too many failed login attempts. Try again later.'
+            : 'Please wait before trying to log in again.',
+        code: block.code,
+        retry_after_seconds: block.retryAfterSeconds
+    });
+};
+
 // Login
 app.post('/api/login', async (req, res) => {
     try {
@@ -51,32 +151,43 @@ app.post('/api/login', async (req, res) => {
             return res.status(400).json({ error: 'Username and password are required' });
         }
 
+        const attemptKeys = getLoginAttemptKeys(username, req);
+        const block = await getLoginBlock(attemptKeys);
+        if (block) return sendLoginBlocked(res, block);
+
         const [users] = await pool.execute(
             'SELECT * FROM users WHERE username = ? LIMIT 1',
             [username]
         );
 
-        if (users.length === 0) {
-            return res.status(401).json({ error: 'Invalid username or password' });
-        }
-
         const user = users[0];
-        const isValidPassword = await bcrypt.compare(password, user.password);
+        const passwordMatches = await bcrypt.compare(password, user ? user.password : DUMMY_PASSWORD_HASH);
+        const isValidPassword = Boolean(user) && passwordMatches;
 
         if (!isValidPassword) {
+            await recordLoginFailure(attemptKeys);
+            const lockout = await getLoginBlock(attemptKeys);
+            if (lockout?.code === 'LOGIN_LOCKED') return sendLoginBlocked(res, lockout);
             return res.status(401).json({ error: 'Invalid username or password' });
         }
 
-        const token = jwt.sign(
-            { id: user.id, username: user.username },
-            config.jwt.secret,
-            { expiresIn: config.jwt.expiresIn }
+        await pool.execute(
+            'DELETE FROM login_attempts WHERE scope = ? AND identifier = ?',
+            [attemptKeys[0].scope, attemptKeys[0].identifier]
         );
 
+        if (!user.is_active) {
+            return res.status(403).json({ error: 'Account is deactivated' });
+        }
+
+        const { sessionId, refreshToken } = await createSession(user.id, req);
+        const token = signAccessToken(user, sessionId);
+
         res.json({
             message: 'Login successful',
             token,
-            user: { id: user.id, username: user.username }
+            refreshToken,
+            user: { id: user.id, username: user.username, full_name: user.full_name, role: user.role }
         });
 
     } catch (error) {
@@ -85,6 +196,117 @@ app.post('/api/login', async (req, res) => {
     }
 });
 
+// ===== SESSIONS =====
+
+// A second use of a rotated refresh token inside this window is treated as a
+// race between browser tabs rather than token theft.
+const REFRESH_REUSE_GRACE_MS = 30 * 1000;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// `sv` is the user's session_version; bumping it invalidates every token issued before.
+// `sid` ties the access token to a row in `sessions` so it can be revoked individually.
+const signAccessToken = (user, sessionId = null) => jwt.sign(
+    { id: user.id, username: user.username, sv: user.session_version || 0, sid: sessionId },
+    config.jwt.secret,
+    { expiresIn: config.jwt.expiresIn }
+);
+
+const getRefreshTokenExpiry = () => new Date(Date.now() + config.jwt.refreshTokenTtlDays * 24 * 60 * 60 * 1000);
+
+const createSession = async (userId, req) => {
+    const refreshToken = crypto.randomBytes(48).toString('hex');
+    const [result] = await pool.execute(`
+        INSERT INTO sessions (user_id, refresh_token_hash, user_agent, ip_address, expires_at)
+        VALUES (?, ?, ?, ?, ?)
+    `, [
+        userId,
+        hashToken(refreshToken),
+        String(req.headers['user-agent'] || '').slice(0, 255) || null,
+        req.ip || null,
+        getRefreshTokenExpiry()
+    ]);
+    return { sessionId: result.insertId, refreshToken };
+};
+
+const revokeUserSessions = async (userId, { exceptSessionId = null, executor = pool } = {}) => {
+    const [result] = await executor.execute(`
+        UPDATE sessions
+        SET revoked_at = CURRENT_TIMESTAMP
+        WHERE user_id = ?
+          AND revoked_at IS NULL
+          AND id <> ?
+    `, [userId, exceptSessionId || 0]);
+    return result.affectedRows;
+};
+
+// Exchange a refresh token for a new access token. The refresh token is rotated on every use.
+app.post('/api/token/refresh', async (req, res) => {
+    try {
+        const refreshToken = String(req.body.refreshToken || '').trim();
+        if (!refreshToken) return res.status(400).json({ error: 'refreshToken is required' });
+
+        const tokenHash = hashToken(refreshToken);
+        const [sessions] = await pool.execute(`
+            SELECT
+                s.id,
+                s.user_id,
+                s.refresh_token_hash,
+                s.last_used_at,
+                s.expires_at,
+                s.revoked_at,
+                u.username,
+                u.is_active,
+                u.session_version
+            FROM sessions s
+            INNER JOIN users u ON u.id = s.user_id
+            WHERE s.refresh_token_hash = ? OR s.previous_token_hash = ?
+            LIMIT 1
+        `, [tokenHash, tokenHash]);
+
+        if (sessions.length === 0) {
+            return res.status(401).json({ error: 'Invalid refresh token' });
+        }
+
+        const session = sessions[0];
+        if (session.revoked_at || new Date(session.expires_at).getTime() <= Date.now() || !session.is_active) {
+            return res.status(401).json({ error: 'Session has expired or been revoked' });
+        }
+
+        if (session.refresh_token_hash !== tokenHash) {
+            const sinceRotationMs = Date.now() - new Date(session.last_used_at).getTime();
+            if (sinceRotationMs > REFRESH_REUSE_GRACE_MS) {
+                await pool.execute('UPDATE sessions SET revoked_at = CURRENT_TIMESTAMP WHERE id = ?', [session.id]);
+                console.warn(`Refresh token reuse detected for session ${session.id}, session revoked`);
+            }
+            return res.status(401).json({ error: 'Refresh token has already been used' });
+        }
+
+        const nextRefreshToken = crypto.randomBytes(48).toString('hex');
+        const [result] = await pool.execute(`
+            UPDATE sessions
+            SET previous_token_hash = refresh_token_hash,
+                refresh_token_hash = ?,
+                last_used_at = CURRENT_TIMESTAMP,
+                expires_at = ?
+            WHERE id = ?
+              AND refresh_token_hash = ?
+        `, [hashToken(nextRefreshToken), getRefreshTokenExpiry(), session.id, tokenHash]);
+
+        if (result.affectedRows === 0) {
+            return res.status(401).json({ error: 'Refresh token has already been used' });
+        }
+
+        res.json({
+            token: signAccessToken({ id: session.user_id, username: session.username, session_version: session.session_version }, session.id),
+            refreshToken: nextRefreshToken
+        });
+    } catch (error) {
+        console.error('Refresh token error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
 // Auth middleware - reusable for protected routes
 const auth = async (req, res, next) => {
     try {
@@ -92,17 +314,72 @@ const auth = async (req, res, next) => {
         if (!token) return res.status(401).json({ error: 'No token provided' });
 
         const decoded = jwt.verify(token, config.jwt.secret);
+        const [users] = await pool.execute(`
+            SELECT
+                u.id,
+                u.role,
+                u.is_active,
+                u.session_version,
+                s.id as session_id,
+                s.revoked_at as session_revoked_at
+            FROM users u
+            LEFT JOIN sessions s ON s.id = ? AND s.user_id = u.id
+            WHERE u.id = ?
+            LIMIT 1
+        `, [decoded.sid || null, decoded.id]);
+        if (users.length === 0) return res.status(401).json({ error: 'Invalid or expired token' });
+        if (!users[0].is_active) return res.status(401).json({ error: 'Account is deactivated' });
+        if ((decoded.sv || 0) !== users[0].session_version) {
+            return res.status(401).json({ error: 'Session has been revoked' });
+        }
+        if (decoded.sid && (!users[0].session_id || users[0].session_revoked_at)) {
+            return res.status(401).json({ error: 'Session has been revoked' });
+        }
+
         req.userId = decoded.id;
+        req.userRole = users[0].role;
+        req.sessionId = decoded.sid || null;
         next();
     } catch (error) {
-        return res.status(401).json({ error: 'Invalid or expired token' });
+        if (error.name === 'JsonWebTokenError' || error.name === 'TokenExpiredError') {
+            return res.status(401).json({ error: 'Invalid or expired token' });
+        }
+        console.error('Auth middleware error:', error);
+        return res.status(500).json({ error: 'Server error' });
+    }
+};
+
+const USER_ROLES = ['admin', 'supervisor', 'collector'];
+const FULL_ACCESS_ROLES = ['admin', 'supervisor'];
+
+const hasFullCustomerAccess = (role) => FULL_ACCESS_ROLES.includes(role);
+
+// Role guard - use after auth
+const requireRole = (...roles) => (req, res, next) => {
+    if (!roles.includes(req.userRole)) {
+        return res.status(403).json({ error: 'Insufficient permissions' });
     }
+    next();
 };
 
+// Admins and supervisors see every customer; collectors only see customers
+// they manage or whose group they are a member of.
 const getCustomerAccessCondition = () => `
-    (? IS NOT NULL OR ? IS NOT NULL)
+    (
+        EXISTS (
+            SELECT 1 FROM users access_user
+            WHERE access_user.id = ?
+              AND access_user.role IN ('admin', 'supervisor')
+        )
+        OR c.assigned_user_id = ?
+        OR c.group_id IN (
+            SELECT ug.group_id FROM user_groups ug WHERE ug.user_id = ?
+        )
+    )
 `;
 
+const getCustomerAccessParams = (userId) => [userId, userId, userId];
+
 const canAccessCustomer = async (customerId, userId) => {
     const [rows] = await pool.execute(`
         SELECT c.id
@@ -110,24 +387,148 @@ const canAccessCustomer = async (customerId, userId) => {
         WHERE c.id = ?
           AND ${getCustomerAccessCondition()}
         LIMIT 1
-    `, [customerId, userId, userId]);
+    `, [customerId, ...getCustomerAccessParams(userId)]);
     return rows.length > 0;
 };
 
-// Get profile (protected)
-app.get('/api/me', async (req, res) => {
+// ===== AUDIT LOG =====
+
+// Append-only record of who changed what. `customer_id` ties note, transfer and
+// group changes to the customer they affect so its whole history is one query.
+const recordAudit = async (req, {
+    action,
+    entityType,
+    entityId = null,
+    customerId = null,
+    before = null,
+    after = null,
+    actorId = req.userId || null
+}, executor = pool) => {
+    await executor.execute(`
+        INSERT INTO audit_log (actor_id, action, entity_type, entity_id, customer_id, before_json, after_json, ip_address)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `, [
+        actorId,
+        action,
+        entityType,
+        entityId === null ? null : Number(entityId),
+        customerId === null ? null : Number(customerId),
+        before === null ? null : JSON.stringify(before),
+        after === null ? null : JSON.stringify(after),
+        req.ip || null
+    ]);
+};
+
+// The synced report payload is large and not something users edit
+const getAuditableCustomer = (customer) => {
+    if (!customer) return null;
+    const { raw_payload, ...fields } = customer;
+    return fields;
+};
+
+// MariaDB returns JSON columns as strings, MySQL as objects
+const parseJsonColumn = (value) => {
+    if (value === null || value === undefined || typeof value === 'object') return value ?? null;
+    try {
+        return JSON.parse(value);
+    } catch {
+        return value;
+    }
+};
+
+// Admins and supervisors can search the whole log; collectors only see the
+// history of customers they have access to.
+app.get('/api/audit', auth, async (req, res) => {
     try {
-        const authHeader = req.headers.authorization;
-        if (!authHeader) {
-            return res.status(401).json({ error: 'No token provided' });
+        const page = Math.max(parseInt(req.query.page) || 1, 1);
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+        const offset = (page - 1) * limit;
+        const customerId = parseOptionalInt(req.query.customerId);
+
+        if (!hasFullCustomerAccess(req.userRole)) {
+            if (customerId === null) return res.status(403).json({ error: 'Insufficient permissions' });
+            const hasAccess = await canAccessCustomer(customerId, req.userId);
+            if (!hasAccess) return res.status(404).json({ error: 'Customer not found' });
         }
 
-        const token = authHeader.replace('Bearer ', '');
-        const decoded = jwt.verify(token, config.jwt.secret);
+        const filters = [];
+        const params = [];
+        if (customerId !== null) {
+            filters.push('a.customer_id = ?');
+            params.push(customerId);
+        }
+        if (req.query.entityType) {
+            filters.push('a.entity_type = ?');
+            params.push(String(req.query.entityType));
+        }
+        if (parseOptionalInt(req.query.entityId) !== null) {
+            filters.push('a.entity_id = ?');
+            params.push(parseOptionalInt(req.query.entityId));
+        }
+        if (parseOptionalInt(req.query.actorId) !== null) {
+            filters.push('a.actor_id = ?');
+            params.push(parseOptionalInt(req.query.actorId));
+        }
+        if (req.query.action) {
+            filters.push('a.action = ?');
+            params.push(String(req.query.action));
+        }
+        if (req.query.from) {
+            filters.push('a.created_at >= ?');
+            params.push(String(req.query.from));
+        }
+        if (req.query.to) {
+            filters.push('a.created_at < DATE_ADD(?, INTERVAL 1 DAY)');
+            params.push(String(req.query.to));
+        }
+        const whereClause = filters.length ? `WHERE ${filters.join(' AND ')}` : '';
 
+        const [entries] = await pool.execute(`
+            SELECT
+                a.id,
+                a.action,
+                a.entity_type,
+                a.entity_id,
+                a.customer_id,
+                a.before_json,
+                a.after_json,
+                a.ip_address,
+                a.created_at,
+                a.actor_id,
+                actor.username as actor_name
+            FROM audit_log a
+            LEFT JOIN users actor ON actor.id = a.actor_id
+            ${whereClause}
+            ORDER BY a.id DESC
+            LIMIT ? OFFSET ?
+        `, [...params, limit, offset]);
+        const [countRows] = await pool.execute(`SELECT COUNT(*) as total FROM audit_log a ${whereClause}`, params);
+
+        res.json({
+            entries: entries.map(({ before_json, after_json, ...entry }) => ({
+                ...entry,
+                before: parseJsonColumn(before_json),
+                after: parseJsonColumn(after_json)
+            })),
+            pagination: {
+                total: countRows[0].total,
+                page,
+                limit,
+                totalPages: Math.ceil(countRows[0].total / limit)
+            }
+        });
+    } catch (error) {
+        console.error('Get audit log error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Get profile (protected)
+app.get('/api/me', auth, async (req, res) => {
+    try {
         const [users] = await pool.execute(
-            'SELECT id, username, created_at FROM users WHERE id = ?',
-            [decoded.id]
+            'SELECT id, username, full_name, email, role, is_active, created_at FROM users WHERE id = ?',
+            [req.userId]
         );
 
         if (users.length === 0) {
@@ -137,21 +538,119 @@ app.get('/api/me', async (req, res) => {
         res.json({ user: users[0] });
 
     } catch (error) {
-        if (error.name === 'JsonWebTokenError' || error.name === 'TokenExpiredError') {
-            return res.status(401).json({ error: 'Invalid or expired token' });
-        }
         console.error('Get user error:', error);
         res.status(500).json({ error: 'Server error' });
     }
 });
 
+// Log out the current session
+app.post('/api/logout', auth, async (req, res) => {
+    try {
+        if (req.sessionId) {
+            await pool.execute(
+                'UPDATE sessions SET revoked_at = CURRENT_TIMESTAMP WHERE id = ? AND revoked_at IS NULL',
+                [req.sessionId]
+            );
+        }
+        res.json({ message: 'Logged out' });
+    } catch (error) {
+        console.error('Logout error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Log out every session of the current user, including this one
+app.post('/api/logout-all', auth, async (req, res) => {
+    try {
+        const revoked = await revokeUserSessions(req.userId);
+        await pool.execute('UPDATE users SET session_version = session_version + 1 WHERE id = ?', [req.userId]);
+        res.json({ message: 'All sessions revoked', revoked });
+    } catch (error) {
+        console.error('Logout all error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+const listActiveSessions = async (userId) => {
+    const [sessions] = await pool.execute(`
+        SELECT id, user_agent, ip_address, created_at, last_used_at, expires_at
+        FROM sessions
+        WHERE user_id = ?
+          AND revoked_at IS NULL
+          AND expires_at > CURRENT_TIMESTAMP
+        ORDER BY COALESCE(last_used_at, created_at) DESC
+    `, [userId]);
+    return sessions;
+};
+
+app.get('/api/me/sessions', auth, async (req, res) => {
+    try {
+        const sessions = await listActiveSessions(req.userId);
+        res.json({
+            sessions: sessions.map((session) => ({ ...session, current: session.id === req.sessionId }))
+        });
+    } catch (error) {
+        console.error('Get sessions error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+app.delete('/api/me/sessions/:sessionId', auth, async (req, res) => {
+    try {
+        const [result] = await pool.execute(
+            'UPDATE sessions SET revoked_at = CURRENT_TIMESTAMP WHERE id = ? AND user_id = ? AND revoked_at IS NULL',
+            [req.params.sessionId, req.userId]
+        );
+        if (result.affectedRows === 0) return res.status(404).json({ error: 'Session not found' });
+        res.json({ message: 'Session revoked' });
+    } catch (error) {
+        console.error('Revoke session error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
 // ===== USER ROUTES =====
 
+const MIN_PASSWORD_LENGTH = 6;
+
+const getUserById = async (userId) => {
+    const [users] = await pool.execute(
+        'SELECT id, username, full_name, email, role, is_active, created_at, updated_at FROM users WHERE id = ?',
+        [userId]
+    );
+    return users[0] || null;
+};
+
+// Returns { email } with null for an empty value, or { error }
+const parseEmail = (value) => {
+    const email = String(value || '').trim();
+    if (!email) return { email: null };
+    if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) return { error: 'email is not a valid address' };
+    return { email };
+};
+
+const validatePassword = (password, field = 'password') => {
+    if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+        return `${field} must be at least ${MIN_PASSWORD_LENGTH} characters`;
+    }
+    return null;
+};
+
 app.get('/api/users', auth, async (req, res) => {
     try {
-        const [users] = await pool.execute(
-            'SELECT id, username, created_at FROM users ORDER BY created_at DESC'
-        );
+        const [users] = await pool.execute(`
+            SELECT
+                u.id,
+                u.username,
+                u.full_name,
+                u.email,
+                u.role,
+                u.is_active,
+                u.created_at,
+                (SELECT COUNT(*) FROM customers c WHERE c.assigned_user_id = u.id) as assigned_customers
+            FROM users u
+            ORDER BY u.created_at DESC
+        `);
         res.json({ users });
     } catch (error) {
         console.error('Get users error:', error);
@@ -161,805 +660,2076 @@ app.get('/api/users', auth, async (req, res) => {
 
 app.get('/api/users/:id', auth, async (req, res) => {
     try {
-        const [users] = await pool.execute(
-            'SELECT id, username, created_at FROM users WHERE id = ?',
-            [req.params.id]
-        );
-        if (users.length === 0) return res.status(404).json({ error: 'User not found' });
-        res.json({ user: users[0] });
+        const user = await getUserById(req.params.id);
+        if (!user) return res.status(404).json({ error: 'User not found' });
+        res.json({ user });
     } catch (error) {
         console.error('Get user by id error:', error);
         res.status(500).json({ error: 'Server error' });
     }
 });
 
-app.put('/api/users/:id', auth, async (req, res) => {
+// Create user
+app.post('/api/users', auth, requireRole('admin'), async (req, res) => {
     try {
         const username = String(req.body.username || '').trim();
+        const fullName = String(req.body.full_name || '').trim();
+        const role = String(req.body.role || 'collector').trim();
+        const { password } = req.body;
+        const { email, error: emailError } = parseEmail(req.body.email);
+
+        if (!username) return res.status(400).json({ error: 'username is required' });
+        const passwordError = validatePassword(password);
+        if (passwordError) return res.status(400).json({ error: passwordError });
+        if (emailError) return res.status(400).json({ error: emailError });
+        if (!USER_ROLES.includes(role)) {
+            return res.status(400).json({ error: `role must be one of: ${USER_ROLES.join(', ')}` });
+        }
+
+        const passwordHash = await bcrypt.hash(password, 10);
+        const [result] = await pool.execute(
+            'INSERT INTO users (username, password, full_name, email, role) VALUES (?, ?, ?, ?, ?)',
+            [username, passwordHash, fullName || null, email, role]
+        );
+        const user = await getUserById(result.insertId);
+        await recordAudit(req, { action: 'user.create', entityType: 'user', entityId: user.id, after: user });
+
+        res.status(201).json({ message: 'User created', user });
+    } catch (error) {
+        if (error.code === 'ER_DUP_ENTRY') {
+            return res.status(409).json({ error: 'Username already exists' });
+        }
+        console.error('Create user error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Update username / full name / email
+app.put('/api/users/:id', auth, requireRole('admin'), async (req, res) => {
+    try {
+        const existing = await getUserById(req.params.id);
+        if (!existing) return res.status(404).json({ error: 'User not found' });
+
+        const username = req.body.username === undefined
+            ? existing.username
+            : String(req.body.username || '').trim();
+        const fullName = req.body.full_name === undefined
+            ? existing.full_name
+            : (String(req.body.full_name || '').trim() || null);
+        const { email, error: emailError } = req.body.email === undefined
+            ? { email: existing.email }
+            : parseEmail(req.body.email);
+
         if (!username) {
             return res.status(400).json({ error: 'username is required' });
         }
+        if (emailError) return res.status(400).json({ error: emailError });
 
         await pool.execute(
-            'UPDATE users SET username = ? WHERE id = ?',
-            [username, req.params.id]
+            'UPDATE users SET username = ?, full_name = ?, email = ? WHERE id = ?',
+            [username, fullName, email, req.params.id]
         );
+        const user = await getUserById(req.params.id);
+        await recordAudit(req, { action: 'user.update', entityType: 'user', entityId: user.id, before: existing, after: user });
 
-        const [users] = await pool.execute(
-            'SELECT id, username, created_at FROM users WHERE id = ?',
-            [req.params.id]
-        );
-        if (users.length === 0) return res.status(404).json({ error: 'User not found' });
-        res.json({ message: 'User updated', user: users[0] });
+        res.json({ message: 'User updated', user });
     } catch (error) {
+        if (error.code === 'ER_DUP_ENTRY') {
+            return res.status(409).json({ error: 'Username already exists' });
+        }
         console.error('Update user error:', error);
         res.status(500).json({ error: 'Server error' });
     }
 });
 
-app.delete('/api/users/:id', auth, async (req, res) => {
+// Set a new password for a user
+app.put('/api/users/:id/password', auth, requireRole('admin'), async (req, res) => {
     try {
-        await pool.execute('DELETE FROM users WHERE id = ?', [req.params.id]);
-        res.json({ message: 'User deleted' });
+        const passwordError = validatePassword(req.body.password);
+        if (passwordError) return res.status(400).json({ error: passwordError });
+
+        const existing = await getUserById(req.params.id);
+        if (!existing) return res.status(404).json({ error: 'User not found' });
+
+        const passwordHash = await bcrypt.hash(req.body.password, 10);
+        await pool.execute(
+            'UPDATE users SET password = ?, session_version = session_version + 1 WHERE id = ?',
+            [passwordHash, req.params.id]
+        );
+        await revokeUserSessions(req.params.id);
+        await recordAudit(req, { action: 'user.password_set', entityType: 'user', entityId: existing.id });
+
+        res.json({ message: 'Password updated' });
     } catch (error) {
-        console.error('Delete user error:', error);
+        console.error('Set user password error:', error);
         res.status(500).json({ error: 'Server error' });
     }
 });
 
-// ===== CUSTOMER ROUTES =====
-
-// Get all customers
-app.get('/api/customers', auth, async (req, res) => {
+// Deactivate / reactivate a user
+app.put('/api/users/:id/active', auth, requireRole('admin'), async (req, res) => {
     try {
-        const page = parseInt(req.query.page) || 1;
-        const limit = parseInt(req.query.limit) || 20;
-        const offset = (page - 1) * limit;
-        const search = req.query.search || '';
-
-        let query = `SELECT c.* FROM customers c WHERE ${getCustomerAccessCondition()}`;
-        let countQuery = `SELECT COUNT(*) as total FROM customers c WHERE ${getCustomerAccessCondition()}`;
-        const params = [req.userId, req.userId];
-        const countParams = [req.userId, req.userId];
-
-        if (search) {
-            query += ' AND (c.name LIKE ? OR c.company LIKE ?)';
-            countQuery += ' AND (c.name LIKE ? OR c.company LIKE ?)';
-            params.push(`%${search}%`, `%${search}%`);
-            countParams.push(`%${search}%`, `%${search}%`);
+        if (typeof req.body.is_active !== 'boolean') {
+            return res.status(400).json({ error: 'is_active boolean is required' });
+        }
+        if (Number(req.params.id) === Number(req.userId) && !req.body.is_active) {
+            return res.status(400).json({ error: 'You cannot deactivate your own account' });
         }
 
-        query += ' ORDER BY c.name ASC LIMIT ? OFFSET ?';
+        const existing = await getUserById(req.params.id);
+        if (!existing) return res.status(404).json({ error: 'User not found' });
 
-        const [customers] = await pool.execute(query, [...params, limit, offset]);
-        const [countResult] = await pool.execute(countQuery, countParams);
+        await pool.execute(
+            'UPDATE users SET is_active = ? WHERE id = ?',
+            [req.body.is_active ? 1 : 0, req.params.id]
+        );
+        if (!req.body.is_active) {
+            await revokeUserSessions(req.params.id);
+        }
+        const user = await getUserById(req.params.id);
+        await recordAudit(req, {
+            action: req.body.is_active ? 'user.reactivate' : 'user.deactivate',
+            entityType: 'user',
+            entityId: user.id,
+            before: { is_active: existing.is_active },
+            after: { is_active: user.is_active }
+        });
 
         res.json({
-            customers,
-            pagination: {
-                total: countResult[0].total,
-                page,
-                limit,
-                totalPages: Math.ceil(countResult[0].total / limit)
-            }
+            message: req.body.is_active ? 'User reactivated' : 'User deactivated',
+            user
         });
     } catch (error) {
-        console.error('Get customers error:', error);
+        console.error('Set user active error:', error);
         res.status(500).json({ error: 'Server error' });
     }
 });
 
-const fetchExternalReportPayload = async (sourceUrl, payloadBody = null, timeoutMs = config.externalApi.timeoutMs) => {
-    if (!sourceUrl) {
-        const err = new Error('External API URL is missing. Check external report URLs in .env');
-        err.status = 500;
-        throw err;
-    }
-
-    const controller = new AbortController();
-    const timeout = setTimeout(() => controller.abort(), timeoutMs);
-
+// Change a user's role
+app.put('/api/users/:id/role', auth, requireRole('admin'), async (req, res) => {
     try {
-        const headers = { Accept: 'application/json', 'Content-Type': 'application/json' };
-        if (config.externalApi.token) {
-            headers.Authorization = `Bearer ${config.externalApi.token}`;
+        const role = String(req.body.role || '').trim();
+        if (!USER_ROLES.includes(role)) {
+            return res.status(400).json({ error: `role must be one of: ${USER_ROLES.join(', ')}` });
+        }
+        if (Number(req.params.id) === Number(req.userId) && role !== 'admin') {
+            return res.status(400).json({ error: 'You cannot remove your own admin role' });
         }
 
-        const response = await fetch(sourceUrl, {
-            method: 'POST',
-            headers,
-            body: JSON.stringify(payloadBody || { dateFrom: '01/01/2020' }),
-            signal: controller.signal
-        });
+        const existing = await getUserById(req.params.id);
+        if (!existing) return res.status(404).json({ error: 'User not found' });
 
-        if (!response.ok) {
-            const err = new Error(`External API failed with status ${response.status}`);
-            err.status = 502;
-            throw err;
-        }
+        await pool.execute(
+            'UPDATE users SET role = ? WHERE id = ?',
+            [role, req.params.id]
+        );
+        await recordAudit(req, {
+            action: 'user.role_change',
+            entityType: 'user',
+            entityId: existing.id,
+            before: { role: existing.role },
+            after: { role }
+        });
 
-        return response.json();
+        res.json({ message: 'User role updated', user: await getUserById(req.params.id) });
     } catch (error) {
-        const code = error?.cause?.code || error?.code;
-        if (code === 'ECONNREFUSED') {
-            const err = new Error(`Cannot connect to external API at ${sourceUrl}`);
-            err.status = 502;
-            throw err;
-        }
-        if (error?.name === 'AbortError') {
-            const err = new Error(`External API timeout after ${timeoutMs}ms`);
-            err.status = 504;
-            throw err;
+        console.error('Update user role error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Get group memberships for one user
+app.get('/api/users/:id/groups', auth, requireRole('admin', 'supervisor'), async (req, res) => {
+    try {
+        const [groups] = await pool.execute(`
+            SELECT g.*
+            FROM user_groups ug
+            INNER JOIN \`groups\` g ON g.id = ug.group_id
+            WHERE ug.user_id = ?
+            ORDER BY g.name ASC
+        `, [req.params.id]);
+        res.json({ groups });
+    } catch (error) {
+        console.error('Get user groups error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Replace group memberships for one user
+app.put('/api/users/:id/groups', auth, requireRole('admin'), async (req, res) => {
+    const { group_ids } = req.body;
+    if (!Array.isArray(group_ids)) return res.status(400).json({ error: 'group_ids array required' });
+
+    const groupIds = [...new Set(group_ids.map(Number).filter(Number.isInteger))];
+    const connection = await pool.getConnection();
+    try {
+        await connection.beginTransaction();
+        const [currentGroups] = await connection.execute(
+            'SELECT group_id FROM user_groups WHERE user_id = ? ORDER BY group_id ASC',
+            [req.params.id]
+        );
+        await connection.execute('DELETE FROM user_groups WHERE user_id = ?', [req.params.id]);
+        for (const groupId of groupIds) {
+            await connection.execute(
+                'INSERT INTO user_groups (user_id, group_id) VALUES (?, ?)',
+                [req.params.id, groupId]
+            );
         }
-        throw error;
+        await recordAudit(req, {
+            action: 'user.groups_update',
+            entityType: 'user',
+            entityId: req.params.id,
+            before: { group_ids: currentGroups.map((row) => row.group_id) },
+            after: { group_ids: groupIds }
+        }, connection);
+        await connection.commit();
+        res.json({ message: 'User groups updated', group_ids: groupIds });
+    } catch (error) {
+        await connection.rollback();
+        console.error('Update user groups error:', error);
+        res.status(500).json({ error: 'Server error' });
     } finally {
-        clearTimeout(timeout);
+        connection.release();
     }
-};
+});
 
-const fetchReport175Payload = async () => fetchExternalReportPayload(config.externalApi.report175Url, { dateFrom: '01/01/2020' }, config.externalApi.timeoutMs);
-const fetchReport198Payload = async () => fetchExternalReportPayload(config.externalApi.report198Url, { dateFrom: '01/01/2020' }, config.externalApi.report198TimeoutMs);
-const fetchReport176Payload = async () => fetchExternalReportPayload(config.externalApi.report176Url, { dateFrom: '01/01/2020' }, config.externalApi.timeoutMs);
-const fetchReport180Payload = async (customer) => {
-    const sourceUrl = config.externalApi.report180Url;
-    if (!sourceUrl) return null;
+// Offboard a user: deactivate the account and hand their customers to a successor.
+// Users are never hard-deleted so their notes and transfers stay attributed.
+app.delete('/api/users/:id', auth, requireRole('admin'), async (req, res) => {
+    const userId = Number(req.params.id);
+    const successorId = parseOptionalInt(req.body?.successor_id);
 
-    const clientNumber = String(customer?.company || '').trim() || String(customer?.external_id || '').trim() || null;
+    if (userId === Number(req.userId)) {
+        return res.status(400).json({ error: 'You cannot deactivate your own account' });
+    }
+    if (successorId !== null && successorId === userId) {
+        return res.status(400).json({ error: 'successor_id must be a different user' });
+    }
 
-    const payload = {
-        clientNumber
-    };
+    const connection = await pool.getConnection();
+    try {
+        await connection.beginTransaction();
 
-    return fetchExternalReportPayload(sourceUrl, payload, config.externalApi.report198TimeoutMs || config.externalApi.timeoutMs);
-};
+        const [users] = await connection.execute(
+            'SELECT id, username FROM users WHERE id = ? FOR UPDATE',
+            [userId]
+        );
+        if (users.length === 0) {
+            await connection.rollback();
+            return res.status(404).json({ error: 'User not found' });
+        }
 
-const fetchReport184Payload = async (customer) => {
-    const sourceUrl = config.externalApi.customerDetailsUrl || config.externalApi.report175Url;
-    if (!sourceUrl) return null;
-    const clientNumber = String(customer?.company || '').trim() || String(customer?.external_id || '').trim() || null;
+        const [customers] = await connection.execute(`
+            SELECT
+                c.id,
+                c.group_id,
+                (SELECT n.due_date FROM customer_notes n WHERE n.customer_id = c.id ORDER BY n.id DESC LIMIT 1) as due_date
+            FROM customers c
+            WHERE c.assigned_user_id = ?
+            FOR UPDATE
+        `, [userId]);
+
+        if (customers.length > 0 && successorId === null) {
+            await connection.rollback();
+            return res.status(400).json({
+                error: 'successor_id is required for a user with assigned customers',
+                assigned_customers: customers.length
+            });
+        }
 
-    const controller = new AbortController();
-    const timeout = setTimeout(() => controller.abort(), config.externalApi.timeoutMs);
+        if (customers.length > 0) {
+            const [successors] = await connection.execute(
+                'SELECT id, username FROM users WHERE id = ? AND is_active = 1',
+                [successorId]
+            );
+            if (successors.length === 0) {
+                await connection.rollback();
+                return res.status(400).json({ error: 'successor_id must be an active user' });
+            }
 
-    try {
-        const headers = { Accept: 'application/json', 'Content-Type': 'application/json' };
-        if (config.externalApi.token) {
-            headers.Authorization = `Bearer ${config.externalApi.token}`;
+            const transferNote = `Reassigned from ${users[0].username} (user deactivated)`;
+            for (const customer of customers) {
+                const [noteResult] = await connection.execute(
+                    `INSERT INTO customer_notes (customer_id, note, due_date, created_by, managed_by, group_id, action_type)
+                     VALUES (?, ?, ?, ?, ?, ?, 'transfer')`,
+                    [customer.id, transferNote, customer.due_date || null, req.userId, successorId, customer.group_id || null]
+                );
+                await recordAudit(req, {
+                    action: 'transfer.create',
+                    entityType: 'note',
+                    entityId: noteResult.insertId,
+                    customerId: customer.id,
+                    before: { assigned_user_id: userId, group_id: customer.group_id || null },
+                    after: { assigned_user_id: successorId, group_id: customer.group_id || null, note: transferNote }
+                }, connection);
+            }
+
+            await connection.execute(
+                'UPDATE customers SET assigned_user_id = ?, updated_at = CURRENT_TIMESTAMP WHERE assigned_user_id = ?',
+                [successorId, userId]
+            );
+            await connection.execute(
+                "UPDATE follow_up_tasks SET assigned_to = ? WHERE assigned_to = ? AND status = 'open'",
+                [successorId, userId]
+            );
         }
 
-        const payload = {
-            clientNumber
-        };
+        await connection.execute('DELETE FROM user_groups WHERE user_id = ?', [userId]);
+        await connection.execute('UPDATE users SET is_active = 0 WHERE id = ?', [userId]);
+        await revokeUserSessions(userId, { executor: connection });
+        await recordAudit(req, {
+            action: 'user.offboard',
+            entityType: 'user',
+            entityId: userId,
+            before: { is_active: true },
+            after: { is_active: false, successor_id: customers.length > 0 ? successorId : null, reassigned_customers: customers.length }
+        }, connection);
+        await connection.commit();
 
-        const response = await fetch(sourceUrl, {
-            method: 'POST',
-            headers,
-            body: JSON.stringify(payload),
-            signal: controller.signal
+        res.json({
+            message: 'User deactivated',
+            reassigned_customers: customers.length,
+            successor_id: customers.length > 0 ? successorId : null
         });
+    } catch (error) {
+        await connection.rollback();
+        console.error('Offboard user error:', error);
+        res.status(500).json({ error: 'Server error' });
+    } finally {
+        connection.release();
+    }
+});
 
-        if (!response.ok) {
-            return null;
-        }
+app.get('/api/users/:id/sessions', auth, requireRole('admin'), async (req, res) => {
+    try {
+        res.json({ sessions: await listActiveSessions(req.params.id) });
+    } catch (error) {
+        console.error('Get user sessions error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
 
-        return response.json();
+// Sign a user out everywhere
+app.delete('/api/users/:id/sessions', auth, requireRole('admin'), async (req, res) => {
+    try {
+        const revoked = await revokeUserSessions(req.params.id);
+        await pool.execute('UPDATE users SET session_version = session_version + 1 WHERE id = ?', [req.params.id]);
+        await recordAudit(req, { action: 'user.sessions_revoke', entityType: 'user', entityId: req.params.id, after: { revoked } });
+        res.json({ message: 'User sessions revoked', revoked });
     } catch (error) {
-        return null;
-    } finally {
-        clearTimeout(timeout);
+        console.error('Revoke user sessions error:', error);
+        res.status(500).json({ error: 'Server error' });
     }
-};
+});
 
-const rowLooksLikeReport175 = (row) =>
-    row &&
-    typeof row === 'object' &&
-    (
-        Object.prototype.hasOwnProperty.call(row, '\u05de\u05e1\u05e4\u05e8 \u05db\u05e8\u05d8\u05d9\u05e1 \u05d7\u05e9\u05d1\u05d5\u05df') ||
-        Object.prototype.hasOwnProperty.call(row, 'מספר כרטיס חשבון') ||
-        Object.prototype.hasOwnProperty.call(row, '×ž×¡×¤×¨ ×›×¨×˜×™×¡ ×—×©×‘×•×Ÿ')
-    );
+// ===== PASSWORD ROUTES =====
 
-const pickReport175Value = (row, keys) => {
-    for (const key of keys) {
-        if (Object.prototype.hasOwnProperty.call(row, key)) {
-            return row[key];
+// Change own password - other sessions are revoked, the caller gets a fresh token
+app.post('/api/me/password', auth, async (req, res) => {
+    try {
+        const { current_password, new_password } = req.body;
+        if (!current_password) return res.status(400).json({ error: 'current_password is required' });
+        const passwordError = validatePassword(new_password, 'new_password');
+        if (passwordError) return res.status(400).json({ error: passwordError });
+
+        const [users] = await pool.execute('SELECT * FROM users WHERE id = ? LIMIT 1', [req.userId]);
+        if (users.length === 0) return res.status(404).json({ error: 'User not found' });
+
+        const isValidPassword = await bcrypt.compare(current_password, users[0].password);
+        if (!isValidPassword) {
+            return res.status(400).json({ error: 'Current password is incorrect' });
         }
+
+        const passwordHash = await bcrypt.hash(new_password, 10);
+        await pool.execute(
+            'UPDATE users SET password = ?, session_version = session_version + 1 WHERE id = ?',
+            [passwordHash, req.userId]
+        );
+
+        await revokeUserSessions(req.userId, { exceptSessionId: req.sessionId });
+        await recordAudit(req, { action: 'user.password_change', entityType: 'user', entityId: req.userId });
+
+        const [updatedUsers] = await pool.execute('SELECT * FROM users WHERE id = ? LIMIT 1', [req.userId]);
+        res.json({ message: 'Password changed', token: signAccessToken(updatedUsers[0], req.sessionId) });
+    } catch (error) {
+        console.error('Change password error:', error);
+        res.status(500).json({ error: 'Server error' });
     }
-    return null;
-};
+});
 
-const toReport175Number = (value) => {
-    const numeric = Number(String(value ?? '').replace(/,/g, '').trim());
-    return Number.isFinite(numeric) ? numeric : 0;
-};
+// Issue a one-time password reset token for a user. Earlier unused tokens are voided.
+app.post('/api/users/:id/reset-token', auth, requireRole('admin'), async (req, res) => {
+    try {
+        const user = await getUserById(req.params.id);
+        if (!user) return res.status(404).json({ error: 'User not found' });
+        if (!user.is_active) return res.status(400).json({ error: 'User is deactivated' });
 
-const extractReport175Rows = (payload) => {
-    if (Array.isArray(payload)) return payload;
-    if (!payload || typeof payload !== 'object') return [];
+        const token = crypto.randomBytes(32).toString('hex');
+        const expiresAt = new Date(Date.now() + config.passwordReset.tokenTtlMinutes * 60 * 1000);
 
-    const arrays = [];
-    const queue = [payload];
+        await pool.execute(
+            'UPDATE password_reset_tokens SET used_at = CURRENT_TIMESTAMP WHERE user_id = ? AND used_at IS NULL',
+            [user.id]
+        );
+        await pool.execute(
+            'INSERT INTO password_reset_tokens (user_id, token_hash, expires_at, created_by) VALUES (?, ?, ?, ?)',
+            [user.id, hashToken(token), expiresAt, req.userId]
+        );
+        await recordAudit(req, {
+            action: 'user.reset_token_create',
+            entityType: 'user',
+            entityId: user.id,
+            after: { expires_at: expiresAt.toISOString() }
+        });
 
-    while (queue.length > 0) {
-        const current = queue.shift();
-        if (!current || typeof current !== 'object') continue;
+        res.status(201).json({
+            message: 'Reset token created',
+            token,
+            expires_at: expiresAt.toISOString(),
+            user: { id: user.id, username: user.username }
+        });
+    } catch (error) {
+        console.error('Create reset token error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
 
-        for (const value of Object.values(current)) {
-            if (Array.isArray(value)) {
-                arrays.push(value);
-            } else if (value && typeof value === 'object') {
-                queue.push(value);
-            }
+// Redeem a password reset token (public)
+app.post('/api/password-reset', async (req, res) => {
+    const token = String(req.body.token || '').trim();
+    if (!token) return res.status(400).json({ error: 'token is required' });
+    const passwordError = validatePassword(req.body.new_password, 'new_password');
+    if (passwordError) return res.status(400).json({ error: passwordError });
+
+    const connection = await pool.getConnection();
+    try {
+        await connection.beginTransaction();
+
+        const [tokens] = await connection.execute(`
+            SELECT t.id, t.user_id
+            FROM password_reset_tokens t
+            INNER JOIN users u ON u.id = t.user_id
+            WHERE t.token_hash = ?
+              AND t.used_at IS NULL
+              AND t.expires_at > CURRENT_TIMESTAMP
+              AND u.is_active = 1
+            LIMIT 1
+            FOR UPDATE
+        `, [hashToken(token)]);
+
+        if (tokens.length === 0) {
+            await connection.rollback();
+            return res.status(400).json({ error: 'Reset token is invalid or expired' });
         }
+
+        const passwordHash = await bcrypt.hash(req.body.new_password, 10);
+        await connection.execute(
+            'UPDATE users SET password = ?, session_version = session_version + 1 WHERE id = ?',
+            [passwordHash, tokens[0].user_id]
+        );
+        await connection.execute(
+            'UPDATE password_reset_tokens SET used_at = CURRENT_TIMESTAMP WHERE id = ?',
+            [tokens[0].id]
+        );
+        await revokeUserSessions(tokens[0].user_id, { executor: connection });
+        await recordAudit(req, {
+            action: 'user.password_reset',
+            entityType: 'user',
+            entityId: tokens[0].user_id,
+            actorId: tokens[0].user_id
+        }, connection);
+        await connection.commit();
+
+        res.json({ message: 'Password has been reset' });
+    } catch (error) {
+        await connection.rollback();
+        console.error('Password reset error:', error);
+        res.status(500).json({ error: 'Server error' });
+    } finally {
+        connection.release();
     }
+});
 
-    if (arrays.length === 0) return [];
+// ===== LOGIN LOCKOUT ROUTES =====
 
-    let best = arrays[0];
-    let bestScore = -1;
-    for (const arr of arrays) {
-        const objectRows = arr.filter((x) => x && typeof x === 'object');
-        const reportRows = objectRows.filter(rowLooksLikeReport175);
-        const score = (reportRows.length * 1000) + objectRows.length;
-        if (score > bestScore) {
-            bestScore = score;
-            best = arr;
-        }
+// Identifiers that are locked out or still have recent failed attempts
+app.get('/api/login-lockouts', auth, requireRole('admin'), async (req, res) => {
+    try {
+        const [lockouts] = await pool.execute(`
+            SELECT
+                id,
+                scope,
+                identifier,
+                failed_count,
+                first_failed_at,
+                last_failed_at,
+                locked_until,
+                locked_until > CURRENT_TIMESTAMP as is_locked
+            FROM login_attempts
+            WHERE locked_until > CURRENT_TIMESTAMP
+               OR last_failed_at >= CURRENT_TIMESTAMP - INTERVAL ? MINUTE
+            ORDER BY is_locked DESC, last_failed_at DESC
+        `, [config.loginProtection.attemptWindowMinutes]);
+
+        res.json({
+            lockouts: lockouts.map((lockout) => ({ ...lockout, is_locked: Boolean(lockout.is_locked) }))
+        });
+    } catch (error) {
+        console.error('Get login lockouts error:', error);
+        res.status(500).json({ error: 'Server error' });
     }
+});
 
-    return best;
-};
+app.delete('/api/login-lockouts/:id', auth, requireRole('admin'), async (req, res) => {
+    try {
+        const [lockouts] = await pool.execute(
+            'SELECT id, scope, identifier, failed_count, locked_until FROM login_attempts WHERE id = ?',
+            [req.params.id]
+        );
+        if (lockouts.length === 0) return res.status(404).json({ error: 'Lockout not found' });
 
-const rowLooksLikeReport198 = (row) =>
-    row &&
-    typeof row === 'object' &&
-    (
-        Object.prototype.hasOwnProperty.call(row, '\u05de\u05e4\u05ea\u05d7 \u05d7\u05e9\u05d1\u05d5\u05df') ||
-        Object.prototype.hasOwnProperty.call(row, '\u05e9\u05dd \u05d7\u05e9\u05d1\u05d5\u05df')
-    );
+        await pool.execute('DELETE FROM login_attempts WHERE id = ?', [req.params.id]);
+        await recordAudit(req, { action: 'login_lockout.clear', entityType: 'login_lockout', entityId: lockouts[0].id, before: lockouts[0] });
+        res.json({ message: 'Lockout cleared' });
+    } catch (error) {
+        console.error('Clear login lockout error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
 
-const rowLooksLikeReport176 = (row) =>
-    row &&
-    typeof row === 'object' &&
-    (
-        Object.prototype.hasOwnProperty.call(row, '\u05e9\u05dd \u05d0\u05d9\u05e9 \u05e7\u05e9\u05e8') ||
-        Object.prototype.hasOwnProperty.call(row, '\u05d8\u05dc\u05e4\u05d5\u05df \u05e0\u05d9\u05d9\u05d3') ||
-        Object.prototype.hasOwnProperty.call(row, '\u05d3\u05d5\u05d0"\u05dc')
-    );
+// ===== CUSTOMER ROUTES =====
 
-const extractReportRowsByPredicate = (payload, predicate) => {
-    const rows = extractReport175Rows(payload);
-    if (!rows.length) return [];
-    const matching = rows.filter((row) => row && typeof row === 'object' && predicate(row));
-    return matching.length ? matching : rows.filter((row) => row && typeof row === 'object');
-};
+// Get all customers
+app.get('/api/customers', auth, async (req, res) => {
+    try {
+        const page = parseInt(req.query.page) || 1;
+        const limit = parseInt(req.query.limit) || 20;
+        const offset = (page - 1) * limit;
+        const search = req.query.search || '';
 
-const pickReportRowForCustomer = (rows, customer) => {
-    if (!Array.isArray(rows) || rows.length === 0) return null;
+        let query = `SELECT c.* FROM customers c WHERE ${getCustomerAccessCondition()}`;
+        let countQuery = `SELECT COUNT(*) as total FROM customers c WHERE ${getCustomerAccessCondition()}`;
+        const params = getCustomerAccessParams(req.userId);
+        const countParams = getCustomerAccessParams(req.userId);
 
-    const mapped = rows
-        .filter((row) => row && typeof row === 'object')
-        .map(mapReport175Row);
+        if (search) {
+            query += ' AND (c.name LIKE ? OR c.company LIKE ?)';
+            countQuery += ' AND (c.name LIKE ? OR c.company LIKE ?)';
+            params.push(`%${search}%`, `%${search}%`);
+            countParams.push(`%${search}%`, `%${search}%`);
+        }
 
-    if (!mapped.length) return null;
+        query += ' ORDER BY c.name ASC LIMIT ? OFFSET ?';
 
-    const byExternalId = mapped.find((row) => String(row.external_id) === String(customer?.external_id));
-    if (byExternalId) return byExternalId;
+        const [customers] = await pool.execute(query, [...params, limit, offset]);
+        const [countResult] = await pool.execute(countQuery, countParams);
 
-    const byAccountKey = mapped.find((row) => String(row.account_key || '') === String(customer?.company || ''));
-    if (byAccountKey) return byAccountKey;
+        res.json({
+            customers,
+            pagination: {
+                total: countResult[0].total,
+                page,
+                limit,
+                totalPages: Math.ceil(countResult[0].total / limit)
+            }
+        });
+    } catch (error) {
+        console.error('Get customers error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
 
-    return mapped[0] || null;
+// ===== PAYLOAD ENCODING REPAIR =====
+
+// Some report exports arrive as UTF-8 that was decoded as Windows-1252 (e.g. "×ž×¡×¤×¨" for "מספר"),
+// sometimes twice. Every external payload is repaired before mapping: each key and string value is
+// re-encoded to CP1252 bytes and decoded as UTF-8 again until it stops changing. Real Latin text
+// ("café") is left alone because its bytes are not valid UTF-8.
+const cp1252SpecialBytes = new Map([
+    ['\u20ac', 0x80], ['\u201a', 0x82], ['\u0192', 0x83], ['\u201e', 0x84], ['\u2026', 0x85],
+    ['\u2020', 0x86], ['\u2021', 0x87], ['\u02c6', 0x88], ['\u2030', 0x89], ['\u0160', 0x8a],
+    ['\u2039', 0x8b], ['\u0152', 0x8c], ['\u017d', 0x8e], ['\u2018', 0x91], ['\u2019', 0x92],
+    ['\u201c', 0x93], ['\u201d', 0x94], ['\u2022', 0x95], ['\u2013', 0x96], ['\u2014', 0x97],
+    ['\u02dc', 0x98], ['\u2122', 0x99], ['\u0161', 0x9a], ['\u203a', 0x9b], ['\u0153', 0x9c],
+    ['\u017e', 0x9e], ['\u0178', 0x9f]
+]);
+const mojibakePattern = /[\u0080-\u00ff]/;
+const strictUtf8Decoder = new TextDecoder('utf-8', { fatal: true });
+
+const encodeCp1252 = (text) => {
+    const bytes = [];
+    for (const char of text) {
+        const code = char.codePointAt(0);
+        if (code <= 0xff) {
+            bytes.push(code);
+        } else if (cp1252SpecialBytes.has(char)) {
+            bytes.push(cp1252SpecialBytes.get(char));
+        } else {
+            return null;
+        }
+    }
+    return Uint8Array.from(bytes);
 };
 
-const mapReport175Row = (row) => {
-    const accountCardNumber = toReport175Number(pickReport175Value(row, [
-        '\u05de\u05e1\u05e4\u05e8 \u05db\u05e8\u05d8\u05d9\u05e1 \u05d7\u05e9\u05d1\u05d5\u05df',
-        'מספר כרטיס חשבון',
-        '×ž×¡×¤×¨ ×›×¨×˜×™×¡ ×—×©×‘×•×Ÿ'
-    ]));
-    const accountKey = String(pickReport175Value(row, [
-        '\u05de\u05e4\u05ea\u05d7 \u05d7\u05e9\u05d1\u05d5\u05df',
-        'מפתח חשבון',
-        '×ž×¤×ª×— ×—×©×‘×•×Ÿ'
-    ]) ?? '').trim();
-    const accountName = String(pickReport175Value(row, [
-        '\u05e9\u05dd \u05d7\u05e9\u05d1\u05d5\u05df',
-        'שם חשבון',
-        '×©× ×—×©×‘×•×Ÿ'
-    ]) ?? '').trim();
+const repairMojibakeText = (text) => {
+    let current = text;
+    for (let pass = 0; pass < 3 && mojibakePattern.test(current); pass++) {
+        const bytes = encodeCp1252(current);
+        if (!bytes) break;
+
+        let decoded;
+        try {
+            decoded = strictUtf8Decoder.decode(bytes);
+        } catch {
+            break;
+        }
+        if (decoded === current) break;
+        current = decoded;
+    }
+    return current;
+};
 
-    const external_id = accountCardNumber > 0
-        ? String(accountCardNumber)
-        : (accountKey || `row_${crypto.createHash('sha1').update(JSON.stringify(row)).digest('hex')}`);
+// Returns a repaired copy of the payload and how many keys/string values were changed
+const repairReportPayload = (payload) => {
+    let repairedFields = 0;
 
-    return {
-        external_id,
-        account_card_number: accountCardNumber > 0 ? accountCardNumber : null,
-        account_key: accountKey || null,
-        account_name: accountName || null,
-        account_balance: toReport175Number(pickReport175Value(row, [
-            '\u05d9\u05ea\u05e8\u05ea \u05d7\u05e9\u05d1\u05d5\u05df',
-            'יתרת חשבון',
-            '×™×ª×¨×ª ×—×©×‘×•×Ÿ'
-        ])),
-        deferred_checks: toReport175Number(pickReport175Value(row, ['\u05e9\u05d9\u05e7\u05d9\u05dd \u05d3\u05d7\u05d5\u05d9\u05d9\u05dd'])),
-        open_delivery_notes_balance: toReport175Number(pickReport175Value(row, ['\u05d9\u05ea\u05e8\u05ea \u05ea\u05e2\u05d5\u05d3\u05d5\u05ea \u05de\u05e9\u05dc\u05d5\u05d7 \u05e4\u05ea\u05d5\u05d7\u05d5\u05ea'])),
-        total_obligo: toReport175Number(pickReport175Value(row, ['\u05e1\u05d4"\u05db \u05d0\u05d5\u05d1\u05dc\u05d9\u05d2\u05d5'])),
-        total_credit: toReport175Number(pickReport175Value(row, ['\u05e1\u05d4"\u05db \u05d0\u05e9\u05e8\u05d0\u05d9'])),
-        credit_limit: toReport175Number(pickReport175Value(row, ['\u05ea\u05e7\u05e8\u05ea \u05d0\u05e9\u05e8\u05d0\u05d9'])),
-        credit_deviation: toReport175Number(pickReport175Value(row, ['\u05d7\u05e8\u05d9\u05d2\u05d4 \u05de\u05d0\u05e9\u05e8\u05d0\u05d9'])),
-        obligo_limit: toReport175Number(pickReport175Value(row, ['\u05ea\u05e7\u05e8\u05ea \u05d0\u05d5\u05d1\u05dc\u05d9\u05d2\u05d5'])),
-        obligo_deviation: toReport175Number(pickReport175Value(row, ['\u05d7\u05e8\u05d9\u05d2\u05d4 \u05de\u05d0\u05d5\u05d1\u05dc\u05d9\u05d2\u05d5'])),
-        raw_payload: JSON.stringify(row)
+    const repairText = (text) => {
+        const repaired = repairMojibakeText(text);
+        if (repaired !== text) repairedFields += 1;
+        return repaired;
     };
+    const repairValue = (value) => {
+        if (typeof value === 'string') return repairText(value);
+        if (Array.isArray(value)) return value.map(repairValue);
+        if (value && typeof value === 'object') {
+            return Object.fromEntries(Object.entries(value).map(([key, item]) => [repairText(key), repairValue(item)]));
+        }
+        return value;
+    };
+
+    return { payload: repairValue(payload), repairedFields };
 };
 
-const mapReport198Row = (row) => {
-    const accountKey = String(pickReport175Value(row, ['\u05de\u05e4\u05ea\u05d7 \u05d7\u05e9\u05d1\u05d5\u05df']) ?? '').trim();
-    const accountName = String(pickReport175Value(row, ['\u05e9\u05dd \u05d7\u05e9\u05d1\u05d5\u05df']) ?? '').trim();
-    const email = String(pickReport175Value(row, ['\u05d3\u05d5\u05d0"\u05dc', 'email', 'Email']) ?? '').trim();
-    const phone = String(pickReport175Value(row, ['\u05d8\u05dc\u05e4\u05d5\u05df', 'phone', 'Phone']) ?? '').trim();
-    const mobilePhone = String(pickReport175Value(row, ['\u05d8\u05dc\u05e4\u05d5\u05df \u05e0\u05d9\u05d9\u05d3', 'mobile', 'Mobile']) ?? '').trim();
-    const accountCardNumber = toReport175Number(pickReport175Value(row, ['\u05de\u05e1\u05e4\u05e8 \u05db\u05e8\u05d8\u05d9\u05e1 \u05d7\u05e9\u05d1\u05d5\u05df']));
+// Repair counts per fetched payload, read by the syncs for their run history
+const payloadRepairCounts = new WeakMap();
 
-    return {
-        external_id: accountCardNumber > 0 ? String(accountCardNumber) : null,
-        account_key: accountKey || null,
-        account_name: accountName || null,
-        email: email || null,
-        phone: phone || null,
-        mobile_phone: mobilePhone || null
-    };
+const getPayloadRepairCount = (payload) =>
+    (payload && typeof payload === 'object' ? payloadRepairCounts.get(payload) : 0) || 0;
+
+const parseReportResponse = async (response) => {
+    const { payload, repairedFields } = repairReportPayload(await response.json());
+    if (payload && typeof payload === 'object') payloadRepairCounts.set(payload, repairedFields);
+    return payload;
 };
 
-const mapReport176Row = (row) => {
-    const accountKey = String(pickReport175Value(row, ['\u05de\u05e4\u05ea\u05d7 \u05d7\u05e9\u05d1\u05d5\u05df']) ?? '').trim();
-    const accountName = String(pickReport175Value(row, ['\u05e9\u05dd \u05d7\u05e9\u05d1\u05d5\u05df']) ?? '').trim();
-    const contactName = String(pickReport175Value(row, ['\u05e9\u05dd \u05d0\u05d9\u05e9 \u05e7\u05e9\u05e8']) ?? '').trim();
-    const email = String(pickReport175Value(row, ['\u05d3\u05d5\u05d0"\u05dc']) ?? '').trim();
-    const phone = String(pickReport175Value(row, ['\u05d8\u05dc\u05e4\u05d5\u05df']) ?? '').trim();
-    const mobilePhone = String(pickReport175Value(row, ['\u05d8\u05dc\u05e4\u05d5\u05df \u05e0\u05d9\u05d9\u05d3']) ?? '').trim();
+const fetchExternalReportOnce = async (sourceUrl, payloadBody, timeoutMs) => {
+    if (!sourceUrl) {
+        const err = new Error('External API URL is missing. Check external report URLs in .env');
+        err.status = 500;
+        throw err;
+    }
+
+    const controller = new AbortController();
+    const timeout = setTimeout(() => controller.abort(), timeoutMs);
+
+    try {
+        const headers = { Accept: 'application/json', 'Content-Type': 'application/json' };
+        if (config.externalApi.token) {
+            headers.Authorization = `Bearer ${config.externalApi.token}`;
+        }
+
+        const response = await fetch(sourceUrl, {
+            method: 'POST',
+            headers,
+            body: JSON.stringify(payloadBody || { dateFrom: '01/01/2020' }),
+            signal: controller.signal
+        });
+
+        if (!response.ok) {
+            const err = new Error(`External API failed with status ${response.status}`);
+            err.status = 502;
+            err.retryable = response.status >= 500 || response.status === 408 || response.status === 429;
+            throw err;
+        }
+
+        return parseReportResponse(response);
+    } catch (error) {
+        const code = error?.cause?.code || error?.code;
+        if (code === 'ECONNREFUSED') {
+            const err = new Error(`Cannot connect to external API at ${sourceUrl}`);
+            err.status = 502;
+            err.retryable = true;
+            throw err;
+        }
+        // fetch() reports every network-level failure as TypeError('fetch failed')
+        if (error instanceof TypeError && error.message === 'fetch failed') {
+            const err = new Error(`External API connection failed (${code || error.cause?.message || 'network error'})`);
+            err.status = 502;
+            err.retryable = true;
+            throw err;
+        }
+        if (error?.name === 'AbortError') {
+            const err = new Error(`External API timeout after ${timeoutMs}ms`);
+            err.status = 504;
+            err.retryable = true;
+            throw err;
+        }
+        throw error;
+    } finally {
+        clearTimeout(timeout);
+    }
+};
+
+// ===== EXTERNAL API RETRIES & CIRCUIT BREAKER =====
+
+// One breaker per report code. It opens after `failureThreshold` consecutive calls that
+// failed with a retryable error (5xx, timeout, connection refused/reset). While open, calls
+// fail immediately with 503. After `cooldownMs` a single trial call is let through
+// (half_open): success closes the breaker, failure opens it again.
+const externalCircuitBreakers = new Map();
+
+const getCircuitBreaker = (reportCode) => {
+    const key = String(reportCode);
+    if (!externalCircuitBreakers.has(key)) {
+        externalCircuitBreakers.set(key, {
+            state: 'closed',
+            consecutiveFailures: 0,
+            openedAt: null,
+            retryAt: null,
+            lastError: null,
+            trialInFlight: false
+        });
+    }
+    return externalCircuitBreakers.get(key);
+};
+
+const getCircuitBreakersStatus = () => Object.fromEntries(
+    ['175', '198', '176', '180', '184', '185'].map((reportCode) => {
+        const { trialInFlight, ...breaker } = getCircuitBreaker(reportCode);
+        return [reportCode, breaker];
+    })
+);
+
+const acquireCircuitBreaker = (reportCode) => {
+    const breaker = getCircuitBreaker(reportCode);
+    if (breaker.state === 'closed') return breaker;
+
+    const retryAt = new Date(breaker.retryAt).getTime();
+    if (breaker.state === 'open' && Date.now() >= retryAt) {
+        breaker.state = 'half_open';
+    }
+    if (breaker.state === 'half_open' && !breaker.trialInFlight) {
+        breaker.trialInFlight = true;
+        return breaker;
+    }
+
+    const err = new Error(`External API for report ${reportCode} is unavailable (circuit open until ${breaker.retryAt})`);
+    err.status = 503;
+    err.code = 'CIRCUIT_OPEN';
+    throw err;
+};
+
+const recordCircuitSuccess = (breaker) => {
+    Object.assign(breaker, {
+        state: 'closed',
+        consecutiveFailures: 0,
+        openedAt: null,
+        retryAt: null,
+        trialInFlight: false
+    });
+};
+
+const recordCircuitFailure = (reportCode, breaker, error) => {
+    breaker.trialInFlight = false;
+    breaker.lastError = error?.message || 'Unknown error';
+
+    // Non-retryable errors (4xx) mean the server answered - they don't trip the breaker
+    if (!error?.retryable) {
+        recordCircuitSuccess(breaker);
+        return;
+    }
+
+    breaker.consecutiveFailures += 1;
+    if (breaker.state === 'half_open' || breaker.consecutiveFailures >= config.externalApi.circuitBreaker.failureThreshold) {
+        const now = Date.now();
+        breaker.state = 'open';
+        breaker.openedAt = new Date(now).toISOString();
+        breaker.retryAt = new Date(now + config.externalApi.circuitBreaker.cooldownMs).toISOString();
+        console.error(`Circuit breaker opened for report ${reportCode} until ${breaker.retryAt}: ${breaker.lastError}`);
+    }
+};
+
+// Exponential backoff with jitter: a random delay between half and all of base * 2^attempt
+const getRetryDelayMs = (attempt) => {
+    const { baseDelayMs, maxDelayMs } = config.externalApi.retry;
+    const delay = Math.min(baseDelayMs * 2 ** attempt, maxDelayMs);
+    return Math.round(delay / 2 + Math.random() * (delay / 2));
+};
+
+const fetchExternalReportPayload = async (sourceUrl, payloadBody = null, timeoutMs = config.externalApi.timeoutMs, reportCode = null) => {
+    const breaker = reportCode ? acquireCircuitBreaker(reportCode) : null;
+    const { maxRetries } = config.externalApi.retry;
+
+    for (let attempt = 0; ; attempt++) {
+        try {
+            const payload = await fetchExternalReportOnce(sourceUrl, payloadBody, timeoutMs);
+            if (breaker) recordCircuitSuccess(breaker);
+            return payload;
+        } catch (error) {
+            // A half-open breaker gets exactly one attempt
+            const canRetry = error?.retryable && attempt < maxRetries && breaker?.state !== 'half_open';
+            if (!canRetry) {
+                if (breaker) recordCircuitFailure(reportCode, breaker, error);
+                throw error;
+            }
+
+            const delayMs = getRetryDelayMs(attempt);
+            console.warn(`External API call${reportCode ? ` for report ${reportCode}` : ''} failed (${error.message}), retry ${attempt + 1}/${maxRetries} in ${delayMs}ms`);
+            await new Promise((resolve) => setTimeout(resolve, delayMs));
+        }
+    }
+};
+
+// ===== REPORT DATE RANGES =====
+
+// Reports 175/198/176 are requested for a date window: an absolute dateFrom (REPORT_<code>_DATE_FROM)
+// or a rolling one (REPORT_<code>_MONTHS_BACK, which wins when set), plus an optional dateTo.
+// The hashAPI expects dd/mm/yyyy.
+const formatReportDate = (date) =>
+    `${String(date.getDate()).padStart(2, '0')}/${String(date.getMonth() + 1).padStart(2, '0')}/${date.getFullYear()}`;
+
+// Accepts dd/mm/yyyy or YYYY-MM-DD; returns dd/mm/yyyy, or null when it is not a real date
+const normalizeReportDate = (value) => {
+    const text = String(value ?? '').trim();
+    const match = /^(\d{1,2})\/(\d{1,2})\/(\d{4})$/.exec(text);
+    const iso = /^(\d{4})-(\d{2})-(\d{2})$/.exec(text);
+    const [day, month, year] = match
+        ? [match[1], match[2], match[3]].map(Number)
+        : iso ? [iso[3], iso[2], iso[1]].map(Number) : [];
+    if (!year) return null;
+
+    const date = new Date(year, month - 1, day);
+    if (date.getFullYear() !== year || date.getMonth() !== month - 1 || date.getDate() !== day) return null;
+    return formatReportDate(date);
+};
+
+const reportDateToSortable = (value) => value.split('/').reverse().join('');
+
+// Returns a list of problems with a { dateFrom, dateTo, monthsBack } definition
+const validateReportDateRange = (range) => {
+    const errors = [];
+    const monthsBack = Number(range.monthsBack || 0);
+    if (!Number.isInteger(monthsBack) || monthsBack < 0) errors.push('monthsBack must be a whole number of months');
+    if (!monthsBack && range.dateFrom && !normalizeReportDate(range.dateFrom)) errors.push(`Invalid dateFrom "${range.dateFrom}"`);
+    if (range.dateTo && !normalizeReportDate(range.dateTo)) errors.push(`Invalid dateTo "${range.dateTo}"`);
+    return errors;
+};
 
+// An override replaces the configured start (dateFrom / monthsBack) only when it sets one, and dateTo only when it sets it
+const mergeReportDateRange = (base, override) => {
+    if (!override) return base;
+    const setsStart = Boolean(override.dateFrom || Number(override.monthsBack || 0));
     return {
-        account_key: accountKey || null,
-        account_name: accountName || null,
-        contact_name: contactName || null,
-        email: email || null,
-        phone: phone || null,
-        mobile_phone: mobilePhone || null
+        dateFrom: setsStart ? override.dateFrom : base.dateFrom,
+        monthsBack: setsStart ? override.monthsBack : base.monthsBack,
+        dateTo: override.dateTo || base.dateTo
     };
 };
 
-const fetchReport185Payload = async (customer) => {
-    const sourceUrl = config.externalApi.report185Url;
+const resolveReportDateRange = (reportCode, override = null) => {
+    const range = mergeReportDateRange(config.sync.reportDateRanges[reportCode] || {}, override);
+    const monthsBack = Number(range.monthsBack || 0);
+
+    let dateFrom = normalizeReportDate(range.dateFrom) || '01/01/2020';
+    if (monthsBack > 0) {
+        const from = new Date();
+        from.setMonth(from.getMonth() - monthsBack);
+        dateFrom = formatReportDate(from);
+    }
+    const dateTo = range.dateTo ? normalizeReportDate(range.dateTo) : null;
+
+    if (dateTo && reportDateToSortable(dateTo) < reportDateToSortable(dateFrom)) {
+        const err = new Error(`Report ${reportCode} dateTo ${dateTo} is before dateFrom ${dateFrom}`);
+        err.status = 400;
+        throw err;
+    }
+    return dateTo ? { dateFrom, dateTo } : { dateFrom };
+};
+
+for (const [reportCode, range] of Object.entries(config.sync.reportDateRanges)) {
+    const errors = validateReportDateRange(range);
+    if (errors.length) {
+        throw new Error(`Invalid date range for report ${reportCode}: ${errors.join('; ')}`);
+    }
+    resolveReportDateRange(reportCode);
+}
+
+const fetchReport175Payload = async (dateRange = resolveReportDateRange(175)) =>
+    fetchExternalReportPayload(config.externalApi.report175Url, dateRange, config.externalApi.timeoutMs, 175);
+const fetchReport198Payload = async (dateRange = resolveReportDateRange(198)) =>
+    fetchExternalReportPayload(config.externalApi.report198Url, dateRange, config.externalApi.report198TimeoutMs, 198);
+const fetchReport176Payload = async (dateRange = resolveReportDateRange(176)) =>
+    fetchExternalReportPayload(config.externalApi.report176Url, dateRange, config.externalApi.timeoutMs, 176);
+const fetchReport180Payload = async (customer) => {
+    const sourceUrl = config.externalApi.report180Url;
     if (!sourceUrl) return null;
+
     const clientNumber = String(customer?.company || '').trim() || String(customer?.external_id || '').trim() || null;
 
     const payload = {
         clientNumber
     };
 
-    return fetchExternalReportPayload(sourceUrl, payload, config.externalApi.timeoutMs);
+    return fetchExternalReportPayload(sourceUrl, payload, config.externalApi.report198TimeoutMs || config.externalApi.timeoutMs, 180);
 };
 
-const mapReport180Row = (row) => {
-    if (!row || typeof row !== 'object') return null;
-    return {
-        title: row['כותרת'] ?? null,
-        movement: row['תנועה'] ?? null,
-        batch: row['מנה'] ?? null,
-        entry_type: row['ס"ת'] ?? null,
-        account_key: row['מפתח חשבון'] ?? null,
-        account_name: row['שם חשבון'] ?? null,
-        counter_account: row['ח-ן נגדי'] ?? null,
-        counter_account_name: row['שם חשבון נגדי'] ?? null,
-        asmach_date: row['ת.אסמכ'] ?? null,
-        value_date: row['ת.ערך'] ?? null,
-        extra_date: row['תאריך 3'] ?? null,
-        asmach_1: row["אסמ'"] ?? null,
-        asmach_2: row["אסמ'2"] ?? null,
-        details: row['פרטים'] ?? null,
-        debit_ils: row['חובה שקל'] ?? null,
-        credit_ils: row['זכות שקל'] ?? null,
-        balance_ils: row['יתרה (שקל)'] ?? null,
-        inventory_id: row['מזהה מלאי'] ?? null
+const fetchReport184Payload = async (customer) => {
+    const sourceUrl = config.externalApi.customerDetailsUrl || config.externalApi.report175Url;
+    if (!sourceUrl) return null;
+    const clientNumber = String(customer?.company || '').trim() || String(customer?.external_id || '').trim() || null;
+
+    const payload = {
+        clientNumber
     };
+
+    return fetchExternalReportPayload(sourceUrl, payload, config.externalApi.timeoutMs, 184);
 };
 
-const upsertReport175Rows = async (rows, userId) => {
-    if (rows.length === 0) return { synced: 0 };
+// ===== REPORT COLUMN MAPPINGS =====
+
+// Maps ERP report columns to our field names. Definitions live in report-mappings.json
+// (REPORT_MAPPINGS_FILE) so a changed report layout only needs the file edited and reloaded.
+// Per report:
+//   fields:     [{ field, columns: [candidate column names, first present wins], type, required }]
+//   identifyBy: fields whose columns mark a row as belonging to this report
+const reportMappingTypes = ['string', 'number', 'raw'];
+
+// Fields the mapping functions below read - a definition must provide all of them
+const reportMappingRequiredFields = {
+    175: ['account_card_number', 'account_key', 'account_name', 'account_balance', 'deferred_checks',
+        'open_delivery_notes_balance', 'total_obligo', 'total_credit', 'credit_limit', 'credit_deviation',
+        'obligo_limit', 'obligo_deviation'],
+    198: ['account_card_number', 'account_key', 'account_name', 'email', 'phone', 'mobile_phone'],
+    176: ['account_key', 'account_name', 'contact_name', 'email', 'phone', 'mobile_phone'],
+    180: ['title', 'movement', 'batch', 'entry_type', 'account_key', 'account_name', 'counter_account',
+        'counter_account_name', 'asmach_date', 'value_date', 'extra_date', 'asmach_1', 'asmach_2', 'details',
+        'debit_ils', 'credit_ils', 'balance_ils', 'inventory_id']
+};
 
-    const chunkSize = 100;
-    let synced = 0;
+const getReportMappingsFile = () =>
+    path.resolve(path.dirname(fileURLToPath(import.meta.url)), config.reportMappings.file);
 
-    for (let i = 0; i < rows.length; i += chunkSize) {
-        const chunk = rows.slice(i, i + chunkSize);
-        const placeholders = chunk.map(() => '(?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)').join(', ');
-        const values = [];
+// Returns a list of problems; an empty list means the definitions are usable
+const validateReportMappings = (definitions) => {
+    if (!definitions || typeof definitions !== 'object' || Array.isArray(definitions)) {
+        return ['Mappings must be an object keyed by report code'];
+    }
 
-        for (const row of chunk) {
-            values.push(
-                row.external_id,
-                row.account_name || row.account_key || row.external_id,
-                null,
-                null,
-                row.account_key || null,
-                row.account_balance || 0,
-                row.credit_limit || 0,
-                row.raw_payload || null,
-                null,
-                null,
-                null,
-                null
-            );
+    const errors = [];
+    for (const [reportCode, requiredFields] of Object.entries(reportMappingRequiredFields)) {
+        const mapping = definitions[reportCode];
+        if (!mapping || !Array.isArray(mapping.fields)) {
+            errors.push(`Report ${reportCode}: "fields" must be an array`);
+            continue;
         }
 
-        await pool.execute(`
-            INSERT INTO customers (
-                external_id,
-                name,
-                email,
-                phone,
-                company,
-                balance,
-                credit_limit,
-                raw_payload,
-                created_by,
-                assigned_user_id,
-                group_id,
-                status,
-                last_synced_at
-            )
-            VALUES ${placeholders}
-            ON DUPLICATE KEY UPDATE
-                name = VALUES(name),
-                email = VALUES(email),
-                phone = VALUES(phone),
-                company = VALUES(company),
-                balance = VALUES(balance),
-                credit_limit = VALUES(credit_limit),
-                raw_payload = VALUES(raw_payload),
-                last_synced_at = CURRENT_TIMESTAMP,
-                created_by = IFNULL(created_by, VALUES(created_by)),
-                assigned_user_id = IFNULL(assigned_user_id, VALUES(assigned_user_id)),
-                updated_at = CURRENT_TIMESTAMP
-        `, values);
+        const seen = new Set();
+        mapping.fields.forEach((definition, index) => {
+            const label = `Report ${reportCode} field #${index + 1}${definition?.field ? ` (${definition.field})` : ''}`;
+            if (!definition?.field || typeof definition.field !== 'string') {
+                errors.push(`${label}: "field" is required`);
+            } else if (seen.has(definition.field)) {
+                errors.push(`${label}: duplicate field`);
+            } else {
+                seen.add(definition.field);
+            }
+            if (!Array.isArray(definition?.columns) || definition.columns.length === 0
+                || definition.columns.some((column) => typeof column !== 'string' || !column)) {
+                errors.push(`${label}: "columns" must be a non-empty array of column names`);
+            }
+            if (!reportMappingTypes.includes(definition?.type)) {
+                errors.push(`${label}: "type" must be one of ${reportMappingTypes.join(', ')}`);
+            }
+            if (definition?.required !== undefined && typeof definition.required !== 'boolean') {
+                errors.push(`${label}: "required" must be true or false`);
+            }
+        });
 
-        synced += chunk.length;
+        for (const field of requiredFields) {
+            if (!seen.has(field)) errors.push(`Report ${reportCode}: missing field "${field}"`);
+        }
+        for (const field of mapping.identifyBy || []) {
+            if (!seen.has(field)) errors.push(`Report ${reportCode}: identifyBy refers to unknown field "${field}"`);
+        }
     }
+    return errors;
+};
 
-    return { synced };
+const loadReportMappings = () => {
+    const file = getReportMappingsFile();
+    let definitions;
+    try {
+        definitions = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+        throw new Error(`Cannot read report mappings from ${file}: ${error.message}`);
+    }
+
+    const errors = validateReportMappings(definitions);
+    if (errors.length) {
+        throw new Error(`Invalid report mappings in ${file}:\n- ${errors.join('\n- ')}`);
+    }
+    return definitions;
 };
 
-const getCustomerIdsByExternalIds = async (externalIds, userId) => {
-    if (!externalIds.length) return new Map();
+// Fails startup on a broken mapping file rather than syncing garbage
+let reportMappings = loadReportMappings();
 
-    const uniqueIds = [...new Set(externalIds)].filter(Boolean);
-    if (uniqueIds.length === 0) return new Map();
-    const map = new Map();
+const findMappedColumn = (row, columns) =>
+    columns.find((column) => Object.prototype.hasOwnProperty.call(row, column));
 
-    const chunkSize = 500;
-    for (let i = 0; i < uniqueIds.length; i += chunkSize) {
-        const chunk = uniqueIds.slice(i, i + chunkSize);
-        const placeholders = chunk.map(() => '?').join(', ');
-        const [rows] = await pool.execute(`
-            SELECT
-                c.id,
-                c.external_id
-            FROM customers c
-            WHERE c.external_id IN (${placeholders})
-              AND ${getCustomerAccessCondition()}
-        `, [...chunk, userId, userId]);
+const coerceMappedValue = (value, type) => {
+    if (type === 'number') return toReport175Number(value);
+    if (type === 'string') return String(value ?? '').trim() || null;
+    return value ?? null;
+};
 
-        for (const row of rows) {
-            map.set(row.external_id, row.id);
+// Returns the mapped values plus the required fields the row has no column for
+const applyReportMapping = (reportCode, row, mapping = reportMappings[reportCode]) => {
+    const values = {};
+    const missingRequired = [];
+
+    for (const { field, columns, type, required } of mapping.fields) {
+        const column = findMappedColumn(row, columns);
+        values[field] = coerceMappedValue(column === undefined ? null : row[column], type);
+        if (required && (column === undefined || values[field] === null || values[field] === '')) {
+            missingRequired.push(field);
         }
     }
+    return { values, missingRequired };
+};
 
-    return map;
+const rowMatchesReportMapping = (reportCode, row, mapping = reportMappings[reportCode]) => {
+    if (!row || typeof row !== 'object') return false;
+    const identifyBy = new Set(mapping.identifyBy || []);
+    return mapping.fields
+        .filter(({ field }) => identifyBy.has(field))
+        .some(({ columns }) => findMappedColumn(row, columns) !== undefined);
 };
 
-const getLatestHandlingByCustomerIds = async (customerIds) => {
-    const uniqueIds = [...new Set((customerIds || []).filter(Boolean).map(Number).filter(Number.isFinite))];
-    if (uniqueIds.length === 0) return new Map();
+const getReportMappingColumns = (reportCode, field) =>
+    reportMappings[reportCode].fields.find((definition) => definition.field === field)?.columns || [];
 
-    const placeholders = uniqueIds.map(() => '?').join(', ');
-    const [rows] = await pool.execute(`
-        SELECT
-            c.id as customer_id,
-            latest_note.created_at as payment_start,
-            latest_note.due_date as payment_target,
-            c.assigned_user_id as managed_by_id,
-            c.group_id as group_id,
-            manager.username as managed_by_name,
-            g.name as group_name
-        FROM customers c
-        LEFT JOIN (
-            SELECT n.customer_id, n.created_at, n.due_date, n.id
-            FROM customer_notes n
-            INNER JOIN (
-                SELECT customer_id, MAX(id) as latest_id
-                FROM customer_notes
-                WHERE customer_id IN (${placeholders})
-                GROUP BY customer_id
-            ) latest ON latest.latest_id = n.id
-        ) latest_note ON latest_note.customer_id = c.id
-        LEFT JOIN users manager ON manager.id = c.assigned_user_id
-        LEFT JOIN \`groups\` g ON g.id = c.group_id
-        WHERE c.id IN (${placeholders})
-    `, [...uniqueIds, ...uniqueIds]);
+// List mapping definitions (admin)
+app.get('/api/report-mappings', auth, requireRole('admin'), (req, res) => {
+    res.json({ file: getReportMappingsFile(), mappings: reportMappings });
+});
 
-    const map = new Map();
-    for (const row of rows) {
-        map.set(Number(row.customer_id), row);
+// Re-read the mapping file without a restart; the current mappings stay when it is invalid
+app.post('/api/report-mappings/reload', auth, requireRole('admin'), (req, res) => {
+    try {
+        reportMappings = loadReportMappings();
+        res.json({ message: 'Report mappings reloaded', mappings: reportMappings });
+    } catch (error) {
+        console.error('Reload report mappings error:', error);
+        res.status(400).json({ error: error.message });
     }
-    return map;
-};
+});
 
-const getLatestHandlingByUser = async (userId) => {
-    const [rows] = await pool.execute(`
-        SELECT
-            c.id as customer_id,
-            latest_note.created_at as payment_start,
-            latest_note.due_date as payment_target,
-            c.assigned_user_id as managed_by_id,
-            c.group_id as group_id,
-            manager.username as managed_by_name,
-            g.name as group_name
-        FROM customers c
-        LEFT JOIN customer_notes latest_note ON latest_note.id = (
-            SELECT MAX(n.id) FROM customer_notes n WHERE n.customer_id = c.id
-        )
-        LEFT JOIN users manager ON manager.id = c.assigned_user_id
-        LEFT JOIN \`groups\` g ON g.id = c.group_id
-        WHERE ${getCustomerAccessCondition()}
-    `, [userId, userId]);
+// The sample is repaired like a fetched payload first, so CP1252-mangled columns map here as they do in the sync
+const runReportMappingTest = (reportCode, samplePayload, mapping) => {
+    const { payload, repairedFields } = repairReportPayload(samplePayload);
+    const rows = extractObjectRows(payload);
+    const identifiedRows = mapping.identifyBy?.length
+        ? rows.filter((row) => rowMatchesReportMapping(reportCode, row, mapping))
+        : rows;
+    const results = identifiedRows.map((row) => applyReportMapping(reportCode, row, mapping));
+
+    const mappedColumns = new Set(mapping.fields.flatMap(({ columns }) => columns));
+    const sampleColumns = new Set(rows.flatMap((row) => Object.keys(row)));
+    const fieldsFound = Object.fromEntries(mapping.fields.map(({ field, columns }) => [
+        field,
+        identifiedRows.filter((row) => findMappedColumn(row, columns) !== undefined).length
+    ]));
 
-    const map = new Map();
-    for (const row of rows) {
-        map.set(Number(row.customer_id), row);
-    }
-    return map;
+    return {
+        reportCode,
+        rowsReceived: rows.length,
+        rowsIdentified: identifiedRows.length,
+        rowsMissingRequired: results.filter((result) => result.missingRequired.length).length,
+        fieldsRepaired: repairedFields,
+        fieldsFound,
+        unmappedColumns: [...sampleColumns].filter((column) => !mappedColumns.has(column)),
+        sample: results.slice(0, 20)
+    };
 };
 
-const parseOptionalInt = (value) => {
-    if (value === undefined || value === null || value === '') return null;
-    const n = Number(value);
-    return Number.isInteger(n) ? n : null;
-};
-
-const getEligibleCustomerIdsByFilters = async (userId, managedBy, groupId) => {
-    const hasManagerFilter = managedBy !== null;
-    const hasGroupFilter = groupId !== null;
-    if (!hasManagerFilter && !hasGroupFilter) return null;
+// Run a mapping (the current one, or a proposed one in `mapping`) against a sample payload
+app.post('/api/report-mappings/:reportCode/test', auth, requireRole('admin'), (req, res) => {
+    try {
+        const reportCode = String(req.params.reportCode);
+        if (!reportMappingRequiredFields[reportCode]) {
+            return res.status(404).json({ error: 'Unknown report' });
+        }
+        if (req.body?.payload === undefined) {
+            return res.status(400).json({ error: 'payload is required' });
+        }
 
-    let query = `
-        SELECT c.id
-        FROM customers c
-        WHERE ${getCustomerAccessCondition()}
-    `;
-    const params = [userId, userId];
+        const mapping = req.body.mapping || reportMappings[reportCode];
+        if (req.body.mapping) {
+            const errors = validateReportMappings({ ...reportMappings, [reportCode]: mapping });
+            if (errors.length) {
+                return res.status(400).json({ error: 'Invalid mapping', details: errors });
+            }
+        }
 
-    if (hasManagerFilter) {
-        query += ' AND c.assigned_user_id = ?';
-        params.push(managedBy);
+        res.json(runReportMappingTest(reportCode, req.body.payload, mapping));
+    } catch (error) {
+        console.error('Test report mapping error:', error);
+        res.status(500).json({ error: 'Server error' });
     }
+});
 
-    if (hasGroupFilter) {
-        query += ' AND c.group_id = ?';
-        params.push(groupId);
-    }
+const rowLooksLikeReport175 = (row) => rowMatchesReportMapping(175, row);
 
-    const [rows] = await pool.execute(query, params);
-    return new Set(rows.map((row) => Number(row.id)));
+const pickReport175Value = (row, keys) => {
+    for (const key of keys) {
+        if (Object.prototype.hasOwnProperty.call(row, key)) {
+            return row[key];
+        }
+    }
+    return null;
 };
 
-let report175CacheRows = [];
-let report175CacheByExternalId = new Map();
-let report175CacheSyncedAt = null;
-let report198CacheByAccountKey = new Map();
-let report198CacheByExternalId = new Map();
-let report198CacheSyncedAt = null;
-let report176CacheByAccountKey = new Map();
-let report176CacheSyncedAt = null;
-let report184CacheByCustomerId = new Map();
-let report185CacheByCustomerId = new Map();
-let customersSyncState = {
-    report175: { status: 'idle', startedAt: null, finishedAt: null, error: null },
-    background: { status: 'idle', startedAt: null, finishedAt: null, error: null },
-    lastTriggeredAt: null
+const toReport175Number = (value) => {
+    const numeric = Number(String(value ?? '').replace(/,/g, '').trim());
+    return Number.isFinite(numeric) ? numeric : 0;
 };
 
-const setSyncState = (key, patch) => {
-    customersSyncState = {
-        ...customersSyncState,
-        [key]: {
-            ...customersSyncState[key],
-            ...patch
-        }
-    };
-};
+const extractReport175Rows = (payload) => {
+    if (Array.isArray(payload)) return payload;
+    if (!payload || typeof payload !== 'object') return [];
 
-const setReport175Cache = (rows) => {
-    const safeRows = Array.isArray(rows) ? rows : [];
-    report175CacheRows = safeRows;
-    report175CacheByExternalId = new Map(
-        safeRows
-            .filter((row) => row && row.external_id)
-            .map((row) => [String(row.external_id), row])
-    );
-    report175CacheSyncedAt = new Date().toISOString();
-};
+    const arrays = [];
+    const queue = [payload];
 
-const setReport198Cache = (rows) => {
-    const safeRows = Array.isArray(rows) ? rows : [];
-    report198CacheByAccountKey = new Map();
-    report198CacheByExternalId = new Map();
+    while (queue.length > 0) {
+        const current = queue.shift();
+        if (!current || typeof current !== 'object') continue;
 
-    for (const row of safeRows) {
-        if (!row) continue;
-        if (row.account_key) report198CacheByAccountKey.set(String(row.account_key), row);
-        if (row.external_id) report198CacheByExternalId.set(String(row.external_id), row);
+        for (const value of Object.values(current)) {
+            if (Array.isArray(value)) {
+                arrays.push(value);
+            } else if (value && typeof value === 'object') {
+                queue.push(value);
+            }
+        }
     }
-    report198CacheSyncedAt = new Date().toISOString();
-};
 
-const setReport176Cache = (rows) => {
-    const safeRows = Array.isArray(rows) ? rows : [];
-    report176CacheByAccountKey = new Map();
-    for (const row of safeRows) {
-        if (!row || !row.account_key) continue;
-        report176CacheByAccountKey.set(String(row.account_key), row);
+    if (arrays.length === 0) return [];
+
+    let best = arrays[0];
+    let bestScore = -1;
+    for (const arr of arrays) {
+        const objectRows = arr.filter((x) => x && typeof x === 'object');
+        const reportRows = objectRows.filter(rowLooksLikeReport175);
+        const score = (reportRows.length * 1000) + objectRows.length;
+        if (score > bestScore) {
+            bestScore = score;
+            best = arr;
+        }
     }
-    report176CacheSyncedAt = new Date().toISOString();
+
+    return best;
 };
 
-const getCustomersSyncStatusPayload = () => ({
-    sync: customersSyncState,
-    caches: {
-        report175SyncedAt: report175CacheSyncedAt,
-        report198SyncedAt: report198CacheSyncedAt,
-        report176SyncedAt: report176CacheSyncedAt
-    }
-});
+const rowLooksLikeReport198 = (row) => rowMatchesReportMapping(198, row);
 
-const isCacheFresh = (syncedAt, maxAgeMs) => {
-    if (!syncedAt) return false;
-    const ageMs = Date.now() - new Date(syncedAt).getTime();
-    return Number.isFinite(ageMs) && ageMs >= 0 && ageMs < maxAgeMs;
+const rowLooksLikeReport176 = (row) => rowMatchesReportMapping(176, row);
+
+const extractReportRowsByPredicate = (payload, predicate) => {
+    const rows = extractReport175Rows(payload);
+    if (!rows.length) return [];
+    const matching = rows.filter((row) => row && typeof row === 'object' && predicate(row));
+    return matching.length ? matching : rows.filter((row) => row && typeof row === 'object');
 };
 
-const runBackgroundSupplementalSync = async () => {
-    if (customersSyncState.background.status === 'running') {
-        return { skipped: true };
-    }
+const pickReportRowForCustomer = (rows, customer) => {
+    if (!Array.isArray(rows) || rows.length === 0) return null;
 
-    const freshWindowMs = config.sync.supplementalFreshMs;
-    const shouldSync198 = !isCacheFresh(report198CacheSyncedAt, freshWindowMs);
-    const shouldSync176 = !isCacheFresh(report176CacheSyncedAt, freshWindowMs);
+    const mapped = rows
+        .filter((row) => row && typeof row === 'object')
+        .map(mapReport175Row)
+        .filter(Boolean);
 
-    if (!shouldSync198 && !shouldSync176) {
-        setSyncState('background', {
-            status: 'completed',
-            startedAt: new Date().toISOString(),
-            finishedAt: new Date().toISOString(),
-            error: null
-        });
-        return { skipped: true, reason: 'fresh_cache' };
-    }
+    if (!mapped.length) return null;
 
-    setSyncState('background', {
-        status: 'running',
-        startedAt: new Date().toISOString(),
-        finishedAt: null,
-        error: null
-    });
+    const byExternalId = mapped.find((row) => String(row.external_id) === String(customer?.external_id));
+    if (byExternalId) return byExternalId;
 
-    try {
-        const [report198Result, report176Result] = await Promise.allSettled([
-            shouldSync198 ? fetchReport198Payload() : Promise.resolve(null),
-            shouldSync176 ? fetchReport176Payload() : Promise.resolve(null)
-        ]);
+    const byAccountKey = mapped.find((row) => String(row.account_key || '') === String(customer?.company || ''));
+    if (byAccountKey) return byAccountKey;
 
-        const warnings = [];
+    return mapped[0] || null;
+};
 
-        if (!shouldSync198) {
-            // Keep existing 198 cache when it's still fresh.
-        } else if (report198Result.status === 'fulfilled') {
-            const rows198 = extractReportRowsByPredicate(report198Result.value, rowLooksLikeReport198).map(mapReport198Row);
-            setReport198Cache(rows198);
-        } else {
-            warnings.push(`Failed to sync report 198: ${report198Result.reason?.message || 'Unknown error'}`);
-        }
+// The map*Row functions return null for rows missing a required mapped field
+const mapReport175Row = (row) => {
+    const { values, missingRequired } = applyReportMapping(175, row);
+    if (missingRequired.length) return null;
 
-        if (!shouldSync176) {
-            // Keep existing 176 cache when it's still fresh.
-        } else if (report176Result.status === 'fulfilled') {
-            const rows176 = extractReportRowsByPredicate(report176Result.value, rowLooksLikeReport176).map(mapReport176Row);
-            setReport176Cache(rows176);
-        } else {
-            warnings.push(`Failed to sync report 176: ${report176Result.reason?.message || 'Unknown error'}`);
-        }
+    const accountCardNumber = values.account_card_number;
+    const external_id = accountCardNumber > 0
+        ? String(accountCardNumber)
+        : (values.account_key || `row_${crypto.createHash('sha1').update(JSON.stringify(row)).digest('hex')}`);
 
-        setSyncState('background', {
-            status: warnings.length ? 'completed_with_warnings' : 'completed',
-            finishedAt: new Date().toISOString(),
-            error: warnings.length ? warnings.join(' | ') : null
-        });
+    return {
+        external_id,
+        account_card_number: accountCardNumber > 0 ? accountCardNumber : null,
+        account_key: values.account_key,
+        account_name: values.account_name,
+        account_balance: values.account_balance,
+        deferred_checks: values.deferred_checks,
+        open_delivery_notes_balance: values.open_delivery_notes_balance,
+        total_obligo: values.total_obligo,
+        total_credit: values.total_credit,
+        credit_limit: values.credit_limit,
+        credit_deviation: values.credit_deviation,
+        obligo_limit: values.obligo_limit,
+        obligo_deviation: values.obligo_deviation,
+        raw_payload: JSON.stringify(row)
+    };
+};
 
-        return { warnings };
-    } catch (error) {
-        setSyncState('background', {
-            status: 'failed',
-            finishedAt: new Date().toISOString(),
-            error: error?.message || 'Unknown error'
-        });
-        throw error;
-    }
+const mapReport198Row = (row) => {
+    const { values, missingRequired } = applyReportMapping(198, row);
+    if (missingRequired.length) return null;
+
+    return {
+        external_id: values.account_card_number > 0 ? String(values.account_card_number) : null,
+        account_key: values.account_key,
+        account_name: values.account_name,
+        email: values.email,
+        phone: values.phone,
+        mobile_phone: values.mobile_phone
+    };
 };
 
-const getEnrichmentForWorkRow = (workRow) => {
-    const accountKey = String(workRow?.account_key || '');
-    const externalId = String(workRow?.external_id || '');
-    const from198 = report198CacheByAccountKey.get(accountKey) || report198CacheByExternalId.get(externalId) || null;
-    const from176 = report176CacheByAccountKey.get(accountKey) || null;
+const mapReport176Row = (row) => {
+    const { values, missingRequired } = applyReportMapping(176, row);
+    if (missingRequired.length) return null;
 
     return {
-        account_name: from176?.account_name || from198?.account_name || workRow?.account_name || null,
-        contact_name: from176?.contact_name || null,
-        email: from176?.email || from198?.email || null,
-        phone: from176?.phone || from198?.phone || null,
-        mobile_phone: from176?.mobile_phone || from198?.mobile_phone || null
+        account_key: values.account_key,
+        account_name: values.account_name,
+        contact_name: values.contact_name,
+        email: values.email,
+        phone: values.phone,
+        mobile_phone: values.mobile_phone
     };
 };
 
-const normalizeTextSearch = (value) => String(value || '').toLowerCase().trim();
-const normalizePhoneSearch = (value) => String(value || '').replace(/\D+/g, '');
-const extractObjectRows = (payload) => extractReport175Rows(payload).filter((row) => row && typeof row === 'object');
+const fetchReport185Payload = async (customer) => {
+    const sourceUrl = config.externalApi.report185Url;
+    if (!sourceUrl) return null;
+    const clientNumber = String(customer?.company || '').trim() || String(customer?.external_id || '').trim() || null;
 
-const pickRawReportRowForCustomer = (rows, customer) => {
-    if (!Array.isArray(rows) || rows.length === 0) return null;
+    const payload = {
+        clientNumber
+    };
 
-    const targetExternalId = String(customer?.external_id || '').trim();
-    const targetAccountKey = String(customer?.company || '').trim();
+    return fetchExternalReportPayload(sourceUrl, payload, config.externalApi.timeoutMs, 185);
+};
 
-    const byExternalId = rows.find((row) => {
-        const rowExternalId = String(
-            pickReport175Value(row, [
-                'מספר כרטיס חשבון',
-                '×ž×¡×¤×¨ ×›×¨×˜×™×¡ ×—×©×‘×•×Ÿ',
-                'Ã—Å¾Ã—Â¡Ã—Â¤Ã—Â¨ Ã—â€ºÃ—Â¨Ã—ËœÃ—â„¢Ã—Â¡ Ã—â€”Ã—Â©Ã—â€˜Ã—â€¢Ã—Å¸'
-            ]) ?? ''
-        ).trim();
-        return rowExternalId && rowExternalId === targetExternalId;
-    });
-    if (byExternalId) return byExternalId;
+const mapReport180Row = (row) => {
+    if (!row || typeof row !== 'object') return null;
+    const { values, missingRequired } = applyReportMapping(180, row);
+    return missingRequired.length ? null : values;
+};
 
-    const byAccountKey = rows.find((row) => {
-        const rowAccountKey = String(
-            pickReport175Value(row, [
-                'מפתח חשבון',
-                '×ž×¤×ª×— ×—×©×‘×•×Ÿ',
-                'Ã—Å¾Ã—Â¤Ã—ÂªÃ—â€” Ã—â€”Ã—Â©Ã—â€˜Ã—â€¢Ã—Å¸'
-            ]) ?? ''
-        ).trim();
-        return rowAccountKey && rowAccountKey === targetAccountKey;
-    });
-    if (byAccountKey) return byAccountKey;
+// One dated balance point per customer per sync, so follow-up results can be tracked over time
+const recordBalanceHistory = async (rows, syncedAt) => {
+    const rowsByExternalId = new Map(rows.filter((row) => row.external_id).map((row) => [row.external_id, row]));
+    if (rowsByExternalId.size === 0) return;
 
-    return rows[0] || null;
+    const externalIds = [...rowsByExternalId.keys()];
+    const [customers] = await pool.execute(
+        `SELECT id, external_id FROM customers WHERE external_id IN (${externalIds.map(() => '?').join(', ')})`,
+        externalIds
+    );
+    if (customers.length === 0) return;
+
+    const values = customers.flatMap((customer) => {
+        const row = rowsByExternalId.get(customer.external_id);
+        return [
+            customer.id,
+            syncedAt,
+            row.account_balance || 0,
+            row.total_obligo || 0,
+            row.credit_deviation || 0,
+            row.obligo_deviation || 0
+        ];
+    });
+    await pool.execute(`
+        INSERT INTO customer_balance_history
+            (customer_id, synced_at, account_balance, total_obligo, credit_deviation, obligo_deviation)
+        VALUES ${customers.map(() => '(?, ?, ?, ?, ?, ?)').join(', ')}
+        ON DUPLICATE KEY UPDATE
+            account_balance = VALUES(account_balance),
+            total_obligo = VALUES(total_obligo),
+            credit_deviation = VALUES(credit_deviation),
+            obligo_deviation = VALUES(obligo_deviation)
+    `, values);
 };
 
-const rowMatchesSearch = (workRow, search) => {
-    if (!search) return true;
-    const enriched = getEnrichmentForWorkRow(workRow);
-    const normalizedSearchText = normalizeTextSearch(search);
-    const normalizedSearchPhone = normalizePhoneSearch(search);
+const upsertReport175Rows = async (rows, userId) => {
+    if (rows.length === 0) return { synced: 0 };
 
-    const textHaystack = [
-        workRow?.account_key,
-        workRow?.account_name,
+    const chunkSize = 100;
+    const syncedAt = new Date();
+    let synced = 0;
+
+    for (let i = 0; i < rows.length; i += chunkSize) {
+        const chunk = rows.slice(i, i + chunkSize);
+        const placeholders = chunk.map(() => '(?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)').join(', ');
+        const values = [];
+
+        for (const row of chunk) {
+            values.push(
+                row.external_id,
+                row.account_name || row.account_key || row.external_id,
+                null,
+                null,
+                row.account_key || null,
+                row.account_balance || 0,
+                row.credit_limit || 0,
+                row.raw_payload || null,
+                null,
+                null,
+                null,
+                null
+            );
+        }
+
+        await pool.execute(`
+            INSERT INTO customers (
+                external_id,
+                name,
+                email,
+                phone,
+                company,
+                balance,
+                credit_limit,
+                raw_payload,
+                created_by,
+                assigned_user_id,
+                group_id,
+                status,
+                last_synced_at
+            )
+            VALUES ${placeholders}
+            ON DUPLICATE KEY UPDATE
+                name = VALUES(name),
+                email = VALUES(email),
+                phone = VALUES(phone),
+                company = VALUES(company),
+                balance = VALUES(balance),
+                credit_limit = VALUES(credit_limit),
+                raw_payload = VALUES(raw_payload),
+                last_synced_at = CURRENT_TIMESTAMP,
+                created_by = IFNULL(created_by, VALUES(created_by)),
+                assigned_user_id = IFNULL(assigned_user_id, VALUES(assigned_user_id)),
+                updated_at = CURRENT_TIMESTAMP
+        `, values);
+        await recordBalanceHistory(chunk, syncedAt);
+
+        synced += chunk.length;
+    }
+
+    return { synced };
+};
+
+const getCustomerIdsByExternalIds = async (externalIds, userId) => {
+    if (!externalIds.length) return new Map();
+
+    const uniqueIds = [...new Set(externalIds)].filter(Boolean);
+    if (uniqueIds.length === 0) return new Map();
+    const map = new Map();
+
+    const chunkSize = 500;
+    for (let i = 0; i < uniqueIds.length; i += chunkSize) {
+        const chunk = uniqueIds.slice(i, i + chunkSize);
+        const placeholders = chunk.map(() => '?').join(', ');
+        const [rows] = await pool.execute(`
+            SELECT
+                c.id,
+                c.external_id
+            FROM customers c
+            WHERE c.external_id IN (${placeholders})
+              AND ${getCustomerAccessCondition()}
+        `, [...chunk, ...getCustomerAccessParams(userId)]);
+
+        for (const row of rows) {
+            map.set(row.external_id, row.id);
+        }
+    }
+
+    return map;
+};
+
+// payment_start is when the customer was last handled, payment_target the next open follow-up task
+const nextFollowUpJoin = (customerFilter = '') => `
+    LEFT JOIN (
+        SELECT customer_id, MIN(due_date) as due_date, COUNT(*) as open_count
+        FROM follow_up_tasks
+        WHERE status = 'open' ${customerFilter}
+        GROUP BY customer_id
+    ) next_follow_up ON next_follow_up.customer_id = c.id`;
+
+// open_promises / broken_promises count the customer's payment promises by status
+const promiseCountsJoin = (customerFilter = '') => `
+    LEFT JOIN (
+        SELECT customer_id, SUM(status = 'open') as open_count, SUM(status = 'broken') as broken_count
+        FROM payment_promises
+        WHERE status IN ('open', 'broken') ${customerFilter}
+        GROUP BY customer_id
+    ) promise_counts ON promise_counts.customer_id = c.id`;
+
+const getLatestHandlingByCustomerIds = async (customerIds) => {
+    const uniqueIds = [...new Set((customerIds || []).filter(Boolean).map(Number).filter(Number.isFinite))];
+    if (uniqueIds.length === 0) return new Map();
+
+    const placeholders = uniqueIds.map(() => '?').join(', ');
+    const [rows] = await pool.execute(`
+        SELECT
+            c.id as customer_id,
+            latest_note.created_at as payment_start,
+            next_follow_up.due_date as payment_target,
+            COALESCE(next_follow_up.open_count, 0) as open_follow_ups,
+            COALESCE(promise_counts.open_count, 0) as open_promises,
+            COALESCE(promise_counts.broken_count, 0) as broken_promises,
+            c.assigned_user_id as managed_by_id,
+            c.group_id as group_id,
+            manager.username as managed_by_name,
+            g.name as group_name
+        FROM customers c
+        LEFT JOIN (
+            SELECT n.customer_id, n.created_at, n.due_date, n.id
+            FROM customer_notes n
+            INNER JOIN (
+                SELECT customer_id, MAX(id) as latest_id
+                FROM customer_notes
+                WHERE customer_id IN (${placeholders})
+                GROUP BY customer_id
+            ) latest ON latest.latest_id = n.id
+        ) latest_note ON latest_note.customer_id = c.id
+        ${nextFollowUpJoin(`AND customer_id IN (${placeholders})`)}
+        ${promiseCountsJoin(`AND customer_id IN (${placeholders})`)}
+        LEFT JOIN users manager ON manager.id = c.assigned_user_id
+        LEFT JOIN \`groups\` g ON g.id = c.group_id
+        WHERE c.id IN (${placeholders})
+    `, [...uniqueIds, ...uniqueIds, ...uniqueIds, ...uniqueIds]);
+
+    const map = new Map();
+    for (const row of rows) {
+        map.set(Number(row.customer_id), row);
+    }
+    return map;
+};
+
+const getLatestHandlingByUser = async (userId) => {
+    const [rows] = await pool.execute(`
+        SELECT
+            c.id as customer_id,
+            latest_note.created_at as payment_start,
+            next_follow_up.due_date as payment_target,
+            COALESCE(next_follow_up.open_count, 0) as open_follow_ups,
+            COALESCE(promise_counts.open_count, 0) as open_promises,
+            COALESCE(promise_counts.broken_count, 0) as broken_promises,
+            c.assigned_user_id as managed_by_id,
+            c.group_id as group_id,
+            manager.username as managed_by_name,
+            g.name as group_name
+        FROM customers c
+        LEFT JOIN customer_notes latest_note ON latest_note.id = (
+            SELECT MAX(n.id) FROM customer_notes n WHERE n.customer_id = c.id
+        )
+        ${nextFollowUpJoin()}
+        ${promiseCountsJoin()}
+        LEFT JOIN users manager ON manager.id = c.assigned_user_id
+        LEFT JOIN \`groups\` g ON g.id = c.group_id
+        WHERE ${getCustomerAccessCondition()}
+    `, getCustomerAccessParams(userId));
+
+    const map = new Map();
+    for (const row of rows) {
+        map.set(Number(row.customer_id), row);
+    }
+    return map;
+};
+
+const parseOptionalInt = (value) => {
+    if (value === undefined || value === null || value === '') return null;
+    const n = Number(value);
+    return Number.isInteger(n) ? n : null;
+};
+
+const getEligibleCustomerIdsByFilters = async (userId, managedBy, groupId) => {
+    const hasManagerFilter = managedBy !== null;
+    const hasGroupFilter = groupId !== null;
+    if (!hasManagerFilter && !hasGroupFilter) return null;
+
+    let query = `
+        SELECT c.id
+        FROM customers c
+        WHERE ${getCustomerAccessCondition()}
+    `;
+    const params = getCustomerAccessParams(userId);
+
+    if (hasManagerFilter) {
+        query += ' AND c.assigned_user_id = ?';
+        params.push(managedBy);
+    }
+
+    if (hasGroupFilter) {
+        query += ' AND c.group_id = ?';
+        params.push(groupId);
+    }
+
+    const [rows] = await pool.execute(query, params);
+    return new Set(rows.map((row) => Number(row.id)));
+};
+
+// Per-customer cache of external report answers. Expired entries are dropped when read, and the
+// least recently used one goes once the cache holds maxEntries, so it stays bounded.
+const createCustomerReportCache = ({ ttlMs, maxEntries }) => {
+    const entries = new Map();
+
+    return {
+        get: (customerId) => {
+            const key = Number(customerId);
+            const entry = entries.get(key);
+            if (!entry) return null;
+
+            entries.delete(key);
+            if (Date.now() - entry.fetchedAt >= ttlMs) return null;
+            entries.set(key, entry);
+            return entry;
+        },
+        set: (customerId, entry) => {
+            const key = Number(customerId);
+            entries.delete(key);
+            entries.set(key, entry);
+            while (entries.size > Math.max(maxEntries, 1)) {
+                entries.delete(entries.keys().next().value);
+            }
+        },
+        get size() {
+            return entries.size;
+        }
+    };
+};
+
+let report175CacheRows = [];
+let report175CacheByExternalId = new Map();
+let report175CacheSyncedAt = null;
+let report198CacheByAccountKey = new Map();
+let report198CacheByExternalId = new Map();
+let report198CacheSyncedAt = null;
+let report176CacheByAccountKey = new Map();
+let report176CacheSyncedAt = null;
+const report184CacheByCustomerId = createCustomerReportCache({
+    ttlMs: config.externalApi.customerReportsCacheTtlMs,
+    maxEntries: config.externalApi.customerReportsCacheMaxCustomers
+});
+const report185CacheByCustomerId = createCustomerReportCache({
+    ttlMs: config.externalApi.customerReportsCacheTtlMs,
+    maxEntries: config.externalApi.customerReportsCacheMaxCustomers
+});
+const report180CacheByCustomerId = createCustomerReportCache({
+    ttlMs: config.externalApi.report180CacheTtlMs,
+    maxEntries: config.externalApi.report180CacheMaxCustomers
+});
+let customersSyncState = {
+    report175: { status: 'idle', startedAt: null, finishedAt: null, error: null },
+    background: { status: 'idle', startedAt: null, finishedAt: null, error: null },
+    lastTriggeredAt: null
+};
+
+const setSyncState = (key, patch) => {
+    customersSyncState = {
+        ...customersSyncState,
+        [key]: {
+            ...customersSyncState[key],
+            ...patch
+        }
+    };
+};
+
+const setReport175Cache = (rows, syncedAt = new Date().toISOString()) => {
+    const safeRows = Array.isArray(rows) ? rows : [];
+    report175CacheRows = safeRows;
+    report175CacheByExternalId = new Map(
+        safeRows
+            .filter((row) => row && row.external_id)
+            .map((row) => [String(row.external_id), row])
+    );
+    report175CacheSyncedAt = syncedAt;
+};
+
+const setReport198Cache = (rows, syncedAt = new Date().toISOString()) => {
+    const safeRows = Array.isArray(rows) ? rows : [];
+    report198CacheByAccountKey = new Map();
+    report198CacheByExternalId = new Map();
+
+    for (const row of safeRows) {
+        if (!row) continue;
+        if (row.account_key) report198CacheByAccountKey.set(String(row.account_key), row);
+        if (row.external_id) report198CacheByExternalId.set(String(row.external_id), row);
+    }
+    report198CacheSyncedAt = syncedAt;
+};
+
+const setReport176Cache = (rows, syncedAt = new Date().toISOString()) => {
+    const safeRows = Array.isArray(rows) ? rows : [];
+    report176CacheByAccountKey = new Map();
+    for (const row of safeRows) {
+        if (!row || !row.account_key) continue;
+        report176CacheByAccountKey.set(String(row.account_key), row);
+    }
+    report176CacheSyncedAt = syncedAt;
+};
+
+// ===== REPORT SNAPSHOTS =====
+
+// The mapped rows of each cache are also written to a snapshot table so a
+// restart can rebuild the in-memory indexes without calling the external API.
+const REPORT175_NUMERIC_COLUMNS = [
+    'account_balance',
+    'deferred_checks',
+    'open_delivery_notes_balance',
+    'total_obligo',
+    'total_credit',
+    'credit_limit',
+    'credit_deviation',
+    'obligo_limit',
+    'obligo_deviation'
+];
+
+const reportSnapshots = {
+    175: {
+        table: 'report175_snapshot_rows',
+        columns: ['external_id', 'account_card_number', 'account_key', 'account_name', ...REPORT175_NUMERIC_COLUMNS, 'raw_payload'],
+        fromRow: (row) => ({
+            ...row,
+            ...Object.fromEntries(REPORT175_NUMERIC_COLUMNS.map((column) => [column, Number(row[column] || 0)])),
+            account_card_number: row.account_card_number === null ? null : Number(row.account_card_number),
+            raw_payload: row.raw_payload !== null && typeof row.raw_payload === 'object'
+                ? JSON.stringify(row.raw_payload)
+                : row.raw_payload
+        }),
+        setCache: setReport175Cache
+    },
+    198: {
+        table: 'report198_snapshot_rows',
+        columns: ['external_id', 'account_key', 'account_name', 'email', 'phone', 'mobile_phone'],
+        fromRow: (row) => row,
+        setCache: setReport198Cache
+    },
+    176: {
+        table: 'report176_snapshot_rows',
+        columns: ['account_key', 'account_name', 'contact_name', 'email', 'phone', 'mobile_phone'],
+        fromRow: (row) => row,
+        setCache: setReport176Cache
+    }
+};
+
+// Replace the stored snapshot of one report and return its sync timestamp
+const saveReportSnapshot = async (reportCode, rows) => {
+    const { table, columns } = reportSnapshots[reportCode];
+    const syncedAt = new Date();
+    const chunkSize = 100;
+    const connection = await pool.getConnection();
+
+    try {
+        await connection.beginTransaction();
+        await connection.execute(`DELETE FROM ${table}`);
+
+        for (let i = 0; i < rows.length; i += chunkSize) {
+            const chunk = rows.slice(i, i + chunkSize);
+            const placeholders = chunk.map(() => `(${columns.map(() => '?').join(', ')})`).join(', ');
+            const values = chunk.flatMap((row) => columns.map((column) => row[column] ?? null));
+            await connection.execute(`INSERT INTO ${table} (${columns.join(', ')}) VALUES ${placeholders}`, values);
+        }
+
+        await connection.execute(`
+            INSERT INTO report_snapshots (report_code, synced_at, row_count)
+            VALUES (?, ?, ?)
+            ON DUPLICATE KEY UPDATE
+                synced_at = VALUES(synced_at),
+                row_count = VALUES(row_count)
+        `, [String(reportCode), syncedAt, rows.length]);
+        await connection.commit();
+    } catch (error) {
+        await connection.rollback();
+        throw error;
+    } finally {
+        connection.release();
+    }
+
+    return syncedAt.toISOString();
+};
+
+const loadReportSnapshots = async () => {
+    const [snapshots] = await pool.execute('SELECT report_code, synced_at, row_count FROM report_snapshots');
+
+    for (const snapshot of snapshots) {
+        const definition = reportSnapshots[snapshot.report_code];
+        if (!definition) continue;
+
+        const [rows] = await pool.execute(`SELECT ${definition.columns.join(', ')} FROM ${definition.table} ORDER BY id ASC`);
+        definition.setCache(rows.map(definition.fromRow), new Date(snapshot.synced_at).toISOString());
+        console.log(`Loaded report ${snapshot.report_code} snapshot: ${rows.length} rows`);
+    }
+};
+
+// ===== SYNC RUNS =====
+
+// Every sync of a report is stored as one `sync_runs` row. Bookkeeping errors are
+// logged and swallowed so they never fail the sync itself.
+const startSyncRun = async (reportCode, { trigger, userId = null, dateRange = null }) => {
+    const startedAt = new Date();
+    try {
+        const [result] = await pool.execute(`
+            INSERT INTO sync_runs (report_code, trigger_type, triggered_by, status, started_at, date_from, date_to)
+            VALUES (?, ?, ?, ?, ?, ?, ?)
+        `, [String(reportCode), trigger, userId, 'running', startedAt, dateRange?.dateFrom || null, dateRange?.dateTo || null]);
+        return { id: result.insertId, startedAt };
+    } catch (error) {
+        console.error(`Start sync run ${reportCode} error:`, error);
+        return { id: null, startedAt };
+    }
+};
+
+const finishSyncRun = async (run, { status, received = null, upserted = null, repaired = null, warnings = [], error = null, windowedResult = null }) => {
+    if (!run?.id || run.finished) return;
+
+    run.finished = true;
+    const finishedAt = new Date();
+    try {
+        await pool.execute(`
+            UPDATE sync_runs
+            SET status = ?,
+                finished_at = ?,
+                duration_ms = ?,
+                rows_received = ?,
+                rows_upserted = ?,
+                rows_skipped = ?,
+                fields_repaired = ?,
+                warnings = ?,
+                windowed_result = ?,
+                error = ?
+            WHERE id = ?
+        `, [
+            status,
+            finishedAt,
+            finishedAt.getTime() - run.startedAt.getTime(),
+            received,
+            upserted,
+            received === null || upserted === null ? null : Math.max(received - upserted, 0),
+            repaired,
+            warnings.length ? JSON.stringify(warnings) : null,
+            windowedResult ? JSON.stringify(windowedResult) : null,
+            error,
+            run.id
+        ]);
+    } catch (updateError) {
+        console.error('Finish sync run error:', updateError);
+    }
+};
+
+// Runs left as `running` by a restart will never finish
+const failInterruptedSyncRuns = async () => {
+    await pool.execute(`
+        UPDATE sync_runs
+        SET status = 'failed',
+            finished_at = CURRENT_TIMESTAMP,
+            error = 'Interrupted by server restart'
+        WHERE status = 'running'
+    `);
+};
+
+const getCustomersSyncStatusPayload = () => ({
+    sync: customersSyncState,
+    schedule: {
+        report175Mode: getReport175ScheduleMode(),
+        report175NextRunAt: report175NextSyncAt
+    },
+    circuitBreakers: getCircuitBreakersStatus(),
+    dateRanges: Object.fromEntries(
+        Object.keys(config.sync.reportDateRanges).map((reportCode) => [reportCode, resolveReportDateRange(reportCode)])
+    ),
+    caches: {
+        report175SyncedAt: report175CacheSyncedAt,
+        report198SyncedAt: report198CacheSyncedAt,
+        report176SyncedAt: report176CacheSyncedAt
+    }
+});
+
+const isCacheFresh = (syncedAt, maxAgeMs) => {
+    if (!syncedAt) return false;
+    const ageMs = Date.now() - new Date(syncedAt).getTime();
+    return Number.isFinite(ageMs) && ageMs >= 0 && ageMs < maxAgeMs;
+};
+
+const runBackgroundSupplementalSync = async ({ trigger = 'schedule', userId = null } = {}) => {
+    if (customersSyncState.background.status === 'running') {
+        return { skipped: true };
+    }
+
+    const freshWindowMs = config.sync.supplementalFreshMs;
+    const shouldSync198 = !isCacheFresh(report198CacheSyncedAt, freshWindowMs);
+    const shouldSync176 = !isCacheFresh(report176CacheSyncedAt, freshWindowMs);
+
+    if (!shouldSync198 && !shouldSync176) {
+        setSyncState('background', {
+            status: 'completed',
+            startedAt: new Date().toISOString(),
+            finishedAt: new Date().toISOString(),
+            error: null
+        });
+        return { skipped: true, reason: 'fresh_cache' };
+    }
+
+    setSyncState('background', {
+        status: 'running',
+        startedAt: new Date().toISOString(),
+        finishedAt: null,
+        error: null
+    });
+
+    const range198 = resolveReportDateRange(198);
+    const range176 = resolveReportDateRange(176);
+    const run198 = shouldSync198 ? await startSyncRun(198, { trigger, userId, dateRange: range198 }) : null;
+    const run176 = shouldSync176 ? await startSyncRun(176, { trigger, userId, dateRange: range176 }) : null;
+
+    try {
+        const [report198Result, report176Result] = await Promise.allSettled([
+            shouldSync198 ? fetchReport198Payload(range198) : Promise.resolve(null),
+            shouldSync176 ? fetchReport176Payload(range176) : Promise.resolve(null)
+        ]);
+
+        const warnings = [];
+
+        if (!shouldSync198) {
+            // Keep existing 198 cache when it's still fresh.
+        } else if (report198Result.status === 'fulfilled') {
+            const received198 = extractReportRowsByPredicate(report198Result.value, rowLooksLikeReport198);
+            const rows198 = received198.map(mapReport198Row).filter(Boolean);
+            setReport198Cache(rows198, await saveReportSnapshot(198, rows198));
+            await finishSyncRun(run198, {
+                status: 'completed',
+                received: received198.length,
+                upserted: rows198.length,
+                repaired: getPayloadRepairCount(report198Result.value)
+            });
+        } else {
+            warnings.push(`Failed to sync report 198: ${report198Result.reason?.message || 'Unknown error'}`);
+            await finishSyncRun(run198, { status: 'failed', error: report198Result.reason?.message || 'Unknown error' });
+        }
+
+        if (!shouldSync176) {
+            // Keep existing 176 cache when it's still fresh.
+        } else if (report176Result.status === 'fulfilled') {
+            const received176 = extractReportRowsByPredicate(report176Result.value, rowLooksLikeReport176);
+            const rows176 = received176.map(mapReport176Row).filter(Boolean);
+            setReport176Cache(rows176, await saveReportSnapshot(176, rows176));
+            await finishSyncRun(run176, {
+                status: 'completed',
+                received: received176.length,
+                upserted: rows176.length,
+                repaired: getPayloadRepairCount(report176Result.value)
+            });
+        } else {
+            warnings.push(`Failed to sync report 176: ${report176Result.reason?.message || 'Unknown error'}`);
+            await finishSyncRun(run176, { status: 'failed', error: report176Result.reason?.message || 'Unknown error' });
+        }
+
+        setSyncState('background', {
+            status: warnings.length ? 'completed_with_warnings' : 'completed',
+            finishedAt: new Date().toISOString(),
+            error: warnings.length ? warnings.join(' | ') : null
+        });
+
+        return { warnings };
+    } catch (error) {
+        await finishSyncRun(run198, { status: 'failed', error: error?.message || 'Unknown error' });
+        await finishSyncRun(run176, { status: 'failed', error: error?.message || 'Unknown error' });
+        setSyncState('background', {
+            status: 'failed',
+            finishedAt: new Date().toISOString(),
+            error: error?.message || 'Unknown error'
+        });
+        throw error;
+    }
+};
+
+// What a windowed pull keeps in its sync run: balance totals and the mapped rows without the raw payload
+const windowedResultColumns = [
+    'external_id',
+    'account_key',
+    'account_name',
+    'account_balance',
+    'open_delivery_notes_balance',
+    'total_obligo'
+];
+
+const buildWindowedResult = (rows) => ({
+    totals: {
+        customers: rows.length,
+        account_balance: rows.reduce((sum, row) => sum + (Number(row.account_balance) || 0), 0),
+        open_delivery_notes_balance: rows.reduce((sum, row) => sum + (Number(row.open_delivery_notes_balance) || 0), 0),
+        total_obligo: rows.reduce((sum, row) => sum + (Number(row.total_obligo) || 0), 0)
+    },
+    rows: rows.map((row) => Object.fromEntries(windowedResultColumns.map((column) => [column, row[column] ?? null])))
+});
+
+// Full report 175 sync: upsert customers, refresh the cache and snapshot, then the
+// supplemental reports. Failures are recorded in the sync state and run history.
+// A `dateRange` override makes it a one-off windowed pull (e.g. a historical check): the run is
+// recorded with its totals and rows (GET /api/customers/sync/runs/:id/result), but customers,
+// balances, the cache and the snapshot stay as the last full sync left them.
+const runReport175Sync = async ({ trigger, userId = null, dateRange: overrideRange = null }) => {
+    if (customersSyncState.report175.status === 'running') {
+        return { skipped: true };
+    }
+
+    const windowed = Boolean(overrideRange);
+    const dateRange = overrideRange || resolveReportDateRange(175);
+
+    setSyncState('report175', {
+        status: 'running',
+        startedAt: new Date().toISOString(),
+        finishedAt: null,
+        error: null
+    });
+    customersSyncState = {
+        ...customersSyncState,
+        lastTriggeredAt: new Date().toISOString()
+    };
+
+    const run175 = await startSyncRun(175, { trigger, userId, dateRange });
+
+    try {
+        const payload175 = await fetchReport175Payload(dateRange);
+        const receivedRows = extractReport175Rows(payload175);
+        const rows175 = receivedRows
+            .filter((row) => row && typeof row === 'object')
+            .map(mapReport175Row)
+            .filter(Boolean);
+
+        if (windowed) {
+            setSyncState('report175', {
+                status: 'completed',
+                finishedAt: new Date().toISOString(),
+                error: null
+            });
+            await finishSyncRun(run175, {
+                status: 'completed',
+                received: receivedRows.length,
+                upserted: 0,
+                repaired: getPayloadRepairCount(payload175),
+                warnings: ['Windowed pull: customers, balances and the report cache were left unchanged'],
+                windowedResult: buildWindowedResult(rows175)
+            });
+            console.log(`Windowed report 175 pull (${trigger}) ${dateRange.dateFrom}-${dateRange.dateTo || 'today'}: received=${rows175.length}`);
+            return { received: receivedRows.length, windowed: true };
+        }
+
+        const result175 = await upsertReport175Rows(rows175, userId);
+        setReport175Cache(rows175, await saveReportSnapshot(175, rows175));
+
+        setSyncState('report175', {
+            status: 'completed',
+            finishedAt: new Date().toISOString(),
+            error: null
+        });
+        await finishSyncRun(run175, {
+            status: 'completed',
+            received: receivedRows.length,
+            upserted: result175.synced,
+            repaired: getPayloadRepairCount(payload175)
+        });
+
+        runBackgroundSupplementalSync({ trigger, userId }).catch((backgroundError) => {
+            console.error('Background supplemental sync error:', backgroundError);
+        });
+        reconcileOpenPromises().catch((promisesError) => {
+            console.error('Reconcile payment promises error:', promisesError);
+        });
+
+        console.log(`Sync completed (${trigger}): report175 received=${rows175.length}, upserted=${result175.synced}, repaired=${getPayloadRepairCount(payload175)}`);
+        return { received: receivedRows.length, upserted: result175.synced };
+    } catch (error) {
+        setSyncState('report175', {
+            status: 'failed',
+            finishedAt: new Date().toISOString(),
+            error: error?.message || 'Unknown error'
+        });
+        await finishSyncRun(run175, { status: 'failed', error: error?.message || 'Unknown error' });
+        console.error('Sync customers error:', error);
+        return { error: error?.message || 'Unknown error' };
+    }
+};
+
+const getEnrichmentForWorkRow = (workRow) => {
+    const accountKey = String(workRow?.account_key || '');
+    const externalId = String(workRow?.external_id || '');
+    const from198 = report198CacheByAccountKey.get(accountKey) || report198CacheByExternalId.get(externalId) || null;
+    const from176 = report176CacheByAccountKey.get(accountKey) || null;
+
+    return {
+        account_name: from176?.account_name || from198?.account_name || workRow?.account_name || null,
+        contact_name: from176?.contact_name || null,
+        email: from176?.email || from198?.email || null,
+        phone: from176?.phone || from198?.phone || null,
+        mobile_phone: from176?.mobile_phone || from198?.mobile_phone || null
+    };
+};
+
+const normalizeTextSearch = (value) => String(value || '').toLowerCase().trim();
+const normalizePhoneSearch = (value) => String(value || '').replace(/\D+/g, '');
+const extractObjectRows = (payload) => extractReport175Rows(payload).filter((row) => row && typeof row === 'object');
+
+const pickRawReportRowForCustomer = (rows, customer) => {
+    if (!Array.isArray(rows) || rows.length === 0) return null;
+
+    const targetExternalId = String(customer?.external_id || '').trim();
+    const targetAccountKey = String(customer?.company || '').trim();
+
+    const byExternalId = rows.find((row) => {
+        const rowExternalId = String(pickReport175Value(row, getReportMappingColumns(175, 'account_card_number')) ?? '').trim();
+        return rowExternalId && rowExternalId === targetExternalId;
+    });
+    if (byExternalId) return byExternalId;
+
+    const byAccountKey = rows.find((row) => {
+        const rowAccountKey = String(pickReport175Value(row, getReportMappingColumns(175, 'account_key')) ?? '').trim();
+        return rowAccountKey && rowAccountKey === targetAccountKey;
+    });
+    if (byAccountKey) return byAccountKey;
+
+    return rows[0] || null;
+};
+
+const rowMatchesSearch = (workRow, search) => {
+    if (!search) return true;
+    const enriched = getEnrichmentForWorkRow(workRow);
+    const normalizedSearchText = normalizeTextSearch(search);
+    const normalizedSearchPhone = normalizePhoneSearch(search);
+
+    const textHaystack = [
+        workRow?.account_key,
+        workRow?.account_name,
         workRow?.account_card_number,
         enriched.account_name,
         enriched.contact_name,
@@ -1009,7 +2779,7 @@ app.get('/api/customers/reports/175', auth, async (req, res) => {
         };
 
         const balanceFilteredRows = baseRows.filter(applyBalanceMode);
-        const needsHandlingFilters = managedBy !== null || groupId !== null;
+        const needsHandlingFilters = managedBy !== null || groupId !== null || !hasFullCustomerAccess(req.userRole);
 
         let filteredRowsWithHandling = [];
         if (needsHandlingFilters) {
@@ -1041,6 +2811,9 @@ app.get('/api/customers/reports/175', auth, async (req, res) => {
                         customer_id: customerId,
                         payment_start: handling?.payment_start || null,
                         payment_target: handling?.payment_target || null,
+                        open_follow_ups: Number(handling?.open_follow_ups || 0),
+                        open_promises: Number(handling?.open_promises || 0),
+                        broken_promises: Number(handling?.broken_promises || 0),
                         managed_by_id: handling?.managed_by_id || null,
                         group_id: handling?.group_id || null,
                         managed_by_name: handling?.managed_by_name || null,
@@ -1066,6 +2839,9 @@ app.get('/api/customers/reports/175', auth, async (req, res) => {
                     customer_id: customerId,
                     payment_start: handling?.payment_start || null,
                     payment_target: handling?.payment_target || null,
+                    open_follow_ups: Number(handling?.open_follow_ups || 0),
+                    open_promises: Number(handling?.open_promises || 0),
+                    broken_promises: Number(handling?.broken_promises || 0),
                     managed_by_id: handling?.managed_by_id || null,
                     group_id: handling?.group_id || null,
                     managed_by_name: handling?.managed_by_name || null,
@@ -1074,318 +2850,1467 @@ app.get('/api/customers/reports/175', auth, async (req, res) => {
             });
         }
 
-        const pagedRows = needsHandlingFilters
-            ? filteredRowsWithHandling.slice(offset, offset + limit)
-            : filteredRowsWithHandling;
+        const pagedRows = needsHandlingFilters
+            ? filteredRowsWithHandling.slice(offset, offset + limit)
+            : filteredRowsWithHandling;
+
+        const hydratedRows = pagedRows.map((row, idx) => {
+            const enriched = getEnrichmentForWorkRow(row);
+            return {
+                id: offset + idx + 1,
+                ...row,
+                account_name: enriched.account_name || row.account_name,
+                contact_name: enriched.contact_name,
+                email: enriched.email,
+                phone: enriched.phone,
+                mobile_phone: enriched.mobile_phone
+            };
+        });
+
+        res.json({
+            customers: hydratedRows,
+            pagination: {
+                total: needsHandlingFilters ? filteredRowsWithHandling.length : balanceFilteredRows.length,
+                page,
+                limit,
+                totalPages: Math.max(1, Math.ceil((needsHandlingFilters ? filteredRowsWithHandling.length : balanceFilteredRows.length) / limit))
+            },
+            cache: {
+                syncedAt: report175CacheSyncedAt,
+                report198SyncedAt: report198CacheSyncedAt,
+                report176SyncedAt: report176CacheSyncedAt
+            }
+        });
+    } catch (error) {
+        console.error('Get report 175 error:', error);
+        res.status(error.status || 500).json({ error: error.message || 'Server error' });
+    }
+});
+
+app.get('/api/customers/sync/status', auth, async (req, res) => {
+    try {
+        res.json(getCustomersSyncStatusPayload());
+    } catch (error) {
+        console.error('Get customers sync status error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Recent sync runs, newest first
+app.get('/api/customers/sync/runs', auth, requireRole('admin', 'supervisor'), async (req, res) => {
+    try {
+        const page = Math.max(parseInt(req.query.page) || 1, 1);
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+        const offset = (page - 1) * limit;
+        const filters = [];
+        const params = [];
+
+        if (req.query.reportCode) {
+            filters.push('r.report_code = ?');
+            params.push(String(req.query.reportCode));
+        }
+        if (req.query.status) {
+            filters.push('r.status = ?');
+            params.push(String(req.query.status));
+        }
+        const whereClause = filters.length ? `WHERE ${filters.join(' AND ')}` : '';
+
+        const [runs] = await pool.execute(`
+            SELECT
+                r.id, r.report_code, r.trigger_type, r.triggered_by, r.date_from, r.date_to, r.status,
+                r.started_at, r.finished_at, r.duration_ms, r.rows_received, r.rows_upserted, r.rows_skipped,
+                r.fields_repaired, r.warnings, r.error,
+                r.windowed_result IS NOT NULL as has_result,
+                u.username as triggered_by_name
+            FROM sync_runs r
+            LEFT JOIN users u ON u.id = r.triggered_by
+            ${whereClause}
+            ORDER BY r.id DESC
+            LIMIT ? OFFSET ?
+        `, [...params, limit, offset]);
+        const [countRows] = await pool.execute(`SELECT COUNT(*) as total FROM sync_runs r ${whereClause}`, params);
+
+        res.json({
+            runs: runs.map((run) => ({ ...run, warnings: parseJsonColumn(run.warnings) || [], has_result: Boolean(run.has_result) })),
+            pagination: {
+                total: countRows[0].total,
+                page,
+                limit,
+                totalPages: Math.ceil(countRows[0].total / limit)
+            }
+        });
+    } catch (error) {
+        console.error('Get sync runs error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Totals and rows of a one-off windowed report 175 pull (POST /api/customers/sync with a date range)
+app.get('/api/customers/sync/runs/:id/result', auth, requireRole('admin', 'supervisor'), async (req, res) => {
+    try {
+        const [rows] = await pool.execute(`
+            SELECT id, report_code, date_from, date_to, finished_at, windowed_result
+            FROM sync_runs
+            WHERE id = ?
+        `, [req.params.id]);
+        const run = rows[0];
+        const result = run ? parseJsonColumn(run.windowed_result) : null;
+        if (!result) return res.status(404).json({ error: 'No windowed result for this run' });
+
+        res.json({
+            runId: run.id,
+            reportCode: run.report_code,
+            dateRange: { dateFrom: run.date_from, dateTo: run.date_to },
+            finishedAt: run.finished_at,
+            ...result
+        });
+    } catch (error) {
+        console.error('Get sync run result error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Sync customers (report 175 direct call)
+app.post('/api/customers/sync', auth, requireRole('admin', 'supervisor'), async (req, res) => {
+    try {
+        if (customersSyncState.report175.status === 'running') {
+            return res.status(202).json({
+                message: 'Sync already in progress.',
+                ...getCustomersSyncStatusPayload()
+            });
+        }
+
+        // Optional one-off window for report 175, e.g. a historical pull
+        const { dateFrom, dateTo, monthsBack } = req.body || {};
+        let dateRange;
+        if (dateFrom || dateTo || monthsBack) {
+            const errors = validateReportDateRange({ dateFrom, dateTo, monthsBack });
+            if (errors.length) {
+                return res.status(400).json({ error: errors.join('; ') });
+            }
+            dateRange = resolveReportDateRange(175, { dateFrom, dateTo, monthsBack });
+        }
+
+        void runReport175Sync({ trigger: 'manual', userId: req.userId, dateRange });
+
+        return res.status(202).json({
+            message: 'Sync started.',
+            ...getCustomersSyncStatusPayload()
+        });
+    } catch (error) {
+        console.error('Sync customers error:', error);
+        res.status(error.status || 500).json({ error: error.message || 'Server error' });
+    }
+});
+
+// Get customer by ID
+app.get('/api/customers/:id', auth, async (req, res) => {
+    try {
+        const [rows] = await pool.execute(`
+            SELECT c.*
+            FROM customers c
+            WHERE c.id = ?
+              AND ${getCustomerAccessCondition()}
+        `, [req.params.id, ...getCustomerAccessParams(req.userId)]);
+        if (rows.length === 0) return res.status(404).json({ error: 'Customer not found' });
+
+        const customer = rows[0];
+        let report175 = report175CacheByExternalId.get(String(customer.external_id)) || null;
+        if (!report175) {
+            report175 = {
+                external_id: customer.external_id || null,
+                account_key: customer.company || null,
+                account_name: customer.name || null,
+                account_balance: 0,
+                open_delivery_notes_balance: 0,
+                total_obligo: 0
+            };
+        }
+
+        const enriched = getEnrichmentForWorkRow(report175);
+
+        const [latestRows] = await pool.execute(`
+            SELECT
+                n.created_at as payment_start,
+                next_follow_up.due_date as payment_target,
+                COALESCE(next_follow_up.open_count, 0) as open_follow_ups,
+                COALESCE(promise_counts.open_count, 0) as open_promises,
+                COALESCE(promise_counts.broken_count, 0) as broken_promises,
+                manager.username as managed_by_name,
+                g.name as group_name
+            FROM customers c
+            LEFT JOIN customer_notes n ON n.id = (
+                SELECT MAX(n2.id) FROM customer_notes n2 WHERE n2.customer_id = c.id
+            )
+            ${nextFollowUpJoin('AND customer_id = ?')}
+            ${promiseCountsJoin('AND customer_id = ?')}
+            LEFT JOIN users manager ON manager.id = c.assigned_user_id
+            LEFT JOIN \`groups\` g ON g.id = c.group_id
+            WHERE c.id = ?
+            LIMIT 1
+        `, [req.params.id, req.params.id, req.params.id]);
+
+        const latest = latestRows[0] || null;
+        res.json({
+            customer: {
+                ...customer,
+                report175,
+                profile: {
+                    account_name: enriched.account_name || customer.name || null,
+                    contact_name: enriched.contact_name || null,
+                    email: enriched.email || customer.email || null,
+                    phone: enriched.mobile_phone || enriched.phone || customer.phone || null
+                },
+                payment_start: latest?.payment_start || null,
+                payment_target: latest?.payment_target || null,
+                open_follow_ups: Number(latest?.open_follow_ups || 0),
+                open_promises: Number(latest?.open_promises || 0),
+                broken_promises: Number(latest?.broken_promises || 0),
+                managed_by_name: latest?.managed_by_name || null,
+                group_name: latest?.group_name || null
+            }
+        });
+    } catch (error) {
+        console.error('Get customer error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+const isBlankReportValue = (value) => value === null || value === undefined || value === '';
+
+// Reports 184/185 are fetched per customer and kept for CUSTOMER_REPORTS_CACHE_TTL_MS.
+// An empty answer is cached too; a failed fetch is not, so the next open tries again.
+const getCachedCustomerReport = async (cache, customer, fetchPayload) => {
+    const cached = cache.get(customer.id);
+    if (cached) return cached;
+
+    const payload = await fetchPayload(customer);
+    const entry = {
+        row: payload ? pickRawReportRowForCustomer(extractObjectRows(payload), customer) : null,
+        fetchedAt: Date.now()
+    };
+    cache.set(customer.id, entry);
+    return entry;
+};
+
+// Report values win; the local fallback fills columns the report left empty or did not return
+const mergeReportRowWithFallback = (reportRow, reportCode, fallbackRow = {}) => {
+    const row = {};
+    const sources = {};
+
+    for (const [key, value] of Object.entries(reportRow || {})) {
+        row[key] = value;
+        sources[key] = reportCode;
+    }
+    for (const [key, value] of Object.entries(fallbackRow)) {
+        if (isBlankReportValue(row[key]) && !isBlankReportValue(value)) {
+            row[key] = value;
+            sources[key] = 'local';
+        }
+    }
+    return { row, sources };
+};
+
+const getCustomerReportPayload = (result, reportCode, fallbackRow) => {
+    const reportRow = result.status === 'fulfilled' ? result.value.row : null;
+    const { row, sources } = reportRow || fallbackRow
+        ? mergeReportRowWithFallback(reportRow, reportCode, fallbackRow || {})
+        : { row: null, sources: {} };
+
+    return {
+        row,
+        sources,
+        rowsCount: row ? Object.values(row).filter((value) => !isBlankReportValue(value)).length : 0,
+        fetchedAt: result.status === 'fulfilled' ? new Date(result.value.fetchedAt).toISOString() : null,
+        error: result.status === 'rejected' ? result.reason?.message || 'Unknown error' : null
+    };
+};
+
+// Get report 184/185 basic details for one customer
+app.get('/api/customers/:id/basic-reports', auth, async (req, res) => {
+    try {
+        const [rows] = await pool.execute(`
+            SELECT c.*
+            FROM customers c
+            WHERE c.id = ?
+              AND ${getCustomerAccessCondition()}
+            LIMIT 1
+        `, [req.params.id, ...getCustomerAccessParams(req.userId)]);
+        if (rows.length === 0) return res.status(404).json({ error: 'Customer not found' });
+
+        const customer = rows[0];
+        const report175 = report175CacheByExternalId.get(String(customer.external_id)) || {
+            external_id: customer.external_id || null,
+            account_key: customer.company || null,
+            account_name: customer.name || null,
+            account_balance: Number(customer.balance || 0),
+            credit_limit: Number(customer.credit_limit || 0)
+        };
+        const enriched = getEnrichmentForWorkRow(report175);
+
+        const localBasicRow = {
+            'מפתח חשבון': report175.account_key || customer.company || null,
+            'שם חשבון': report175.account_name || customer.name || null,
+            'מספר כרטיס חשבון': report175.external_id || customer.external_id || null,
+            'שם איש קשר': enriched.contact_name || null,
+            'דוא"ל': enriched.email || customer.email || null,
+            'טלפון': enriched.phone || customer.phone || null,
+            'טלפון נייד': enriched.mobile_phone || null,
+            'יתרת חשבון': report175.account_balance ?? Number(customer.balance || 0),
+            'תקרת אשראי': report175.credit_limit ?? Number(customer.credit_limit || 0)
+        };
+
+        const [result184, result185] = await Promise.allSettled([
+            getCachedCustomerReport(report184CacheByCustomerId, customer, fetchReport184Payload),
+            getCachedCustomerReport(report185CacheByCustomerId, customer, fetchReport185Payload)
+        ]);
+        for (const [reportCode, result] of [['184', result184], ['185', result185]]) {
+            if (result.status === 'rejected') console.error(`Fetch report ${reportCode} error:`, result.reason);
+        }
+
+        res.json({
+            customer: {
+                id: customer.id,
+                external_id: customer.external_id || null,
+                account_key: customer.company || null,
+                name: customer.name || null
+            },
+            report184: getCustomerReportPayload(result184, '184', localBasicRow),
+            report185: getCustomerReportPayload(result185, '185', null)
+        });
+    } catch (error) {
+        console.error('Get basic reports error:', error);
+        res.status(error.status || 500).json({ error: error.message || 'Server error' });
+    }
+});
+
+// Report 180 dates arrive as dd/mm/yy, dd/mm/yyyy, dd.mm.yyyy or ISO - returns YYYY-MM-DD or null
+// YYYY-MM-DD when the parts form a real calendar day (no 2026-13-45 or 31/02)
+const toCalendarDate = (year, month, day) => {
+    const date = new Date(Date.UTC(Number(year), Number(month) - 1, Number(day)));
+    if (date.getUTCFullYear() !== Number(year) || date.getUTCMonth() !== Number(month) - 1 || date.getUTCDate() !== Number(day)) {
+        return null;
+    }
+    return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+};
 
-        const hydratedRows = pagedRows.map((row, idx) => {
-            const enriched = getEnrichmentForWorkRow(row);
-            return {
-                id: offset + idx + 1,
-                ...row,
-                account_name: enriched.account_name || row.account_name,
-                contact_name: enriched.contact_name,
-                email: enriched.email,
-                phone: enriched.phone,
-                mobile_phone: enriched.mobile_phone
-            };
+const parseLedgerDate = (value) => {
+    const text = String(value ?? '').trim();
+    const iso = /^(\d{4})-(\d{2})-(\d{2})/.exec(text);
+    if (iso) return toCalendarDate(iso[1], iso[2], iso[3]);
+
+    const local = /^(\d{1,2})[/.-](\d{1,2})[/.-](\d{2}|\d{4})$/.exec(text);
+    if (!local) return null;
+    const year = local[3].length === 2 ? `20${local[3]}` : local[3];
+    return toCalendarDate(year, local[2], local[1]);
+};
+
+// The full ledger per customer is kept for REPORT_180_CACHE_TTL_MS; filtering and paging run on the cached rows.
+// Every fresh fetch also reconciles the customer's open payment promises.
+const getReport180Rows = async (customer, { refresh = false } = {}) => {
+    const cached = refresh ? null : report180CacheByCustomerId.get(customer.id);
+    if (cached) return cached;
+
+    const payload180 = await fetchReport180Payload(customer);
+    const entry = {
+        rows: extractReport175Rows(payload180)
+            .filter((row) => row && typeof row === 'object')
+            .map(mapReport180Row)
+            .filter(Boolean),
+        fetchedAt: Date.now()
+    };
+    report180CacheByCustomerId.set(customer.id, entry);
+    if (payload180) {
+        await reconcileCustomerPromises(customer.id, entry.rows).catch((error) => {
+            console.error('Reconcile payment promises error:', error);
+        });
+    }
+    return entry;
+};
+
+// Get report 180 rows for one customer
+// Query: from/to (YYYY-MM-DD) on dateField (value_date | asmach_date), side (debit | credit), search (details),
+// page, limit, refresh=true to bypass the cache
+app.get('/api/customers/:id/report-180', auth, async (req, res) => {
+    try {
+        const [rows] = await pool.execute(`
+            SELECT c.*
+            FROM customers c
+            WHERE c.id = ?
+              AND ${getCustomerAccessCondition()}
+            LIMIT 1
+        `, [req.params.id, ...getCustomerAccessParams(req.userId)]);
+
+        if (rows.length === 0) return res.status(404).json({ error: 'Customer not found' });
+
+        const dateField = req.query.dateField === 'asmach_date' ? 'asmach_date' : 'value_date';
+        const from = parseLedgerDate(req.query.from);
+        const to = parseLedgerDate(req.query.to);
+        const side = ['debit', 'credit'].includes(req.query.side) ? req.query.side : null;
+        const search = normalizeTextSearch(req.query.search);
+        const page = Math.max(parseInt(req.query.page) || 1, 1);
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 500);
+
+        const customer = rows[0];
+        const { rows: ledgerRows, fetchedAt } = await getReport180Rows(customer, {
+            refresh: req.query.refresh === 'true'
         });
 
+        const filteredRows = ledgerRows.filter((row) => {
+            if (from || to) {
+                const date = parseLedgerDate(row[dateField]);
+                if (!date || (from && date < from) || (to && date > to)) return false;
+            }
+            if (side === 'debit' && !toReport175Number(row.debit_ils)) return false;
+            if (side === 'credit' && !toReport175Number(row.credit_ils)) return false;
+            if (search && !normalizeTextSearch(row.details).includes(search)) return false;
+            return true;
+        });
+
+        const debit = filteredRows.reduce((sum, row) => sum + toReport175Number(row.debit_ils), 0);
+        const credit = filteredRows.reduce((sum, row) => sum + toReport175Number(row.credit_ils), 0);
+
         res.json({
-            customers: hydratedRows,
+            customer: {
+                id: customer.id,
+                account_key: customer.company || null,
+                external_id: customer.external_id || null,
+                name: customer.name || null
+            },
+            rows: filteredRows.slice((page - 1) * limit, page * limit),
+            totals: {
+                debit,
+                credit,
+                net: debit - credit
+            },
             pagination: {
-                total: needsHandlingFilters ? filteredRowsWithHandling.length : balanceFilteredRows.length,
+                total: filteredRows.length,
                 page,
                 limit,
-                totalPages: Math.max(1, Math.ceil((needsHandlingFilters ? filteredRowsWithHandling.length : balanceFilteredRows.length) / limit))
+                totalPages: Math.ceil(filteredRows.length / limit)
             },
-            cache: {
-                syncedAt: report175CacheSyncedAt,
-                report198SyncedAt: report198CacheSyncedAt,
-                report176SyncedAt: report176CacheSyncedAt
-            }
+            fetchedAt: new Date(fetchedAt).toISOString()
         });
     } catch (error) {
-        console.error('Get report 175 error:', error);
+        console.error('Get report 180 error:', error);
         res.status(error.status || 500).json({ error: error.message || 'Server error' });
     }
 });
 
-app.get('/api/customers/sync/status', auth, async (req, res) => {
+// Balance snapshots recorded by report 175 syncs, oldest first
+app.get('/api/customers/:id/balance-history', auth, async (req, res) => {
     try {
-        res.json(getCustomersSyncStatusPayload());
+        const hasAccess = await canAccessCustomer(req.params.id, req.userId);
+        if (!hasAccess) return res.status(404).json({ error: 'Customer not found' });
+
+        const days = Math.min(Math.max(parseInt(req.query.days) || 180, 1), 3650);
+        const [history] = await pool.execute(`
+            SELECT
+                synced_at,
+                account_balance,
+                total_obligo,
+                credit_deviation,
+                obligo_deviation
+            FROM customer_balance_history
+            WHERE customer_id = ?
+              AND synced_at >= CURRENT_TIMESTAMP - INTERVAL ? DAY
+            ORDER BY synced_at ASC
+        `, [req.params.id, days]);
+
+        res.json({
+            history: history.map((point) => ({
+                synced_at: point.synced_at,
+                account_balance: Number(point.account_balance),
+                total_obligo: Number(point.total_obligo),
+                credit_deviation: Number(point.credit_deviation),
+                obligo_deviation: Number(point.obligo_deviation)
+            }))
+        });
     } catch (error) {
-        console.error('Get customers sync status error:', error);
+        console.error('Get balance history error:', error);
         res.status(500).json({ error: 'Server error' });
     }
 });
 
-// Sync customers (report 175 direct call)
-app.post('/api/customers/sync', auth, async (req, res) => {
+// Get groups for one customer
+app.get('/api/customers/:id/groups', auth, async (req, res) => {
     try {
-        if (customersSyncState.report175.status === 'running') {
-            return res.status(202).json({
-                message: 'Sync already in progress.',
-                ...getCustomersSyncStatusPayload()
-            });
-        }
+        const hasAccess = await canAccessCustomer(req.params.id, req.userId);
+        if (!hasAccess) return res.status(404).json({ error: 'Customer not found' });
 
-        setSyncState('report175', {
-            status: 'running',
-            startedAt: new Date().toISOString(),
-            finishedAt: null,
-            error: null
+        const [groups] = await pool.execute(`
+            SELECT g.*
+            FROM customers c
+            INNER JOIN \`groups\` g ON g.id = c.group_id
+            WHERE c.id = ?
+            ORDER BY g.name ASC
+        `, [req.params.id]);
+        res.json({ groups });
+    } catch (error) {
+        console.error('Get customer groups error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Assign customer to a group
+app.post('/api/customers/:id/groups', auth, requireRole('admin', 'supervisor'), async (req, res) => {
+    try {
+        const hasAccess = await canAccessCustomer(req.params.id, req.userId);
+        if (!hasAccess) return res.status(404).json({ error: 'Customer not found' });
+
+        const { group_id } = req.body;
+        if (!group_id) return res.status(400).json({ error: 'group_id is required' });
+
+        const [current] = await pool.execute('SELECT group_id FROM customers WHERE id = ?', [req.params.id]);
+        await pool.execute(
+            'UPDATE customers SET group_id = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+            [group_id, req.params.id]
+        );
+        await recordAudit(req, {
+            action: 'customer.group_assign',
+            entityType: 'customer',
+            entityId: req.params.id,
+            customerId: req.params.id,
+            before: { group_id: current[0]?.group_id ?? null },
+            after: { group_id: Number(group_id) }
         });
-        customersSyncState = {
-            ...customersSyncState,
-            lastTriggeredAt: new Date().toISOString()
-        };
 
-        const triggerUserId = req.userId;
+        res.json({ message: 'Customer assigned to group' });
+    } catch (error) {
+        console.error('Assign customer group error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
 
-        void (async () => {
-            try {
-                const payload175 = await fetchReport175Payload();
-                const rows175 = extractReport175Rows(payload175)
-                    .filter((row) => row && typeof row === 'object')
-                    .map(mapReport175Row);
-
-                const result175 = await upsertReport175Rows(rows175, triggerUserId);
-                setReport175Cache(rows175);
-
-                setSyncState('report175', {
-                    status: 'completed',
-                    finishedAt: new Date().toISOString(),
-                    error: null
-                });
+// ===== FOLLOW-UP TASKS =====
+
+// Every note and transfer schedules the next follow-up as an open task for the customer's handler.
+// Open tasks still on the customer are closed first, with the status and outcome the user picked.
+const FOLLOW_UP_STATUSES = ['open', 'done', 'cancelled', 'missed'];
+const FOLLOW_UP_CLOSED_STATUSES = ['done', 'cancelled', 'missed'];
+
+const followUpSelect = `
+    SELECT
+        t.id,
+        t.customer_id,
+        t.note_id,
+        t.due_date,
+        t.status,
+        t.outcome,
+        t.completed_at,
+        t.created_at,
+        assignee.id as assigned_to_id,
+        assignee.username as assigned_to_name,
+        creator.username as created_by_name,
+        completer.username as completed_by_name
+    FROM follow_up_tasks t
+    LEFT JOIN users assignee ON assignee.id = t.assigned_to
+    LEFT JOIN users creator ON creator.id = t.created_by
+    LEFT JOIN users completer ON completer.id = t.completed_by
+`;
 
-                runBackgroundSupplementalSync().catch((backgroundError) => {
-                    console.error('Background supplemental sync error:', backgroundError);
-                });
+const getFollowUpById = async (taskId, executor = pool) => {
+    const [rows] = await executor.execute(`${followUpSelect} WHERE t.id = ?`, [taskId]);
+    return rows[0] || null;
+};
 
-                console.log(`Sync completed: report175 received=${rows175.length}, upserted=${result175.synced}`);
-            } catch (error) {
-                setSyncState('report175', {
-                    status: 'failed',
-                    finishedAt: new Date().toISOString(),
-                    error: error?.message || 'Unknown error'
-                });
-                console.error('Sync customers error:', error);
+// Reads follow_up_status / follow_up_outcome from a note or transfer body
+const parseFollowUpResolution = (body, defaultStatus) => {
+    const status = body?.follow_up_status || defaultStatus;
+    if (!FOLLOW_UP_CLOSED_STATUSES.includes(status)) {
+        return { error: `follow_up_status must be one of ${FOLLOW_UP_CLOSED_STATUSES.join(', ')}` };
+    }
+    return { status, outcome: String(body?.follow_up_outcome || '').trim() || null };
+};
+
+const closeOpenFollowUps = async (customerId, { status, outcome, userId }, executor = pool) => {
+    const [result] = await executor.execute(`
+        UPDATE follow_up_tasks
+        SET status = ?, outcome = ?, completed_at = CURRENT_TIMESTAMP, completed_by = ?
+        WHERE customer_id = ?
+          AND status = 'open'
+    `, [status, outcome, userId, customerId]);
+    return result.affectedRows;
+};
+
+const createFollowUp = async ({ customerId, noteId, assignedTo, dueDate, createdBy }, executor = pool) => {
+    const [result] = await executor.execute(`
+        INSERT INTO follow_up_tasks (customer_id, note_id, assigned_to, due_date, created_by)
+        VALUES (?, ?, ?, ?, ?)
+    `, [customerId, noteId, assignedTo || null, dueDate, createdBy]);
+    return result.insertId;
+};
+
+// Get follow-up tasks for one customer, open ones first
+app.get('/api/customers/:id/follow-ups', auth, async (req, res) => {
+    try {
+        const hasAccess = await canAccessCustomer(req.params.id, req.userId);
+        if (!hasAccess) return res.status(404).json({ error: 'Customer not found' });
+
+        const [followUps] = await pool.execute(`
+            ${followUpSelect}
+            WHERE t.customer_id = ?
+            ORDER BY t.status = 'open' DESC, t.due_date DESC, t.id DESC
+        `, [req.params.id]);
+        res.json({ followUps });
+    } catch (error) {
+        console.error('Get follow-ups error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Complete, cancel, reopen or reschedule a follow-up. Reassigning needs full customer access.
+app.patch('/api/follow-ups/:id', auth, async (req, res) => {
+    let connection = null;
+    try {
+        const before = await getFollowUpById(req.params.id);
+        if (!before || !(await canAccessCustomer(before.customer_id, req.userId))) {
+            return res.status(404).json({ error: 'Follow-up not found' });
+        }
+
+        const { status, outcome, due_date, assigned_to } = req.body || {};
+        const updates = [];
+        const params = [];
+
+        if (status !== undefined) {
+            if (!FOLLOW_UP_STATUSES.includes(status)) {
+                return res.status(400).json({ error: `status must be one of ${FOLLOW_UP_STATUSES.join(', ')}` });
+            }
+            updates.push('status = ?');
+            params.push(status);
+            if (status === 'open') {
+                updates.push('completed_at = NULL', 'completed_by = NULL');
+            } else if (status !== before.status) {
+                updates.push('completed_at = CURRENT_TIMESTAMP', 'completed_by = ?');
+                params.push(req.userId);
             }
-        })();
+        }
+        if (outcome !== undefined) {
+            updates.push('outcome = ?');
+            params.push(String(outcome || '').trim() || null);
+        }
+        if (due_date !== undefined) {
+            const dueDate = parseLedgerDate(due_date);
+            if (!dueDate) return res.status(400).json({ error: 'due_date must be a date' });
+            updates.push('due_date = ?');
+            params.push(dueDate);
+        }
+        if (assigned_to !== undefined) {
+            if (!hasFullCustomerAccess(req.userRole)) {
+                return res.status(403).json({ error: 'Insufficient permissions' });
+            }
+            updates.push('assigned_to = ?');
+            params.push(parseOptionalInt(assigned_to));
+        }
+        if (updates.length === 0) {
+            return res.status(400).json({ error: 'Nothing to update' });
+        }
 
-        return res.status(202).json({
-            message: 'Sync started.',
-            ...getCustomersSyncStatusPayload()
+        connection = await pool.getConnection();
+        await connection.beginTransaction();
+
+        // A customer has at most one open follow-up, so a task is only reopened when no other one is open.
+        // The customer row is locked like in the notes route, which closes and opens tasks too.
+        if (status === 'open' && before.status !== 'open') {
+            await connection.execute('SELECT id FROM customers WHERE id = ? FOR UPDATE', [before.customer_id]);
+            const [openRows] = await connection.execute(`
+                SELECT id
+                FROM follow_up_tasks
+                WHERE customer_id = ?
+                  AND status = 'open'
+                  AND id <> ?
+                LIMIT 1
+            `, [before.customer_id, before.id]);
+            if (openRows.length) {
+                await connection.rollback();
+                return res.status(409).json({ error: 'Customer already has an open follow-up', followUpId: openRows[0].id });
+            }
+        }
+
+        await connection.execute(`UPDATE follow_up_tasks SET ${updates.join(', ')} WHERE id = ?`, [...params, before.id]);
+        await connection.commit();
+        const followUp = await getFollowUpById(before.id);
+        await recordAudit(req, {
+            action: 'follow_up.update',
+            entityType: 'follow_up',
+            entityId: before.id,
+            customerId: before.customer_id,
+            before: { status: before.status, outcome: before.outcome, due_date: before.due_date, assigned_to: before.assigned_to_id },
+            after: { status: followUp.status, outcome: followUp.outcome, due_date: followUp.due_date, assigned_to: followUp.assigned_to_id }
         });
+
+        res.json({ message: 'Follow-up updated', followUp });
     } catch (error) {
-        setSyncState('report175', {
-            status: 'failed',
-            finishedAt: new Date().toISOString(),
-            error: error?.message || 'Unknown error'
-        });
-        console.error('Sync customers error:', error);
-        res.status(error.status || 500).json({ error: error.message || 'Server error' });
+        await connection?.rollback();
+        console.error('Update follow-up error:', error);
+        res.status(500).json({ error: 'Server error' });
+    } finally {
+        connection?.release();
     }
 });
 
-// Get customer by ID
-app.get('/api/customers/:id', auth, async (req, res) => {
+// ===== PAYMENT PROMISES =====
+
+// A promise to pay is recorded with a note: the amount and the date the customer promised to pay by.
+// Each time report 180 is fetched for the customer, its credit movements are matched against the open
+// promises. A promise is kept once the amount was paid; when the promised date plus
+// PAYMENT_PROMISE_GRACE_DAYS passes first, it is partially kept or broken.
+const PROMISE_EDITABLE_STATUSES = ['open', 'cancelled'];
+
+const promiseSelect = `
+    SELECT
+        p.id,
+        p.customer_id,
+        p.note_id,
+        p.amount,
+        p.promised_date,
+        p.status,
+        p.paid_amount,
+        p.reconciled_at,
+        p.resolved_at,
+        p.created_at,
+        n.note,
+        creator.username as created_by_name
+    FROM payment_promises p
+    LEFT JOIN customer_notes n ON n.id = p.note_id
+    LEFT JOIN users creator ON creator.id = p.created_by
+`;
+
+// DECIMAL columns come back from mysql2 as strings
+const toPromiseResponse = (row) => row && {
+    ...row,
+    amount: Number(row.amount),
+    paid_amount: Number(row.paid_amount)
+};
+
+const getPromiseById = async (promiseId) => {
+    const [rows] = await pool.execute(`${promiseSelect} WHERE p.id = ?`, [promiseId]);
+    return toPromiseResponse(rows[0] || null);
+};
+
+const formatLocalDate = (date) =>
+    `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+
+const addDays = (date, days) => new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+// Reads promise_amount / promise_date from a note body; both empty means the note has no promise
+const parsePromiseFields = (body, { allowPastDate = false } = {}) => {
+    const amountText = String(body?.promise_amount ?? '').trim();
+    const dateText = String(body?.promise_date ?? '').trim();
+    if (!amountText && !dateText) return { promise: null };
+
+    const amount = Number(amountText);
+    if (!amountText || !Number.isFinite(amount) || amount <= 0) {
+        return { error: 'promise_amount must be a positive number' };
+    }
+    const promisedDate = parseLedgerDate(dateText);
+    if (!promisedDate) return { error: 'promise_date must be a date' };
+    if (!allowPastDate && promisedDate < formatLocalDate(new Date())) return { error: 'promise_date cannot be in the past' };
+
+    return { promise: { amount: roundAmount(amount), promisedDate } };
+};
+
+// Credits are handed out to the promises by promised date, so one payment never counts twice. Promises
+// that are already resolved take their share too, but only the open ones get a result back.
+const reconcilePaymentPromises = (promises, ledgerRows, { today = new Date(), graceDays = config.paymentPromises.graceDays } = {}) => {
+    const credits = ledgerRows
+        .map((row) => ({ date: parseLedgerDate(row.value_date), remaining: toReport175Number(row.credit_ils) }))
+        .filter((credit) => credit.date && credit.remaining > 0)
+        .sort((a, b) => a.date.localeCompare(b.date));
+    const todayDate = formatLocalDate(today);
+
+    return promises
+        .filter((promise) => promise.status !== 'cancelled')
+        .sort((a, b) => a.promised_date - b.promised_date || a.id - b.id)
+        .map((promise) => {
+            const amount = Number(promise.amount);
+            const from = formatLocalDate(promise.created_at);
+            const deadline = formatLocalDate(addDays(promise.promised_date, graceDays));
+            let paid = 0;
+
+            for (const credit of credits) {
+                if (paid >= amount) break;
+                if (credit.remaining <= 0 || credit.date < from || credit.date > deadline) continue;
+                const used = Math.min(credit.remaining, amount - paid);
+                credit.remaining -= used;
+                paid += used;
+            }
+
+            paid = roundAmount(paid);
+            let status = 'open';
+            if (paid >= amount) status = 'kept';
+            else if (todayDate > deadline) status = paid > 0 ? 'partial' : 'broken';
+            return { id: promise.id, wasOpen: promise.status === 'open', status, paid_amount: paid };
+        })
+        .filter((result) => result.wasOpen)
+        .map(({ wasOpen, ...result }) => result);
+};
+
+// Only call this with a ledger that was actually fetched: a missing report says nothing about payments
+const reconcileCustomerPromises = async (customerId, ledgerRows) => {
+    const [promises] = await pool.execute(`
+        SELECT id, amount, promised_date, status, created_at
+        FROM payment_promises
+        WHERE customer_id = ?
+          AND status <> 'cancelled'
+    `, [customerId]);
+    if (!promises.some((promise) => promise.status === 'open')) return [];
+
+    const results = reconcilePaymentPromises(promises, ledgerRows);
+    for (const result of results) {
+        await pool.execute(`
+            UPDATE payment_promises
+            SET status = ?,
+                paid_amount = ?,
+                reconciled_at = CURRENT_TIMESTAMP,
+                resolved_at = IF(? = 'open', NULL, CURRENT_TIMESTAMP)
+            WHERE id = ?
+              AND status = 'open'
+        `, [result.status, result.paid_amount, result.status, result.id]);
+    }
+    return results;
+};
+
+// Report 180 is only fetched per customer, so after each sync the customers with open promises get a
+// fresh ledger even when nobody opens them. One customer at a time, to go easy on the report API.
+let paymentPromisesReconcileRunning = false;
+
+const reconcileOpenPromises = async () => {
+    if (paymentPromisesReconcileRunning || !config.externalApi.report180Url) return { skipped: true };
+
+    paymentPromisesReconcileRunning = true;
     try {
-        const [rows] = await pool.execute(`
+        const [customers] = await pool.execute(`
             SELECT c.*
             FROM customers c
-            WHERE c.id = ?
-              AND ${getCustomerAccessCondition()}
-        `, [req.params.id, req.userId, req.userId]);
-        if (rows.length === 0) return res.status(404).json({ error: 'Customer not found' });
-
-        const customer = rows[0];
-        let report175 = report175CacheByExternalId.get(String(customer.external_id)) || null;
-        if (!report175) {
-            report175 = {
-                external_id: customer.external_id || null,
-                account_key: customer.company || null,
-                account_name: customer.name || null,
-                account_balance: 0,
-                open_delivery_notes_balance: 0,
-                total_obligo: 0
-            };
+            WHERE EXISTS (SELECT 1 FROM payment_promises p WHERE p.customer_id = c.id AND p.status = 'open')
+        `);
+        let failed = 0;
+        for (const customer of customers) {
+            try {
+                await getReport180Rows(customer, { refresh: true });
+            } catch (error) {
+                failed += 1;
+                console.error(`Reconcile payment promises for customer ${customer.id} error:`, error);
+            }
         }
+        return { customers: customers.length, failed };
+    } finally {
+        paymentPromisesReconcileRunning = false;
+    }
+};
 
-        const enriched = getEnrichmentForWorkRow(report175);
-
-        const [latestRows] = await pool.execute(`
-            SELECT
-                n.created_at as payment_start,
-                n.due_date as payment_target,
-                manager.username as managed_by_name,
-                g.name as group_name
-            FROM customers c
-            LEFT JOIN customer_notes n ON n.id = (
-                SELECT MAX(n2.id) FROM customer_notes n2 WHERE n2.customer_id = c.id
-            )
-            LEFT JOIN users manager ON manager.id = c.assigned_user_id
-            LEFT JOIN \`groups\` g ON g.id = c.group_id
-            WHERE c.id = ?
-            LIMIT 1
-        `, [req.params.id]);
+const createPaymentPromise = async ({ customerId, noteId, amount, promisedDate, createdBy }, executor = pool) => {
+    const [result] = await executor.execute(`
+        INSERT INTO payment_promises (customer_id, note_id, amount, promised_date, created_by)
+        VALUES (?, ?, ?, ?, ?)
+    `, [customerId, noteId, amount, promisedDate, createdBy]);
+    return result.insertId;
+};
 
-        const latest = latestRows[0] || null;
-        res.json({
-            customer: {
-                ...customer,
-                report175,
-                profile: {
-                    account_name: enriched.account_name || customer.name || null,
-                    contact_name: enriched.contact_name || null,
-                    email: enriched.email || customer.email || null,
-                    phone: enriched.mobile_phone || enriched.phone || customer.phone || null
-                },
-                payment_start: latest?.payment_start || null,
-                payment_target: latest?.payment_target || null,
-                managed_by_name: latest?.managed_by_name || null,
-                group_name: latest?.group_name || null
+// Get payment promises for one customer, open ones first
+app.get('/api/customers/:id/promises', auth, async (req, res) => {
+    try {
+        const hasAccess = await canAccessCustomer(req.params.id, req.userId);
+        if (!hasAccess) return res.status(404).json({ error: 'Customer not found' });
+
+        const [promises] = await pool.execute(`
+            ${promiseSelect}
+            WHERE p.customer_id = ?
+            ORDER BY p.status = 'open' DESC, p.promised_date DESC, p.id DESC
+        `, [req.params.id]);
+        res.json({ promises: promises.map(toPromiseResponse) });
+    } catch (error) {
+        console.error('Get promises error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Cancel or reopen a promise, or change the amount or date of an open one.
+// Kept, partial and broken are only set by the reconciliation.
+app.patch('/api/promises/:id', auth, async (req, res) => {
+    try {
+        const before = await getPromiseById(req.params.id);
+        if (!before || !(await canAccessCustomer(before.customer_id, req.userId))) {
+            return res.status(404).json({ error: 'Promise not found' });
+        }
+
+        const { status, amount, promised_date } = req.body || {};
+        const updates = [];
+        const params = [];
+
+        if (status !== undefined && status !== before.status) {
+            if (!PROMISE_EDITABLE_STATUSES.includes(status)) {
+                return res.status(400).json({ error: `status must be one of ${PROMISE_EDITABLE_STATUSES.join(', ')}` });
+            }
+            updates.push('status = ?', status === 'open' ? 'resolved_at = NULL' : 'resolved_at = CURRENT_TIMESTAMP');
+            params.push(status);
+        }
+        if (amount !== undefined || promised_date !== undefined) {
+            if ((status || before.status) !== 'open') {
+                return res.status(400).json({ error: 'Only open promises can be changed' });
             }
+            const parsed = parsePromiseFields({
+                promise_amount: amount ?? before.amount,
+                promise_date: promised_date ?? formatLocalDate(before.promised_date)
+            }, { allowPastDate: promised_date === undefined });
+            if (parsed.error) return res.status(400).json({ error: parsed.error });
+            updates.push('amount = ?', 'promised_date = ?');
+            params.push(parsed.promise.amount, parsed.promise.promisedDate);
+        }
+        if (updates.length === 0) {
+            return res.status(400).json({ error: 'Nothing to update' });
+        }
+
+        await pool.execute(`UPDATE payment_promises SET ${updates.join(', ')} WHERE id = ?`, [...params, before.id]);
+        const promise = await getPromiseById(before.id);
+        await recordAudit(req, {
+            action: 'promise.update',
+            entityType: 'promise',
+            entityId: before.id,
+            customerId: before.customer_id,
+            before: { status: before.status, amount: before.amount, promised_date: before.promised_date },
+            after: { status: promise.status, amount: promise.amount, promised_date: promise.promised_date }
         });
+
+        res.json({ message: 'Promise updated', promise });
     } catch (error) {
-        console.error('Get customer error:', error);
+        console.error('Update promise error:', error);
         res.status(500).json({ error: 'Server error' });
     }
 });
 
-// Get report 184/185 basic details for one customer
-app.get('/api/customers/:id/basic-reports', auth, async (req, res) => {
+// ===== WORKLIST =====
+
+// A collector's queue: overdue follow-ups first, then today's, then upcoming ones, then customers
+// with a balance that were never contacted. Customers whose follow-ups are all closed are not queued.
+const WORKLIST_BUCKETS = ['overdue', 'today', 'upcoming', 'never_contacted'];
+
+app.get('/api/worklist', auth, async (req, res) => {
     try {
+        const requestedUserId = parseOptionalInt(req.query.managedBy);
+        if (requestedUserId !== null && requestedUserId !== req.userId && !hasFullCustomerAccess(req.userRole)) {
+            return res.status(403).json({ error: 'Insufficient permissions' });
+        }
+        const userId = requestedUserId ?? req.userId;
+
         const [rows] = await pool.execute(`
-            SELECT c.*
+            SELECT
+                c.id as customer_id,
+                c.external_id,
+                c.name,
+                c.company,
+                next_follow_up.due_date as next_follow_up,
+                COALESCE(next_follow_up.open_count, 0) as open_follow_ups,
+                latest_note.created_at as last_contact_at,
+                latest_note.note as last_contact_note,
+                latest_note.action_type as last_contact_type,
+                author.username as last_contact_by,
+                CASE
+                    WHEN next_follow_up.due_date < CURDATE() THEN 'overdue'
+                    WHEN next_follow_up.due_date = CURDATE() THEN 'today'
+                    WHEN next_follow_up.due_date IS NOT NULL THEN 'upcoming'
+                    WHEN latest_note.id IS NULL THEN 'never_contacted'
+                END as bucket
             FROM customers c
-            WHERE c.id = ?
-              AND ${getCustomerAccessCondition()}
-            LIMIT 1
-        `, [req.params.id, req.userId, req.userId]);
-        if (rows.length === 0) return res.status(404).json({ error: 'Customer not found' });
-
-        const customer = rows[0];
-        const report175 = report175CacheByExternalId.get(String(customer.external_id)) || {
-            external_id: customer.external_id || null,
-            account_key: customer.company || null,
-            account_name: customer.name || null,
-            account_balance: Number(customer.balance || 0),
-            credit_limit: Number(customer.credit_limit || 0)
-        };
-        const enriched = getEnrichmentForWorkRow(report175);
+            LEFT JOIN customer_notes latest_note ON latest_note.id = (
+                SELECT MAX(n.id) FROM customer_notes n WHERE n.customer_id = c.id
+            )
+            LEFT JOIN users author ON author.id = latest_note.created_by
+            ${nextFollowUpJoin()}
+            WHERE c.assigned_user_id = ?
+        `, [userId]);
+
+        const report175ByExternalId = new Map(report175CacheRows.map((row) => [row.external_id, row]));
+
+        const items = rows
+            .filter((row) => row.bucket)
+            .map((row) => {
+                const report175 = report175ByExternalId.get(row.external_id) || null;
+                const enriched = report175 ? getEnrichmentForWorkRow(report175) : {};
+                return {
+                    customer_id: row.customer_id,
+                    account_key: report175?.account_key || row.company || null,
+                    account_name: enriched.account_name || report175?.account_name || row.name || null,
+                    contact_name: enriched.contact_name || null,
+                    phone: enriched.mobile_phone || enriched.phone || null,
+                    account_balance: report175 ? Number(report175.account_balance || 0) : null,
+                    bucket: row.bucket,
+                    next_follow_up: row.next_follow_up,
+                    open_follow_ups: Number(row.open_follow_ups),
+                    last_contact_at: row.last_contact_at,
+                    last_contact_note: row.last_contact_note,
+                    last_contact_type: row.last_contact_type,
+                    last_contact_by: row.last_contact_by
+                };
+            })
+            // Nothing to collect from a customer that was never contacted and has no balance
+            .filter((item) => item.bucket !== 'never_contacted' || Number(item.account_balance || 0) !== 0)
+            .sort((a, b) => {
+                const byBucket = WORKLIST_BUCKETS.indexOf(a.bucket) - WORKLIST_BUCKETS.indexOf(b.bucket);
+                if (byBucket !== 0) return byBucket;
+                const byDueDate = new Date(a.next_follow_up || 0) - new Date(b.next_follow_up || 0);
+                if (byDueDate !== 0) return byDueDate;
+                return Math.abs(b.account_balance || 0) - Math.abs(a.account_balance || 0);
+            });
 
-        const localBasicRow = {
-            'מפתח חשבון': report175.account_key || customer.company || null,
-            'שם חשבון': report175.account_name || customer.name || null,
-            'מספר כרטיס חשבון': report175.external_id || customer.external_id || null,
-            'שם איש קשר': enriched.contact_name || null,
-            'דוא"ל': enriched.email || customer.email || null,
-            'טלפון': enriched.phone || customer.phone || null,
-            'טלפון נייד': enriched.mobile_phone || null,
-            'יתרת חשבון': report175.account_balance ?? Number(customer.balance || 0),
-            'תקרת אשראי': report175.credit_limit ?? Number(customer.credit_limit || 0)
-        };
+        const counts = Object.fromEntries(WORKLIST_BUCKETS.map((bucket) => [bucket, 0]));
+        for (const item of items) counts[item.bucket] += 1;
 
         res.json({
-            customer: {
-                id: customer.id,
-                external_id: customer.external_id || null,
-                account_key: customer.company || null,
-                name: customer.name || null
-            },
-            report184: {
-                row: localBasicRow,
-                rowsCount: Object.values(localBasicRow).filter((value) => value !== null && value !== '').length
-            },
-            report185: {
-                row: null,
-                rowsCount: 0
+            items,
+            counts,
+            cache: {
+                syncedAt: report175CacheSyncedAt
             }
         });
     } catch (error) {
-        console.error('Get basic reports error:', error);
-        res.status(error.status || 500).json({ error: error.message || 'Server error' });
+        console.error('Get worklist error:', error);
+        res.status(500).json({ error: 'Server error' });
     }
 });
 
-// Get report 180 rows for one customer
-app.get('/api/customers/:id/report-180', auth, async (req, res) => {
-    try {
-        const [rows] = await pool.execute(`
-            SELECT c.*
-            FROM customers c
-            WHERE c.id = ?
-              AND ${getCustomerAccessCondition()}
-            LIMIT 1
-        `, [req.params.id, req.userId, req.userId]);
+// ===== OVERDUE FOLLOW-UPS =====
+
+// A customer is overdue when an open follow-up's due date has passed, i.e. nobody added a note by then.
+// A job recomputes the summary every OVERDUE_FOLLOW_UPS_INTERVAL_MS; the dashboard reads the last result.
+let overdueFollowUpsSnapshot = null;
+
+const summarizeOverdue = (customers, getKey, getName) => {
+    const summary = new Map();
+    for (const customer of customers) {
+        const key = getKey(customer) ?? null;
+        const entry = summary.get(key) || { id: key, name: getName(customer) || null, customers: 0, balance: 0, oldest_due_date: null, max_days_overdue: 0 };
+        entry.customers += 1;
+        entry.balance += Number(customer.account_balance || 0);
+        if (!entry.oldest_due_date || customer.due_date < entry.oldest_due_date) entry.oldest_due_date = customer.due_date;
+        entry.max_days_overdue = Math.max(entry.max_days_overdue, customer.days_overdue);
+        summary.set(key, entry);
+    }
+    return [...summary.values()].sort((a, b) => b.customers - a.customers || b.max_days_overdue - a.max_days_overdue);
+};
 
-        if (rows.length === 0) return res.status(404).json({ error: 'Customer not found' });
+const computeOverdueFollowUps = async () => {
+    const [rows] = await pool.execute(`
+        SELECT
+            c.id as customer_id,
+            c.external_id,
+            c.name,
+            c.company,
+            overdue.due_date,
+            overdue.task_count,
+            DATEDIFF(CURDATE(), overdue.due_date) as days_overdue,
+            c.assigned_user_id as managed_by_id,
+            COALESCE(manager.full_name, manager.username) as managed_by_name,
+            c.group_id,
+            g.name as group_name,
+            (SELECT MAX(n.created_at) FROM customer_notes n WHERE n.customer_id = c.id) as last_contact_at
+        FROM (
+            SELECT customer_id, MIN(due_date) as due_date, COUNT(*) as task_count
+            FROM follow_up_tasks
+            WHERE status = 'open'
+              AND due_date < CURDATE()
+            GROUP BY customer_id
+        ) overdue
+        INNER JOIN customers c ON c.id = overdue.customer_id
+        LEFT JOIN users manager ON manager.id = c.assigned_user_id
+        LEFT JOIN \`groups\` g ON g.id = c.group_id
+        ORDER BY overdue.due_date ASC, c.id ASC
+    `);
+
+    const report175ByExternalId = new Map(report175CacheRows.map((row) => [row.external_id, row]));
+    const customers = rows.map((row) => {
+        const report175 = report175ByExternalId.get(row.external_id) || null;
+        return {
+            customer_id: row.customer_id,
+            account_key: report175?.account_key || row.company || null,
+            account_name: report175?.account_name || row.name || null,
+            account_balance: report175 ? Number(report175.account_balance || 0) : null,
+            due_date: row.due_date,
+            days_overdue: Number(row.days_overdue),
+            open_follow_ups: Number(row.task_count),
+            managed_by_id: row.managed_by_id,
+            managed_by_name: row.managed_by_name,
+            group_id: row.group_id,
+            group_name: row.group_name,
+            last_contact_at: row.last_contact_at
+        };
+    });
 
-        const customer = rows[0];
-        const payload180 = await fetchReport180Payload(customer);
-        const rawRows = extractReport175Rows(payload180)
-            .filter((row) => row && typeof row === 'object');
+    overdueFollowUpsSnapshot = {
+        computedAt: new Date().toISOString(),
+        totals: {
+            customers: customers.length,
+            balance: customers.reduce((sum, customer) => sum + Number(customer.account_balance || 0), 0)
+        },
+        byManager: summarizeOverdue(customers, (customer) => customer.managed_by_id, (customer) => customer.managed_by_name),
+        byGroup: summarizeOverdue(customers, (customer) => customer.group_id, (customer) => customer.group_name),
+        customers
+    };
+    return overdueFollowUpsSnapshot;
+};
+
+const startOverdueFollowUpsJob = () => {
+    const run = () => computeOverdueFollowUps().catch((error) => {
+        console.error('Overdue follow-ups job error:', error);
+    });
+    void run();
+    if (config.overdueFollowUps.intervalMs > 0) {
+        setInterval(run, config.overdueFollowUps.intervalMs);
+    }
+};
 
-        const normalizedRows = rawRows.map(mapReport180Row).filter(Boolean);
+// Overdue counts per manager and group, and the overdue customers (filtered by managedBy / groupId / unassigned / ungrouped)
+app.get('/api/dashboard/overdue', auth, requireRole('admin', 'supervisor'), async (req, res) => {
+    try {
+        const refresh = String(req.query.refresh || '') === 'true';
+        const snapshot = refresh || !overdueFollowUpsSnapshot
+            ? await computeOverdueFollowUps()
+            : overdueFollowUpsSnapshot;
 
-        res.json({
-            customer: {
-                id: customer.id,
-                account_key: customer.company || null,
-                external_id: customer.external_id || null,
-                name: customer.name || null
-            },
-            rows: normalizedRows
+        const managedBy = parseOptionalInt(req.query.managedBy);
+        const groupId = parseOptionalInt(req.query.groupId);
+        const unassigned = String(req.query.unassigned || '') === 'true';
+        const ungrouped = String(req.query.ungrouped || '') === 'true';
+        const customers = snapshot.customers.filter((customer) => {
+            if (managedBy !== null && customer.managed_by_id !== managedBy) return false;
+            if (groupId !== null && customer.group_id !== groupId) return false;
+            if (unassigned && customer.managed_by_id !== null) return false;
+            if (ungrouped && customer.group_id !== null) return false;
+            return true;
         });
+
+        res.json({ ...snapshot, customers });
     } catch (error) {
-        console.error('Get report 180 error:', error);
-        res.status(error.status || 500).json({ error: error.message || 'Server error' });
+        console.error('Get overdue dashboard error:', error);
+        res.status(500).json({ error: 'Server error' });
     }
 });
 
-// Get groups for one customer
-app.get('/api/customers/:id/groups', auth, async (req, res) => {
+// ===== EMAIL DIGEST =====
+
+// Once a day, at each user's digest_send_time, active users with an email and the digest enabled get their
+// follow-ups due today, their overdue ones and the customers transferred to them since the last digest.
+// The job is off unless SMTP_HOST is set. Digests with nothing in them are skipped but still count as sent.
+// A failed send is retried after DIGEST_RETRY_BASE_MINUTES, doubling each time, up to DIGEST_MAX_ATTEMPTS a day.
+let mailTransport = null;
+let digestJobRunning = false;
+
+const getMailTransport = () => {
+    if (!config.smtp.host) return null;
+    if (!mailTransport) {
+        mailTransport = nodemailer.createTransport({
+            host: config.smtp.host,
+            port: config.smtp.port,
+            secure: config.smtp.secure,
+            auth: config.smtp.user ? { user: config.smtp.user, pass: config.smtp.password } : undefined
+        });
+    }
+    return mailTransport;
+};
+
+const escapeHtml = (value) => String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+const formatDigestDate = (value) => (value ? new Date(value).toLocaleDateString('he-IL') : '');
+
+// Builds the subject, text and HTML of one user's digest. Items are
+// { customer_id, account_name, account_key, account_balance, due_date, days_overdue, transferred_by }.
+const buildDigestEmail = ({ user, dueToday, overdue, transferred, appUrl }) => {
+    const customerUrl = (item) => `${appUrl.replace(/\/$/, '')}/customers/${item.customer_id}`;
+    const describe = (item) => [
+        item.account_name || `#${item.customer_id}`,
+        item.account_key ? `(${item.account_key})` : null,
+        item.account_balance !== null && item.account_balance !== undefined
+            ? `יתרה ${Number(item.account_balance).toFixed(2)}`
+            : null
+    ].filter(Boolean).join(' ');
+
+    const sections = [
+        {
+            title: 'מעקבים באיחור',
+            items: overdue,
+            detail: (item) => `מעקב מ-${formatDigestDate(item.due_date)}, ${item.days_overdue} ימי איחור`
+        },
+        { title: 'מעקבים להיום', items: dueToday, detail: () => null },
+        {
+            title: 'לקוחות שהועברו אליך',
+            items: transferred,
+            detail: (item) => (item.transferred_by ? `הועבר על ידי ${item.transferred_by}` : null)
+        }
+    ].filter((section) => section.items.length > 0);
+
+    const subject = `סיכום יומי: ${overdue.length} באיחור, ${dueToday.length} להיום, ${transferred.length} הועברו אליך`;
+    const greeting = `שלום ${user.full_name || user.username},`;
+
+    const text = [
+        greeting,
+        '',
+        ...sections.flatMap((section) => [
+            `${section.title} (${section.items.length}):`,
+            ...section.items.map((item) => {
+                const detail = section.detail(item);
+                return `- ${describe(item)}${detail ? ` - ${detail}` : ''}: ${customerUrl(item)}`;
+            }),
+            ''
+        ])
+    ].join('\n');
+
+    const html = `<div dir="rtl" style="font-family: Arial, sans-serif; text-align: right">
+<p>${escapeHtml(greeting)}</p>
+${sections.map((section) => `<h3>${escapeHtml(section.title)} (${section.items.length})</h3>
+<ul>
+${section.items.map((item) => {
+        const detail = section.detail(item);
+        return `<li><a href="${escapeHtml(customerUrl(item))}">${escapeHtml(describe(item))}</a>${detail ? ` - ${escapeHtml(detail)}` : ''}</li>`;
+    }).join('\n')}
+</ul>`).join('\n')}
+</div>`;
+
+    return { subject, text, html };
+};
+
+const getDigestItems = async (user) => {
+    const [followUps] = await pool.execute(`
+        SELECT
+            t.customer_id,
+            t.due_date,
+            DATEDIFF(CURDATE(), t.due_date) as days_overdue,
+            c.external_id,
+            c.name,
+            c.company
+        FROM follow_up_tasks t
+        INNER JOIN customers c ON c.id = t.customer_id
+        WHERE t.assigned_to = ?
+          AND t.status = 'open'
+          AND t.due_date <= CURDATE()
+        ORDER BY t.due_date ASC, t.id ASC
+    `, [user.id]);
+
+    // The latest transfer note to this user since the last digest (or the last day), for customers still assigned to them
+    const [transfers] = await pool.execute(`
+        SELECT
+            n.customer_id,
+            n.created_at as transferred_at,
+            author.username as transferred_by,
+            c.external_id,
+            c.name,
+            c.company
+        FROM (
+            SELECT customer_id, MAX(id) as latest_id
+            FROM customer_notes
+            WHERE action_type = 'transfer'
+              AND managed_by = ?
+              AND created_at > COALESCE(?, CURRENT_TIMESTAMP - INTERVAL 1 DAY)
+            GROUP BY customer_id
+        ) latest
+        INNER JOIN customer_notes n ON n.id = latest.latest_id
+        INNER JOIN customers c ON c.id = n.customer_id
+        LEFT JOIN users author ON author.id = n.created_by
+        WHERE c.assigned_user_id = ?
+        ORDER BY n.created_at ASC, n.id ASC
+    `, [user.id, user.digest_last_sent_at || null, user.id]);
+
+    const report175ByExternalId = new Map(report175CacheRows.map((row) => [row.external_id, row]));
+    const toItem = (row) => {
+        const report175 = report175ByExternalId.get(row.external_id) || null;
+        return {
+            customer_id: row.customer_id,
+            account_name: report175?.account_name || row.name || null,
+            account_key: report175?.account_key || row.company || null,
+            account_balance: report175 ? Number(report175.account_balance || 0) : null,
+            due_date: row.due_date || null,
+            days_overdue: Number(row.days_overdue || 0),
+            transferred_by: row.transferred_by || null
+        };
+    };
+
+    const items = followUps.map(toItem);
+    return {
+        overdue: items.filter((item) => item.days_overdue > 0),
+        dueToday: items.filter((item) => item.days_overdue === 0),
+        transferred: transfers.map(toItem)
+    };
+};
+
+// Sends one user's digest. Empty digests are skipped unless `force` is set.
+const sendDigest = async (user, { force = false } = {}) => {
+    const transport = getMailTransport();
+    if (!transport) throw new Error('SMTP is not configured');
+
+    const items = await getDigestItems(user);
+    const counts = {
+        overdue: items.overdue.length,
+        dueToday: items.dueToday.length,
+        transferred: items.transferred.length
+    };
+    if (!force && counts.overdue + counts.dueToday + counts.transferred === 0) {
+        return { sent: false, counts };
+    }
+
+    const { subject, text, html } = buildDigestEmail({ user, ...items, appUrl: config.digest.appUrl });
+    await transport.sendMail({ from: config.smtp.from, to: user.email, subject, text, html });
+    return { sent: true, counts };
+};
+
+const runDueDigests = async () => {
+    if (digestJobRunning) return;
+    digestJobRunning = true;
     try {
-        const hasAccess = await canAccessCustomer(req.params.id, req.userId);
-        if (!hasAccess) return res.status(404).json({ error: 'Customer not found' });
+        const [users] = await pool.execute(`
+            SELECT id, username, full_name, email, digest_last_sent_at
+            FROM users
+            WHERE is_active = 1
+              AND digest_enabled = 1
+              AND email IS NOT NULL
+              AND email <> ''
+              AND digest_send_time <= CURTIME()
+              AND (digest_last_sent_at IS NULL OR DATE(digest_last_sent_at) < CURDATE())
+              AND (
+                  digest_failed_attempts = 0
+                  OR DATE(digest_last_attempt_at) < CURDATE()
+                  OR (
+                      digest_failed_attempts < ?
+                      AND digest_last_attempt_at <= CURRENT_TIMESTAMP - INTERVAL (? << (digest_failed_attempts - 1)) MINUTE
+                  )
+              )
+        `, [config.digest.maxAttempts, config.digest.retryBaseMinutes]);
+
+        for (const user of users) {
+            try {
+                const { sent, counts } = await sendDigest(user);
+                await pool.execute(`
+                    UPDATE users
+                    SET digest_last_sent_at = CURRENT_TIMESTAMP, digest_last_attempt_at = CURRENT_TIMESTAMP, digest_failed_attempts = 0
+                    WHERE id = ?
+                `, [user.id]);
+                if (sent) {
+                    console.log(`Digest sent to ${user.username} (${counts.overdue} overdue, ${counts.dueToday} today, ${counts.transferred} transferred)`);
+                }
+            } catch (error) {
+                // Attempts from an earlier day don't count; the assignments run left to right
+                await pool.execute(`
+                    UPDATE users
+                    SET digest_failed_attempts = IF(DATE(digest_last_attempt_at) = CURDATE(), digest_failed_attempts + 1, 1),
+                        digest_last_attempt_at = CURRENT_TIMESTAMP
+                    WHERE id = ?
+                `, [user.id]).catch((updateError) => {
+                    console.error(`Record digest attempt for ${user.username} error:`, updateError);
+                });
+                console.error(`Digest for ${user.username} failed:`, error.message);
+            }
+        }
+    } finally {
+        digestJobRunning = false;
+    }
+};
 
-        const [groups] = await pool.execute(`
-            SELECT g.*
-            FROM customers c
-            INNER JOIN \`groups\` g ON g.id = c.group_id
-            WHERE c.id = ?
-            ORDER BY g.name ASC
-        `, [req.params.id]);
-        res.json({ groups });
+const startDigestJob = () => {
+    if (!config.digest.enabled || !config.smtp.host) {
+        console.log('Email digest is off (set SMTP_HOST to enable it)');
+        return;
+    }
+    setInterval(() => {
+        runDueDigests().catch((error) => {
+            console.error('Digest job error:', error);
+        });
+    }, config.digest.checkIntervalMs);
+};
+
+const formatDigestSettings = (user) => ({
+    email: user.email,
+    digest_enabled: Boolean(user.digest_enabled),
+    digest_send_time: String(user.digest_send_time || '').slice(0, 5),
+    digest_last_sent_at: user.digest_last_sent_at,
+    smtp_configured: Boolean(config.smtp.host)
+});
+
+const getDigestUser = async (userId) => {
+    const [users] = await pool.execute(`
+        SELECT id, username, full_name, email, digest_enabled, digest_send_time, digest_last_sent_at
+        FROM users
+        WHERE id = ?
+    `, [userId]);
+    return users[0] || null;
+};
+
+// Own digest settings
+app.get('/api/me/digest', auth, async (req, res) => {
+    try {
+        const user = await getDigestUser(req.userId);
+        if (!user) return res.status(404).json({ error: 'User not found' });
+        res.json({ digest: formatDigestSettings(user) });
     } catch (error) {
-        console.error('Get customer groups error:', error);
+        console.error('Get digest settings error:', error);
         res.status(500).json({ error: 'Server error' });
     }
 });
 
-// Assign customer to a group
-app.post('/api/customers/:id/groups', auth, async (req, res) => {
+// Update own digest settings: { email, digest_enabled, digest_send_time (HH:MM) }
+app.put('/api/me/digest', auth, async (req, res) => {
     try {
-        const hasAccess = await canAccessCustomer(req.params.id, req.userId);
-        if (!hasAccess) return res.status(404).json({ error: 'Customer not found' });
+        const existing = await getDigestUser(req.userId);
+        if (!existing) return res.status(404).json({ error: 'User not found' });
 
-        const { group_id } = req.body;
-        if (!group_id) return res.status(400).json({ error: 'group_id is required' });
+        const { email, error: emailError } = req.body.email === undefined
+            ? { email: existing.email }
+            : parseEmail(req.body.email);
+        if (emailError) return res.status(400).json({ error: emailError });
+
+        if (req.body.digest_enabled !== undefined && typeof req.body.digest_enabled !== 'boolean') {
+            return res.status(400).json({ error: 'digest_enabled must be a boolean' });
+        }
+        const enabled = req.body.digest_enabled ?? Boolean(existing.digest_enabled);
+
+        const sendTime = req.body.digest_send_time === undefined
+            ? String(existing.digest_send_time).slice(0, 5)
+            : String(req.body.digest_send_time || '').trim();
+        if (!/^([01]\d|2[0-3]):[0-5]\d$/.test(sendTime)) {
+            return res.status(400).json({ error: 'digest_send_time must be HH:MM' });
+        }
 
         await pool.execute(
-            'UPDATE customers SET group_id = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
-            [group_id, req.params.id]
+            'UPDATE users SET email = ?, digest_enabled = ?, digest_send_time = ? WHERE id = ?',
+            [email, enabled ? 1 : 0, `${sendTime}:00`, req.userId]
         );
+        const user = await getDigestUser(req.userId);
+        await recordAudit(req, {
+            action: 'user.digest_update',
+            entityType: 'user',
+            entityId: req.userId,
+            before: formatDigestSettings(existing),
+            after: formatDigestSettings(user)
+        });
 
-        res.json({ message: 'Customer assigned to group' });
+        res.json({ message: 'Digest settings updated', digest: formatDigestSettings(user) });
     } catch (error) {
-        console.error('Assign customer group error:', error);
+        console.error('Update digest settings error:', error);
         res.status(500).json({ error: 'Server error' });
     }
 });
 
+// Send the digest to yourself now, even when it is empty. Does not affect the daily one.
+app.post('/api/me/digest/send', auth, async (req, res) => {
+    try {
+        if (!config.smtp.host) return res.status(503).json({ error: 'Email is not configured on the server' });
+
+        const user = await getDigestUser(req.userId);
+        if (!user) return res.status(404).json({ error: 'User not found' });
+        if (!user.email) return res.status(400).json({ error: 'Set an email address first' });
+
+        const { counts } = await sendDigest(user, { force: true });
+        res.json({ message: 'Digest sent', counts });
+    } catch (error) {
+        console.error('Send digest error:', error);
+        res.status(500).json({ error: 'Sending the email failed' });
+    }
+});
+
 // Get notes for one customer
 app.get('/api/customers/:id/notes', auth, async (req, res) => {
     try {
@@ -1419,8 +4344,23 @@ app.get('/api/customers/:id/notes', auth, async (req, res) => {
     }
 });
 
-// Add note for one customer
+// A customer can only be handed to an active user (offboarding deactivates users) and an existing group.
+// Checked before the transaction, so an unknown id is a 400 and not a foreign key error.
+const getTransferTargetError = async ({ managedBy, groupId }) => {
+    if (managedBy !== undefined) {
+        const [users] = await pool.execute('SELECT id FROM users WHERE id = ? AND is_active = 1', [parseOptionalInt(managedBy)]);
+        if (users.length === 0) return 'managed_by must be an active user';
+    }
+    if (groupId !== undefined) {
+        const [groups] = await pool.execute('SELECT id FROM `groups` WHERE id = ?', [parseOptionalInt(groupId)]);
+        if (groups.length === 0) return 'group_id must be an existing group';
+    }
+    return null;
+};
+
+// Add note for one customer. The note, the customer's handler, the follow-ups and the promise change together or not at all.
 app.post('/api/customers/:id/notes', auth, async (req, res) => {
+    let connection = null;
     try {
         const hasAccess = await canAccessCustomer(req.params.id, req.userId);
         if (!hasAccess) return res.status(404).json({ error: 'Customer not found' });
@@ -1428,33 +4368,59 @@ app.post('/api/customers/:id/notes', auth, async (req, res) => {
         const { note, due_date, managed_by, group_id } = req.body;
         if (!note || !note.trim()) return res.status(400).json({ error: 'note is required' });
         if (!due_date) return res.status(400).json({ error: 'due_date is required' });
+        // A new note means the customer was handled, so open follow-ups count as done unless told otherwise
+        const resolution = parseFollowUpResolution(req.body, 'done');
+        if (resolution.error) return res.status(400).json({ error: resolution.error });
+        const { promise, error: promiseError } = parsePromiseFields(req.body);
+        if (promiseError) return res.status(400).json({ error: promiseError });
+        const managedProvided = managed_by !== undefined && managed_by !== null && managed_by !== '';
+        const groupProvided = group_id !== undefined && group_id !== null && group_id !== '';
+        const targetError = await getTransferTargetError({
+            managedBy: managedProvided ? managed_by : undefined,
+            groupId: groupProvided ? group_id : undefined
+        });
+        if (targetError) return res.status(400).json({ error: targetError });
+
+        connection = await pool.getConnection();
+        await connection.beginTransaction();
 
-        const [customerRows] = await pool.execute(`
+        const [customerRows] = await connection.execute(`
             SELECT assigned_user_id, group_id
             FROM customers
             WHERE id = ?
+            FOR UPDATE
         `, [req.params.id]);
         const customer = customerRows[0] || null;
-        const managedProvided = managed_by !== undefined && managed_by !== null && managed_by !== '';
-        const groupProvided = group_id !== undefined && group_id !== null && group_id !== '';
         const currentManagerId = customer?.assigned_user_id || req.userId;
         const currentGroupId = customer?.group_id || null;
         const managerId = managedProvided ? Number(managed_by) : currentManagerId;
         const groupId = groupProvided ? Number(group_id) : currentGroupId;
         const actionType = (managerId !== currentManagerId || groupId !== currentGroupId) ? 'transfer' : 'note';
+        if (actionType === 'transfer' && !hasFullCustomerAccess(req.userRole)) {
+            await connection.rollback();
+            return res.status(403).json({ error: 'Insufficient permissions' });
+        }
 
-        const [result] = await pool.execute(
+        const [result] = await connection.execute(
             `INSERT INTO customer_notes (customer_id, note, due_date, created_by, managed_by, group_id, action_type)
              VALUES (?, ?, ?, ?, ?, ?, ?)`,
             [req.params.id, note.trim(), due_date, req.userId, managerId, groupId, actionType]
         );
 
-        await pool.execute(
+        await connection.execute(
             'UPDATE customers SET assigned_user_id = ?, group_id = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
             [managerId, groupId, req.params.id]
         );
-
-        const [rows] = await pool.execute(`
+        const closedFollowUps = await closeOpenFollowUps(req.params.id, { ...resolution, userId: req.userId }, connection);
+        const followUpId = await createFollowUp({
+            customerId: req.params.id,
+            noteId: result.insertId,
+            assignedTo: managerId,
+            dueDate: due_date,
+            createdBy: req.userId
+        }, connection);
+
+        const [rows] = await connection.execute(`
             SELECT
                 n.id,
                 n.note,
@@ -1473,11 +4439,41 @@ app.post('/api/customers/:id/notes', auth, async (req, res) => {
             LEFT JOIN \`groups\` g ON g.id = n.group_id
             WHERE n.id = ?
         `, [result.insertId]);
-
-        res.status(201).json({ message: 'Note added', note: rows[0] });
+        await recordAudit(req, {
+            action: actionType === 'transfer' ? 'transfer.create' : 'note.create',
+            entityType: 'note',
+            entityId: result.insertId,
+            customerId: req.params.id,
+            before: actionType === 'transfer' ? { assigned_user_id: currentManagerId, group_id: currentGroupId } : null,
+            after: { note: rows[0].note, due_date: rows[0].due_date, assigned_user_id: managerId, group_id: groupId }
+        }, connection);
+        const promiseId = promise
+            ? await createPaymentPromise({ customerId: req.params.id, noteId: result.insertId, ...promise, createdBy: req.userId }, connection)
+            : null;
+        if (promiseId) {
+            await recordAudit(req, {
+                action: 'promise.create',
+                entityType: 'promise',
+                entityId: promiseId,
+                customerId: req.params.id,
+                after: { amount: promise.amount, promised_date: promise.promisedDate, note_id: result.insertId }
+            }, connection);
+        }
+        await connection.commit();
+
+        res.status(201).json({
+            message: 'Note added',
+            note: rows[0],
+            followUp: await getFollowUpById(followUpId),
+            closedFollowUps,
+            promise: promiseId ? await getPromiseById(promiseId) : null
+        });
     } catch (error) {
+        await connection?.rollback();
         console.error('Add customer note error:', error);
         res.status(500).json({ error: 'Server error' });
+    } finally {
+        connection?.release();
     }
 });
 
@@ -1514,8 +4510,9 @@ app.get('/api/customers/:id/transfers', auth, async (req, res) => {
     }
 });
 
-// Transfer customer to manager/group
-app.post('/api/customers/:id/transfers', auth, async (req, res) => {
+// Transfer customer to manager/group, in one transaction with the follow-ups
+app.post('/api/customers/:id/transfers', auth, requireRole('admin', 'supervisor'), async (req, res) => {
+    let connection = null;
     try {
         const hasAccess = await canAccessCustomer(req.params.id, req.userId);
         if (!hasAccess) return res.status(404).json({ error: 'Customer not found' });
@@ -1524,20 +4521,40 @@ app.post('/api/customers/:id/transfers', auth, async (req, res) => {
         if (!due_date) return res.status(400).json({ error: 'due_date is required' });
         if (!managed_by) return res.status(400).json({ error: 'managed_by is required' });
         if (!group_id) return res.status(400).json({ error: 'group_id is required' });
+        // The previous handler's follow-ups are dropped; the new handler gets a fresh one
+        const resolution = parseFollowUpResolution(req.body, 'cancelled');
+        if (resolution.error) return res.status(400).json({ error: resolution.error });
+        const targetError = await getTransferTargetError({ managedBy: managed_by, groupId: group_id });
+        if (targetError) return res.status(400).json({ error: targetError });
 
         const text = (note || '').trim();
-        const [result] = await pool.execute(
+        connection = await pool.getConnection();
+        await connection.beginTransaction();
+
+        const [current] = await connection.execute(
+            'SELECT assigned_user_id, group_id FROM customers WHERE id = ? FOR UPDATE',
+            [req.params.id]
+        );
+        const [result] = await connection.execute(
             `INSERT INTO customer_notes (customer_id, note, due_date, created_by, managed_by, group_id, action_type)
              VALUES (?, ?, ?, ?, ?, ?, 'transfer')`,
             [req.params.id, text || 'Transfer to handling', due_date, req.userId, managed_by, group_id]
         );
 
-        await pool.execute(
+        await connection.execute(
             'UPDATE customers SET assigned_user_id = ?, group_id = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
             [managed_by, group_id, req.params.id]
         );
-
-        const [rows] = await pool.execute(`
+        const closedFollowUps = await closeOpenFollowUps(req.params.id, { ...resolution, userId: req.userId }, connection);
+        const followUpId = await createFollowUp({
+            customerId: req.params.id,
+            noteId: result.insertId,
+            assignedTo: managed_by,
+            dueDate: due_date,
+            createdBy: req.userId
+        }, connection);
+
+        const [rows] = await connection.execute(`
             SELECT
                 n.id,
                 n.note,
@@ -1555,16 +4572,33 @@ app.post('/api/customers/:id/transfers', auth, async (req, res) => {
             LEFT JOIN \`groups\` g ON g.id = n.group_id
             WHERE n.id = ?
         `, [result.insertId]);
-
-        res.status(201).json({ message: 'Customer transferred', transfer: rows[0] });
+        await recordAudit(req, {
+            action: 'transfer.create',
+            entityType: 'note',
+            entityId: result.insertId,
+            customerId: req.params.id,
+            before: current[0] || null,
+            after: { note: rows[0].note, due_date: rows[0].due_date, assigned_user_id: Number(managed_by), group_id: Number(group_id) }
+        }, connection);
+        await connection.commit();
+
+        res.status(201).json({
+            message: 'Customer transferred',
+            transfer: rows[0],
+            followUp: await getFollowUpById(followUpId),
+            closedFollowUps
+        });
     } catch (error) {
+        await connection?.rollback();
         console.error('Transfer customer error:', error);
         res.status(500).json({ error: 'Server error' });
+    } finally {
+        connection?.release();
     }
 });
 
 // Create customer
-app.post('/api/customers', auth, async (req, res) => {
+app.post('/api/customers', auth, requireRole('admin', 'supervisor'), async (req, res) => {
     try {
         const { name, email, phone, company, notes, assigned_user_id, group_id, status, priority } = req.body;
         if (!name) return res.status(400).json({ error: 'Name is required' });
@@ -1589,6 +4623,13 @@ app.post('/api/customers', auth, async (req, res) => {
         );
 
         const [customer] = await pool.execute('SELECT * FROM customers WHERE id = ?', [result.insertId]);
+        await recordAudit(req, {
+            action: 'customer.create',
+            entityType: 'customer',
+            entityId: result.insertId,
+            customerId: result.insertId,
+            after: getAuditableCustomer(customer[0])
+        });
         res.status(201).json({ message: 'Customer created', customer: customer[0] });
     } catch (error) {
         console.error('Create customer error:', error);
@@ -1597,12 +4638,13 @@ app.post('/api/customers', auth, async (req, res) => {
 });
 
 // Update customer
-app.put('/api/customers/:id', auth, async (req, res) => {
+app.put('/api/customers/:id', auth, requireRole('admin', 'supervisor'), async (req, res) => {
     try {
         const hasAccess = await canAccessCustomer(req.params.id, req.userId);
         if (!hasAccess) return res.status(404).json({ error: 'Customer not found' });
 
         const { name, email, phone, company, notes, assigned_user_id, group_id, status, priority } = req.body;
+        const [existing] = await pool.execute('SELECT * FROM customers WHERE id = ?', [req.params.id]);
         await pool.execute(
             `UPDATE customers
              SET name = ?,
@@ -1632,6 +4674,14 @@ app.put('/api/customers/:id', auth, async (req, res) => {
             ]
         );
         const [customer] = await pool.execute('SELECT * FROM customers WHERE id = ?', [req.params.id]);
+        await recordAudit(req, {
+            action: 'customer.update',
+            entityType: 'customer',
+            entityId: req.params.id,
+            customerId: req.params.id,
+            before: getAuditableCustomer(existing[0]),
+            after: getAuditableCustomer(customer[0])
+        });
         res.json({ message: 'Customer updated', customer: customer[0] });
     } catch (error) {
         console.error('Update customer error:', error);
@@ -1640,12 +4690,20 @@ app.put('/api/customers/:id', auth, async (req, res) => {
 });
 
 // Delete customer
-app.delete('/api/customers/:id', auth, async (req, res) => {
+app.delete('/api/customers/:id', auth, requireRole('admin'), async (req, res) => {
     try {
         const hasAccess = await canAccessCustomer(req.params.id, req.userId);
         if (!hasAccess) return res.status(404).json({ error: 'Customer not found' });
 
+        const [existing] = await pool.execute('SELECT * FROM customers WHERE id = ?', [req.params.id]);
         await pool.execute('DELETE FROM customers WHERE id = ?', [req.params.id]);
+        await recordAudit(req, {
+            action: 'customer.delete',
+            entityType: 'customer',
+            entityId: req.params.id,
+            customerId: req.params.id,
+            before: getAuditableCustomer(existing[0])
+        });
         res.json({ message: 'Customer deleted' });
     } catch (error) {
         console.error('Delete customer error:', error);
@@ -1667,7 +4725,7 @@ app.get('/api/groups', auth, async (req, res) => {
 });
 
 // Create group
-app.post('/api/groups', auth, async (req, res) => {
+app.post('/api/groups', auth, requireRole('admin', 'supervisor'), async (req, res) => {
     try {
         const { name, color } = req.body;
         if (!name) return res.status(400).json({ error: 'Name is required' });
@@ -1677,6 +4735,7 @@ app.post('/api/groups', auth, async (req, res) => {
             [name, color || '#3498db']
         );
         const [group] = await pool.execute('SELECT * FROM `groups` WHERE id = ?', [result.insertId]);
+        await recordAudit(req, { action: 'group.create', entityType: 'group', entityId: result.insertId, after: group[0] });
         res.status(201).json({ message: 'Group created', group: group[0] });
     } catch (error) {
         console.error('Create group error:', error);
@@ -1685,9 +4744,13 @@ app.post('/api/groups', auth, async (req, res) => {
 });
 
 // Delete group
-app.delete('/api/groups/:id', auth, async (req, res) => {
+app.delete('/api/groups/:id', auth, requireRole('admin', 'supervisor'), async (req, res) => {
     try {
+        const [groups] = await pool.execute('SELECT * FROM `groups` WHERE id = ?', [req.params.id]);
+        if (groups.length === 0) return res.status(404).json({ error: 'Group not found' });
+
         await pool.execute('DELETE FROM `groups` WHERE id = ?', [req.params.id]);
+        await recordAudit(req, { action: 'group.delete', entityType: 'group', entityId: req.params.id, before: groups[0] });
         res.json({ message: 'Group deleted' });
     } catch (error) {
         console.error('Delete group error:', error);
@@ -1696,16 +4759,27 @@ app.delete('/api/groups/:id', auth, async (req, res) => {
 });
 
 // Add customers to group
-app.post('/api/groups/:id/customers', auth, async (req, res) => {
+app.post('/api/groups/:id/customers', auth, requireRole('admin', 'supervisor'), async (req, res) => {
     try {
         const { customer_ids } = req.body;
         if (!Array.isArray(customer_ids)) return res.status(400).json({ error: 'customer_ids array required' });
 
         for (const cid of customer_ids) {
+            const [current] = await pool.execute('SELECT group_id FROM customers WHERE id = ?', [cid]);
+            if (current.length === 0) continue;
+
             await pool.execute(
                 'UPDATE customers SET group_id = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
                 [req.params.id, cid]
             );
+            await recordAudit(req, {
+                action: 'customer.group_assign',
+                entityType: 'customer',
+                entityId: cid,
+                customerId: cid,
+                before: { group_id: current[0].group_id },
+                after: { group_id: Number(req.params.id) }
+            });
         }
         res.json({ message: 'Customers added to group' });
     } catch (error) {
@@ -1722,7 +4796,7 @@ app.get('/api/groups/:id/customers', auth, async (req, res) => {
             WHERE c.group_id = ?
               AND ${getCustomerAccessCondition()}
             ORDER BY c.name ASC
-        `, [req.params.id, req.userId, req.userId]);
+        `, [req.params.id, ...getCustomerAccessParams(req.userId)]);
         res.json({ customers });
     } catch (error) {
         console.error('Get group customers error:', error);
@@ -1730,10 +4804,102 @@ app.get('/api/groups/:id/customers', auth, async (req, res) => {
     }
 });
 
+// ===== SYNC SCHEDULE =====
+
+// Report 175 runs either at fixed local times on the configured weekdays
+// (REPORT_175_SYNC_TIMES, e.g. "07:00,13:00") or every REPORT_175_SYNC_INTERVAL_MS.
+// Fixed times win when both are set.
+let report175NextSyncAt = null;
+
+const parseSyncTime = (value) => {
+    const match = /^(\d{1,2}):(\d{2})$/.exec(String(value).trim());
+    if (!match) return null;
+
+    const hours = Number(match[1]);
+    const minutes = Number(match[2]);
+    if (hours > 23 || minutes > 59) return null;
+    return { hours, minutes };
+};
+
+// "0-4" or "0,1,2,3,4" - 0 is Sunday
+const parseSyncDays = (value) => {
+    const days = new Set();
+    for (const part of String(value).split(',').map((item) => item.trim()).filter(Boolean)) {
+        const [from, to = from] = part.split('-').map(Number);
+        for (let day = from; day <= to; day++) {
+            if (Number.isInteger(day) && day >= 0 && day <= 6) days.add(day);
+        }
+    }
+    return days;
+};
+
+const getReport175ScheduleMode = () => {
+    if (config.sync.report175Times.some((time) => parseSyncTime(time))) return 'times';
+    if (config.sync.report175IntervalMs > 0) return 'interval';
+    return 'off';
+};
+
+const getNextReport175SyncAt = (from = new Date()) => {
+    const mode = getReport175ScheduleMode();
+    if (mode === 'interval') return new Date(from.getTime() + config.sync.report175IntervalMs);
+    if (mode !== 'times') return null;
+
+    const times = config.sync.report175Times.map(parseSyncTime).filter(Boolean);
+    const days = parseSyncDays(config.sync.report175Days);
+
+    for (let dayOffset = 0; dayOffset <= 7; dayOffset++) {
+        const day = new Date(from);
+        day.setDate(from.getDate() + dayOffset);
+        if (!days.has(day.getDay())) continue;
+
+        const candidates = times
+            .map(({ hours, minutes }) => {
+                const candidate = new Date(day);
+                candidate.setHours(hours, minutes, 0, 0);
+                return candidate;
+            })
+            .filter((candidate) => candidate > from)
+            .sort((a, b) => a - b);
+        if (candidates.length) return candidates[0];
+    }
+    return null;
+};
+
+// setTimeout fires at once for delays above 2^31-1 ms (about 24.8 days), so longer
+// waits are split into chained timers that all aim at the same target time.
+const MAX_TIMEOUT_MS = 2 ** 31 - 1;
+
+const setTimeoutAt = (target, callback) => {
+    const delay = target.getTime() - Date.now();
+    if (delay > MAX_TIMEOUT_MS) {
+        setTimeout(() => setTimeoutAt(target, callback), MAX_TIMEOUT_MS);
+        return;
+    }
+    setTimeout(callback, Math.max(delay, 0));
+};
+
+// The next run is planned before the current one starts, so a slow sync makes the
+// following tick find report 175 still running and skip it.
+const scheduleReport175Sync = () => {
+    const nextAt = getNextReport175SyncAt();
+    report175NextSyncAt = nextAt ? nextAt.toISOString() : null;
+    if (!nextAt) return;
+
+    setTimeoutAt(nextAt, () => {
+        scheduleReport175Sync();
+
+        if (customersSyncState.report175.status === 'running') {
+            console.log('Scheduled report 175 sync skipped: a sync is already in progress');
+            return;
+        }
+        void runReport175Sync({ trigger: 'schedule' });
+    });
+};
+
 const startCustomersBackgroundSync = () => {
     if (!config.sync.autoStart) return;
 
-    runBackgroundSupplementalSync().catch((error) => {
+    runBackgroundSupplementalSync({ trigger: 'startup' }).catch((error) => {
         console.error('Initial background supplemental sync error:', error);
     });
 
@@ -1742,14 +4908,55 @@ const startCustomersBackgroundSync = () => {
             console.error('Scheduled background supplemental sync error:', error);
         });
     }, config.sync.backgroundIntervalMs);
+
+    scheduleReport175Sync();
+    if (report175NextSyncAt) {
+        console.log(`Report 175 sync scheduled (${getReport175ScheduleMode()}), next run at ${report175NextSyncAt}`);
+    }
 };
 
-// Start
-app.listen(config.port, () => {
-    console.log(`\n✅ Auth service running on http://localhost:${config.port}`);
-    console.log(`   Health: http://localhost:${config.port}/health\n`);
-});
+// The pure helpers and the app are exported for the tests, which import this file without starting it
+export {
+    app,
+    pool,
+    mapReport175Row,
+    rowMatchesSearch,
+    pickReportRowForCustomer,
+    extractReportRowsByPredicate,
+    buildDigestEmail,
+    reconcilePaymentPromises,
+    createCustomerReportCache,
+    parseLedgerDate,
+    getLoginDelayMs,
+    validateReportDateRange,
+    mergeReportDateRange,
+    buildWindowedResult,
+    parseFollowUpResolution,
+    parsePromiseFields,
+    runReportMappingTest
+};
+
+// Start only when run directly (npm start / npm run dev)
+const isMainModule = process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url);
+
+if (isMainModule) {
+    app.listen(config.port, () => {
+        console.log(`\n✅ Auth service running on http://localhost:${config.port}`);
+        console.log(`   Health: http://localhost:${config.port}/health\n`);
+    });
+
+    // Restore the report caches first so the background sync sees their real age and the
+    // overdue summary has the report 175 balances
+    Promise.all([loadReportSnapshots(), failInterruptedSyncRuns()])
+        .catch((error) => {
+            console.error('Restore sync state error:', error);
+        })
+        .finally(() => {
+            startCustomersBackgroundSync();
+            startOverdueFollowUpsJob();
+        });
 
-startCustomersBackgroundSync();
+    startDigestJob();
+}
 
 
@@ -0,0 +1,118 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startTestEnvironment, TEST_PASSWORD } from './helpers.js';
+
+const env = await startTestEnvironment();
+
+describe('auth routes', { skip: !env && 'MySQL is not reachable and SKIP_DB_TESTS=1 is set' }, () => {
+    before(async () => {
+        await env.createUser('auth-admin', 'admin');
+        await env.createUser('auth-collector', 'collector');
+    });
+
+    after(() => env.stop());
+
+    it('logs in with valid credentials', async () => {
+        const { status, body } = await env.request('POST', '/api/login', {
+            body: { username: 'auth-admin', password: TEST_PASSWORD }
+        });
+
+        assert.equal(status, 200);
+        assert.ok(body.token);
+        assert.ok(body.refreshToken);
+        assert.equal(body.user.username, 'auth-admin');
+        assert.equal(body.user.role, 'admin');
+    });
+
+    it('rejects a wrong password and an unknown user', async () => {
+        const wrongPassword = await env.request('POST', '/api/login', {
+            body: { username: 'auth-collector', password: 'wrong' }
+        });
+        const unknownUser = await env.request('POST', '/api/login', {
+            body: { username: 'nobody', password: TEST_PASSWORD }
+        });
+
+        assert.equal(wrongPassword.status, 401);
+        assert.equal(unknownUser.status, 401);
+    });
+
+    it('locks out a username without blocking other users on the same IP', async () => {
+        await env.createUser('auth-typo');
+        let last;
+        for (let attempt = 0; attempt < 6; attempt += 1) {
+            last = await env.request('POST', '/api/login', { body: { username: 'auth-typo', password: 'wrong' } });
+        }
+        const otherUser = await env.request('POST', '/api/login', {
+            body: { username: 'auth-admin', password: TEST_PASSWORD }
+        });
+
+        assert.equal(last.status, 429);
+        assert.equal(last.body.code, 'LOGIN_LOCKED');
+        assert.equal(otherUser.status, 200);
+    });
+
+    it('requires a username and password', async () => {
+        const { status } = await env.request('POST', '/api/login', { body: { username: 'auth-admin' } });
+        assert.equal(status, 400);
+    });
+
+    it('protects routes with the access token', async () => {
+        const { token } = await env.login('auth-admin');
+
+        const withoutToken = await env.request('GET', '/api/me');
+        const withBadToken = await env.request('GET', '/api/me', { token: 'not-a-token' });
+        const withToken = await env.request('GET', '/api/me', { token });
+
+        assert.equal(withoutToken.status, 401);
+        assert.equal(withBadToken.status, 401);
+        assert.equal(withToken.status, 200);
+        assert.equal(withToken.body.user.username, 'auth-admin');
+    });
+
+    it('rotates the refresh token and refuses the used one', async () => {
+        const { refreshToken } = await env.login('auth-admin');
+
+        const refreshed = await env.request('POST', '/api/token/refresh', { body: { refreshToken } });
+        assert.equal(refreshed.status, 200);
+        assert.ok(refreshed.body.token);
+        assert.notEqual(refreshed.body.refreshToken, refreshToken);
+
+        const reused = await env.request('POST', '/api/token/refresh', { body: { refreshToken } });
+        assert.equal(reused.status, 401);
+    });
+
+    it('revokes the session on logout', async () => {
+        const { token } = await env.login('auth-collector');
+
+        const logout = await env.request('POST', '/api/logout', { token });
+        const afterLogout = await env.request('GET', '/api/me', { token });
+
+        assert.equal(logout.status, 200);
+        assert.equal(afterLogout.status, 401);
+    });
+
+    it('stores the digest preferences with the user', async () => {
+        const { token } = await env.login('auth-collector');
+
+        const updated = await env.request('PUT', '/api/me/digest', {
+            token,
+            body: { email: 'collector@example.com', digest_enabled: false, digest_send_time: '06:30' }
+        });
+        const badTime = await env.request('PUT', '/api/me/digest', { token, body: { digest_send_time: '25:00' } });
+        const badEmail = await env.request('PUT', '/api/me/digest', { token, body: { email: 'not-an-email' } });
+        const { body } = await env.request('GET', '/api/me/digest', { token });
+
+        assert.equal(updated.status, 200);
+        assert.equal(badTime.status, 400);
+        assert.equal(badEmail.status, 400);
+        assert.equal(body.digest.email, 'collector@example.com');
+        assert.equal(body.digest.digest_enabled, false);
+        assert.equal(body.digest.digest_send_time, '06:30');
+    });
+
+    it('keeps admin routes from other roles', async () => {
+        const { token } = await env.login('auth-collector');
+        const { status } = await env.request('GET', '/api/login-lockouts', { token });
+        assert.equal(status, 403);
+    });
+});
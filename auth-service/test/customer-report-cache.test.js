@@ -0,0 +1,31 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createCustomerReportCache } from '../server.js';
+
+const entry = (fetchedAt = Date.now()) => ({ rows: [], fetchedAt });
+
+describe('createCustomerReportCache', () => {
+    it('returns fresh entries by customer id and drops expired ones when read', () => {
+        const cache = createCustomerReportCache({ ttlMs: 60000, maxEntries: 10 });
+        const fresh = entry();
+        cache.set(1, fresh);
+        cache.set('2', entry(Date.now() - 60000));
+
+        assert.equal(cache.get('1'), fresh);
+        assert.equal(cache.get(2), null);
+        assert.equal(cache.size, 1);
+    });
+
+    it('drops the least recently used customer once full', () => {
+        const cache = createCustomerReportCache({ ttlMs: 60000, maxEntries: 2 });
+        cache.set(1, entry());
+        cache.set(2, entry());
+        cache.get(1);
+        cache.set(3, entry());
+
+        assert.equal(cache.size, 2);
+        assert.equal(cache.get(2), null);
+        assert.ok(cache.get(1));
+        assert.ok(cache.get(3));
+    });
+});
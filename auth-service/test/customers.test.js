@@ -0,0 +1,378 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startTestEnvironment } from './helpers.js';
+
+const env = await startTestEnvironment();
+
+describe('customer routes', { skip: !env && 'MySQL is not reachable and SKIP_DB_TESTS=1 is set' }, () => {
+    let adminId;
+    let adminToken;
+    let collectorToken;
+    let collectorId;
+    let customerId;
+    let groupId;
+
+    before(async () => {
+        adminId = await env.createUser('customers-admin', 'admin');
+        collectorId = await env.createUser('customers-collector', 'collector');
+        adminToken = (await env.login('customers-admin')).token;
+        collectorToken = (await env.login('customers-collector')).token;
+        await env.syncReports(adminToken);
+    });
+
+    after(() => env.stop());
+
+    describe('report 175', () => {
+        it('lists the synced customers with a balance', async () => {
+            const { status, body } = await env.request('GET', '/api/customers/reports/175', { token: adminToken });
+
+            assert.equal(status, 200);
+            assert.deepEqual(body.customers.map((row) => row.external_id).sort(), ['2001', '2002']);
+            assert.equal(body.pagination.total, 2);
+            assert.ok(body.cache.syncedAt);
+
+            const first = body.customers.find((row) => row.external_id === '2001');
+            assert.equal(first.account_key, 'T-2001');
+            assert.equal(first.account_balance, 1500);
+            assert.ok(first.customer_id);
+            customerId = first.customer_id;
+        });
+
+        it('keeps the customers and the list as they were on a windowed pull', async () => {
+            const before = await env.request('GET', '/api/customers/sync/status', { token: adminToken });
+            const started = await env.request('POST', '/api/customers/sync', { token: adminToken, body: { dateTo: '2021-01-31' } });
+            assert.equal(started.status, 202);
+
+            let run;
+            for (let attempt = 0; attempt < 100 && !run; attempt += 1) {
+                const { body } = await env.request('GET', '/api/customers/sync/runs?reportCode=175', { token: adminToken });
+                run = body.runs.find((candidate) => candidate.has_result);
+                if (!run) await new Promise((resolve) => setTimeout(resolve, 100));
+            }
+
+            assert.ok(run);
+            assert.equal(run.rows_upserted, 0);
+            const { status, body: pull } = await env.request('GET', `/api/customers/sync/runs/${run.id}/result`, { token: adminToken });
+            assert.equal(status, 200);
+            assert.deepEqual(pull.dateRange, { dateFrom: before.body.dateRanges['175'].dateFrom, dateTo: '31/01/2021' });
+            assert.equal(pull.totals.customers, 3);
+            assert.equal(pull.totals.account_balance, 1179.6);
+            assert.equal(pull.rows.length, 3);
+            assert.equal(pull.rows[0].raw_payload, undefined);
+            const after = await env.request('GET', '/api/customers/sync/status', { token: adminToken });
+            assert.equal(after.body.caches.report175SyncedAt, before.body.caches.report175SyncedAt);
+        });
+
+        it('lists zero-balance customers on request', async () => {
+            const { body } = await env.request('GET', '/api/customers/reports/175?balanceMode=balance_zero', { token: adminToken });
+            assert.deepEqual(body.customers.map((row) => row.external_id), ['2003']);
+        });
+
+        it('enriches rows with contacts from reports 198 and 176', async () => {
+            const { body } = await env.request('GET', '/api/customers/reports/175', { token: adminToken });
+            const byId = Object.fromEntries(body.customers.map((row) => [row.external_id, row]));
+
+            assert.equal(byId['2001'].email, 'first@example.com');
+            assert.equal(byId['2002'].contact_name, 'דנה לוי');
+            assert.equal(byId['2002'].mobile_phone, '050-7772002');
+        });
+
+        it('searches by name, enriched email and phone digits', async () => {
+            const search = async (text) => {
+                const { body } = await env.request('GET', `/api/customers/reports/175?search=${encodeURIComponent(text)}`, { token: adminToken });
+                return body.customers.map((row) => row.external_id);
+            };
+
+            assert.deepEqual(await search('שני'), ['2002']);
+            assert.deepEqual(await search('FIRST@example'), ['2001']);
+            assert.deepEqual(await search('0507772002'), ['2002']);
+            assert.deepEqual(await search('no such customer'), []);
+        });
+
+        it('paginates', async () => {
+            const { body } = await env.request('GET', '/api/customers/reports/175?limit=1&page=2', { token: adminToken });
+
+            assert.equal(body.customers.length, 1);
+            assert.equal(body.pagination.totalPages, 2);
+        });
+
+        it('only shows collectors the customers they handle', async () => {
+            const { body } = await env.request('GET', '/api/customers/reports/175', { token: collectorToken });
+            assert.deepEqual(body.customers, []);
+        });
+    });
+
+    describe('notes', () => {
+        it('adds a note and lists it', async () => {
+            const created = await env.request('POST', `/api/customers/${customerId}/notes`, {
+                token: adminToken,
+                body: { note: '  התקשרתי, יחזרו מחר  ', due_date: '2026-01-15' }
+            });
+
+            assert.equal(created.status, 201);
+            assert.equal(created.body.note.note, 'התקשרתי, יחזרו מחר');
+            assert.equal(created.body.note.action_type, 'note');
+
+            const { body } = await env.request('GET', `/api/customers/${customerId}/notes`, { token: adminToken });
+            assert.deepEqual(body.notes.map((note) => note.id), [created.body.note.id]);
+        });
+
+        it('validates the note and due date', async () => {
+            const withoutNote = await env.request('POST', `/api/customers/${customerId}/notes`, {
+                token: adminToken,
+                body: { note: ' ', due_date: '2026-01-15' }
+            });
+            const withoutDueDate = await env.request('POST', `/api/customers/${customerId}/notes`, {
+                token: adminToken,
+                body: { note: 'text' }
+            });
+
+            assert.equal(withoutNote.status, 400);
+            assert.equal(withoutDueDate.status, 400);
+        });
+
+        it('hides customers the collector does not handle', async () => {
+            const { status } = await env.request('GET', `/api/customers/${customerId}/notes`, { token: collectorToken });
+            assert.equal(status, 404);
+        });
+    });
+
+    describe('transfers', () => {
+        before(async () => {
+            const { body } = await env.request('POST', '/api/groups', { token: adminToken, body: { name: 'Test group' } });
+            groupId = body.group.id;
+        });
+
+        it('transfers a customer to a collector and group', async () => {
+            const created = await env.request('POST', `/api/customers/${customerId}/transfers`, {
+                token: adminToken,
+                body: { due_date: '2026-02-01', managed_by: collectorId, group_id: groupId }
+            });
+
+            assert.equal(created.status, 201);
+            assert.equal(created.body.transfer.managed_by_id, collectorId);
+            assert.equal(created.body.transfer.group_id, groupId);
+            assert.equal(created.body.transfer.note, 'Transfer to handling');
+
+            const { body } = await env.request('GET', `/api/customers/${customerId}/transfers`, { token: adminToken });
+            assert.deepEqual(body.transfers.map((transfer) => transfer.id), [created.body.transfer.id]);
+        });
+
+        it('gives the new handler access to the customer', async () => {
+            const notes = await env.request('GET', `/api/customers/${customerId}/notes`, { token: collectorToken });
+            const report = await env.request('GET', '/api/customers/reports/175', { token: collectorToken });
+
+            assert.equal(notes.status, 200);
+            assert.deepEqual(report.body.customers.map((row) => row.customer_id), [customerId]);
+        });
+
+        it('requires the handler and group', async () => {
+            const { status } = await env.request('POST', `/api/customers/${customerId}/transfers`, {
+                token: adminToken,
+                body: { due_date: '2026-02-01', group_id: groupId }
+            });
+            assert.equal(status, 400);
+        });
+
+        it('refuses a deactivated handler and an unknown group', async () => {
+            const formerId = await env.createUser('customers-former', 'collector');
+            await env.request('PUT', `/api/users/${formerId}/active`, { token: adminToken, body: { is_active: false } });
+
+            const toFormer = await env.request('POST', `/api/customers/${customerId}/transfers`, {
+                token: adminToken,
+                body: { due_date: '2026-02-01', managed_by: formerId, group_id: groupId }
+            });
+            const toUnknownGroup = await env.request('POST', `/api/customers/${customerId}/transfers`, {
+                token: adminToken,
+                body: { due_date: '2026-02-01', managed_by: collectorId, group_id: 999999 }
+            });
+            const noteToFormer = await env.request('POST', `/api/customers/${customerId}/notes`, {
+                token: adminToken,
+                body: { note: 'Passing on', due_date: '2026-02-01', managed_by: formerId }
+            });
+
+            assert.equal(toFormer.status, 400);
+            assert.equal(toUnknownGroup.status, 400);
+            assert.equal(noteToFormer.status, 400);
+        });
+
+        it('does not let collectors transfer', async () => {
+            const transfer = await env.request('POST', `/api/customers/${customerId}/transfers`, {
+                token: collectorToken,
+                body: { due_date: '2026-02-01', managed_by: collectorId, group_id: groupId }
+            });
+            const noteTransfer = await env.request('POST', `/api/customers/${customerId}/notes`, {
+                token: collectorToken,
+                body: { note: 'Passing on', due_date: '2026-02-01', managed_by: adminId }
+            });
+
+            assert.equal(transfer.status, 403);
+            assert.equal(noteTransfer.status, 403);
+        });
+    });
+
+    describe('follow-ups', () => {
+        it('closes the open follow-up and schedules the next one with each note', async () => {
+            const created = await env.request('POST', `/api/customers/${customerId}/notes`, {
+                token: adminToken,
+                body: { note: 'לא ענו', due_date: '2026-02-10', follow_up_status: 'missed', follow_up_outcome: 'No answer' }
+            });
+
+            assert.equal(created.status, 201);
+            assert.equal(created.body.closedFollowUps, 1);
+            assert.equal(created.body.followUp.status, 'open');
+            assert.equal(created.body.followUp.assigned_to_id, collectorId);
+
+            const { body } = await env.request('GET', `/api/customers/${customerId}/follow-ups`, { token: adminToken });
+            const open = body.followUps.filter((task) => task.status === 'open');
+            const missed = body.followUps.find((task) => task.status === 'missed');
+
+            assert.deepEqual(open.map((task) => task.id), [created.body.followUp.id]);
+            assert.equal(missed.outcome, 'No answer');
+        });
+
+        it('rejects an unknown resolution status', async () => {
+            const { status } = await env.request('POST', `/api/customers/${customerId}/notes`, {
+                token: adminToken,
+                body: { note: 'text', due_date: '2026-02-10', follow_up_status: 'open' }
+            });
+            assert.equal(status, 400);
+        });
+
+        it('lets the handler complete a follow-up but not reassign it', async () => {
+            const { body } = await env.request('GET', `/api/customers/${customerId}/follow-ups`, { token: collectorToken });
+            const task = body.followUps.find((item) => item.status === 'open');
+
+            const completed = await env.request('PATCH', `/api/follow-ups/${task.id}`, {
+                token: collectorToken,
+                body: { status: 'done', outcome: 'Paid in full' }
+            });
+            const reassigned = await env.request('PATCH', `/api/follow-ups/${task.id}`, {
+                token: collectorToken,
+                body: { assigned_to: adminId }
+            });
+
+            assert.equal(completed.status, 200);
+            assert.equal(completed.body.followUp.status, 'done');
+            assert.ok(completed.body.followUp.completed_at);
+            assert.equal(reassigned.status, 403);
+        });
+
+        it('rejects an invalid due date and reopening while another follow-up is open', async () => {
+            const { body: before } = await env.request('GET', `/api/customers/${customerId}/follow-ups`, { token: adminToken });
+            const done = before.followUps.find((item) => item.status === 'done');
+            await env.request('POST', `/api/customers/${customerId}/notes`, {
+                token: adminToken,
+                body: { note: 'Call again', due_date: '2026-03-01' }
+            });
+            const { body } = await env.request('GET', `/api/customers/${customerId}/follow-ups`, { token: adminToken });
+            const open = body.followUps.find((item) => item.status === 'open');
+
+            for (const dueDate of ['tomorrow', '2026-13-45', '31/02/2026']) {
+                const { status } = await env.request('PATCH', `/api/follow-ups/${open.id}`, { token: adminToken, body: { due_date: dueDate } });
+                assert.equal(status, 400);
+            }
+            const reopened = await env.request('PATCH', `/api/follow-ups/${done.id}`, { token: adminToken, body: { status: 'open' } });
+            assert.equal(reopened.status, 409);
+            assert.equal(reopened.body.followUpId, open.id);
+        });
+    });
+
+    describe('payment promises', () => {
+        it('records a promise with the note and counts it on the customer', async () => {
+            const created = await env.request('POST', `/api/customers/${customerId}/notes`, {
+                token: adminToken,
+                body: { note: 'הבטיח לשלם', due_date: '2099-01-10', promise_amount: '1500', promise_date: '2099-01-05' }
+            });
+
+            assert.equal(created.status, 201);
+            assert.equal(created.body.promise.amount, 1500);
+            assert.equal(created.body.promise.status, 'open');
+            assert.equal(created.body.promise.note_id, created.body.note.id);
+
+            const { body } = await env.request('GET', `/api/customers/${customerId}`, { token: adminToken });
+            assert.equal(body.customer.open_promises, 1);
+        });
+
+        it('rejects a promise without an amount or dated in the past', async () => {
+            const noAmount = await env.request('POST', `/api/customers/${customerId}/notes`, {
+                token: adminToken,
+                body: { note: 'text', due_date: '2099-01-10', promise_date: '2099-01-05' }
+            });
+            const past = await env.request('POST', `/api/customers/${customerId}/notes`, {
+                token: adminToken,
+                body: { note: 'text', due_date: '2099-01-10', promise_amount: 100, promise_date: '2020-01-01' }
+            });
+
+            assert.equal(noAmount.status, 400);
+            assert.equal(past.status, 400);
+        });
+
+        it('lets the handler cancel a promise but not mark it kept', async () => {
+            const { body } = await env.request('GET', `/api/customers/${customerId}/promises`, { token: collectorToken });
+            const open = body.promises.find((item) => item.status === 'open');
+
+            const kept = await env.request('PATCH', `/api/promises/${open.id}`, {
+                token: collectorToken,
+                body: { status: 'kept' }
+            });
+            const cancelled = await env.request('PATCH', `/api/promises/${open.id}`, {
+                token: collectorToken,
+                body: { status: 'cancelled' }
+            });
+
+            assert.equal(kept.status, 400);
+            assert.equal(cancelled.status, 200);
+            assert.equal(cancelled.body.promise.status, 'cancelled');
+            assert.ok(cancelled.body.promise.resolved_at);
+        });
+    });
+
+    describe('worklist', () => {
+        it('queues the handler\'s customers with overdue follow-ups first', async () => {
+            await env.request('POST', `/api/customers/${customerId}/notes`, {
+                token: collectorToken,
+                body: { note: 'Promised to call back', due_date: '2020-01-01' }
+            });
+
+            const { status, body } = await env.request('GET', '/api/worklist', { token: collectorToken });
+
+            assert.equal(status, 200);
+            assert.deepEqual(body.items.map((item) => item.customer_id), [customerId]);
+            assert.equal(body.items[0].bucket, 'overdue');
+            assert.equal(body.items[0].account_balance, 1500);
+            assert.equal(body.items[0].last_contact_note, 'Promised to call back');
+            assert.equal(body.counts.overdue, 1);
+        });
+
+        it('only lets admins and supervisors open another user\'s queue', async () => {
+            const asCollector = await env.request('GET', `/api/worklist?managedBy=${adminId}`, { token: collectorToken });
+            const asAdmin = await env.request('GET', `/api/worklist?managedBy=${collectorId}`, { token: adminToken });
+
+            assert.equal(asCollector.status, 403);
+            assert.deepEqual(asAdmin.body.items.map((item) => item.customer_id), [customerId]);
+        });
+    });
+
+    describe('overdue dashboard', () => {
+        it('counts overdue follow-ups per manager and group', async () => {
+            const { status, body } = await env.request('GET', '/api/dashboard/overdue?refresh=true', { token: adminToken });
+
+            assert.equal(status, 200);
+            assert.equal(body.totals.customers, 1);
+            assert.deepEqual(body.byManager.map((row) => [row.id, row.customers]), [[collectorId, 1]]);
+            assert.deepEqual(body.byGroup.map((row) => [row.id, row.customers]), [[groupId, 1]]);
+            assert.equal(body.customers[0].customer_id, customerId);
+            assert.ok(body.customers[0].days_overdue > 0);
+        });
+
+        it('filters the customer list and is closed to collectors', async () => {
+            const filtered = await env.request('GET', `/api/dashboard/overdue?managedBy=${adminId}`, { token: adminToken });
+            const asCollector = await env.request('GET', '/api/dashboard/overdue', { token: collectorToken });
+
+            assert.deepEqual(filtered.body.customers, []);
+            assert.equal(filtered.body.totals.customers, 1);
+            assert.equal(asCollector.status, 403);
+        });
+    });
+});
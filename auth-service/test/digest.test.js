@@ -0,0 +1,69 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildDigestEmail } from '../server.js';
+
+const user = { username: 'dana', full_name: 'דנה לוי' };
+const overdueItem = {
+    customer_id: 7,
+    account_name: 'אלון שיווק',
+    account_key: 'C-1001',
+    account_balance: 1250.5,
+    due_date: new Date(2026, 0, 10),
+    days_overdue: 3
+};
+const todayItem = { customer_id: 8, account_name: 'Tom & <Co>', account_key: null, account_balance: null, days_overdue: 0 };
+const transferredItem = { customer_id: 9, account_name: 'נורת\'ווינד', account_balance: -20, transferred_by: 'admin' };
+
+describe('buildDigestEmail', () => {
+    it('counts each section in the subject', () => {
+        const { subject } = buildDigestEmail({
+            user,
+            overdue: [overdueItem],
+            dueToday: [todayItem],
+            transferred: [],
+            appUrl: 'http://localhost:3000'
+        });
+        assert.equal(subject, 'סיכום יומי: 1 באיחור, 1 להיום, 0 הועברו אליך');
+    });
+
+    it('lists each customer with a link, balance and details', () => {
+        const { text } = buildDigestEmail({
+            user,
+            overdue: [overdueItem],
+            dueToday: [],
+            transferred: [transferredItem],
+            appUrl: 'https://collect.example.com/'
+        });
+
+        assert.match(text, /^שלום דנה לוי,/);
+        assert.match(text, /אלון שיווק \(C-1001\) יתרה 1250\.50 - .*3 ימי איחור: https:\/\/collect\.example\.com\/customers\/7/);
+        assert.match(text, /הועבר על ידי admin: https:\/\/collect\.example\.com\/customers\/9/);
+    });
+
+    it('leaves out empty sections', () => {
+        const { text, html } = buildDigestEmail({
+            user,
+            overdue: [],
+            dueToday: [todayItem],
+            transferred: [],
+            appUrl: 'http://localhost:3000'
+        });
+
+        assert.match(text, /מעקבים להיום \(1\)/);
+        assert.doesNotMatch(text, /מעקבים באיחור/);
+        assert.doesNotMatch(html, /לקוחות שהועברו אליך/);
+    });
+
+    it('escapes customer names in the HTML body', () => {
+        const { html } = buildDigestEmail({
+            user,
+            overdue: [],
+            dueToday: [todayItem],
+            transferred: [],
+            appUrl: 'http://localhost:3000'
+        });
+
+        assert.match(html, /Tom &amp; &lt;Co&gt;/);
+        assert.doesNotMatch(html, /<Co>/);
+    });
+});
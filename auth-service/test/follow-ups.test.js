@@ -0,0 +1,21 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseFollowUpResolution } from '../server.js';
+
+describe('parseFollowUpResolution', () => {
+    it('closes open follow-ups with the route default and no outcome', () => {
+        assert.deepEqual(parseFollowUpResolution({}, 'done'), { status: 'done', outcome: null });
+        assert.deepEqual(parseFollowUpResolution(undefined, 'cancelled'), { status: 'cancelled', outcome: null });
+    });
+
+    it('takes the status and trimmed outcome from the body', () => {
+        assert.deepEqual(
+            parseFollowUpResolution({ follow_up_status: 'missed', follow_up_outcome: '  No answer ' }, 'done'),
+            { status: 'missed', outcome: 'No answer' }
+        );
+    });
+
+    it('refuses to leave the follow-ups open', () => {
+        assert.ok(parseFollowUpResolution({ follow_up_status: 'open' }, 'done').error);
+    });
+});
@@ -0,0 +1,201 @@
+import express from 'express';
+import mysql from 'mysql2/promise';
+import bcrypt from 'bcrypt';
+import dotenv from 'dotenv';
+
+// Shared setup for the route tests: a throwaway MySQL database, a stub of the external hashAPI
+// and the app listening on a random port. The database connection comes from DB_HOST / DB_PORT /
+// DB_USER / DB_PASSWORD as usual; the database name is TEST_DB_NAME (default auth_db_test) plus
+// the process id, and it is dropped when the tests finish.
+
+dotenv.config();
+
+export const TEST_PASSWORD = 'pass123';
+
+// Report payloads served by the stub, keyed by report code. Tests may replace entries.
+export const stubReports = {
+    175: {
+        data: {
+            rows: [
+                {
+                    'מספר כרטיס חשבון': '2001',
+                    'מפתח חשבון': 'T-2001',
+                    'שם חשבון': 'לקוח בדיקה ראשון',
+                    'יתרת חשבון': '1,500.00',
+                    'תקרת אשראי': '10,000.00'
+                },
+                {
+                    'מספר כרטיס חשבון': '2002',
+                    'מפתח חשבון': 'T-2002',
+                    'שם חשבון': 'לקוח בדיקה שני',
+                    'יתרת חשבון': '-320.40',
+                    'תקרת אשראי': '5,000.00'
+                },
+                {
+                    'מספר כרטיס חשבון': '2003',
+                    'מפתח חשבון': 'T-2003',
+                    'שם חשבון': 'לקוח ללא יתרה',
+                    'יתרת חשבון': '0',
+                    'תקרת אשראי': '0'
+                }
+            ]
+        }
+    },
+    198: {
+        result: {
+            items: [
+                {
+                    'מספר כרטיס חשבון': '2001',
+                    'מפתח חשבון': 'T-2001',
+                    'שם חשבון': 'לקוח בדיקה ראשון',
+                    'דוא"ל': 'first@example.com',
+                    'טלפון': '03-5552001'
+                }
+            ]
+        }
+    },
+    176: {
+        Table: [
+            {
+                'מפתח חשבון': 'T-2002',
+                'שם חשבון': 'לקוח בדיקה שני',
+                'שם איש קשר': 'דנה לוי',
+                'טלפון נייד': '050-7772002'
+            }
+        ]
+    },
+    180: { data: { rows: [] } },
+    184: { data: [] },
+    185: { data: [] }
+};
+
+const listen = (server) => new Promise((resolve, reject) => {
+    const listener = server.listen(0, '127.0.0.1', () => resolve(listener));
+    listener.on('error', reject);
+});
+
+const close = (listener) => new Promise((resolve) => {
+    if (!listener) return resolve();
+    listener.close(() => resolve());
+});
+
+const startStubHashApi = async () => {
+    const stub = express();
+    stub.use(express.json());
+    stub.post('/hashAPI/route-hashAPI/:report', (req, res) => {
+        const payload = stubReports[req.params.report];
+        if (!payload) return res.status(404).json({ error: 'Unknown report' });
+        res.json(payload);
+    });
+    return listen(stub);
+};
+
+const mysqlHost = process.env.DB_HOST || 'localhost';
+const mysqlPort = parseInt(process.env.DB_PORT) || 3306;
+
+const canConnectToMySql = async () => {
+    try {
+        const connection = await mysql.createConnection({
+            host: mysqlHost,
+            port: mysqlPort,
+            user: process.env.DB_USER || 'root',
+            password: process.env.DB_PASSWORD || '',
+            connectTimeout: 3000
+        });
+        await connection.end();
+        return true;
+    } catch {
+        return false;
+    }
+};
+
+// Without MySQL the route suites cannot run. That fails the test file unless SKIP_DB_TESTS=1 asks for
+// the suites to be skipped (null is returned then), so a missing database never passes as a green run.
+export const startTestEnvironment = async () => {
+    if (!(await canConnectToMySql())) {
+        if (process.env.SKIP_DB_TESTS === '1') return null;
+        throw new Error(`MySQL is not reachable at ${mysqlHost}:${mysqlPort}. Start it, or set SKIP_DB_TESTS=1 to skip the route tests.`);
+    }
+
+    const stubServer = await startStubHashApi();
+    const stubUrl = `http://127.0.0.1:${stubServer.address().port}/hashAPI/route-hashAPI`;
+
+    // config.js reads the environment once, so everything has to be set before the first import
+    Object.assign(process.env, {
+        DB_NAME: `${process.env.TEST_DB_NAME || 'auth_db_test'}_${process.pid}`,
+        JWT_SECRET: 'test_secret',
+        LOGIN_FREE_ATTEMPTS: '100',
+        LOGIN_IP_FREE_ATTEMPTS: '100',
+        CUSTOMERS_BACKGROUND_SYNC_AUTOSTART: 'false',
+        EXTERNAL_API_MAX_RETRIES: '0',
+        EXTERNAL_CUSTOMERS_API_TOKEN: '',
+        EXTERNAL_REPORT_175_API_URL: `${stubUrl}/175`,
+        EXTERNAL_REPORT_198_API_URL: `${stubUrl}/198`,
+        EXTERNAL_REPORT_176_API_URL: `${stubUrl}/176`,
+        EXTERNAL_REPORT_180_API_URL: `${stubUrl}/180`,
+        EXTERNAL_CUSTOMER_DETAILS_API_URL: `${stubUrl}/184`,
+        EXTERNAL_REPORT_185_API_URL: `${stubUrl}/185`
+    });
+
+    const { default: config } = await import('../config.js');
+    const { setup } = await import('../setup.js');
+    await setup();
+
+    const { app, pool } = await import('../server.js');
+    const appServer = await listen(app);
+    const baseUrl = `http://127.0.0.1:${appServer.address().port}`;
+
+    const request = async (method, url, { token, body } = {}) => {
+        const response = await fetch(`${baseUrl}${url}`, {
+            method,
+            headers: {
+                'Content-Type': 'application/json',
+                ...(token ? { Authorization: `Bearer ${token}` } : {})
+            },
+            body: body === undefined ? undefined : JSON.stringify(body)
+        });
+        const text = await response.text();
+        return { status: response.status, body: text ? JSON.parse(text) : null };
+    };
+
+    const createUser = async (username, role = 'collector') => {
+        const passwordHash = await bcrypt.hash(TEST_PASSWORD, 4);
+        const [result] = await pool.execute(
+            'INSERT INTO users (username, password, role) VALUES (?, ?, ?)',
+            [username, passwordHash, role]
+        );
+        return result.insertId;
+    };
+
+    const login = async (username) => {
+        const { status, body } = await request('POST', '/api/login', { body: { username, password: TEST_PASSWORD } });
+        if (status !== 200) throw new Error(`Login as ${username} failed with ${status}`);
+        return body;
+    };
+
+    // Runs a report 175 sync and waits for it and the supplemental reports to finish
+    const syncReports = async (token) => {
+        const started = await request('POST', '/api/customers/sync', { token, body: {} });
+        if (started.status !== 202) throw new Error(`Sync failed to start with ${started.status}`);
+
+        for (let attempt = 0; attempt < 100; attempt += 1) {
+            const { body } = await request('GET', '/api/customers/sync/status', { token });
+            const { report175, background } = body.sync;
+            if (report175.status === 'failed') throw new Error(`Report 175 sync failed: ${report175.error}`);
+            if (report175.status === 'completed' && ['completed', 'completed_with_warnings', 'failed'].includes(background.status)) {
+                return body;
+            }
+            await new Promise((resolve) => setTimeout(resolve, 100));
+        }
+        throw new Error('Sync did not finish in time');
+    };
+
+    const stop = async () => {
+        await close(appServer);
+        await close(stubServer);
+        await pool.query(`DROP DATABASE IF EXISTS \`${config.db.name}\``);
+        await pool.end();
+    };
+
+    return { request, createUser, login, syncReports, pool, stop };
+};
@@ -0,0 +1,25 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import config from '../config.js';
+import { getLoginDelayMs } from '../server.js';
+
+describe('getLoginDelayMs', () => {
+    const { freeAttempts, delayBaseMs, delayMaxMs } = config.loginProtection;
+
+    it('lets the free attempts through without a delay', () => {
+        assert.equal(getLoginDelayMs(0), 0);
+        assert.equal(getLoginDelayMs(freeAttempts), 0);
+    });
+
+    it('doubles the delay with each further failure up to the maximum', () => {
+        assert.equal(getLoginDelayMs(freeAttempts + 1), delayBaseMs);
+        assert.equal(getLoginDelayMs(freeAttempts + 2), delayBaseMs * 2);
+        assert.equal(getLoginDelayMs(freeAttempts + 3), delayBaseMs * 4);
+        assert.equal(getLoginDelayMs(freeAttempts + 50), delayMaxMs);
+    });
+
+    it('counts from the free attempts of the key', () => {
+        assert.equal(getLoginDelayMs(10, 50), 0);
+        assert.equal(getLoginDelayMs(51, 50), delayBaseMs);
+    });
+});
@@ -0,0 +1,78 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { reconcilePaymentPromises, parsePromiseFields } from '../server.js';
+
+const promise = (id, amount, promisedDate, { status = 'open', createdAt = new Date(2026, 0, 5, 10, 30) } = {}) => ({
+    id,
+    amount: String(amount),
+    promised_date: promisedDate,
+    status,
+    created_at: createdAt
+});
+const credit = (valueDate, amount) => ({ value_date: valueDate, credit_ils: amount, debit_ils: '' });
+const debit = (valueDate, amount) => ({ value_date: valueDate, credit_ils: '', debit_ils: amount });
+
+const reconcile = (promises, ledgerRows, today) => reconcilePaymentPromises(promises, ledgerRows, { today, graceDays: 3 });
+
+describe('reconcilePaymentPromises', () => {
+    it('keeps a promise once the full amount was paid, even before the promised date', () => {
+        const results = reconcile(
+            [promise(1, 1000, new Date(2026, 0, 20))],
+            [credit('08/01/26', '400.00'), credit('12/01/2026', '1,000.00'), debit('13/01/26', '5,000.00')],
+            new Date(2026, 0, 14)
+        );
+        assert.deepEqual(results, [{ id: 1, status: 'kept', paid_amount: 1000 }]);
+    });
+
+    it('leaves a promise open until the grace days after the promised date have passed', () => {
+        const promises = [promise(1, 1000, new Date(2026, 0, 20))];
+        const ledger = [credit('22/01/26', '300')];
+
+        assert.deepEqual(reconcile(promises, ledger, new Date(2026, 0, 23)), [{ id: 1, status: 'open', paid_amount: 300 }]);
+        assert.deepEqual(reconcile(promises, ledger, new Date(2026, 0, 24)), [{ id: 1, status: 'partial', paid_amount: 300 }]);
+    });
+
+    it('breaks a promise with no payment between its creation and the deadline', () => {
+        const results = reconcile(
+            [promise(1, 500, new Date(2026, 0, 10))],
+            [credit('04/01/26', '500'), credit('14/01/26', '500')],
+            new Date(2026, 0, 20)
+        );
+        assert.deepEqual(results, [{ id: 1, status: 'broken', paid_amount: 0 }]);
+    });
+
+    it('counts each payment once across promises, earliest promised date first', () => {
+        const results = reconcile(
+            [
+                promise(2, 600, new Date(2026, 1, 10)),
+                promise(1, 400, new Date(2026, 0, 20), { status: 'kept' }),
+                promise(3, 999, new Date(2026, 0, 25), { status: 'cancelled' })
+            ],
+            [credit('2026-01-15', '700')],
+            new Date(2026, 1, 20)
+        );
+        assert.deepEqual(results, [{ id: 2, status: 'partial', paid_amount: 300 }]);
+    });
+});
+
+describe('parsePromiseFields', () => {
+    it('treats a note without promise fields as no promise', () => {
+        assert.deepEqual(parsePromiseFields({ note: 'text' }), { promise: null });
+    });
+
+    it('rounds the amount and reads the date', () => {
+        assert.deepEqual(parsePromiseFields({ promise_amount: '1500.555', promise_date: '2099-01-05' }), {
+            promise: { amount: 1500.56, promisedDate: '2099-01-05' }
+        });
+    });
+
+    it('rejects a missing or non-positive amount, a bad date and a past date', () => {
+        assert.ok(parsePromiseFields({ promise_date: '2099-01-05' }).error);
+        assert.ok(parsePromiseFields({ promise_amount: '-5', promise_date: '2099-01-05' }).error);
+        assert.ok(parsePromiseFields({ promise_amount: '100', promise_date: '2099-02-30' }).error);
+        assert.ok(parsePromiseFields({ promise_amount: '100', promise_date: '2020-01-01' }).error);
+        assert.deepEqual(parsePromiseFields({ promise_amount: '100', promise_date: '2020-01-01' }, { allowPastDate: true }), {
+            promise: { amount: 100, promisedDate: '2020-01-01' }
+        });
+    });
+});
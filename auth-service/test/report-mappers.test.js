@@ -0,0 +1,183 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    mapReport175Row,
+    rowMatchesSearch,
+    pickReportRowForCustomer,
+    extractReportRowsByPredicate,
+    parseLedgerDate,
+    runReportMappingTest
+} from '../server.js';
+
+const report175Row = {
+    'מספר כרטיס חשבון': '1001',
+    'מפתח חשבון': 'C-1001',
+    'שם חשבון': 'אלון שיווק בע"מ',
+    'יתרת חשבון': '12,450.50',
+    'שיקים דחויים': '3,000.00',
+    'תקרת אשראי': '20,000',
+    'חריגה מאשראי': ''
+};
+
+describe('mapReport175Row', () => {
+    it('maps the Hebrew columns and parses formatted numbers', () => {
+        const mapped = mapReport175Row(report175Row);
+
+        assert.equal(mapped.external_id, '1001');
+        assert.equal(mapped.account_card_number, 1001);
+        assert.equal(mapped.account_key, 'C-1001');
+        assert.equal(mapped.account_name, 'אלון שיווק בע"מ');
+        assert.equal(mapped.account_balance, 12450.5);
+        assert.equal(mapped.deferred_checks, 3000);
+        assert.equal(mapped.credit_limit, 20000);
+        assert.equal(mapped.credit_deviation, 0);
+        assert.deepEqual(JSON.parse(mapped.raw_payload), report175Row);
+    });
+
+    it('falls back to the account key when there is no card number', () => {
+        const mapped = mapReport175Row({ 'מפתח חשבון': 'C-2000', 'שם חשבון': 'ללא כרטיס' });
+
+        assert.equal(mapped.external_id, 'C-2000');
+        assert.equal(mapped.account_card_number, null);
+    });
+
+    it('derives a stable id from the row when it has neither', () => {
+        const row = { 'שם חשבון': 'ללא מזהים', 'יתרת חשבון': '5' };
+        const first = mapReport175Row(row);
+
+        assert.match(first.external_id, /^row_[0-9a-f]{40}$/);
+        assert.equal(mapReport175Row({ ...row }).external_id, first.external_id);
+    });
+
+    it('returns nulls and zeros for missing columns', () => {
+        const mapped = mapReport175Row({ 'מספר כרטיס חשבון': '7' });
+
+        assert.equal(mapped.account_key, null);
+        assert.equal(mapped.account_name, null);
+        assert.equal(mapped.account_balance, 0);
+    });
+});
+
+describe('rowMatchesSearch', () => {
+    const workRow = {
+        external_id: '1001',
+        account_card_number: 1001,
+        account_key: 'C-1001',
+        account_name: 'Alon Marketing',
+        phone: '03-555-1001'
+    };
+
+    it('matches everything when there is no search', () => {
+        assert.equal(rowMatchesSearch(workRow, ''), true);
+    });
+
+    it('matches the account key, card number and name case-insensitively', () => {
+        assert.equal(rowMatchesSearch(workRow, 'c-1001'), true);
+        assert.equal(rowMatchesSearch(workRow, '1001'), true);
+        assert.equal(rowMatchesSearch(workRow, 'marketing'), true);
+    });
+
+    it('matches phone numbers regardless of formatting', () => {
+        assert.equal(rowMatchesSearch(workRow, '035551001'), true);
+        assert.equal(rowMatchesSearch(workRow, '555 1001'), true);
+    });
+
+    it('rejects rows that do not contain the search', () => {
+        assert.equal(rowMatchesSearch(workRow, 'Northwind'), false);
+        assert.equal(rowMatchesSearch(workRow, '0509999999'), false);
+    });
+});
+
+describe('pickReportRowForCustomer', () => {
+    const rows = [
+        { 'מספר כרטיס חשבון': '1001', 'מפתח חשבון': 'C-1001', 'שם חשבון': 'ראשון' },
+        { 'מספר כרטיס חשבון': '1002', 'מפתח חשבון': 'C-1002', 'שם חשבון': 'שני' },
+        { 'מספר כרטיס חשבון': '', 'מפתח חשבון': 'C-1003', 'שם חשבון': 'שלישי' }
+    ];
+
+    it('prefers the row with the customer external id', () => {
+        const picked = pickReportRowForCustomer(rows, { external_id: '1002', company: 'C-1003' });
+        assert.equal(picked.account_name, 'שני');
+    });
+
+    it('falls back to the account key stored as the customer company', () => {
+        const picked = pickReportRowForCustomer(rows, { external_id: '9999', company: 'C-1003' });
+        assert.equal(picked.account_name, 'שלישי');
+    });
+
+    it('falls back to the first row when nothing matches', () => {
+        const picked = pickReportRowForCustomer(rows, { external_id: '9999', company: 'C-9999' });
+        assert.equal(picked.account_name, 'ראשון');
+    });
+
+    it('returns null for empty or invalid input', () => {
+        assert.equal(pickReportRowForCustomer([], { external_id: '1001' }), null);
+        assert.equal(pickReportRowForCustomer(null, { external_id: '1001' }), null);
+        assert.equal(pickReportRowForCustomer([null, 'text'], { external_id: '1001' }), null);
+    });
+});
+
+describe('extractReportRowsByPredicate', () => {
+    const isCustomerRow = (row) => 'מפתח חשבון' in row;
+
+    it('finds the row array nested anywhere in the payload', () => {
+        const payload = { success: true, data: { rows: [{ 'מפתח חשבון': 'C-1' }, { 'מפתח חשבון': 'C-2' }] } };
+        assert.deepEqual(
+            extractReportRowsByPredicate(payload, isCustomerRow).map((row) => row['מפתח חשבון']),
+            ['C-1', 'C-2']
+        );
+    });
+
+    it('keeps only the rows matching the predicate', () => {
+        const payload = [{ 'מפתח חשבון': 'C-1' }, { summary: true }, null];
+        assert.deepEqual(extractReportRowsByPredicate(payload, isCustomerRow), [{ 'מפתח חשבון': 'C-1' }]);
+    });
+
+    it('returns every object row when none match the predicate', () => {
+        const payload = { Table: [{ a: 1 }, { b: 2 }, 'text'] };
+        assert.deepEqual(extractReportRowsByPredicate(payload, isCustomerRow), [{ a: 1 }, { b: 2 }]);
+    });
+
+    it('returns an empty list for payloads without rows', () => {
+        assert.deepEqual(extractReportRowsByPredicate({ success: false }, isCustomerRow), []);
+        assert.deepEqual(extractReportRowsByPredicate(null, isCustomerRow), []);
+    });
+});
+
+describe('parseLedgerDate', () => {
+    it('reads ISO and dd/mm/yy dates', () => {
+        assert.equal(parseLedgerDate('2026-01-15'), '2026-01-15');
+        assert.equal(parseLedgerDate('2026-01-15T00:00:00.000Z'), '2026-01-15');
+        assert.equal(parseLedgerDate('5/1/26'), '2026-01-05');
+        assert.equal(parseLedgerDate('05.01.2026'), '2026-01-05');
+    });
+
+    it('rejects text and days that do not exist', () => {
+        for (const value of ['tomorrow', '', null, '2026-13-45', '2026-02-30', '31/02/2026']) {
+            assert.equal(parseLedgerDate(value), null);
+        }
+    });
+});
+
+describe('runReportMappingTest', () => {
+    // UTF-8 read as Windows-1252, as the ERP sometimes sends it (MOCK_MOJIBAKE_REPORTS)
+    const toMojibake = (text) => new TextDecoder('windows-1252').decode(Buffer.from(text));
+    const mapping = {
+        identifyBy: ['account_key'],
+        fields: [
+            { field: 'account_key', columns: ['מפתח חשבון'], type: 'string', required: true },
+            { field: 'account_balance', columns: ['יתרת חשבון'], type: 'number' }
+        ]
+    };
+
+    it('maps a CP1252-mangled sample like the sync does', () => {
+        const payload = { data: [{ [toMojibake('מפתח חשבון')]: 'C-1', [toMojibake('יתרת חשבון')]: '1,200.50' }] };
+        const result = runReportMappingTest('175', payload, mapping);
+
+        assert.equal(result.rowsIdentified, 1);
+        assert.equal(result.rowsMissingRequired, 0);
+        assert.equal(result.fieldsRepaired, 2);
+        assert.deepEqual(result.unmappedColumns, []);
+        assert.deepEqual(result.sample[0].values, { account_key: 'C-1', account_balance: 1200.5 });
+    });
+});
@@ -0,0 +1,59 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { validateReportDateRange, mergeReportDateRange, buildWindowedResult } from '../server.js';
+
+describe('validateReportDateRange', () => {
+    it('accepts dd/mm/yyyy, ISO dates and a month count', () => {
+        assert.deepEqual(validateReportDateRange({ dateFrom: '01/01/2020', dateTo: '2021-01-31' }), []);
+        assert.deepEqual(validateReportDateRange({ monthsBack: 36 }), []);
+    });
+
+    it('lists every problem', () => {
+        assert.deepEqual(validateReportDateRange({ dateFrom: '31/02/2020', dateTo: 'soon' }), [
+            'Invalid dateFrom "31/02/2020"',
+            'Invalid dateTo "soon"'
+        ]);
+        assert.deepEqual(validateReportDateRange({ monthsBack: 1.5 }), ['monthsBack must be a whole number of months']);
+    });
+});
+
+describe('mergeReportDateRange', () => {
+    const configured = { dateFrom: '01/01/2020', monthsBack: 0, dateTo: null };
+
+    it('keeps the configured start when the override only sets an end', () => {
+        assert.deepEqual(mergeReportDateRange(configured, { dateTo: '2021-01-31' }), {
+            dateFrom: '01/01/2020',
+            monthsBack: 0,
+            dateTo: '2021-01-31'
+        });
+    });
+
+    it('replaces the whole start with the override', () => {
+        assert.deepEqual(mergeReportDateRange({ ...configured, monthsBack: 12 }, { dateFrom: '2019-01-01' }), {
+            dateFrom: '2019-01-01',
+            monthsBack: undefined,
+            dateTo: null
+        });
+        assert.equal(mergeReportDateRange(configured, null), configured);
+    });
+});
+
+describe('buildWindowedResult', () => {
+    it('sums the balances and keeps the rows without their raw payload', () => {
+        const result = buildWindowedResult([
+            { external_id: '1', account_key: 'A', account_name: 'First', account_balance: 100.5, total_obligo: 10, raw_payload: '{}' },
+            { external_id: '2', account_key: 'B', account_name: 'Second', account_balance: -20, open_delivery_notes_balance: 5 }
+        ]);
+
+        assert.deepEqual(result.totals, { customers: 2, account_balance: 80.5, open_delivery_notes_balance: 5, total_obligo: 10 });
+        assert.deepEqual(result.rows[1], {
+            external_id: '2',
+            account_key: 'B',
+            account_name: 'Second',
+            account_balance: -20,
+            open_delivery_notes_balance: 5,
+            total_obligo: null
+        });
+        assert.equal(result.rows[0].raw_payload, undefined);
+    });
+});
@@ -7,8 +7,12 @@ import { heIL } from '@mui/material/locale';
 import { AuthProvider } from './context/AuthContext';
 import PrivateRoute from './components/PrivateRoute';
 import Login from './pages/Login';
+import ResetPassword from './pages/ResetPassword';
 import CustomersList from './pages/CustomersList';
 import CustomerDetail from './pages/CustomerDetail';
+import UsersAdmin from './pages/UsersAdmin';
+import Worklist from './pages/Worklist';
+import OverdueDashboard from './pages/OverdueDashboard';
 
 const theme = createTheme({
     direction: 'rtl',
@@ -108,6 +112,7 @@ function App() {
                     <BrowserRouter>
                         <Routes>
                             <Route path="/login" element={<Login />} />
+                            <Route path="/reset-password" element={<ResetPassword />} />
                             <Route
                                 path="/customers"
                                 element={
@@ -124,6 +129,30 @@ function App() {
                                     </PrivateRoute>
                                 }
                             />
+                            <Route
+                                path="/worklist"
+                                element={
+                                    <PrivateRoute>
+                                        <Worklist />
+                                    </PrivateRoute>
+                                }
+                            />
+                            <Route
+                                path="/dashboard/overdue"
+                                element={
+                                    <PrivateRoute permission="dashboard.view">
+                                        <OverdueDashboard />
+                                    </PrivateRoute>
+                                }
+                            />
+                            <Route
+                                path="/admin/users"
+                                element={
+                                    <PrivateRoute permission="users.manage">
+                                        <UsersAdmin />
+                                    </PrivateRoute>
+                                }
+                            />
                             <Route path="/" element={<Navigate to="/customers" replace />} />
                         </Routes>
                     </BrowserRouter>
@@ -0,0 +1,81 @@
+import { Box, Stack, Typography } from '@mui/material';
+
+const chartWidth = 600;
+const chartHeight = 180;
+const padding = { top: 12, right: 12, bottom: 24, left: 64 };
+
+const series = [
+    { key: 'account_balance', label: 'יתרת חשבון', color: '#1976d2' },
+    { key: 'total_obligo', label: 'סה"כ אובליגו', color: '#ed6c02' },
+    { key: 'credit_deviation', label: 'חריגה מאשראי', color: '#d32f2f' }
+];
+
+const formatAxisNumber = (value) => Number(value || 0).toLocaleString('he-IL', { maximumFractionDigits: 0 });
+const formatAxisDate = (value) => new Date(value).toLocaleDateString('he-IL');
+
+// Small dependency-free line chart of the balance snapshots recorded by each report 175 sync
+function BalanceHistoryChart({ history }) {
+    if (!history.length) {
+        return <Typography variant="body2" color="text.secondary">אין עדיין היסטוריית יתרות ללקוח זה.</Typography>;
+    }
+
+    const values = history.flatMap((point) => series.map((line) => point[line.key]));
+    const minValue = Math.min(0, ...values);
+    const maxValue = Math.max(...values);
+    const valueRange = maxValue - minValue || 1;
+    const times = history.map((point) => new Date(point.synced_at).getTime());
+    const minTime = times[0];
+    const timeRange = times[times.length - 1] - minTime || 1;
+
+    const plotWidth = chartWidth - padding.left - padding.right;
+    const plotHeight = chartHeight - padding.top - padding.bottom;
+    const x = (time) => padding.left + (history.length === 1 ? plotWidth / 2 : ((time - minTime) / timeRange) * plotWidth);
+    const y = (value) => padding.top + plotHeight - ((value - minValue) / valueRange) * plotHeight;
+
+    return (
+        <Box>
+            <Box dir="ltr">
+                <svg viewBox={`0 0 ${chartWidth} ${chartHeight}`} width="100%" role="img" aria-label="מגמת יתרה">
+                    <line x1={padding.left} x2={chartWidth - padding.right} y1={y(0)} y2={y(0)} stroke="#cfd8e3" />
+                    <text x={padding.left - 6} y={y(maxValue) + 4} textAnchor="end" fontSize="11" fill="#627d98">
+                        {formatAxisNumber(maxValue)}
+                    </text>
+                    <text x={padding.left - 6} y={y(minValue) + 4} textAnchor="end" fontSize="11" fill="#627d98">
+                        {formatAxisNumber(minValue)}
+                    </text>
+                    <text x={padding.left} y={chartHeight - 6} fontSize="11" fill="#627d98">
+                        {formatAxisDate(history[0].synced_at)}
+                    </text>
+                    <text x={chartWidth - padding.right} y={chartHeight - 6} textAnchor="end" fontSize="11" fill="#627d98">
+                        {formatAxisDate(history[history.length - 1].synced_at)}
+                    </text>
+                    {series.map((line) => (
+                        <g key={line.key}>
+                            <polyline
+                                fill="none"
+                                stroke={line.color}
+                                strokeWidth="2"
+                                points={history.map((point, index) => `${x(times[index])},${y(point[line.key])}`).join(' ')}
+                            />
+                            {history.map((point, index) => (
+                                <circle key={point.synced_at} cx={x(times[index])} cy={y(point[line.key])} r="3" fill={line.color}>
+                                    <title>{`${line.label}: ${formatAxisNumber(point[line.key])} (${formatAxisDate(point.synced_at)})`}</title>
+                                </circle>
+                            ))}
+                        </g>
+                    ))}
+                </svg>
+            </Box>
+            <Stack direction="row" spacing={2} sx={{ mt: 0.5 }}>
+                {series.map((line) => (
+                    <Stack key={line.key} direction="row" spacing={0.75} alignItems="center">
+                        <Box sx={{ width: 12, height: 3, backgroundColor: line.color, borderRadius: 1 }} />
+                        <Typography variant="caption">{line.label}</Typography>
+                    </Stack>
+                ))}
+            </Stack>
+        </Box>
+    );
+}
+
+export default BalanceHistoryChart;
@@ -0,0 +1,111 @@
+import { useState } from 'react';
+import {
+    Alert,
+    Box,
+    Button,
+    Dialog,
+    DialogActions,
+    DialogContent,
+    DialogTitle,
+    Stack,
+    TextField
+} from '@mui/material';
+import { useAuth } from '../context/AuthContext';
+
+const rtlDialogPaperProps = {
+    dir: 'rtl',
+    sx: {
+        direction: 'rtl'
+    }
+};
+
+function ChangePasswordDialog({ open, onClose }) {
+    const { changePassword } = useAuth();
+    const [currentPassword, setCurrentPassword] = useState('');
+    const [newPassword, setNewPassword] = useState('');
+    const [confirmPassword, setConfirmPassword] = useState('');
+    const [error, setError] = useState('');
+    const [success, setSuccess] = useState(false);
+    const [saving, setSaving] = useState(false);
+
+    const handleClose = () => {
+        setCurrentPassword('');
+        setNewPassword('');
+        setConfirmPassword('');
+        setError('');
+        setSuccess(false);
+        onClose();
+    };
+
+    const handleSubmit = async (event) => {
+        event.preventDefault();
+        setError('');
+
+        if (newPassword !== confirmPassword) {
+            setError('הסיסמאות אינן תואמות');
+            return;
+        }
+
+        setSaving(true);
+        try {
+            await changePassword(currentPassword, newPassword);
+            setSuccess(true);
+        } catch (err) {
+            setError(err.response?.data?.error || 'שינוי הסיסמה נכשל');
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    return (
+        <Dialog open={open} onClose={handleClose} fullWidth maxWidth="xs" PaperProps={rtlDialogPaperProps}>
+            <DialogTitle>שינוי סיסמה</DialogTitle>
+            <Box component="form" onSubmit={handleSubmit}>
+                <DialogContent>
+                    {success ? (
+                        <Alert severity="success">הסיסמה עודכנה. שאר החיבורים שלך נותקו.</Alert>
+                    ) : (
+                        <Stack spacing={1.5} sx={{ pt: 1 }}>
+                            {error && <Alert severity="error">{error}</Alert>}
+                            <TextField
+                                size="small"
+                                type="password"
+                                label="סיסמה נוכחית"
+                                value={currentPassword}
+                                onChange={(event) => setCurrentPassword(event.target.value)}
+                                required
+                            />
+                            <TextField
+                                size="small"
+                                type="password"
+                                label="סיסמה חדשה"
+                                value={newPassword}
+                                onChange={(event) => setNewPassword(event.target.value)}
+                                helperText="לפחות 6 תווים"
+                                required
+                            />
+                            <TextField
+                                size="small"
+                                type="password"
+                                label="אימות סיסמה"
+                                value={confirmPassword}
+                                onChange={(event) => setConfirmPassword(event.target.value)}
+                                required
+                            />
+                        </Stack>
+                    )}
+                </DialogContent>
+                <DialogActions sx={{ direction: 'rtl', justifyContent: 'flex-start' }}>
+                    <Button onClick={handleClose} variant="outlined">סגור</Button>
+                    {!success && (
+                        <Button type="submit" variant="contained" disabled={saving}>
+                            עדכן סיסמה
+                        </Button>
+                    )}
+                </DialogActions>
+            </Box>
+        </Dialog>
+    );
+}
+
+export default ChangePasswordDialog;
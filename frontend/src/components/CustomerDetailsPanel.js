@@ -4,29 +4,42 @@ import {
     Alert,
     Box,
     Button,
+    Chip,
     CircularProgress,
     Dialog,
     DialogActions,
     DialogContent,
     DialogTitle,
+    IconButton,
     MenuItem,
     Stack,
+    Tab,
     Table,
     TableBody,
     TableCell,
+    TableFooter,
     TableHead,
     TableRow,
+    Tabs,
     TextField,
+    Tooltip,
     Typography
 } from '@mui/material';
+import CancelOutlinedIcon from '@mui/icons-material/CancelOutlined';
 import CloseOutlinedIcon from '@mui/icons-material/CloseOutlined';
+import EditOutlinedIcon from '@mui/icons-material/EditOutlined';
 import EditNoteOutlinedIcon from '@mui/icons-material/EditNoteOutlined';
 import HistoryOutlinedIcon from '@mui/icons-material/HistoryOutlined';
+import RefreshOutlinedIcon from '@mui/icons-material/RefreshOutlined';
+import ReplayOutlinedIcon from '@mui/icons-material/ReplayOutlined';
 import SwapHorizOutlinedIcon from '@mui/icons-material/SwapHorizOutlined';
-import { customersAPI, groupsAPI, usersAPI } from '../services/api';
+import { auditAPI, customersAPI, followUpsAPI, groupsAPI, promisesAPI, usersAPI } from '../services/api';
+import { useAuth } from '../context/AuthContext';
+import BalanceHistoryChart from './BalanceHistoryChart';
 
 const formatNumber = (value) => Number(value || 0).toFixed(2);
 const formatDate = (value) => (value ? new Date(value).toLocaleDateString('he-IL') : '-');
+const formatDateTime = (value) => (value ? new Date(value).toLocaleString('he-IL') : '-');
 const rtlFieldSx = {
     '& .MuiInputBase-input': {
         direction: 'rtl',
@@ -94,6 +107,18 @@ const ledgerBodyCellSx = {
     fontFamily: '"Noto Sans Hebrew", "Segoe UI", sans-serif'
 };
 
+const ledgerTotalsCellSx = {
+    ...ledgerHeaderCellSx,
+    color: '#102a43',
+    borderTop: '2px solid',
+    borderColor: 'divider'
+};
+
+const formatLedgerAmount = (value) => Number(value || 0).toLocaleString('he-IL', { maximumFractionDigits: 2 });
+
+const emptyReport180Filters = { from: '', to: '', dateField: 'value_date', side: '', search: '' };
+const report180PageSize = 50;
+
 const basicFieldLabelMap = {
     'מפתח חשבון': 'מפתח חשבון',
     'שם חשבון': 'שם לקוח',
@@ -137,21 +162,123 @@ const basicFieldLabelMap = {
 
 const getFriendlyBasicFieldLabel = (rawKey) => basicFieldLabelMap[rawKey] || rawKey;
 
-const mergeBasicRows = (row184, row185) => {
-    const merged = {};
-    if (row184 && typeof row184 === 'object') Object.assign(merged, row184);
-    if (row185 && typeof row185 === 'object') {
-        for (const [key, value] of Object.entries(row185)) {
-            if (merged[key] === undefined || merged[key] === null || merged[key] === '') {
-                merged[key] = value;
+const followUpStatusLabels = {
+    open: 'פתוחה',
+    done: 'בוצע',
+    missed: 'לא התקיים',
+    cancelled: 'בוטל'
+};
+
+const followUpStatusColors = {
+    open: 'primary',
+    done: 'success',
+    missed: 'warning',
+    cancelled: 'default'
+};
+
+const promiseStatusLabels = {
+    open: 'פתוחה',
+    kept: 'קוימה',
+    partial: 'קוימה חלקית',
+    broken: 'הופרה',
+    cancelled: 'בוטלה'
+};
+
+const promiseStatusColors = {
+    open: 'primary',
+    kept: 'success',
+    partial: 'warning',
+    broken: 'error',
+    cancelled: 'default'
+};
+
+// Statuses a user can close the open follow-ups with when adding a note or transferring
+const followUpResolutionStatuses = ['done', 'missed', 'cancelled'];
+
+const toDateInputValue = (value) => (value ? new Date(value).toLocaleDateString('en-CA') : '');
+const isOverdue = (value) => Boolean(value) && toDateInputValue(value) < toDateInputValue(new Date());
+
+const auditActionLabels = {
+    'customer.create': 'יצירת לקוח',
+    'customer.update': 'עדכון לקוח',
+    'customer.delete': 'מחיקת לקוח',
+    'customer.group_assign': 'שיוך לקבוצה',
+    'note.create': 'הוספת הערה',
+    'transfer.create': 'העברה לטיפול',
+    'follow_up.update': 'עדכון משימת מעקב',
+    'promise.create': 'הבטחת תשלום',
+    'promise.update': 'עדכון הבטחת תשלום'
+};
+
+const auditFieldLabels = {
+    name: 'שם',
+    email: 'אימייל',
+    phone: 'טלפון',
+    company: 'חברה',
+    notes: 'הערות',
+    status: 'סטטוס',
+    priority: 'עדיפות',
+    assigned_user_id: 'מנהל',
+    group_id: 'קבוצה',
+    note: 'הערה',
+    due_date: 'תאריך יעד',
+    assigned_to: 'אחראי',
+    outcome: 'תוצאה',
+    amount: 'סכום',
+    promised_date: 'תאריך הבטחה'
+};
+
+const formatAuditValue = (key, value, lookups) => {
+    if (value === null || value === undefined || value === '') return '-';
+    if (key === 'assigned_user_id' || key === 'assigned_to') return lookups.users[value] || `#${value}`;
+    if (key === 'status' && followUpStatusLabels[value]) return followUpStatusLabels[value];
+    if (key === 'status' && promiseStatusLabels[value]) return promiseStatusLabels[value];
+    if (key === 'group_id') return lookups.groups[value] || `#${value}`;
+    if (key === 'due_date' || key === 'promised_date') return formatDate(value);
+    if (typeof value === 'object') return JSON.stringify(value);
+    return String(value);
+};
+
+// Only the fields that differ between before and after, limited to ones a user would recognise
+const getAuditChanges = (entry, lookups) => {
+    const before = entry.before || {};
+    const after = entry.after || {};
+    return Object.keys(auditFieldLabels)
+        .filter((key) => key in before || key in after)
+        .map((key) => ({
+            key,
+            label: auditFieldLabels[key],
+            before: formatAuditValue(key, before[key], lookups),
+            after: formatAuditValue(key, after[key], lookups)
+        }))
+        .filter((change) => change.before !== change.after);
+};
+
+const basicFieldSourceLabels = {
+    184: 'דוח 184',
+    185: 'דוח 185',
+    local: 'נתונים מקומיים'
+};
+
+// Report 184 (already merged with the local fallback on the server) first, report 185 fills the gaps
+const mergeBasicRows = (report184, report185) => {
+    const row = {};
+    const sources = {};
+    for (const report of [report184, report185]) {
+        if (!report?.row || typeof report.row !== 'object') continue;
+        for (const [key, value] of Object.entries(report.row)) {
+            if (row[key] === undefined || row[key] === null || row[key] === '') {
+                row[key] = value;
+                sources[key] = report.sources?.[key] || null;
             }
         }
     }
-    return merged;
+    return { row, sources };
 };
 
 function CustomerDetailsPanel({ customerId, onClose }) {
     const queryClient = useQueryClient();
+    const { can } = useAuth();
 
     const [noteText, setNoteText] = useState('');
     const [noteDueDate, setNoteDueDate] = useState('');
@@ -160,12 +287,29 @@ function CustomerDetailsPanel({ customerId, onClose }) {
     const [transferDueDate, setTransferDueDate] = useState('');
     const [transferManagedBy, setTransferManagedBy] = useState('');
     const [transferGroupId, setTransferGroupId] = useState('');
+    const [noteFollowUpStatus, setNoteFollowUpStatus] = useState('done');
+    const [noteFollowUpOutcome, setNoteFollowUpOutcome] = useState('');
+    const [transferFollowUpStatus, setTransferFollowUpStatus] = useState('cancelled');
+    const [transferFollowUpOutcome, setTransferFollowUpOutcome] = useState('');
+    const [editingFollowUp, setEditingFollowUp] = useState(null);
+    const [notePromiseAmount, setNotePromiseAmount] = useState('');
+    const [notePromiseDate, setNotePromiseDate] = useState('');
     const [isViewNotesOpen, setIsViewNotesOpen] = useState(false);
+    const [notesTab, setNotesTab] = useState('notes');
     const [isAddNoteOpen, setIsAddNoteOpen] = useState(false);
     const [isTransferOpen, setIsTransferOpen] = useState(false);
     const [isReport180Open, setIsReport180Open] = useState(false);
+    const [report180Filters, setReport180Filters] = useState(emptyReport180Filters);
+    const [report180SearchInput, setReport180SearchInput] = useState('');
+    const [report180Page, setReport180Page] = useState(1);
     const [isBasicReportsOpen, setIsBasicReportsOpen] = useState(false);
 
+    const getReport180Params = () => ({
+        ...Object.fromEntries(Object.entries(report180Filters).filter(([, value]) => value !== '')),
+        page: report180Page,
+        limit: report180PageSize
+    });
+
     const { data, isLoading, isError, error } = useQuery({
         queryKey: ['customer', customerId],
         queryFn: () => customersAPI.getById(customerId),
@@ -178,6 +322,18 @@ function CustomerDetailsPanel({ customerId, onClose }) {
         enabled: Boolean(customerId)
     });
 
+    const { data: followUpsData, isLoading: followUpsLoading } = useQuery({
+        queryKey: ['customer-follow-ups', customerId],
+        queryFn: () => customersAPI.getFollowUps(customerId),
+        enabled: Boolean(customerId)
+    });
+
+    const { data: promisesData, isLoading: promisesLoading } = useQuery({
+        queryKey: ['customer-promises', customerId],
+        queryFn: () => customersAPI.getPromises(customerId),
+        enabled: Boolean(customerId)
+    });
+
     const { data: customerGroupsData } = useQuery({
         queryKey: ['customer-groups', customerId],
         queryFn: () => customersAPI.getGroups(customerId),
@@ -194,17 +350,41 @@ function CustomerDetailsPanel({ customerId, onClose }) {
         queryFn: () => usersAPI.getAll()
     });
 
+    const { data: auditData, isLoading: auditLoading, isError: auditIsError, error: auditError } = useQuery({
+        queryKey: ['customer-audit', customerId],
+        queryFn: () => auditAPI.getForCustomer(customerId),
+        enabled: Boolean(customerId && isViewNotesOpen && notesTab === 'audit')
+    });
+
+    const { data: balanceHistoryData, isLoading: balanceHistoryLoading } = useQuery({
+        queryKey: ['customer-balance-history', customerId],
+        queryFn: () => customersAPI.getBalanceHistory(customerId),
+        enabled: Boolean(customerId)
+    });
+
     const {
         data: report180Data,
         isLoading: report180Loading,
         isError: report180IsError,
         error: report180Error
     } = useQuery({
-        queryKey: ['customer-report-180', customerId],
-        queryFn: () => customersAPI.getReport180(customerId),
+        queryKey: ['customer-report-180', customerId, report180Filters, report180Page],
+        queryFn: () => customersAPI.getReport180(customerId, getReport180Params()),
+        placeholderData: (previousData) => previousData,
         enabled: Boolean(customerId && isReport180Open)
     });
 
+    const refreshReport180Mutation = useMutation({
+        mutationFn: () => customersAPI.getReport180(customerId, { ...getReport180Params(), refresh: true }),
+        onSuccess: (result) => {
+            queryClient.setQueryData(['customer-report-180', customerId, report180Filters, report180Page], result);
+            queryClient.invalidateQueries({ queryKey: ['customer-report-180', customerId] });
+            // A fresh ledger is matched against the open promises on the server
+            queryClient.invalidateQueries({ queryKey: ['customer-promises', customerId] });
+            queryClient.invalidateQueries({ queryKey: ['customer', customerId] });
+        }
+    });
+
     const {
         data: basicReportsData,
         isLoading: basicReportsLoading,
@@ -222,10 +402,17 @@ function CustomerDetailsPanel({ customerId, onClose }) {
             setNoteText('');
             setNoteDueDate('');
             setNoteGroupId('');
+            setNoteFollowUpStatus('done');
+            setNoteFollowUpOutcome('');
+            setNotePromiseAmount('');
+            setNotePromiseDate('');
             setIsAddNoteOpen(false);
             queryClient.invalidateQueries({ queryKey: ['customer', customerId] });
             queryClient.invalidateQueries({ queryKey: ['customer-notes', customerId] });
+            queryClient.invalidateQueries({ queryKey: ['customer-follow-ups', customerId] });
+            queryClient.invalidateQueries({ queryKey: ['customer-promises', customerId] });
             queryClient.invalidateQueries({ queryKey: ['customer-groups', customerId] });
+            queryClient.invalidateQueries({ queryKey: ['customer-audit', customerId] });
             queryClient.invalidateQueries({ queryKey: ['customers'] });
         }
     });
@@ -237,10 +424,35 @@ function CustomerDetailsPanel({ customerId, onClose }) {
             setTransferDueDate('');
             setTransferManagedBy('');
             setTransferGroupId('');
+            setTransferFollowUpStatus('cancelled');
+            setTransferFollowUpOutcome('');
             setIsTransferOpen(false);
             queryClient.invalidateQueries({ queryKey: ['customer', customerId] });
             queryClient.invalidateQueries({ queryKey: ['customer-notes', customerId] });
+            queryClient.invalidateQueries({ queryKey: ['customer-follow-ups', customerId] });
             queryClient.invalidateQueries({ queryKey: ['customer-groups', customerId] });
+            queryClient.invalidateQueries({ queryKey: ['customer-audit', customerId] });
+            queryClient.invalidateQueries({ queryKey: ['customers'] });
+        }
+    });
+
+    const updateFollowUpMutation = useMutation({
+        mutationFn: ({ id, ...payload }) => followUpsAPI.update(id, payload),
+        onSuccess: () => {
+            setEditingFollowUp(null);
+            queryClient.invalidateQueries({ queryKey: ['customer', customerId] });
+            queryClient.invalidateQueries({ queryKey: ['customer-follow-ups', customerId] });
+            queryClient.invalidateQueries({ queryKey: ['customer-audit', customerId] });
+            queryClient.invalidateQueries({ queryKey: ['customers'] });
+        }
+    });
+
+    const updatePromiseMutation = useMutation({
+        mutationFn: ({ id, ...payload }) => promisesAPI.update(id, payload),
+        onSuccess: () => {
+            queryClient.invalidateQueries({ queryKey: ['customer', customerId] });
+            queryClient.invalidateQueries({ queryKey: ['customer-promises', customerId] });
+            queryClient.invalidateQueries({ queryKey: ['customer-audit', customerId] });
             queryClient.invalidateQueries({ queryKey: ['customers'] });
         }
     });
@@ -248,13 +460,54 @@ function CustomerDetailsPanel({ customerId, onClose }) {
     const customer = data?.customer;
     const report = customer?.report175 || {};
     const notes = notesData?.notes || [];
+    const followUps = followUpsData?.followUps || [];
+    const openFollowUps = followUps.filter((task) => task.status === 'open');
+    const nextFollowUp = openFollowUps.reduce(
+        (next, task) => (!next || toDateInputValue(task.due_date) < toDateInputValue(next.due_date) ? task : next),
+        null
+    );
+    const promises = promisesData?.promises || [];
+    // The open promise due first, otherwise the most recent one (the list comes open first, newest date first)
+    const currentPromise = promises
+        .filter((promise) => promise.status === 'open')
+        .reduce((next, promise) => (!next || toDateInputValue(promise.promised_date) < toDateInputValue(next.promised_date) ? promise : next), null)
+        || promises.find((promise) => promise.status !== 'cancelled')
+        || null;
+    const auditEntries = auditData?.entries || [];
     const customerGroups = customerGroupsData?.groups || [];
     const allGroups = allGroupsData?.groups || [];
-    const users = usersData?.users || [];
+    const users = (usersData?.users || []).filter((u) => u.is_active);
+    const auditLookups = {
+        users: Object.fromEntries((usersData?.users || []).map((u) => [u.id, u.full_name || u.username])),
+        groups: Object.fromEntries(allGroups.map((g) => [g.id, g.name]))
+    };
     const report180Rows = report180Data?.rows || [];
-    const report184Row = basicReportsData?.report184?.row || null;
-    const report185Row = basicReportsData?.report185?.row || null;
-    const mergedBasicRow = mergeBasicRows(report184Row, report185Row);
+    const report180Totals = report180Data?.totals;
+    const report180Pagination = report180Data?.pagination;
+    const isReport180Filtered = Object.entries(report180Filters)
+        .some(([key, value]) => value !== emptyReport180Filters[key]);
+
+    const handleReport180FilterChange = (key) => (event) => {
+        setReport180Page(1);
+        setReport180Filters((current) => ({ ...current, [key]: event.target.value }));
+    };
+
+    const handleReport180Search = (event) => {
+        event.preventDefault();
+        setReport180Page(1);
+        setReport180Filters((current) => ({ ...current, search: report180SearchInput.trim() }));
+    };
+
+    const handleReport180FiltersReset = () => {
+        setReport180Page(1);
+        setReport180SearchInput('');
+        setReport180Filters(emptyReport180Filters);
+    };
+    const { row: mergedBasicRow, sources: basicRowSources } = mergeBasicRows(
+        basicReportsData?.report184,
+        basicReportsData?.report185
+    );
+    const failedBasicReports = ['184', '185'].filter((code) => basicReportsData?.[`report${code}`]?.error);
 
     const handleAddNote = (event) => {
         event.preventDefault();
@@ -263,7 +516,12 @@ function CustomerDetailsPanel({ customerId, onClose }) {
         addNoteMutation.mutate({
             note: noteText.trim(),
             due_date: noteDueDate,
-            ...(noteGroupId ? { group_id: Number(noteGroupId) } : {})
+            ...(noteGroupId ? { group_id: Number(noteGroupId) } : {}),
+            follow_up_status: noteFollowUpStatus,
+            follow_up_outcome: noteFollowUpOutcome.trim(),
+            ...(notePromiseAmount || notePromiseDate
+                ? { promise_amount: notePromiseAmount, promise_date: notePromiseDate }
+                : {})
         });
     };
 
@@ -275,7 +533,31 @@ function CustomerDetailsPanel({ customerId, onClose }) {
             note: transferText.trim(),
             due_date: transferDueDate,
             managed_by: Number(transferManagedBy),
-            group_id: Number(transferGroupId)
+            group_id: Number(transferGroupId),
+            follow_up_status: transferFollowUpStatus,
+            follow_up_outcome: transferFollowUpOutcome.trim()
+        });
+    };
+
+    const handleEditFollowUp = (task) => {
+        updateFollowUpMutation.reset();
+        setEditingFollowUp({
+            id: task.id,
+            status: task.status,
+            outcome: task.outcome || '',
+            due_date: toDateInputValue(task.due_date)
+        });
+    };
+
+    const handleUpdateFollowUp = (event) => {
+        event.preventDefault();
+        if (!editingFollowUp?.due_date) return;
+
+        updateFollowUpMutation.mutate({
+            id: editingFollowUp.id,
+            status: editingFollowUp.status,
+            outcome: editingFollowUp.outcome.trim(),
+            due_date: editingFollowUp.due_date
         });
     };
 
@@ -339,9 +621,57 @@ function CustomerDetailsPanel({ customerId, onClose }) {
                         <TableCell sx={{ fontWeight: 700 }}>קבוצה</TableCell>
                         <TableCell>{customer.group_name || customerGroups[0]?.name || '-'}</TableCell>
                     </TableRow>
+                    <TableRow>
+                        <TableCell sx={{ fontWeight: 700 }}>מעקב הבא</TableCell>
+                        <TableCell>
+                            {followUpsLoading ? (
+                                <CircularProgress size={14} />
+                            ) : nextFollowUp ? (
+                                <Typography
+                                    variant="body2"
+                                    component="span"
+                                    color={isOverdue(nextFollowUp.due_date) ? 'error' : 'inherit'}
+                                    sx={{ fontWeight: isOverdue(nextFollowUp.due_date) ? 700 : 400 }}
+                                >
+                                    {formatDate(nextFollowUp.due_date)}
+                                    {nextFollowUp.assigned_to_name ? ` - ${nextFollowUp.assigned_to_name}` : ''}
+                                    {isOverdue(nextFollowUp.due_date) ? ' (באיחור)' : ''}
+                                </Typography>
+                            ) : '-'}
+                        </TableCell>
+                    </TableRow>
+                    <TableRow>
+                        <TableCell sx={{ fontWeight: 700 }}>הבטחת תשלום</TableCell>
+                        <TableCell>
+                            {promisesLoading ? (
+                                <CircularProgress size={14} />
+                            ) : currentPromise ? (
+                                <Stack direction="row" spacing={1} alignItems="center">
+                                    <Typography variant="body2" component="span">
+                                        {formatNumber(currentPromise.amount)} עד {formatDate(currentPromise.promised_date)}
+                                        {currentPromise.paid_amount > 0 ? ` · שולם ${formatNumber(currentPromise.paid_amount)}` : ''}
+                                    </Typography>
+                                    <Chip
+                                        size="small"
+                                        color={promiseStatusColors[currentPromise.status] || 'default'}
+                                        label={promiseStatusLabels[currentPromise.status] || currentPromise.status}
+                                    />
+                                </Stack>
+                            ) : '-'}
+                        </TableCell>
+                    </TableRow>
                 </TableBody>
             </Table>
 
+            <Box sx={{ mb: 3 }}>
+                <Typography variant="h6" sx={{ mb: 1 }}>מגמת יתרה</Typography>
+                {balanceHistoryLoading ? (
+                    <CircularProgress size={18} />
+                ) : (
+                    <BalanceHistoryChart history={balanceHistoryData?.history || []} />
+                )}
+            </Box>
+
             <Box
                 sx={{
                     mt: 3,
@@ -399,28 +729,30 @@ function CustomerDetailsPanel({ customerId, onClose }) {
                             alignItems: 'stretch'
                         }}
                     >
-                        <Button
-                            startIcon={<SwapHorizOutlinedIcon />}
-                            variant="outlined"
-                            color="secondary"
-                            onClick={() => setIsTransferOpen(true)}
-                            sx={{
-                                minHeight: 36,
-                                px: 1.25,
-                                borderRadius: 999,
-                                justifyContent: 'center',
-                                fontWeight: 700,
-                                minWidth: 148,
-                                gap: 0,
-                                direction: 'rtl',
-                                '& .MuiButton-startIcon': {
-                                    marginInlineStart: 0,
-                                    marginInlineEnd: 0
-                                }
-                            }}
-                        >
-                            העבר לטיפול
-                        </Button>
+                        {can('customers.transfer') && (
+                            <Button
+                                startIcon={<SwapHorizOutlinedIcon />}
+                                variant="outlined"
+                                color="secondary"
+                                onClick={() => setIsTransferOpen(true)}
+                                sx={{
+                                    minHeight: 36,
+                                    px: 1.25,
+                                    borderRadius: 999,
+                                    justifyContent: 'center',
+                                    fontWeight: 700,
+                                    minWidth: 148,
+                                    gap: 0,
+                                    direction: 'rtl',
+                                    '& .MuiButton-startIcon': {
+                                        marginInlineStart: 0,
+                                        marginInlineEnd: 0
+                                    }
+                                }}
+                            >
+                                העבר לטיפול
+                            </Button>
+                        )}
 
                         <Button
                             startIcon={<HistoryOutlinedIcon />}
@@ -473,9 +805,14 @@ function CustomerDetailsPanel({ customerId, onClose }) {
             <Dialog open={isViewNotesOpen} onClose={() => setIsViewNotesOpen(false)} fullWidth maxWidth="lg" PaperProps={rtlDialogPaperProps}>
                 <DialogTitle>הערות לקוח</DialogTitle>
                 <DialogContent sx={rtlDialogContentSx}>
-                    <Typography variant="subtitle1" sx={{ mb: 2 }}>היסטוריית הערות</Typography>
+                    <Tabs value={notesTab} onChange={(event, value) => setNotesTab(value)} sx={{ mb: 2 }}>
+                        <Tab value="notes" label="היסטוריית הערות" />
+                        <Tab value="follow-ups" label="משימות מעקב" />
+                        <Tab value="promises" label="הבטחות תשלום" />
+                        <Tab value="audit" label="היסטוריית שינויים" />
+                    </Tabs>
 
-                    {notesLoading ? (
+                    {notesTab === 'notes' && (notesLoading ? (
                         <CircularProgress size={18} />
                     ) : notes.length === 0 ? (
                         <Typography variant="body2">אין הערות עדיין.</Typography>
@@ -504,7 +841,170 @@ function CustomerDetailsPanel({ customerId, onClose }) {
                                 ))}
                             </TableBody>
                         </Table>
-                    )}
+                    ))}
+
+                    {notesTab === 'follow-ups' && (followUpsLoading ? (
+                        <CircularProgress size={18} />
+                    ) : followUps.length === 0 ? (
+                        <Typography variant="body2">אין משימות מעקב.</Typography>
+                    ) : (
+                        <Table size="small" sx={rtlTableSx}>
+                            <TableHead>
+                                <TableRow>
+                                    <TableCell>תאריך יעד</TableCell>
+                                    <TableCell>אחראי</TableCell>
+                                    <TableCell>סטטוס</TableCell>
+                                    <TableCell>תוצאה</TableCell>
+                                    <TableCell>נסגר</TableCell>
+                                    <TableCell />
+                                </TableRow>
+                            </TableHead>
+                            <TableBody>
+                                {followUps.map((task) => (
+                                    <TableRow key={task.id}>
+                                        <TableCell
+                                            sx={task.status === 'open' && isOverdue(task.due_date) ? { color: 'error.main', fontWeight: 700 } : undefined}
+                                        >
+                                            {formatDate(task.due_date)}
+                                        </TableCell>
+                                        <TableCell>{task.assigned_to_name || '-'}</TableCell>
+                                        <TableCell>
+                                            <Chip
+                                                size="small"
+                                                color={followUpStatusColors[task.status] || 'default'}
+                                                variant={task.status === 'open' ? 'filled' : 'outlined'}
+                                                label={followUpStatusLabels[task.status] || task.status}
+                                            />
+                                        </TableCell>
+                                        <TableCell>{task.outcome || '-'}</TableCell>
+                                        <TableCell sx={{ whiteSpace: 'nowrap' }}>
+                                            {task.completed_at
+                                                ? `${formatDateTime(task.completed_at)}${task.completed_by_name ? ` - ${task.completed_by_name}` : ''}`
+                                                : '-'}
+                                        </TableCell>
+                                        <TableCell>
+                                            <Tooltip title="עדכון משימה">
+                                                <IconButton size="small" onClick={() => handleEditFollowUp(task)}>
+                                                    <EditOutlinedIcon fontSize="small" />
+                                                </IconButton>
+                                            </Tooltip>
+                                        </TableCell>
+                                    </TableRow>
+                                ))}
+                            </TableBody>
+                        </Table>
+                    ))}
+
+                    {notesTab === 'promises' && (promisesLoading ? (
+                        <CircularProgress size={18} />
+                    ) : promises.length === 0 ? (
+                        <Typography variant="body2">אין הבטחות תשלום.</Typography>
+                    ) : (
+                        <>
+                            {updatePromiseMutation.isError && (
+                                <Alert severity="error" sx={{ mb: 1 }}>
+                                    {updatePromiseMutation.error?.response?.data?.error || 'עדכון ההבטחה נכשל'}
+                                </Alert>
+                            )}
+                            <Table size="small" sx={rtlTableSx}>
+                                <TableHead>
+                                    <TableRow>
+                                        <TableCell>תאריך הבטחה</TableCell>
+                                        <TableCell>סכום</TableCell>
+                                        <TableCell>שולם</TableCell>
+                                        <TableCell>סטטוס</TableCell>
+                                        <TableCell>הערה</TableCell>
+                                        <TableCell>נרשם</TableCell>
+                                        <TableCell />
+                                    </TableRow>
+                                </TableHead>
+                                <TableBody>
+                                    {promises.map((promise) => (
+                                        <TableRow key={promise.id}>
+                                            <TableCell sx={{ whiteSpace: 'nowrap' }}>{formatDate(promise.promised_date)}</TableCell>
+                                            <TableCell>{formatNumber(promise.amount)}</TableCell>
+                                            <TableCell>{formatNumber(promise.paid_amount)}</TableCell>
+                                            <TableCell>
+                                                <Chip
+                                                    size="small"
+                                                    color={promiseStatusColors[promise.status] || 'default'}
+                                                    variant={promise.status === 'open' ? 'filled' : 'outlined'}
+                                                    label={promiseStatusLabels[promise.status] || promise.status}
+                                                />
+                                            </TableCell>
+                                            <TableCell>{promise.note || '-'}</TableCell>
+                                            <TableCell sx={{ whiteSpace: 'nowrap' }}>
+                                                {formatDateTime(promise.created_at)}
+                                                {promise.created_by_name ? ` - ${promise.created_by_name}` : ''}
+                                            </TableCell>
+                                            <TableCell>
+                                                {promise.status === 'open' && (
+                                                    <Tooltip title="ביטול הבטחה">
+                                                        <IconButton
+                                                            size="small"
+                                                            disabled={updatePromiseMutation.isPending}
+                                                            onClick={() => updatePromiseMutation.mutate({ id: promise.id, status: 'cancelled' })}
+                                                        >
+                                                            <CancelOutlinedIcon fontSize="small" />
+                                                        </IconButton>
+                                                    </Tooltip>
+                                                )}
+                                                {promise.status === 'cancelled' && (
+                                                    <Tooltip title="החזרה להבטחה פתוחה">
+                                                        <IconButton
+                                                            size="small"
+                                                            disabled={updatePromiseMutation.isPending}
+                                                            onClick={() => updatePromiseMutation.mutate({ id: promise.id, status: 'open' })}
+                                                        >
+                                                            <ReplayOutlinedIcon fontSize="small" />
+                                                        </IconButton>
+                                                    </Tooltip>
+                                                )}
+                                            </TableCell>
+                                        </TableRow>
+                                    ))}
+                                </TableBody>
+                            </Table>
+                        </>
+                    ))}
+
+                    {notesTab === 'audit' && (auditLoading ? (
+                        <CircularProgress size={18} />
+                    ) : auditIsError ? (
+                        <Alert severity="error">{auditError?.response?.data?.error || 'טעינת היסטוריית השינויים נכשלה'}</Alert>
+                    ) : auditEntries.length === 0 ? (
+                        <Typography variant="body2">אין שינויים מתועדים.</Typography>
+                    ) : (
+                        <Table size="small" sx={rtlTableSx}>
+                            <TableHead>
+                                <TableRow>
+                                    <TableCell>מועד</TableCell>
+                                    <TableCell>משתמש</TableCell>
+                                    <TableCell>פעולה</TableCell>
+                                    <TableCell>שינויים</TableCell>
+                                </TableRow>
+                            </TableHead>
+                            <TableBody>
+                                {auditEntries.map((entry) => {
+                                    const changes = getAuditChanges(entry, auditLookups);
+                                    return (
+                                        <TableRow key={entry.id}>
+                                            <TableCell sx={{ whiteSpace: 'nowrap' }}>{formatDateTime(entry.created_at)}</TableCell>
+                                            <TableCell>{entry.actor_name || '-'}</TableCell>
+                                            <TableCell>{auditActionLabels[entry.action] || entry.action}</TableCell>
+                                            <TableCell>
+                                                {changes.length === 0 ? '-' : changes.map((change) => (
+                                                    <Typography key={change.key} variant="body2">
+                                                        {change.label}: {change.before} ← {change.after}
+                                                    </Typography>
+                                                ))}
+                                            </TableCell>
+                                        </TableRow>
+                                    );
+                                })}
+                            </TableBody>
+                        </Table>
+                    ))}
                 </DialogContent>
                 <DialogActions sx={{ direction: 'rtl', justifyContent: 'flex-start' }}>
                     <Button onClick={() => setIsViewNotesOpen(false)} variant="outlined">סגור</Button>
@@ -516,23 +1016,25 @@ function CustomerDetailsPanel({ customerId, onClose }) {
                 <Box component="form" onSubmit={handleAddNote}>
                     <DialogContent sx={rtlDialogContentSx}>
                         <Stack direction={{ xs: 'column', sm: 'row' }} spacing={1} sx={{ mb: 1 }}>
-                            <TextField
-                                select
-                                fullWidth
-                                size="small"
-                                label="קבוצה"
-                                value={noteGroupId}
-                                onChange={(event) => setNoteGroupId(event.target.value)}
-                                sx={rtlFieldSx}
-                                SelectProps={{ sx: { textAlign: 'right' } }}
-                            >
-                                <MenuItem value="">ללא קבוצה</MenuItem>
-                                {allGroups.map((group) => (
-                                    <MenuItem key={group.id} value={group.id}>
-                                        {group.name}
-                                    </MenuItem>
-                                ))}
-                            </TextField>
+                            {can('customers.assignGroup') && (
+                                <TextField
+                                    select
+                                    fullWidth
+                                    size="small"
+                                    label="קבוצה"
+                                    value={noteGroupId}
+                                    onChange={(event) => setNoteGroupId(event.target.value)}
+                                    sx={rtlFieldSx}
+                                    SelectProps={{ sx: { textAlign: 'right' } }}
+                                >
+                                    <MenuItem value="">ללא קבוצה</MenuItem>
+                                    {allGroups.map((group) => (
+                                        <MenuItem key={group.id} value={group.id}>
+                                            {group.name}
+                                        </MenuItem>
+                                    ))}
+                                </TextField>
+                            )}
                             <TextField
                                 type="date"
                                 fullWidth
@@ -557,6 +1059,64 @@ function CustomerDetailsPanel({ customerId, onClose }) {
                             sx={rtlFieldSx}
                             required
                         />
+                        <Stack direction={{ xs: 'column', sm: 'row' }} spacing={1} sx={{ mt: 2 }}>
+                            <TextField
+                                type="number"
+                                fullWidth
+                                size="small"
+                                label="הבטחת תשלום - סכום (אופציונלי)"
+                                value={notePromiseAmount}
+                                onChange={(event) => setNotePromiseAmount(event.target.value)}
+                                inputProps={{ min: 0, step: '0.01', dir: 'rtl' }}
+                                sx={rtlFieldSx}
+                                required={Boolean(notePromiseDate)}
+                            />
+                            <TextField
+                                type="date"
+                                fullWidth
+                                size="small"
+                                label="ישולם עד"
+                                value={notePromiseDate}
+                                onChange={(event) => setNotePromiseDate(event.target.value)}
+                                InputLabelProps={{ shrink: true }}
+                                inputProps={{ dir: 'rtl', min: toDateInputValue(new Date()) }}
+                                sx={rtlFieldSx}
+                                required={Boolean(notePromiseAmount)}
+                            />
+                        </Stack>
+                        {openFollowUps.length > 0 && (
+                            <Stack direction={{ xs: 'column', sm: 'row' }} spacing={1} sx={{ mt: 2 }}>
+                                <TextField
+                                    select
+                                    size="small"
+                                    label={`מעקב פתוח מ-${formatDate(nextFollowUp.due_date)}`}
+                                    value={noteFollowUpStatus}
+                                    onChange={(event) => setNoteFollowUpStatus(event.target.value)}
+                                    sx={{ ...rtlFieldSx, minWidth: 220 }}
+                                    SelectProps={{ sx: { textAlign: 'right' } }}
+                                >
+                                    {followUpResolutionStatuses.map((status) => (
+                                        <MenuItem key={status} value={status}>
+                                            {followUpStatusLabels[status]}
+                                        </MenuItem>
+                                    ))}
+                                </TextField>
+                                <TextField
+                                    fullWidth
+                                    size="small"
+                                    label="תוצאת המעקב (אופציונלי)"
+                                    value={noteFollowUpOutcome}
+                                    onChange={(event) => setNoteFollowUpOutcome(event.target.value)}
+                                    inputProps={{ dir: 'rtl' }}
+                                    sx={rtlFieldSx}
+                                />
+                            </Stack>
+                        )}
+                        {addNoteMutation.isError && (
+                            <Alert severity="error" sx={{ mt: 2 }}>
+                                {addNoteMutation.error?.response?.data?.error || 'שמירת ההערה נכשלה'}
+                            </Alert>
+                        )}
                     </DialogContent>
                     <DialogActions sx={{ direction: 'rtl', justifyContent: 'flex-start' }}>
                         <Button onClick={() => setIsAddNoteOpen(false)} variant="outlined">ביטול</Button>
@@ -631,6 +1191,34 @@ function CustomerDetailsPanel({ customerId, onClose }) {
                             inputProps={{ dir: 'rtl' }}
                             sx={rtlFieldSx}
                         />
+                        {openFollowUps.length > 0 && (
+                            <Stack direction={{ xs: 'column', sm: 'row' }} spacing={1} sx={{ mt: 2 }}>
+                                <TextField
+                                    select
+                                    size="small"
+                                    label={`מעקב פתוח מ-${formatDate(nextFollowUp.due_date)}`}
+                                    value={transferFollowUpStatus}
+                                    onChange={(event) => setTransferFollowUpStatus(event.target.value)}
+                                    sx={{ ...rtlFieldSx, minWidth: 220 }}
+                                    SelectProps={{ sx: { textAlign: 'right' } }}
+                                >
+                                    {followUpResolutionStatuses.map((status) => (
+                                        <MenuItem key={status} value={status}>
+                                            {followUpStatusLabels[status]}
+                                        </MenuItem>
+                                    ))}
+                                </TextField>
+                                <TextField
+                                    fullWidth
+                                    size="small"
+                                    label="תוצאת המעקב (אופציונלי)"
+                                    value={transferFollowUpOutcome}
+                                    onChange={(event) => setTransferFollowUpOutcome(event.target.value)}
+                                    inputProps={{ dir: 'rtl' }}
+                                    sx={rtlFieldSx}
+                                />
+                            </Stack>
+                        )}
                     </DialogContent>
                     <DialogActions sx={{ direction: 'rtl', justifyContent: 'flex-start' }}>
                         <Button onClick={() => setIsTransferOpen(false)} variant="outlined">ביטול</Button>
@@ -641,6 +1229,67 @@ function CustomerDetailsPanel({ customerId, onClose }) {
                 </Box>
             </Dialog>
 
+            <Dialog open={Boolean(editingFollowUp)} onClose={() => setEditingFollowUp(null)} fullWidth maxWidth="sm" PaperProps={rtlDialogPaperProps}>
+                <DialogTitle>עדכון משימת מעקב</DialogTitle>
+                {editingFollowUp && (
+                    <Box component="form" onSubmit={handleUpdateFollowUp}>
+                        <DialogContent sx={rtlDialogContentSx}>
+                            <Stack spacing={2} sx={{ pt: 1 }}>
+                                <TextField
+                                    select
+                                    fullWidth
+                                    size="small"
+                                    label="סטטוס"
+                                    value={editingFollowUp.status}
+                                    onChange={(event) => setEditingFollowUp((current) => ({ ...current, status: event.target.value }))}
+                                    sx={rtlFieldSx}
+                                    SelectProps={{ sx: { textAlign: 'right' } }}
+                                >
+                                    {Object.entries(followUpStatusLabels).map(([status, label]) => (
+                                        <MenuItem key={status} value={status}>
+                                            {label}
+                                        </MenuItem>
+                                    ))}
+                                </TextField>
+                                <TextField
+                                    type="date"
+                                    fullWidth
+                                    size="small"
+                                    label="תאריך יעד"
+                                    value={editingFollowUp.due_date}
+                                    onChange={(event) => setEditingFollowUp((current) => ({ ...current, due_date: event.target.value }))}
+                                    InputLabelProps={{ shrink: true }}
+                                    inputProps={{ dir: 'rtl' }}
+                                    sx={rtlFieldSx}
+                                    required
+                                />
+                                <TextField
+                                    fullWidth
+                                    multiline
+                                    minRows={2}
+                                    label="תוצאה"
+                                    value={editingFollowUp.outcome}
+                                    onChange={(event) => setEditingFollowUp((current) => ({ ...current, outcome: event.target.value }))}
+                                    inputProps={{ dir: 'rtl' }}
+                                    sx={rtlFieldSx}
+                                />
+                                {updateFollowUpMutation.isError && (
+                                    <Alert severity="error">
+                                        {updateFollowUpMutation.error?.response?.data?.error || 'עדכון המשימה נכשל'}
+                                    </Alert>
+                                )}
+                            </Stack>
+                        </DialogContent>
+                        <DialogActions sx={{ direction: 'rtl', justifyContent: 'flex-start' }}>
+                            <Button onClick={() => setEditingFollowUp(null)} variant="outlined">ביטול</Button>
+                            <Button type="submit" variant="contained" disabled={updateFollowUpMutation.isPending}>
+                                שמור
+                            </Button>
+                        </DialogActions>
+                    </Box>
+                )}
+            </Dialog>
+
             <Dialog
                 open={isReport180Open}
                 onClose={() => setIsReport180Open(false)}
@@ -648,9 +1297,99 @@ function CustomerDetailsPanel({ customerId, onClose }) {
                 maxWidth="lg"
                 PaperProps={{ ...rtlDialogPaperProps, sx: { ...rtlDialogPaperProps.sx, ...dialogCardSx } }}
             >
-                <DialogTitle sx={dialogHeaderSx}>כרטסת</DialogTitle>
+                <DialogTitle sx={dialogHeaderSx}>
+                    <Stack direction="row" alignItems="center" justifyContent="space-between">
+                        <span>כרטסת</span>
+                        <Stack direction="row" alignItems="center" spacing={1}>
+                            {report180Data?.fetchedAt && (
+                                <Typography variant="caption" color="text.secondary">
+                                    עודכן: {formatDateTime(report180Data.fetchedAt)}
+                                </Typography>
+                            )}
+                            <Tooltip title="רענן מהשרת">
+                                <span>
+                                    <IconButton
+                                        size="small"
+                                        onClick={() => refreshReport180Mutation.mutate()}
+                                        disabled={refreshReport180Mutation.isPending}
+                                    >
+                                        <RefreshOutlinedIcon fontSize="small" />
+                                    </IconButton>
+                                </span>
+                            </Tooltip>
+                        </Stack>
+                    </Stack>
+                </DialogTitle>
                 <DialogContent sx={rtlDialogContentSx}>
                     <Box dir="rtl" sx={{ pt: 2 }}>
+                        <Stack
+                            component="form"
+                            onSubmit={handleReport180Search}
+                            direction={{ xs: 'column', md: 'row' }}
+                            spacing={1}
+                            sx={{ mb: 2 }}
+                        >
+                            <TextField
+                                select
+                                size="small"
+                                label="לפי תאריך"
+                                value={report180Filters.dateField}
+                                onChange={handleReport180FilterChange('dateField')}
+                                sx={{ ...rtlFieldSx, minWidth: 140 }}
+                            >
+                                <MenuItem value="value_date">תאריך ערך</MenuItem>
+                                <MenuItem value="asmach_date">תאריך אסמכתא</MenuItem>
+                            </TextField>
+                            <TextField
+                                type="date"
+                                size="small"
+                                label="מתאריך"
+                                value={report180Filters.from}
+                                onChange={handleReport180FilterChange('from')}
+                                InputLabelProps={{ shrink: true }}
+                                sx={rtlFieldSx}
+                            />
+                            <TextField
+                                type="date"
+                                size="small"
+                                label="עד תאריך"
+                                value={report180Filters.to}
+                                onChange={handleReport180FilterChange('to')}
+                                InputLabelProps={{ shrink: true }}
+                                sx={rtlFieldSx}
+                            />
+                            <TextField
+                                select
+                                size="small"
+                                label="תנועות"
+                                value={report180Filters.side}
+                                onChange={handleReport180FilterChange('side')}
+                                sx={{ ...rtlFieldSx, minWidth: 120 }}
+                                SelectProps={{ displayEmpty: true }}
+                                InputLabelProps={{ shrink: true }}
+                            >
+                                <MenuItem value="">הכל</MenuItem>
+                                <MenuItem value="debit">חובה בלבד</MenuItem>
+                                <MenuItem value="credit">זכות בלבד</MenuItem>
+                            </TextField>
+                            <TextField
+                                size="small"
+                                label="חיפוש בפרטים"
+                                value={report180SearchInput}
+                                onChange={(event) => setReport180SearchInput(event.target.value)}
+                                sx={{ ...rtlFieldSx, flexGrow: 1 }}
+                            />
+                            <Button type="submit" variant="contained">חפש</Button>
+                            {isReport180Filtered && (
+                                <Button onClick={handleReport180FiltersReset}>נקה</Button>
+                            )}
+                        </Stack>
+
+                        {refreshReport180Mutation.isError && (
+                            <Alert severity="warning" sx={{ mb: 1 }}>
+                                {refreshReport180Mutation.error?.response?.data?.error || 'רענון הכרטסת נכשל'} - מוצגים הנתונים השמורים.
+                            </Alert>
+                        )}
                         {report180Loading ? (
                             <CircularProgress size={18} />
                         ) : report180IsError ? (
@@ -658,7 +1397,9 @@ function CustomerDetailsPanel({ customerId, onClose }) {
                                 {report180Error?.response?.data?.error || 'טעינת דוח 180 נכשלה'}
                             </Alert>
                         ) : report180Rows.length === 0 ? (
-                            <Typography variant="body2">אין נתונים להצגה.</Typography>
+                            <Typography variant="body2">
+                                {isReport180Filtered ? 'אין תנועות התואמות לסינון.' : 'אין נתונים להצגה.'}
+                            </Typography>
                         ) : (
                             <Box sx={dialogContentCardSx}>
                                 <Table size="small" dir="rtl" sx={rtlTableSx}>
@@ -694,7 +1435,46 @@ function CustomerDetailsPanel({ customerId, onClose }) {
                                             </TableRow>
                                         ))}
                                     </TableBody>
+                                    {report180Totals && (
+                                        <TableFooter>
+                                            <TableRow>
+                                                <TableCell colSpan={5} sx={ledgerTotalsCellSx}>
+                                                    סה"כ ({report180Pagination?.total ?? report180Rows.length} תנועות)
+                                                </TableCell>
+                                                <TableCell align="right" sx={ledgerTotalsCellSx}>
+                                                    {formatLedgerAmount(report180Totals.debit)}
+                                                </TableCell>
+                                                <TableCell align="right" sx={ledgerTotalsCellSx}>
+                                                    {formatLedgerAmount(report180Totals.credit)}
+                                                </TableCell>
+                                                <TableCell align="right" sx={ledgerTotalsCellSx}>
+                                                    {formatLedgerAmount(report180Totals.net)}
+                                                </TableCell>
+                                                <TableCell sx={ledgerTotalsCellSx} />
+                                            </TableRow>
+                                        </TableFooter>
+                                    )}
                                 </Table>
+
+                                {report180Pagination?.totalPages > 1 && (
+                                    <Stack direction="row" justifyContent="space-between" alignItems="center" sx={{ p: 1.5 }}>
+                                        <Button
+                                            disabled={report180Page <= 1}
+                                            onClick={() => setReport180Page((prev) => prev - 1)}
+                                        >
+                                            הקודם
+                                        </Button>
+                                        <Typography variant="body2" sx={{ fontWeight: 700, color: 'text.secondary' }}>
+                                            עמוד {report180Pagination.page} מתוך {report180Pagination.totalPages}
+                                        </Typography>
+                                        <Button
+                                            disabled={report180Page >= report180Pagination.totalPages}
+                                            onClick={() => setReport180Page((prev) => prev + 1)}
+                                        >
+                                            הבא
+                                        </Button>
+                                    </Stack>
+                                )}
                             </Box>
                         )}
                     </Box>
@@ -724,6 +1504,11 @@ function CustomerDetailsPanel({ customerId, onClose }) {
                             <Typography variant="body2">אין נתונים להצגה.</Typography>
                         ) : (
                             <Box sx={dialogContentCardSx}>
+                                {failedBasicReports.length > 0 && (
+                                    <Alert severity="warning" sx={{ mb: 1 }}>
+                                        לא ניתן היה לטעון את {failedBasicReports.map((code) => `דוח ${code}`).join(' ו')}. מוצגים הנתונים הזמינים.
+                                    </Alert>
+                                )}
                                 <Table size="small" sx={rtlTableSx}>
                                     <TableBody>
                                         {Object.entries(mergedBasicRow).map(([key, value], index) => (
@@ -737,6 +1522,16 @@ function CustomerDetailsPanel({ customerId, onClose }) {
                                                     {getFriendlyBasicFieldLabel(key)}
                                                 </TableCell>
                                                 <TableCell>{value === null || value === undefined || value === '' ? '-' : String(value)}</TableCell>
+                                                <TableCell sx={{ width: 140 }}>
+                                                    {basicRowSources[key] && (
+                                                        <Chip
+                                                            size="small"
+                                                            variant="outlined"
+                                                            color={basicRowSources[key] === 'local' ? 'default' : 'primary'}
+                                                            label={basicFieldSourceLabels[basicRowSources[key]] || basicRowSources[key]}
+                                                        />
+                                                    )}
+                                                </TableCell>
                                             </TableRow>
                                         ))}
                                     </TableBody>
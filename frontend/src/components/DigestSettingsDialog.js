@@ -0,0 +1,149 @@
+import { useEffect, useState } from 'react';
+import { useMutation, useQuery, useQueryClient } from '@tanstack/react-query';
+import {
+    Alert,
+    Box,
+    Button,
+    CircularProgress,
+    Dialog,
+    DialogActions,
+    DialogContent,
+    DialogTitle,
+    FormControlLabel,
+    Stack,
+    Switch,
+    TextField,
+    Typography
+} from '@mui/material';
+import { authAPI } from '../services/api';
+
+const formatDateTime = (value) => (value ? new Date(value).toLocaleString('he-IL') : '-');
+
+const rtlDialogPaperProps = {
+    dir: 'rtl',
+    sx: {
+        direction: 'rtl'
+    }
+};
+
+function DigestSettingsDialog({ open, onClose }) {
+    const queryClient = useQueryClient();
+    const [email, setEmail] = useState('');
+    const [enabled, setEnabled] = useState(true);
+    const [sendTime, setSendTime] = useState('07:00');
+    const [message, setMessage] = useState('');
+
+    const { data, isLoading, isError, error } = useQuery({
+        queryKey: ['my-digest'],
+        queryFn: () => authAPI.getDigestSettings(),
+        enabled: open
+    });
+    const digest = data?.digest;
+
+    useEffect(() => {
+        if (!digest) return;
+        setEmail(digest.email || '');
+        setEnabled(digest.digest_enabled);
+        setSendTime(digest.digest_send_time || '07:00');
+    }, [digest]);
+
+    const saveMutation = useMutation({
+        mutationFn: () => authAPI.updateDigestSettings({ email, digest_enabled: enabled, digest_send_time: sendTime }),
+        onSuccess: (result) => {
+            queryClient.setQueryData(['my-digest'], result);
+            setMessage('ההגדרות נשמרו');
+        }
+    });
+
+    const sendMutation = useMutation({
+        mutationFn: () => authAPI.sendDigest(),
+        onSuccess: () => setMessage(`נשלח סיכום ל-${email}`)
+    });
+
+    const actionError = saveMutation.error || sendMutation.error;
+
+    const handleClose = () => {
+        setMessage('');
+        saveMutation.reset();
+        sendMutation.reset();
+        onClose();
+    };
+
+    const handleSubmit = (event) => {
+        event.preventDefault();
+        setMessage('');
+        sendMutation.reset();
+        saveMutation.mutate();
+    };
+
+    return (
+        <Dialog open={open} onClose={handleClose} fullWidth maxWidth="xs" PaperProps={rtlDialogPaperProps}>
+            <DialogTitle>סיכום יומי במייל</DialogTitle>
+            <Box component="form" onSubmit={handleSubmit}>
+                <DialogContent>
+                    {isLoading ? (
+                        <CircularProgress size={18} />
+                    ) : isError ? (
+                        <Alert severity="error">{error?.response?.data?.error || 'טעינת ההגדרות נכשלה'}</Alert>
+                    ) : (
+                        <Stack spacing={1.5} sx={{ pt: 1 }}>
+                            {!digest?.smtp_configured && (
+                                <Alert severity="info">שליחת מיילים אינה מוגדרת בשרת.</Alert>
+                            )}
+                            {message && <Alert severity="success">{message}</Alert>}
+                            {actionError && (
+                                <Alert severity="error">{actionError.response?.data?.error || 'הפעולה נכשלה'}</Alert>
+                            )}
+                            <Typography variant="body2" color="text.secondary">
+                                פעם ביום: מעקבים להיום, מעקבים באיחור ולקוחות שהועברו אליך.
+                            </Typography>
+                            <TextField
+                                size="small"
+                                type="email"
+                                label="אימייל"
+                                value={email}
+                                onChange={(event) => setEmail(event.target.value)}
+                                inputProps={{ dir: 'ltr' }}
+                            />
+                            <FormControlLabel
+                                control={<Switch checked={enabled} onChange={(event) => setEnabled(event.target.checked)} />}
+                                label="לשלוח לי סיכום יומי"
+                            />
+                            <TextField
+                                size="small"
+                                type="time"
+                                label="שעת שליחה"
+                                value={sendTime}
+                                onChange={(event) => setSendTime(event.target.value)}
+                                InputLabelProps={{ shrink: true }}
+                                disabled={!enabled}
+                                required
+                            />
+                            <Typography variant="caption" color="text.secondary">
+                                נשלח לאחרונה: {formatDateTime(digest?.digest_last_sent_at)}
+                            </Typography>
+                        </Stack>
+                    )}
+                </DialogContent>
+                <DialogActions sx={{ direction: 'rtl', justifyContent: 'flex-start' }}>
+                    <Button onClick={handleClose} variant="outlined">סגור</Button>
+                    <Button type="submit" variant="contained" disabled={!digest || saveMutation.isPending}>
+                        שמור
+                    </Button>
+                    <Button
+                        onClick={() => {
+                            setMessage('');
+                            saveMutation.reset();
+                            sendMutation.mutate();
+                        }}
+                        disabled={!digest?.smtp_configured || !digest?.email || sendMutation.isPending}
+                    >
+                        שלח לי עכשיו
+                    </Button>
+                </DialogActions>
+            </Box>
+        </Dialog>
+    );
+}
+
+export default DigestSettingsDialog;
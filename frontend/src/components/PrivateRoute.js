@@ -3,8 +3,8 @@ import { Navigate } from 'react-router-dom';
 import { useAuth } from '../context/AuthContext';
 import { Box, CircularProgress } from '@mui/material';
 
-function PrivateRoute({ children }) {
-    const { isAuthenticated, loading } = useAuth();
+function PrivateRoute({ children, permission }) {
+    const { isAuthenticated, loading, can } = useAuth();
 
     if (loading) {
         return (
@@ -21,7 +21,15 @@ function PrivateRoute({ children }) {
         );
     }
 
-    return isAuthenticated ? children : <Navigate to="/login" />;
+    if (!isAuthenticated) {
+        return <Navigate to="/login" />;
+    }
+
+    if (permission && !can(permission)) {
+        return <Navigate to="/customers" replace />;
+    }
+
+    return children;
 }
 
 export default PrivateRoute;
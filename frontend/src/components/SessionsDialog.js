@@ -0,0 +1,111 @@
+import { useMutation, useQuery, useQueryClient } from '@tanstack/react-query';
+import { useNavigate } from 'react-router-dom';
+import {
+    Alert,
+    Button,
+    Chip,
+    CircularProgress,
+    Dialog,
+    DialogActions,
+    DialogContent,
+    DialogTitle,
+    Table,
+    TableBody,
+    TableCell,
+    TableHead,
+    TableRow
+} from '@mui/material';
+import { authAPI } from '../services/api';
+import { useAuth } from '../context/AuthContext';
+
+const formatDateTime = (value) => (value ? new Date(value).toLocaleString('he-IL') : '-');
+
+const rtlDialogPaperProps = {
+    dir: 'rtl',
+    sx: {
+        direction: 'rtl'
+    }
+};
+
+function SessionsDialog({ open, onClose }) {
+    const navigate = useNavigate();
+    const queryClient = useQueryClient();
+    const { logoutEverywhere } = useAuth();
+
+    const { data, isLoading, isError, error } = useQuery({
+        queryKey: ['my-sessions'],
+        queryFn: () => authAPI.getSessions(),
+        enabled: open
+    });
+
+    const revokeMutation = useMutation({
+        mutationFn: (sessionId) => authAPI.revokeSession(sessionId),
+        onSuccess: () => {
+            queryClient.invalidateQueries({ queryKey: ['my-sessions'] });
+        }
+    });
+
+    const handleLogoutEverywhere = async () => {
+        await logoutEverywhere();
+        navigate('/login');
+    };
+
+    const sessions = data?.sessions || [];
+
+    return (
+        <Dialog open={open} onClose={onClose} fullWidth maxWidth="md" PaperProps={rtlDialogPaperProps}>
+            <DialogTitle>חיבורים פעילים</DialogTitle>
+            <DialogContent>
+                {isLoading ? (
+                    <CircularProgress size={18} />
+                ) : isError ? (
+                    <Alert severity="error">{error?.response?.data?.error || 'טעינת החיבורים נכשלה'}</Alert>
+                ) : (
+                    <Table size="small">
+                        <TableHead>
+                            <TableRow>
+                                <TableCell>דפדפן</TableCell>
+                                <TableCell>כתובת IP</TableCell>
+                                <TableCell>התחברות</TableCell>
+                                <TableCell>פעילות אחרונה</TableCell>
+                                <TableCell />
+                            </TableRow>
+                        </TableHead>
+                        <TableBody>
+                            {sessions.map((session) => (
+                                <TableRow key={session.id}>
+                                    <TableCell sx={{ maxWidth: 260, wordBreak: 'break-word' }}>{session.user_agent || '-'}</TableCell>
+                                    <TableCell sx={{ direction: 'ltr' }}>{session.ip_address || '-'}</TableCell>
+                                    <TableCell>{formatDateTime(session.created_at)}</TableCell>
+                                    <TableCell>{formatDateTime(session.last_used_at)}</TableCell>
+                                    <TableCell>
+                                        {session.current ? (
+                                            <Chip size="small" color="primary" label="חיבור נוכחי" />
+                                        ) : (
+                                            <Button
+                                                size="small"
+                                                color="error"
+                                                disabled={revokeMutation.isPending}
+                                                onClick={() => revokeMutation.mutate(session.id)}
+                                            >
+                                                נתק
+                                            </Button>
+                                        )}
+                                    </TableCell>
+                                </TableRow>
+                            ))}
+                        </TableBody>
+                    </Table>
+                )}
+            </DialogContent>
+            <DialogActions sx={{ direction: 'rtl', justifyContent: 'flex-start' }}>
+                <Button onClick={onClose} variant="outlined">סגור</Button>
+                <Button onClick={handleLogoutEverywhere} variant="contained" color="error">
+                    נתק מכל המכשירים
+                </Button>
+            </DialogActions>
+        </Dialog>
+    );
+}
+
+export default SessionsDialog;
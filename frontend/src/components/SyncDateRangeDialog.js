@@ -0,0 +1,96 @@
+import { useState } from 'react';
+import {
+    Alert,
+    Box,
+    Button,
+    Dialog,
+    DialogActions,
+    DialogContent,
+    DialogTitle,
+    Stack,
+    TextField,
+    Typography
+} from '@mui/material';
+
+const rtlDialogPaperProps = {
+    dir: 'rtl',
+    sx: {
+        direction: 'rtl'
+    }
+};
+
+// One-off report 175 pull for a chosen window; it leaves the customers and the list as the last full sync left them.
+// Reports 198 and 176 keep their configured windows.
+function SyncDateRangeDialog({ open, onClose, onSubmit, defaultRange, disabled }) {
+    const [dateFrom, setDateFrom] = useState('');
+    const [dateTo, setDateTo] = useState('');
+    const [error, setError] = useState('');
+
+    const handleClose = () => {
+        setDateFrom('');
+        setDateTo('');
+        setError('');
+        onClose();
+    };
+
+    const handleSubmit = (event) => {
+        event.preventDefault();
+        if (dateFrom && dateTo && dateTo < dateFrom) {
+            setError('תאריך הסיום מוקדם מתאריך ההתחלה');
+            return;
+        }
+
+        onSubmit({
+            ...(dateFrom ? { dateFrom } : {}),
+            ...(dateTo ? { dateTo } : {})
+        });
+        handleClose();
+    };
+
+    return (
+        <Dialog open={open} onClose={handleClose} fullWidth maxWidth="xs" PaperProps={rtlDialogPaperProps}>
+            <DialogTitle>משיכת דוח 175 לטווח תאריכים</DialogTitle>
+            <Box component="form" onSubmit={handleSubmit}>
+                <DialogContent>
+                    <Stack spacing={1.5} sx={{ pt: 1 }}>
+                        {error && <Alert severity="error">{error}</Alert>}
+                        <Typography variant="body2" color="text.secondary">
+                            הטווח חל על משיכה זו בלבד. טווח ברירת המחדל: {defaultRange?.dateFrom || '-'}
+                            {defaultRange?.dateTo ? ` עד ${defaultRange.dateTo}` : ' עד היום'}
+                        </Typography>
+                        <Typography variant="body2" color="text.secondary">
+                            הטווח חל על דוח 175 בלבד (דוחות 198 ו-176 נשארים בטווח המוגדר). המשיכה אינה משנה יתרות
+                            לקוחות או את הרשימה; הסיכומים והשורות שלה מוצגים בהיסטוריית הסנכרונים (&quot;הצג תוצאות&quot;).
+                        </Typography>
+                        <TextField
+                            size="small"
+                            type="date"
+                            label="מתאריך"
+                            value={dateFrom}
+                            onChange={(event) => setDateFrom(event.target.value)}
+                            InputLabelProps={{ shrink: true }}
+                            required
+                        />
+                        <TextField
+                            size="small"
+                            type="date"
+                            label="עד תאריך"
+                            value={dateTo}
+                            onChange={(event) => setDateTo(event.target.value)}
+                            InputLabelProps={{ shrink: true }}
+                            helperText="ריק - עד היום"
+                        />
+                    </Stack>
+                </DialogContent>
+                <DialogActions sx={{ direction: 'rtl', justifyContent: 'flex-start' }}>
+                    <Button onClick={handleClose} variant="outlined">סגור</Button>
+                    <Button type="submit" variant="contained" disabled={disabled}>
+                        סנכרן
+                    </Button>
+                </DialogActions>
+            </Box>
+        </Dialog>
+    );
+}
+
+export default SyncDateRangeDialog;
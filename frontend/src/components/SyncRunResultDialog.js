@@ -0,0 +1,92 @@
+import { useQuery } from '@tanstack/react-query';
+import {
+    Alert,
+    Button,
+    CircularProgress,
+    Dialog,
+    DialogActions,
+    DialogContent,
+    DialogTitle,
+    Stack,
+    Table,
+    TableBody,
+    TableCell,
+    TableHead,
+    TableRow,
+    Typography
+} from '@mui/material';
+import { customersAPI } from '../services/api';
+
+const formatAmount = (value) => Number(value || 0).toLocaleString('he-IL', { maximumFractionDigits: 2 });
+
+const rtlDialogPaperProps = {
+    dir: 'rtl',
+    sx: {
+        direction: 'rtl'
+    }
+};
+
+// Totals and rows of a one-off windowed report 175 pull, as stored with its sync run
+function SyncRunResultDialog({ runId, onClose }) {
+    const { data, isLoading, isError, error } = useQuery({
+        queryKey: ['customers-sync-run-result', runId],
+        queryFn: () => customersAPI.getSyncRunResult(runId),
+        enabled: Boolean(runId)
+    });
+
+    const totals = data?.totals;
+    const rows = data?.rows || [];
+
+    return (
+        <Dialog open={Boolean(runId)} onClose={onClose} fullWidth maxWidth="md" PaperProps={rtlDialogPaperProps}>
+            <DialogTitle>
+                תוצאות משיכה לטווח
+                {data?.dateRange?.dateFrom ? ` (${data.dateRange.dateFrom} - ${data.dateRange.dateTo || 'היום'})` : ''}
+            </DialogTitle>
+            <DialogContent>
+                {isLoading ? (
+                    <CircularProgress size={18} />
+                ) : isError ? (
+                    <Alert severity="error">{error?.response?.data?.error || 'טעינת תוצאות המשיכה נכשלה'}</Alert>
+                ) : (
+                    <Stack spacing={1.5} sx={{ pt: 1 }}>
+                        <Typography variant="body2">
+                            לקוחות: {totals?.customers ?? 0} | יתרת חשבון: {formatAmount(totals?.account_balance)} |
+                            {' '}תעודות פתוחות: {formatAmount(totals?.open_delivery_notes_balance)} |
+                            {' '}סה"כ אובליגו: {formatAmount(totals?.total_obligo)}
+                        </Typography>
+                        <Table size="small">
+                            <TableHead>
+                                <TableRow>
+                                    <TableCell>מספר כרטיס</TableCell>
+                                    <TableCell>מפתח חשבון</TableCell>
+                                    <TableCell>שם חשבון</TableCell>
+                                    <TableCell>יתרת חשבון</TableCell>
+                                    <TableCell>תעודות פתוחות</TableCell>
+                                    <TableCell>סה"כ אובליגו</TableCell>
+                                </TableRow>
+                            </TableHead>
+                            <TableBody>
+                                {rows.map((row) => (
+                                    <TableRow key={row.external_id}>
+                                        <TableCell>{row.external_id}</TableCell>
+                                        <TableCell>{row.account_key || '-'}</TableCell>
+                                        <TableCell>{row.account_name || '-'}</TableCell>
+                                        <TableCell sx={{ direction: 'ltr' }}>{formatAmount(row.account_balance)}</TableCell>
+                                        <TableCell sx={{ direction: 'ltr' }}>{formatAmount(row.open_delivery_notes_balance)}</TableCell>
+                                        <TableCell sx={{ direction: 'ltr' }}>{formatAmount(row.total_obligo)}</TableCell>
+                                    </TableRow>
+                                ))}
+                            </TableBody>
+                        </Table>
+                    </Stack>
+                )}
+            </DialogContent>
+            <DialogActions sx={{ direction: 'rtl', justifyContent: 'flex-start' }}>
+                <Button onClick={onClose} variant="outlined">סגור</Button>
+            </DialogActions>
+        </Dialog>
+    );
+}
+
+export default SyncRunResultDialog;
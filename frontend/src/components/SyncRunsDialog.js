@@ -0,0 +1,150 @@
+import { useState } from 'react';
+import { useQuery } from '@tanstack/react-query';
+import {
+    Alert,
+    Button,
+    Chip,
+    CircularProgress,
+    Dialog,
+    DialogActions,
+    DialogContent,
+    DialogTitle,
+    MenuItem,
+    Stack,
+    Table,
+    TableBody,
+    TableCell,
+    TableHead,
+    TableRow,
+    TextField,
+    Typography
+} from '@mui/material';
+import { customersAPI } from '../services/api';
+import SyncRunResultDialog from './SyncRunResultDialog';
+
+const formatDateTime = (value) => (value ? new Date(value).toLocaleString('he-IL') : '-');
+const formatDuration = (ms) => (ms === null || ms === undefined ? '-' : `${(ms / 1000).toFixed(1)} שנ'`);
+const formatCount = (value) => (value === null || value === undefined ? '-' : value);
+
+const triggerLabels = {
+    manual: 'ידני',
+    schedule: 'מתוזמן',
+    startup: 'הפעלת שרת'
+};
+
+const statusChips = {
+    running: { label: 'רץ', color: 'info' },
+    completed: { label: 'הושלם', color: 'success' },
+    completed_with_warnings: { label: 'הושלם עם אזהרות', color: 'warning' },
+    failed: { label: 'נכשל', color: 'error' }
+};
+
+const rtlDialogPaperProps = {
+    dir: 'rtl',
+    sx: {
+        direction: 'rtl'
+    }
+};
+
+function SyncRunsDialog({ open, onClose }) {
+    const [reportCode, setReportCode] = useState('');
+    const [resultRunId, setResultRunId] = useState(null);
+
+    const { data, isLoading, isError, error } = useQuery({
+        queryKey: ['customers-sync-runs', reportCode],
+        queryFn: () => customersAPI.getSyncRuns(reportCode ? { reportCode } : {}),
+        enabled: open,
+        refetchInterval: open ? 5000 : false
+    });
+
+    const runs = data?.runs || [];
+
+    return (
+        <Dialog open={open} onClose={onClose} fullWidth maxWidth="lg" PaperProps={rtlDialogPaperProps}>
+            <DialogTitle>היסטוריית סנכרונים</DialogTitle>
+            <DialogContent>
+                <Stack direction="row" sx={{ mb: 2, pt: 1 }}>
+                    <TextField
+                        select
+                        size="small"
+                        label="דוח"
+                        value={reportCode}
+                        onChange={(event) => setReportCode(event.target.value)}
+                        sx={{ minWidth: 160 }}
+                    >
+                        <MenuItem value="">כל הדוחות</MenuItem>
+                        <MenuItem value="175">175</MenuItem>
+                        <MenuItem value="198">198</MenuItem>
+                        <MenuItem value="176">176</MenuItem>
+                    </TextField>
+                </Stack>
+
+                {isLoading ? (
+                    <CircularProgress size={18} />
+                ) : isError ? (
+                    <Alert severity="error">{error?.response?.data?.error || 'טעינת היסטוריית הסנכרונים נכשלה'}</Alert>
+                ) : runs.length === 0 ? (
+                    <Typography variant="body2">אין סנכרונים מתועדים.</Typography>
+                ) : (
+                    <Table size="small">
+                        <TableHead>
+                            <TableRow>
+                                <TableCell>דוח</TableCell>
+                                <TableCell>התחלה</TableCell>
+                                <TableCell>טווח תאריכים</TableCell>
+                                <TableCell>משך</TableCell>
+                                <TableCell>הפעלה</TableCell>
+                                <TableCell>התקבלו</TableCell>
+                                <TableCell>עודכנו</TableCell>
+                                <TableCell>דולגו</TableCell>
+                                <TableCell>קידוד תוקן</TableCell>
+                                <TableCell>סטטוס</TableCell>
+                                <TableCell>פרטים</TableCell>
+                            </TableRow>
+                        </TableHead>
+                        <TableBody>
+                            {runs.map((run) => {
+                                const statusChip = statusChips[run.status] || { label: run.status, color: 'default' };
+                                return (
+                                    <TableRow key={run.id}>
+                                        <TableCell>{run.report_code}</TableCell>
+                                        <TableCell sx={{ whiteSpace: 'nowrap' }}>{formatDateTime(run.started_at)}</TableCell>
+                                        <TableCell sx={{ whiteSpace: 'nowrap', direction: 'ltr' }}>
+                                            {run.date_from ? `${run.date_from} - ${run.date_to || ''}` : '-'}
+                                        </TableCell>
+                                        <TableCell>{formatDuration(run.duration_ms)}</TableCell>
+                                        <TableCell>
+                                            {triggerLabels[run.trigger_type] || run.trigger_type}
+                                            {run.triggered_by_name ? ` (${run.triggered_by_name})` : ''}
+                                        </TableCell>
+                                        <TableCell>{formatCount(run.rows_received)}</TableCell>
+                                        <TableCell>{formatCount(run.rows_upserted)}</TableCell>
+                                        <TableCell>{formatCount(run.rows_skipped)}</TableCell>
+                                        <TableCell>{formatCount(run.fields_repaired)}</TableCell>
+                                        <TableCell>
+                                            <Chip size="small" label={statusChip.label} color={statusChip.color} />
+                                        </TableCell>
+                                        <TableCell sx={{ maxWidth: 280, wordBreak: 'break-word' }}>
+                                            {run.error || (run.warnings || []).join(' | ') || '-'}
+                                            {run.has_result && (
+                                                <Button size="small" onClick={() => setResultRunId(run.id)}>
+                                                    הצג תוצאות
+                                                </Button>
+                                            )}
+                                        </TableCell>
+                                    </TableRow>
+                                );
+                            })}
+                        </TableBody>
+                    </Table>
+                )}
+            </DialogContent>
+            <DialogActions sx={{ direction: 'rtl', justifyContent: 'flex-start' }}>
+                <Button onClick={onClose} variant="outlined">סגור</Button>
+            </DialogActions>
+            <SyncRunResultDialog runId={resultRunId} onClose={() => setResultRunId(null)} />
+        </Dialog>
+    );
+}
+
+export default SyncRunsDialog;
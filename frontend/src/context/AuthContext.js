@@ -1,15 +1,22 @@
 import React, { createContext, useState, useContext, useEffect } from 'react';
-import { authAPI } from '../services/api';
+import { authAPI, clearTokens, storeTokens } from '../services/api';
 
 const AuthContext = createContext(null);
 
+// Mirrors the requireRole guards in auth-service/server.js
+const rolePermissions = {
+    admin: ['customers.sync', 'customers.transfer', 'customers.assignGroup', 'customers.edit', 'customers.delete', 'groups.manage', 'users.manage', 'worklist.viewOthers', 'dashboard.view'],
+    supervisor: ['customers.sync', 'customers.transfer', 'customers.assignGroup', 'customers.edit', 'groups.manage', 'worklist.viewOthers', 'dashboard.view'],
+    collector: []
+};
+
 export const AuthProvider = ({ children }) => {
     const [user, setUser] = useState(null);
     const [loading, setLoading] = useState(true);
 
     useEffect(() => {
         // Check if user is logged in
-        const token = localStorage.getItem('token');
+        const token = localStorage.getItem('token') || localStorage.getItem('refreshToken');
         if (token) {
             loadUser();
         } else {
@@ -23,7 +30,7 @@ export const AuthProvider = ({ children }) => {
             setUser(data.user);
         } catch (error) {
             console.error('Failed to load user:', error);
-            localStorage.removeItem('token');
+            clearTokens();
         } finally {
             setLoading(false);
         }
@@ -31,21 +38,42 @@ export const AuthProvider = ({ children }) => {
 
     const login = async (username, password) => {
         const data = await authAPI.login(username, password);
-        localStorage.setItem('token', data.token);
+        storeTokens(data);
         setUser(data.user);
         return data;
     };
 
-    const logout = () => {
-        localStorage.removeItem('token');
-        setUser(null);
+    const changePassword = async (currentPassword, newPassword) => {
+        const data = await authAPI.changePassword(currentPassword, newPassword);
+        storeTokens(data);
+        return data;
+    };
+
+    const endSession = async (request) => {
+        try {
+            await request();
+        } catch (error) {
+            console.error('Failed to revoke session:', error);
+        } finally {
+            clearTokens();
+            setUser(null);
+        }
     };
 
+    const logout = () => endSession(authAPI.logout);
+
+    const logoutEverywhere = () => endSession(authAPI.logoutAll);
+
+    const can = (permission) => Boolean(user && (rolePermissions[user.role] || []).includes(permission));
+
     const value = {
         user,
         loading,
         login,
         logout,
+        logoutEverywhere,
+        changePassword,
+        can,
         isAuthenticated: !!user
     };
 
@@ -9,7 +9,9 @@ import {
     Container,
     FormControl,
     FormControlLabel,
+    IconButton,
     InputLabel,
+    Menu,
     MenuItem,
     Paper,
     Radio,
@@ -23,15 +25,26 @@ import {
     TableRow,
     TableSortLabel,
     TextField,
+    Tooltip,
     Typography
 } from '@mui/material';
+import DateRangeOutlinedIcon from '@mui/icons-material/DateRangeOutlined';
+import HistoryOutlinedIcon from '@mui/icons-material/HistoryOutlined';
 import { customersAPI, groupsAPI, usersAPI } from '../services/api';
 import CustomerDetailsPanel from '../components/CustomerDetailsPanel';
+import ChangePasswordDialog from '../components/ChangePasswordDialog';
+import SessionsDialog from '../components/SessionsDialog';
+import DigestSettingsDialog from '../components/DigestSettingsDialog';
+import SyncDateRangeDialog from '../components/SyncDateRangeDialog';
+import SyncRunsDialog from '../components/SyncRunsDialog';
 import { useAuth } from '../context/AuthContext';
 
 const formatDate = (value) => (value ? new Date(value).toLocaleDateString('he-IL') : '-');
 const formatNumber = (value) => Number(value || 0).toFixed(2);
 const formatDateTime = (value) => (value ? new Date(value).toLocaleString('he-IL') : 'לא סונכרן');
+const toDateKey = (value) => new Date(value).toLocaleDateString('en-CA');
+// The next follow-up is overdue once its date has passed
+const isOverdue = (value) => Boolean(value) && toDateKey(value) < toDateKey(new Date());
 
 const pageShellSx = {
     minHeight: '100vh',
@@ -75,9 +88,13 @@ const sortableColumns = {
         getValue: (customer) => String(customer.payment_start || '')
     },
     payment_target: {
-        label: 'יעד תשלום',
+        label: 'מעקב הבא',
         getValue: (customer) => String(customer.payment_target || '')
     },
+    open_promises: {
+        label: 'הבטחות',
+        getValue: (customer) => Number(customer.open_promises || 0)
+    },
     account_balance: {
         label: 'יתרה',
         getValue: (customer) => Number(customer.account_balance || 0)
@@ -95,7 +112,7 @@ const sortableColumns = {
 function CustomersList() {
     const navigate = useNavigate();
     const queryClient = useQueryClient();
-    const { logout, user, loading: authLoading } = useAuth();
+    const { logout, user, can, loading: authLoading } = useAuth();
     const [page, setPage] = useState(1);
     const [searchInput, setSearchInput] = useState('');
     const [search, setSearch] = useState('');
@@ -107,6 +124,12 @@ function CustomersList() {
     const [sortBy, setSortBy] = useState('account_key');
     const [sortDirection, setSortDirection] = useState('asc');
     const [syncSuccessMessage, setSyncSuccessMessage] = useState('');
+    const [accountMenuAnchor, setAccountMenuAnchor] = useState(null);
+    const [isChangePasswordOpen, setIsChangePasswordOpen] = useState(false);
+    const [isSessionsOpen, setIsSessionsOpen] = useState(false);
+    const [isDigestSettingsOpen, setIsDigestSettingsOpen] = useState(false);
+    const [isSyncRunsOpen, setIsSyncRunsOpen] = useState(false);
+    const [isSyncDateRangeOpen, setIsSyncDateRangeOpen] = useState(false);
     const previousReport175StatusRef = useRef(null);
     const pendingSyncRequestRef = useRef(false);
 
@@ -175,6 +198,10 @@ function CustomersList() {
     const groups = groupsData?.groups || [];
     const syncStatus = syncStatusData?.sync;
     const syncCaches = syncStatusData?.caches;
+    const syncSchedule = syncStatusData?.schedule;
+    const openCircuitReports = Object.entries(syncStatusData?.circuitBreakers || {})
+        .filter(([, breaker]) => breaker.state !== 'closed')
+        .map(([reportCode]) => reportCode);
     const isFastSyncRunning = syncStatus?.report175?.status === 'running';
     const isBackgroundSyncRunning = syncStatus?.background?.status === 'running';
     const isSyncActionPending = isFastSyncRunning || syncMutation.isPending;
@@ -247,11 +274,16 @@ function CustomersList() {
         setSortDirection('asc');
     };
 
-    const handleLogout = () => {
-        logout();
+    const handleLogout = async () => {
+        await logout();
         navigate('/login');
     };
 
+    const openAccountDialog = (setter) => () => {
+        setAccountMenuAnchor(null);
+        setter(true);
+    };
+
     if (!isManagerFilterReady) {
         return (
             <Box sx={pageShellSx}>
@@ -325,34 +357,112 @@ function CustomersList() {
                                         {formatDateTime(syncCaches?.report198SyncedAt || syncCaches?.report176SyncedAt)}
                                     </Typography>
                                 </Box>
+                                {syncSchedule?.report175NextRunAt && (
+                                    <Box sx={statusMetaSx}>
+                                        <Typography variant="body2" color="text.secondary">
+                                            סנכרון מתוזמן הבא:
+                                        </Typography>
+                                        <Typography variant="body2" color="text.secondary" sx={{ direction: 'ltr' }}>
+                                            {formatDateTime(syncSchedule.report175NextRunAt)}
+                                        </Typography>
+                                    </Box>
+                                )}
+                                {openCircuitReports.length > 0 && (
+                                    <Typography variant="body2" color="warning.main">
+                                        שרת הדוחות אינו זמין כרגע (דוחות {openCircuitReports.join(', ')}). ניסיון חוזר יתבצע אוטומטית.
+                                    </Typography>
+                                )}
                             </Stack>
                         </Box>
 
                         <Stack direction="row" spacing={1}>
                             <Button
-                                onClick={handleLogout}
+                                onClick={() => navigate('/worklist')}
                                 variant="outlined"
-                                color="error"
                                 sx={{ borderRadius: 999, px: 2 }}
                             >
-                                התנתק
+                                התור שלי
                             </Button>
+                            {can('dashboard.view') && (
+                                <Button
+                                    onClick={() => navigate('/dashboard/overdue')}
+                                    variant="outlined"
+                                    sx={{ borderRadius: 999, px: 2 }}
+                                >
+                                    מעקבים באיחור
+                                </Button>
+                            )}
+                            {can('users.manage') && (
+                                <Button
+                                    onClick={() => navigate('/admin/users')}
+                                    variant="outlined"
+                                    sx={{ borderRadius: 999, px: 2 }}
+                                >
+                                    ניהול משתמשים
+                                </Button>
+                            )}
                             <Button
-                                onClick={() => syncMutation.mutate()}
-                                variant="contained"
-                                disabled={isSyncActionPending}
-                                sx={{
-                                    borderRadius: 999,
-                                    px: 2.5,
-                                    boxShadow: '0 12px 30px rgba(25, 118, 210, 0.28)'
-                                }}
+                                onClick={(event) => setAccountMenuAnchor(event.currentTarget)}
+                                variant="outlined"
+                                sx={{ borderRadius: 999, px: 2 }}
+                            >
+                                החשבון שלי
+                            </Button>
+                            <Menu
+                                anchorEl={accountMenuAnchor}
+                                open={Boolean(accountMenuAnchor)}
+                                onClose={() => setAccountMenuAnchor(null)}
+                            >
+                                <MenuItem onClick={openAccountDialog(setIsChangePasswordOpen)}>שינוי סיסמה</MenuItem>
+                                <MenuItem onClick={openAccountDialog(setIsSessionsOpen)}>חיבורים פעילים</MenuItem>
+                                <MenuItem onClick={openAccountDialog(setIsDigestSettingsOpen)}>סיכום יומי במייל</MenuItem>
+                            </Menu>
+                            <Button
+                                onClick={handleLogout}
+                                variant="outlined"
+                                color="error"
+                                sx={{ borderRadius: 999, px: 2 }}
                             >
-                                {isFastSyncRunning || syncMutation.isPending
-                                    ? 'מסנכרן 175...'
-                                    : isBackgroundSyncRunning
-                                        ? 'משלים ברקע...'
-                                        : 'סנכרן'}
+                                התנתק
                             </Button>
+                            {can('customers.sync') && (
+                                <Button
+                                    onClick={() => syncMutation.mutate()}
+                                    variant="contained"
+                                    disabled={isSyncActionPending}
+                                    sx={{
+                                        borderRadius: 999,
+                                        px: 2.5,
+                                        boxShadow: '0 12px 30px rgba(25, 118, 210, 0.28)'
+                                    }}
+                                >
+                                    {isFastSyncRunning || syncMutation.isPending
+                                        ? 'מסנכרן 175...'
+                                        : isBackgroundSyncRunning
+                                            ? 'משלים ברקע...'
+                                            : 'סנכרן'}
+                                </Button>
+                            )}
+                            {can('customers.sync') && (
+                                <Tooltip title="היסטוריית סנכרונים">
+                                    <IconButton onClick={() => setIsSyncRunsOpen(true)} color="primary">
+                                        <HistoryOutlinedIcon />
+                                    </IconButton>
+                                </Tooltip>
+                            )}
+                            {can('customers.sync') && (
+                                <Tooltip title="משיכת דוח 175 לטווח תאריכים">
+                                    <span>
+                                        <IconButton
+                                            onClick={() => setIsSyncDateRangeOpen(true)}
+                                            color="primary"
+                                            disabled={isSyncActionPending}
+                                        >
+                                            <DateRangeOutlinedIcon />
+                                        </IconButton>
+                                    </span>
+                                </Tooltip>
+                            )}
                         </Stack>
                     </Stack>
                 </Paper>
@@ -526,7 +636,20 @@ function CustomersList() {
                                                     </Button>
                                                 </TableCell>
                                                 <TableCell>{formatDate(customer.payment_start)}</TableCell>
-                                                <TableCell>{formatDate(customer.payment_target)}</TableCell>
+                                                <TableCell
+                                                    sx={isOverdue(customer.payment_target) ? { color: 'error.main', fontWeight: 700 } : undefined}
+                                                >
+                                                    {formatDate(customer.payment_target)}
+                                                    {customer.open_follow_ups > 1 ? ` (${customer.open_follow_ups})` : ''}
+                                                </TableCell>
+                                                <TableCell>
+                                                    {customer.open_promises || (customer.broken_promises ? '' : '-')}
+                                                    {customer.broken_promises > 0 && (
+                                                        <Typography component="span" variant="body2" sx={{ color: 'error.main', fontWeight: 700 }}>
+                                                            {customer.open_promises ? ' · ' : ''}{customer.broken_promises} הופרו
+                                                        </Typography>
+                                                    )}
+                                                </TableCell>
                                                 <TableCell align="right">{formatNumber(customer.account_balance)}</TableCell>
                                                 <TableCell>{customer.managed_by_name || '-'}</TableCell>
                                                 <TableCell>{customer.group_name || '-'}</TableCell>
@@ -534,7 +657,7 @@ function CustomersList() {
                                         ))}
                                         {customers.length === 0 && (
                                             <TableRow>
-                                                <TableCell colSpan={7} align="center">לא נמצאו לקוחות</TableCell>
+                                                <TableCell colSpan={8} align="center">לא נמצאו לקוחות</TableCell>
                                             </TableRow>
                                         )}
                                     </TableBody>
@@ -589,6 +712,22 @@ function CustomersList() {
                     </Paper>
                 </Stack>
             </Container>
+
+            <ChangePasswordDialog open={isChangePasswordOpen} onClose={() => setIsChangePasswordOpen(false)} />
+            <SessionsDialog open={isSessionsOpen} onClose={() => setIsSessionsOpen(false)} />
+            <DigestSettingsDialog open={isDigestSettingsOpen} onClose={() => setIsDigestSettingsOpen(false)} />
+            <SyncRunsDialog open={isSyncRunsOpen} onClose={() => setIsSyncRunsOpen(false)} />
+            <SyncDateRangeDialog
+                open={isSyncDateRangeOpen}
+                onClose={() => setIsSyncDateRangeOpen(false)}
+                onSubmit={(dateRange) => {
+                    // The pull's totals and rows show up in the history once it finishes
+                    syncMutation.mutate(dateRange);
+                    setIsSyncRunsOpen(true);
+                }}
+                defaultRange={syncStatusData?.dateRanges?.['175']}
+                disabled={isSyncActionPending}
+            />
         </Box>
     );
 }
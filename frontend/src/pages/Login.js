@@ -1,5 +1,5 @@
 import React, { useState } from 'react';
-import { useNavigate } from 'react-router-dom';
+import { Link as RouterLink, useLocation, useNavigate } from 'react-router-dom';
 import { useQuery } from '@tanstack/react-query';
 import {
     Alert,
@@ -9,6 +9,7 @@ import {
     Container,
     FormControl,
     InputLabel,
+    Link,
     MenuItem,
     Paper,
     Select,
@@ -45,12 +46,30 @@ const fieldSx = {
     }
 };
 
+const formatRetryAfter = (seconds) => {
+    if (seconds >= 60) return `${Math.ceil(seconds / 60)} דקות`;
+    return `${seconds} שניות`;
+};
+
+const getLoginErrorMessage = (err) => {
+    const data = err.response?.data;
+    if (err.response?.status !== 429) return data?.error || 'ההתחברות נכשלה';
+
+    const retryAfter = formatRetryAfter(data?.retry_after_seconds || 60);
+    if (data?.code === 'LOGIN_LOCKED') {
+        return `החשבון ננעל זמנית בעקבות ניסיונות התחברות כושלים. נסה שוב בעוד ${retryAfter} או פנה למנהל המערכת.`;
+    }
+    return `יותר מדי ניסיונות התחברות. נסה שוב בעוד ${retryAfter}.`;
+};
+
 function Login() {
     const navigate = useNavigate();
+    const location = useLocation();
     const { login } = useAuth();
     const [username, setUsername] = useState('');
     const [password, setPassword] = useState('');
     const [error, setError] = useState('');
+    const [isLockedOut, setIsLockedOut] = useState(false);
     const [loading, setLoading] = useState(false);
     const { data: loginUsersData, isLoading: isUsersLoading } = useQuery({
         queryKey: ['login-users'],
@@ -62,13 +81,15 @@ function Login() {
     const handleSubmit = async (e) => {
         e.preventDefault();
         setError('');
+        setIsLockedOut(false);
         setLoading(true);
 
         try {
             await login(username, password);
             navigate('/customers');
         } catch (err) {
-            setError(err.response?.data?.error || 'ההתחברות נכשלה');
+            setError(getLoginErrorMessage(err));
+            setIsLockedOut(err.response?.status === 429);
         } finally {
             setLoading(false);
         }
@@ -157,8 +178,14 @@ function Login() {
                                 כניסה
                             </Typography>
 
+                            {location.state?.message && !error && (
+                                <Alert severity="success" sx={{ mb: 2 }}>
+                                    {location.state.message}
+                                </Alert>
+                            )}
+
                             {error && (
-                                <Alert severity="error" sx={{ mb: 2 }}>
+                                <Alert severity={isLockedOut ? 'warning' : 'error'} sx={{ mb: 2 }}>
                                     {error}
                                 </Alert>
                             )}
@@ -218,6 +245,12 @@ function Login() {
                                 >
                                     {loading ? 'מתחבר...' : 'התחבר'}
                                 </Button>
+
+                                <Box sx={{ mt: 2, textAlign: 'center' }}>
+                                    <Link component={RouterLink} to="/reset-password" variant="body2">
+                                        קיבלת קוד איפוס סיסמה?
+                                    </Link>
+                                </Box>
                             </Box>
                             </Box>
                         </Box>
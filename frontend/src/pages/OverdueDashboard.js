@@ -0,0 +1,261 @@
+import React, { useState } from 'react';
+import { useMutation, useQuery, useQueryClient } from '@tanstack/react-query';
+import { useNavigate } from 'react-router-dom';
+import {
+    Alert,
+    Box,
+    Button,
+    Chip,
+    CircularProgress,
+    Container,
+    Paper,
+    Stack,
+    Table,
+    TableBody,
+    TableCell,
+    TableHead,
+    TableRow,
+    Typography
+} from '@mui/material';
+import { dashboardAPI } from '../services/api';
+import CustomerDetailsPanel from '../components/CustomerDetailsPanel';
+
+const formatDate = (value) => (value ? new Date(value).toLocaleDateString('he-IL') : '-');
+const formatDateTime = (value) => (value ? new Date(value).toLocaleString('he-IL') : '-');
+const formatNumber = (value) => (value === null || value === undefined ? '-' : Number(value).toFixed(2));
+
+const pageShellSx = {
+    minHeight: '100vh',
+    py: 4,
+    background: 'linear-gradient(180deg, #f7fbff 0%, #edf3fb 45%, #f8fbff 100%)'
+};
+
+const glassCardSx = {
+    borderRadius: 4,
+    border: '1px solid rgba(25, 118, 210, 0.08)',
+    backgroundColor: 'rgba(255, 255, 255, 0.92)',
+    boxShadow: '0 20px 50px rgba(15, 23, 42, 0.08)',
+    backdropFilter: 'blur(10px)'
+};
+
+const cardHeaderSx = {
+    px: 2,
+    py: 1.5,
+    borderBottom: '1px solid',
+    borderColor: 'divider',
+    background: 'linear-gradient(180deg, rgba(25, 118, 210, 0.06), rgba(25, 118, 210, 0.015))'
+};
+
+// Summary rows without an id stand for the customers with no manager / no group
+const getFilterParams = (filter) => {
+    if (!filter) return {};
+    if (filter.type === 'manager') return filter.id === null ? { unassigned: true } : { managedBy: filter.id };
+    return filter.id === null ? { ungrouped: true } : { groupId: filter.id };
+};
+
+function OverdueSummaryTable({ title, rows, emptyName, filterType, filter, onSelect }) {
+    return (
+        <Paper sx={{ ...glassCardSx, overflow: 'hidden', flex: 1, width: '100%' }}>
+            <Box sx={cardHeaderSx}>
+                <Typography variant="subtitle1" sx={{ fontWeight: 800, color: '#102a43' }}>
+                    {title}
+                </Typography>
+            </Box>
+            {rows.length === 0 ? (
+                <Typography variant="body2" sx={{ p: 2 }}>אין מעקבים באיחור.</Typography>
+            ) : (
+                <Table size="small">
+                    <TableHead>
+                        <TableRow>
+                            <TableCell sx={{ fontWeight: 800 }}>שם</TableCell>
+                            <TableCell sx={{ fontWeight: 800 }}>לקוחות</TableCell>
+                            <TableCell sx={{ fontWeight: 800 }}>באיחור הגדול</TableCell>
+                            <TableCell align="right" sx={{ fontWeight: 800 }}>יתרה</TableCell>
+                        </TableRow>
+                    </TableHead>
+                    <TableBody>
+                        {rows.map((row) => (
+                            <TableRow
+                                key={row.id ?? 'none'}
+                                hover
+                                selected={filter?.type === filterType && filter.id === row.id}
+                                onClick={() => onSelect({ type: filterType, id: row.id, name: row.name || emptyName })}
+                                sx={{ cursor: 'pointer' }}
+                            >
+                                <TableCell>{row.name || emptyName}</TableCell>
+                                <TableCell>{row.customers}</TableCell>
+                                <TableCell>{row.max_days_overdue} ימים</TableCell>
+                                <TableCell align="right">{formatNumber(row.balance)}</TableCell>
+                            </TableRow>
+                        ))}
+                    </TableBody>
+                </Table>
+            )}
+        </Paper>
+    );
+}
+
+function OverdueDashboard() {
+    const navigate = useNavigate();
+    const queryClient = useQueryClient();
+    const [filter, setFilter] = useState(null);
+    const [selectedCustomerId, setSelectedCustomerId] = useState(null);
+
+    const { data, isLoading, isError, error } = useQuery({
+        queryKey: ['overdue-dashboard', filter?.type, filter?.id],
+        queryFn: () => dashboardAPI.getOverdue(getFilterParams(filter)),
+        placeholderData: (previousData) => previousData
+    });
+
+    const refreshMutation = useMutation({
+        mutationFn: () => dashboardAPI.getOverdue({ ...getFilterParams(filter), refresh: true }),
+        onSuccess: (result) => {
+            queryClient.setQueryData(['overdue-dashboard', filter?.type, filter?.id], result);
+            queryClient.invalidateQueries({ queryKey: ['overdue-dashboard'] });
+        }
+    });
+
+    const customers = data?.customers || [];
+
+    const handleSelect = (next) => {
+        setSelectedCustomerId(null);
+        setFilter((current) => (current?.type === next.type && current.id === next.id ? null : next));
+    };
+
+    return (
+        <Box sx={pageShellSx}>
+            <Container maxWidth="lg">
+                <Paper sx={{ ...glassCardSx, p: { xs: 2.5, md: 3 }, mb: 2.5 }}>
+                    <Stack
+                        direction={{ xs: 'column', md: 'row' }}
+                        justifyContent="space-between"
+                        alignItems={{ xs: 'flex-start', md: 'center' }}
+                        spacing={2}
+                    >
+                        <Box>
+                            <Typography
+                                variant="overline"
+                                sx={{ color: 'primary.main', fontWeight: 900, letterSpacing: '0.18em' }}
+                            >
+                                DASHBOARD
+                            </Typography>
+                            <Typography variant="h3" sx={{ fontWeight: 900, color: '#102a43', lineHeight: 1.08 }}>
+                                מעקבים באיחור
+                            </Typography>
+                            <Typography variant="body2" color="text.secondary" sx={{ mt: 1 }}>
+                                {data
+                                    ? `${data.totals.customers} לקוחות · יתרה ${formatNumber(data.totals.balance)} · חושב ${formatDateTime(data.computedAt)}`
+                                    : ' '}
+                            </Typography>
+                        </Box>
+                        <Stack direction="row" spacing={1}>
+                            <Button
+                                onClick={() => refreshMutation.mutate()}
+                                variant="outlined"
+                                disabled={refreshMutation.isPending}
+                                sx={{ borderRadius: 999, px: 2 }}
+                            >
+                                חשב מחדש
+                            </Button>
+                            <Button onClick={() => navigate('/customers')} variant="outlined" sx={{ borderRadius: 999, px: 2 }}>
+                                חזרה
+                            </Button>
+                        </Stack>
+                    </Stack>
+                </Paper>
+
+                {isLoading ? (
+                    <Box sx={{ p: 4, textAlign: 'center' }}>
+                        <CircularProgress />
+                    </Box>
+                ) : isError ? (
+                    <Alert severity="error">{error?.response?.data?.error || 'טעינת הנתונים נכשלה'}</Alert>
+                ) : (
+                    <>
+                        <Stack direction={{ xs: 'column', md: 'row' }} spacing={2.5} sx={{ mb: 2.5 }} alignItems="flex-start">
+                            <OverdueSummaryTable
+                                title="לפי מנהל"
+                                rows={data.byManager}
+                                emptyName="לא משויך"
+                                filterType="manager"
+                                filter={filter}
+                                onSelect={handleSelect}
+                            />
+                            <OverdueSummaryTable
+                                title="לפי קבוצה"
+                                rows={data.byGroup}
+                                emptyName="ללא קבוצה"
+                                filterType="group"
+                                filter={filter}
+                                onSelect={handleSelect}
+                            />
+                        </Stack>
+
+                        {selectedCustomerId && (
+                            <Paper sx={{ ...glassCardSx, p: 2, mb: 2.5 }}>
+                                <Typography variant="h6" sx={{ mb: 1, fontWeight: 800, color: '#102a43' }}>
+                                    פרטי לקוח
+                                </Typography>
+                                <CustomerDetailsPanel customerId={selectedCustomerId} onClose={() => setSelectedCustomerId(null)} />
+                            </Paper>
+                        )}
+
+                        <Paper sx={{ ...glassCardSx, overflow: 'hidden' }}>
+                            <Stack direction="row" spacing={1} alignItems="center" sx={cardHeaderSx}>
+                                <Typography variant="subtitle1" sx={{ fontWeight: 800, color: '#102a43' }}>
+                                    לקוחות באיחור
+                                </Typography>
+                                {filter && (
+                                    <Chip size="small" label={filter.name} onDelete={() => handleSelect(filter)} />
+                                )}
+                            </Stack>
+                            <Table size="small">
+                                <TableHead>
+                                    <TableRow>
+                                        <TableCell sx={{ fontWeight: 800 }}>מפתח חשבון</TableCell>
+                                        <TableCell sx={{ fontWeight: 800 }}>שם לקוח</TableCell>
+                                        <TableCell sx={{ fontWeight: 800 }}>מעקב</TableCell>
+                                        <TableCell sx={{ fontWeight: 800 }}>ימי איחור</TableCell>
+                                        <TableCell sx={{ fontWeight: 800 }}>טיפול אחרון</TableCell>
+                                        <TableCell align="right" sx={{ fontWeight: 800 }}>יתרה</TableCell>
+                                        <TableCell sx={{ fontWeight: 800 }}>בטיפול</TableCell>
+                                        <TableCell sx={{ fontWeight: 800 }}>קבוצה</TableCell>
+                                    </TableRow>
+                                </TableHead>
+                                <TableBody>
+                                    {customers.map((customer) => (
+                                        <TableRow key={customer.customer_id} hover selected={customer.customer_id === selectedCustomerId}>
+                                            <TableCell>{customer.account_key || '-'}</TableCell>
+                                            <TableCell>
+                                                <Button
+                                                    onClick={() => setSelectedCustomerId(customer.customer_id)}
+                                                    size="small"
+                                                    sx={{ borderRadius: 999 }}
+                                                >
+                                                    {customer.account_name || `#${customer.customer_id}`}
+                                                </Button>
+                                            </TableCell>
+                                            <TableCell sx={{ color: 'error.main', fontWeight: 700 }}>{formatDate(customer.due_date)}</TableCell>
+                                            <TableCell>{customer.days_overdue}</TableCell>
+                                            <TableCell>{formatDate(customer.last_contact_at)}</TableCell>
+                                            <TableCell align="right">{formatNumber(customer.account_balance)}</TableCell>
+                                            <TableCell>{customer.managed_by_name || '-'}</TableCell>
+                                            <TableCell>{customer.group_name || '-'}</TableCell>
+                                        </TableRow>
+                                    ))}
+                                    {customers.length === 0 && (
+                                        <TableRow>
+                                            <TableCell colSpan={8} align="center">אין לקוחות באיחור</TableCell>
+                                        </TableRow>
+                                    )}
+                                </TableBody>
+                            </Table>
+                        </Paper>
+                    </>
+                )}
+            </Container>
+        </Box>
+    );
+}
+
+export default OverdueDashboard;
@@ -0,0 +1,147 @@
+import React, { useState } from 'react';
+import { Link as RouterLink, useNavigate, useSearchParams } from 'react-router-dom';
+import {
+    Alert,
+    Box,
+    Button,
+    Container,
+    Link,
+    Paper,
+    TextField,
+    Typography
+} from '@mui/material';
+import { authAPI } from '../services/api';
+
+const pageShellSx = {
+    minHeight: '100vh',
+    display: 'flex',
+    alignItems: 'center',
+    py: 6,
+    background: 'linear-gradient(180deg, #f4f9ff 0%, #eaf2fd 42%, #f8fbff 100%)'
+};
+
+const glassCardSx = {
+    position: 'relative',
+    overflow: 'hidden',
+    borderRadius: 5,
+    border: '1px solid rgba(25, 118, 210, 0.12)',
+    backgroundColor: 'rgba(255, 255, 255, 0.92)',
+    boxShadow: '0 30px 80px rgba(15, 23, 42, 0.12)',
+    backdropFilter: 'blur(10px)'
+};
+
+const fieldSx = {
+    '& .MuiOutlinedInput-root': {
+        borderRadius: 3,
+        backgroundColor: '#fff'
+    }
+};
+
+function ResetPassword() {
+    const navigate = useNavigate();
+    const [searchParams] = useSearchParams();
+    const [token, setToken] = useState(searchParams.get('token') || '');
+    const [password, setPassword] = useState('');
+    const [confirmPassword, setConfirmPassword] = useState('');
+    const [error, setError] = useState('');
+    const [loading, setLoading] = useState(false);
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        setError('');
+
+        if (password !== confirmPassword) {
+            setError('הסיסמאות אינן תואמות');
+            return;
+        }
+
+        setLoading(true);
+        try {
+            await authAPI.resetPassword(token.trim(), password);
+            navigate('/login', { state: { message: 'הסיסמה עודכנה. אפשר להתחבר עם הסיסמה החדשה.' } });
+        } catch (err) {
+            setError(err.response?.data?.error || 'איפוס הסיסמה נכשל');
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    return (
+        <Box sx={pageShellSx}>
+            <Container maxWidth="sm">
+                <Paper sx={{ ...glassCardSx, px: { xs: 3, md: 5 }, py: { xs: 4, md: 5 } }}>
+                    <Typography
+                        variant="overline"
+                        sx={{ color: 'primary.main', fontWeight: 900, letterSpacing: '0.24em' }}
+                    >
+                        CUSTOMER FOLLOW-UP
+                    </Typography>
+                    <Typography variant="h5" sx={{ fontWeight: 800, color: '#102a43', mb: 0.75 }}>
+                        איפוס סיסמה
+                    </Typography>
+                    <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+                        הזן את קוד האיפוס שקיבלת ממנהל המערכת ובחר סיסמה חדשה.
+                    </Typography>
+
+                    {error && (
+                        <Alert severity="error" sx={{ mb: 2 }}>
+                            {error}
+                        </Alert>
+                    )}
+
+                    <Box component="form" onSubmit={handleSubmit}>
+                        <TextField
+                            label="קוד איפוס"
+                            fullWidth
+                            margin="normal"
+                            value={token}
+                            onChange={(e) => setToken(e.target.value)}
+                            required
+                            sx={fieldSx}
+                        />
+                        <TextField
+                            label="סיסמה חדשה"
+                            type="password"
+                            fullWidth
+                            margin="normal"
+                            value={password}
+                            onChange={(e) => setPassword(e.target.value)}
+                            helperText="לפחות 6 תווים"
+                            required
+                            sx={fieldSx}
+                        />
+                        <TextField
+                            label="אימות סיסמה"
+                            type="password"
+                            fullWidth
+                            margin="normal"
+                            value={confirmPassword}
+                            onChange={(e) => setConfirmPassword(e.target.value)}
+                            required
+                            sx={fieldSx}
+                        />
+
+                        <Button
+                            type="submit"
+                            variant="contained"
+                            fullWidth
+                            size="large"
+                            sx={{ mt: 3, borderRadius: 999, py: 1.4, fontWeight: 800 }}
+                            disabled={loading || !token.trim() || !password}
+                        >
+                            {loading ? 'מעדכן...' : 'עדכן סיסמה'}
+                        </Button>
+
+                        <Box sx={{ mt: 2, textAlign: 'center' }}>
+                            <Link component={RouterLink} to="/login" variant="body2">
+                                חזרה להתחברות
+                            </Link>
+                        </Box>
+                    </Box>
+                </Paper>
+            </Container>
+        </Box>
+    );
+}
+
+export default ResetPassword;
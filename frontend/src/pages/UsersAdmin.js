@@ -0,0 +1,607 @@
+import React, { useState } from 'react';
+import { useMutation, useQuery, useQueryClient } from '@tanstack/react-query';
+import { useNavigate } from 'react-router-dom';
+import {
+    Alert,
+    Box,
+    Button,
+    Checkbox,
+    Chip,
+    CircularProgress,
+    Container,
+    Dialog,
+    DialogActions,
+    DialogContent,
+    DialogTitle,
+    ListItemText,
+    MenuItem,
+    Paper,
+    Stack,
+    Table,
+    TableBody,
+    TableCell,
+    TableHead,
+    TableRow,
+    TextField,
+    Typography
+} from '@mui/material';
+import { groupsAPI, loginLockoutsAPI, usersAPI } from '../services/api';
+import { useAuth } from '../context/AuthContext';
+
+const formatDate = (value) => (value ? new Date(value).toLocaleDateString('he-IL') : '-');
+const formatDateTime = (value) => (value ? new Date(value).toLocaleString('he-IL') : '-');
+
+const lockoutScopeLabels = {
+    username: 'שם משתמש',
+    ip: 'כתובת IP'
+};
+
+const roleLabels = {
+    admin: 'מנהל מערכת',
+    supervisor: 'מפקח',
+    collector: 'גובה'
+};
+
+const pageShellSx = {
+    minHeight: '100vh',
+    py: 4,
+    background: 'linear-gradient(180deg, #f7fbff 0%, #edf3fb 45%, #f8fbff 100%)'
+};
+
+const glassCardSx = {
+    borderRadius: 4,
+    border: '1px solid rgba(25, 118, 210, 0.08)',
+    backgroundColor: 'rgba(255, 255, 255, 0.92)',
+    boxShadow: '0 20px 50px rgba(15, 23, 42, 0.08)',
+    backdropFilter: 'blur(10px)'
+};
+
+const rtlDialogPaperProps = {
+    dir: 'rtl',
+    sx: {
+        direction: 'rtl'
+    }
+};
+
+const emptyUserForm = {
+    username: '',
+    full_name: '',
+    email: '',
+    password: '',
+    role: 'collector',
+    group_ids: []
+};
+
+function UsersAdmin() {
+    const navigate = useNavigate();
+    const queryClient = useQueryClient();
+    const { user: currentUser } = useAuth();
+    const [editingUser, setEditingUser] = useState(null);
+    const [isCreateOpen, setIsCreateOpen] = useState(false);
+    const [form, setForm] = useState(emptyUserForm);
+    const [passwordUser, setPasswordUser] = useState(null);
+    const [newPassword, setNewPassword] = useState('');
+    const [offboardUser, setOffboardUser] = useState(null);
+    const [resetTokenData, setResetTokenData] = useState(null);
+    const [successorId, setSuccessorId] = useState('');
+    const [actionError, setActionError] = useState('');
+
+    const { data: usersData, isLoading, isError, error } = useQuery({
+        queryKey: ['users'],
+        queryFn: () => usersAPI.getAll()
+    });
+
+    const { data: groupsData } = useQuery({
+        queryKey: ['groups'],
+        queryFn: () => groupsAPI.getAll()
+    });
+
+    const { data: lockoutsData } = useQuery({
+        queryKey: ['login-lockouts'],
+        queryFn: () => loginLockoutsAPI.getAll()
+    });
+
+    const users = usersData?.users || [];
+    const lockouts = lockoutsData?.lockouts || [];
+    const successorCandidates = users.filter((u) => u.is_active && u.id !== offboardUser?.id);
+    const groups = groupsData?.groups || [];
+
+    const handleMutationError = (err) => {
+        setActionError(err?.response?.data?.error || 'הפעולה נכשלה');
+    };
+
+    const refreshUsers = () => {
+        setActionError('');
+        queryClient.invalidateQueries({ queryKey: ['users'] });
+    };
+
+    const createMutation = useMutation({
+        mutationFn: async (payload) => {
+            const { user } = await usersAPI.create(payload);
+            if (payload.group_ids.length) {
+                await usersAPI.setGroups(user.id, payload.group_ids);
+            }
+            return user;
+        },
+        onSuccess: () => {
+            setIsCreateOpen(false);
+            setForm(emptyUserForm);
+            refreshUsers();
+        },
+        onError: handleMutationError
+    });
+
+    const updateMutation = useMutation({
+        mutationFn: async ({ id, payload, originalRole }) => {
+            await usersAPI.update(id, { username: payload.username, full_name: payload.full_name, email: payload.email });
+            if (payload.role !== originalRole) {
+                await usersAPI.setRole(id, payload.role);
+            }
+            await usersAPI.setGroups(id, payload.group_ids);
+        },
+        onSuccess: () => {
+            setEditingUser(null);
+            setForm(emptyUserForm);
+            refreshUsers();
+        },
+        onError: handleMutationError
+    });
+
+    const passwordMutation = useMutation({
+        mutationFn: ({ id, password }) => usersAPI.setPassword(id, password),
+        onSuccess: () => {
+            setPasswordUser(null);
+            setNewPassword('');
+            refreshUsers();
+        },
+        onError: handleMutationError
+    });
+
+    const revokeSessionsMutation = useMutation({
+        mutationFn: (id) => usersAPI.revokeSessions(id),
+        onSuccess: refreshUsers,
+        onError: handleMutationError
+    });
+
+    const clearLockoutMutation = useMutation({
+        mutationFn: (id) => loginLockoutsAPI.clear(id),
+        onSuccess: () => {
+            setActionError('');
+            queryClient.invalidateQueries({ queryKey: ['login-lockouts'] });
+        },
+        onError: handleMutationError
+    });
+
+    const resetTokenMutation = useMutation({
+        mutationFn: (id) => usersAPI.createResetToken(id),
+        onSuccess: (data) => {
+            setActionError('');
+            setResetTokenData(data);
+        },
+        onError: handleMutationError
+    });
+
+    const offboardMutation = useMutation({
+        mutationFn: ({ id, successor }) => usersAPI.offboard(id, successor),
+        onSuccess: () => {
+            setOffboardUser(null);
+            setSuccessorId('');
+            refreshUsers();
+            queryClient.invalidateQueries({ queryKey: ['customers'] });
+        },
+        onError: handleMutationError
+    });
+
+    const activeMutation = useMutation({
+        mutationFn: ({ id, isActive }) => usersAPI.setActive(id, isActive),
+        onSuccess: refreshUsers,
+        onError: handleMutationError
+    });
+
+    const openCreate = () => {
+        setActionError('');
+        setForm(emptyUserForm);
+        setIsCreateOpen(true);
+    };
+
+    const openEdit = async (user) => {
+        setActionError('');
+        try {
+            const { groups: userGroups } = await usersAPI.getGroups(user.id);
+            setForm({
+                username: user.username,
+                full_name: user.full_name || '',
+                email: user.email || '',
+                password: '',
+                role: user.role,
+                group_ids: (userGroups || []).map((g) => g.id)
+            });
+            setEditingUser(user);
+        } catch (err) {
+            handleMutationError(err);
+        }
+    };
+
+    const closeUserDialog = () => {
+        setIsCreateOpen(false);
+        setEditingUser(null);
+    };
+
+    const handleUserSubmit = (event) => {
+        event.preventDefault();
+        if (!form.username.trim()) return;
+
+        if (editingUser) {
+            updateMutation.mutate({ id: editingUser.id, payload: form, originalRole: editingUser.role });
+            return;
+        }
+        createMutation.mutate(form);
+    };
+
+    const handlePasswordSubmit = (event) => {
+        event.preventDefault();
+        if (!newPassword) return;
+        passwordMutation.mutate({ id: passwordUser.id, password: newPassword });
+    };
+
+    const openOffboard = (user) => {
+        setActionError('');
+        setSuccessorId('');
+        setOffboardUser(user);
+    };
+
+    const handleOffboardSubmit = (event) => {
+        event.preventDefault();
+        if (offboardUser.assigned_customers > 0 && !successorId) return;
+        offboardMutation.mutate({ id: offboardUser.id, successor: successorId ? Number(successorId) : null });
+    };
+
+    const handleFormChange = (field) => (event) => {
+        setForm((prev) => ({ ...prev, [field]: event.target.value }));
+    };
+
+    return (
+        <Box sx={pageShellSx}>
+            <Container maxWidth="lg">
+                <Paper sx={{ ...glassCardSx, p: { xs: 2.5, md: 3 }, mb: 2.5 }}>
+                    <Stack
+                        direction={{ xs: 'column', md: 'row' }}
+                        justifyContent="space-between"
+                        alignItems={{ xs: 'flex-start', md: 'center' }}
+                        spacing={2}
+                    >
+                        <Box>
+                            <Typography
+                                variant="overline"
+                                sx={{ color: 'primary.main', fontWeight: 900, letterSpacing: '0.18em' }}
+                            >
+                                ADMIN
+                            </Typography>
+                            <Typography variant="h3" sx={{ fontWeight: 900, color: '#102a43', lineHeight: 1.08 }}>
+                                ניהול משתמשים
+                            </Typography>
+                        </Box>
+                        <Stack direction="row" spacing={1}>
+                            <Button onClick={() => navigate('/customers')} variant="outlined" sx={{ borderRadius: 999, px: 2 }}>
+                                חזרה
+                            </Button>
+                            <Button onClick={openCreate} variant="contained" sx={{ borderRadius: 999, px: 2.5 }}>
+                                משתמש חדש
+                            </Button>
+                        </Stack>
+                    </Stack>
+                </Paper>
+
+                {actionError && (
+                    <Alert severity="error" sx={{ mb: 2 }}>
+                        {actionError}
+                    </Alert>
+                )}
+
+                <Paper sx={{ ...glassCardSx, overflow: 'hidden' }}>
+                    {isLoading ? (
+                        <Box sx={{ p: 4, textAlign: 'center' }}>
+                            <CircularProgress />
+                        </Box>
+                    ) : isError ? (
+                        <Alert severity="error">{error?.response?.data?.error || 'טעינת המשתמשים נכשלה'}</Alert>
+                    ) : (
+                        <Table size="small">
+                            <TableHead>
+                                <TableRow sx={{ backgroundColor: 'rgba(15, 23, 42, 0.03)' }}>
+                                    <TableCell sx={{ fontWeight: 800 }}>שם משתמש</TableCell>
+                                    <TableCell sx={{ fontWeight: 800 }}>שם מלא</TableCell>
+                                    <TableCell sx={{ fontWeight: 800 }}>תפקיד</TableCell>
+                                    <TableCell sx={{ fontWeight: 800 }}>לקוחות בטיפול</TableCell>
+                                    <TableCell sx={{ fontWeight: 800 }}>סטטוס</TableCell>
+                                    <TableCell sx={{ fontWeight: 800 }}>נוצר</TableCell>
+                                    <TableCell sx={{ fontWeight: 800 }}>פעולות</TableCell>
+                                </TableRow>
+                            </TableHead>
+                            <TableBody>
+                                {users.map((u) => (
+                                    <TableRow key={u.id} hover>
+                                        <TableCell>{u.username}</TableCell>
+                                        <TableCell>{u.full_name || '-'}</TableCell>
+                                        <TableCell>{roleLabels[u.role] || u.role}</TableCell>
+                                        <TableCell>{u.assigned_customers ?? 0}</TableCell>
+                                        <TableCell>
+                                            <Chip
+                                                size="small"
+                                                label={u.is_active ? 'פעיל' : 'מושבת'}
+                                                color={u.is_active ? 'success' : 'default'}
+                                            />
+                                        </TableCell>
+                                        <TableCell>{formatDate(u.created_at)}</TableCell>
+                                        <TableCell>
+                                            <Stack direction="row" spacing={1}>
+                                                <Button size="small" onClick={() => openEdit(u)}>ערוך</Button>
+                                                <Button size="small" onClick={() => setPasswordUser(u)}>איפוס סיסמה</Button>
+                                                {Boolean(u.is_active) && (
+                                                    <Button
+                                                        size="small"
+                                                        disabled={resetTokenMutation.isPending}
+                                                        onClick={() => resetTokenMutation.mutate(u.id)}
+                                                    >
+                                                        קוד איפוס
+                                                    </Button>
+                                                )}
+                                                {u.id !== currentUser?.id && Boolean(u.is_active) && (
+                                                    <Button
+                                                        size="small"
+                                                        disabled={revokeSessionsMutation.isPending}
+                                                        onClick={() => revokeSessionsMutation.mutate(u.id)}
+                                                    >
+                                                        נתק חיבורים
+                                                    </Button>
+                                                )}
+                                                {u.id !== currentUser?.id && (u.is_active ? (
+                                                    <Button size="small" color="error" onClick={() => openOffboard(u)}>
+                                                        השבת
+                                                    </Button>
+                                                ) : (
+                                                    <Button
+                                                        size="small"
+                                                        color="success"
+                                                        disabled={activeMutation.isPending}
+                                                        onClick={() => activeMutation.mutate({ id: u.id, isActive: true })}
+                                                    >
+                                                        הפעל מחדש
+                                                    </Button>
+                                                ))}
+                                            </Stack>
+                                        </TableCell>
+                                    </TableRow>
+                                ))}
+                                {users.length === 0 && (
+                                    <TableRow>
+                                        <TableCell colSpan={7} align="center">אין משתמשים</TableCell>
+                                    </TableRow>
+                                )}
+                            </TableBody>
+                        </Table>
+                    )}
+                </Paper>
+
+                <Paper sx={{ ...glassCardSx, overflow: 'hidden', mt: 2.5 }}>
+                    <Typography variant="h6" sx={{ fontWeight: 800, color: '#102a43', px: 2, pt: 2, pb: 1 }}>
+                        נעילות התחברות
+                    </Typography>
+                    <Table size="small">
+                        <TableHead>
+                            <TableRow sx={{ backgroundColor: 'rgba(15, 23, 42, 0.03)' }}>
+                                <TableCell sx={{ fontWeight: 800 }}>סוג</TableCell>
+                                <TableCell sx={{ fontWeight: 800 }}>מזהה</TableCell>
+                                <TableCell sx={{ fontWeight: 800 }}>ניסיונות כושלים</TableCell>
+                                <TableCell sx={{ fontWeight: 800 }}>ניסיון אחרון</TableCell>
+                                <TableCell sx={{ fontWeight: 800 }}>סטטוס</TableCell>
+                                <TableCell sx={{ fontWeight: 800 }}>פעולות</TableCell>
+                            </TableRow>
+                        </TableHead>
+                        <TableBody>
+                            {lockouts.map((lockout) => (
+                                <TableRow key={lockout.id} hover>
+                                    <TableCell>{lockoutScopeLabels[lockout.scope] || lockout.scope}</TableCell>
+                                    <TableCell sx={{ direction: 'ltr', textAlign: 'right' }}>{lockout.identifier}</TableCell>
+                                    <TableCell>{lockout.failed_count}</TableCell>
+                                    <TableCell>{formatDateTime(lockout.last_failed_at)}</TableCell>
+                                    <TableCell>
+                                        {lockout.is_locked ? (
+                                            <Chip size="small" color="error" label={`נעול עד ${formatDateTime(lockout.locked_until)}`} />
+                                        ) : (
+                                            <Chip size="small" label="ניסיונות כושלים" />
+                                        )}
+                                    </TableCell>
+                                    <TableCell>
+                                        <Button
+                                            size="small"
+                                            disabled={clearLockoutMutation.isPending}
+                                            onClick={() => clearLockoutMutation.mutate(lockout.id)}
+                                        >
+                                            שחרר
+                                        </Button>
+                                    </TableCell>
+                                </TableRow>
+                            ))}
+                            {lockouts.length === 0 && (
+                                <TableRow>
+                                    <TableCell colSpan={6} align="center">אין נעילות פעילות</TableCell>
+                                </TableRow>
+                            )}
+                        </TableBody>
+                    </Table>
+                </Paper>
+            </Container>
+
+            <Dialog open={isCreateOpen || Boolean(editingUser)} onClose={closeUserDialog} fullWidth maxWidth="sm" PaperProps={rtlDialogPaperProps}>
+                <DialogTitle>{editingUser ? 'עריכת משתמש' : 'משתמש חדש'}</DialogTitle>
+                <Box component="form" onSubmit={handleUserSubmit}>
+                    <DialogContent>
+                        <Stack spacing={1.5} sx={{ pt: 1 }}>
+                            <TextField
+                                size="small"
+                                label="שם משתמש"
+                                value={form.username}
+                                onChange={handleFormChange('username')}
+                                required
+                            />
+                            <TextField
+                                size="small"
+                                label="שם מלא"
+                                value={form.full_name}
+                                onChange={handleFormChange('full_name')}
+                            />
+                            <TextField
+                                size="small"
+                                type="email"
+                                label="אימייל"
+                                value={form.email}
+                                onChange={handleFormChange('email')}
+                                helperText="לסיכום היומי במייל"
+                                inputProps={{ dir: 'ltr' }}
+                            />
+                            {!editingUser && (
+                                <TextField
+                                    size="small"
+                                    type="password"
+                                    label="סיסמה"
+                                    value={form.password}
+                                    onChange={handleFormChange('password')}
+                                    helperText="לפחות 6 תווים"
+                                    required
+                                />
+                            )}
+                            <TextField
+                                select
+                                size="small"
+                                label="תפקיד"
+                                value={form.role}
+                                onChange={handleFormChange('role')}
+                                disabled={editingUser?.id === currentUser?.id}
+                            >
+                                {Object.entries(roleLabels).map(([value, label]) => (
+                                    <MenuItem key={value} value={value}>{label}</MenuItem>
+                                ))}
+                            </TextField>
+                            <TextField
+                                select
+                                size="small"
+                                label="קבוצות"
+                                value={form.group_ids}
+                                onChange={handleFormChange('group_ids')}
+                                SelectProps={{
+                                    multiple: true,
+                                    renderValue: (selected) => groups
+                                        .filter((g) => selected.includes(g.id))
+                                        .map((g) => g.name)
+                                        .join(', ')
+                                }}
+                            >
+                                {groups.map((group) => (
+                                    <MenuItem key={group.id} value={group.id}>
+                                        <Checkbox size="small" checked={form.group_ids.includes(group.id)} />
+                                        <ListItemText primary={group.name} />
+                                    </MenuItem>
+                                ))}
+                            </TextField>
+                        </Stack>
+                    </DialogContent>
+                    <DialogActions sx={{ direction: 'rtl', justifyContent: 'flex-start' }}>
+                        <Button onClick={closeUserDialog} variant="outlined">ביטול</Button>
+                        <Button
+                            type="submit"
+                            variant="contained"
+                            disabled={createMutation.isPending || updateMutation.isPending}
+                        >
+                            שמור
+                        </Button>
+                    </DialogActions>
+                </Box>
+            </Dialog>
+
+            <Dialog open={Boolean(passwordUser)} onClose={() => setPasswordUser(null)} fullWidth maxWidth="xs" PaperProps={rtlDialogPaperProps}>
+                <DialogTitle>איפוס סיסמה - {passwordUser?.username}</DialogTitle>
+                <Box component="form" onSubmit={handlePasswordSubmit}>
+                    <DialogContent>
+                        <TextField
+                            fullWidth
+                            size="small"
+                            type="password"
+                            label="סיסמה חדשה"
+                            value={newPassword}
+                            onChange={(event) => setNewPassword(event.target.value)}
+                            helperText="לפחות 6 תווים"
+                            sx={{ mt: 1 }}
+                            required
+                        />
+                    </DialogContent>
+                    <DialogActions sx={{ direction: 'rtl', justifyContent: 'flex-start' }}>
+                        <Button onClick={() => setPasswordUser(null)} variant="outlined">ביטול</Button>
+                        <Button type="submit" variant="contained" disabled={passwordMutation.isPending}>
+                            עדכן סיסמה
+                        </Button>
+                    </DialogActions>
+                </Box>
+            </Dialog>
+
+            <Dialog open={Boolean(resetTokenData)} onClose={() => setResetTokenData(null)} fullWidth maxWidth="sm" PaperProps={rtlDialogPaperProps}>
+                <DialogTitle>קוד איפוס - {resetTokenData?.user?.username}</DialogTitle>
+                <DialogContent>
+                    <Typography variant="body2" sx={{ mb: 2 }}>
+                        העבר למשתמש את הקישור. הקוד חד-פעמי ותקף עד {resetTokenData ? new Date(resetTokenData.expires_at).toLocaleString('he-IL') : '-'}.
+                    </Typography>
+                    <TextField
+                        fullWidth
+                        size="small"
+                        label="קישור לאיפוס"
+                        value={resetTokenData ? `${window.location.origin}/reset-password?token=${resetTokenData.token}` : ''}
+                        InputProps={{ readOnly: true }}
+                        inputProps={{ dir: 'ltr' }}
+                        onFocus={(event) => event.target.select()}
+                    />
+                </DialogContent>
+                <DialogActions sx={{ direction: 'rtl', justifyContent: 'flex-start' }}>
+                    <Button onClick={() => setResetTokenData(null)} variant="outlined">סגור</Button>
+                </DialogActions>
+            </Dialog>
+
+            <Dialog open={Boolean(offboardUser)} onClose={() => setOffboardUser(null)} fullWidth maxWidth="sm" PaperProps={rtlDialogPaperProps}>
+                <DialogTitle>השבתת משתמש - {offboardUser?.username}</DialogTitle>
+                <Box component="form" onSubmit={handleOffboardSubmit}>
+                    <DialogContent>
+                        <Typography variant="body2" sx={{ mb: 2 }}>
+                            המשתמש לא יוכל להתחבר. היסטוריית ההערות וההעברות שלו נשמרת.
+                        </Typography>
+                        {offboardUser?.assigned_customers > 0 ? (
+                            <TextField
+                                select
+                                fullWidth
+                                size="small"
+                                label={`העבר ${offboardUser.assigned_customers} לקוחות אל`}
+                                value={successorId}
+                                onChange={(event) => setSuccessorId(event.target.value)}
+                                required
+                            >
+                                {successorCandidates.map((u) => (
+                                    <MenuItem key={u.id} value={u.id}>{u.full_name || u.username}</MenuItem>
+                                ))}
+                            </TextField>
+                        ) : (
+                            <Typography variant="body2" color="text.secondary">
+                                אין לקוחות בטיפול משתמש זה.
+                            </Typography>
+                        )}
+                    </DialogContent>
+                    <DialogActions sx={{ direction: 'rtl', justifyContent: 'flex-start' }}>
+                        <Button onClick={() => setOffboardUser(null)} variant="outlined">ביטול</Button>
+                        <Button type="submit" variant="contained" color="error" disabled={offboardMutation.isPending}>
+                            השבת משתמש
+                        </Button>
+                    </DialogActions>
+                </Box>
+            </Dialog>
+        </Box>
+    );
+}
+
+export default UsersAdmin;
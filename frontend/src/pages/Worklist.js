@@ -0,0 +1,234 @@
+import React, { useState } from 'react';
+import { useQuery } from '@tanstack/react-query';
+import { useNavigate } from 'react-router-dom';
+import {
+    Alert,
+    Box,
+    Button,
+    Chip,
+    CircularProgress,
+    Container,
+    List,
+    ListItemButton,
+    ListItemText,
+    MenuItem,
+    Paper,
+    Stack,
+    TextField,
+    Typography
+} from '@mui/material';
+import { usersAPI, worklistAPI } from '../services/api';
+import CustomerDetailsPanel from '../components/CustomerDetailsPanel';
+import { useAuth } from '../context/AuthContext';
+
+const formatDate = (value) => (value ? new Date(value).toLocaleDateString('he-IL') : '-');
+const formatNumber = (value) => (value === null || value === undefined ? '-' : Number(value).toFixed(2));
+
+const bucketLabels = {
+    overdue: 'באיחור',
+    today: 'להיום',
+    upcoming: 'בהמשך',
+    never_contacted: 'ללא טיפול'
+};
+
+const bucketColors = {
+    overdue: 'error',
+    today: 'warning',
+    upcoming: 'primary',
+    never_contacted: 'default'
+};
+
+const pageShellSx = {
+    minHeight: '100vh',
+    py: 4,
+    background: 'linear-gradient(180deg, #f7fbff 0%, #edf3fb 45%, #f8fbff 100%)'
+};
+
+const glassCardSx = {
+    borderRadius: 4,
+    border: '1px solid rgba(25, 118, 210, 0.08)',
+    backgroundColor: 'rgba(255, 255, 255, 0.92)',
+    boxShadow: '0 20px 50px rgba(15, 23, 42, 0.08)',
+    backdropFilter: 'blur(10px)'
+};
+
+function Worklist() {
+    const navigate = useNavigate();
+    const { can } = useAuth();
+    const [managedBy, setManagedBy] = useState('');
+    const [currentCustomerId, setCurrentCustomerId] = useState(null);
+
+    // The queue is a snapshot: handling a customer moves it to another bucket, which would
+    // reshuffle the list mid-way. It is only reloaded on demand.
+    const { data, isLoading, isError, error, refetch, isFetching } = useQuery({
+        queryKey: ['worklist', managedBy],
+        queryFn: () => worklistAPI.get(managedBy),
+        refetchOnWindowFocus: false,
+        staleTime: Infinity
+    });
+
+    const { data: usersData } = useQuery({
+        queryKey: ['users'],
+        queryFn: () => usersAPI.getAll(),
+        enabled: can('worklist.viewOthers')
+    });
+
+    const items = data?.items || [];
+    const counts = data?.counts || {};
+    const users = (usersData?.users || []).filter((u) => u.is_active);
+    const currentIndex = Math.max(0, items.findIndex((item) => item.customer_id === currentCustomerId));
+    const current = items[currentIndex] || null;
+
+    const goTo = (index) => setCurrentCustomerId(items[index]?.customer_id ?? null);
+
+    const handleManagedByChange = (event) => {
+        setManagedBy(event.target.value);
+        setCurrentCustomerId(null);
+    };
+
+    return (
+        <Box sx={pageShellSx}>
+            <Container maxWidth="xl">
+                <Paper sx={{ ...glassCardSx, p: { xs: 2.5, md: 3 }, mb: 2.5 }}>
+                    <Stack
+                        direction={{ xs: 'column', md: 'row' }}
+                        justifyContent="space-between"
+                        alignItems={{ xs: 'flex-start', md: 'center' }}
+                        spacing={2}
+                    >
+                        <Box>
+                            <Typography
+                                variant="overline"
+                                sx={{ color: 'primary.main', fontWeight: 900, letterSpacing: '0.18em' }}
+                            >
+                                WORKLIST
+                            </Typography>
+                            <Typography variant="h3" sx={{ fontWeight: 900, color: '#102a43', lineHeight: 1.08 }}>
+                                התור שלי
+                            </Typography>
+                            <Stack direction="row" spacing={1} sx={{ mt: 1.5, flexWrap: 'wrap' }}>
+                                {Object.entries(bucketLabels).map(([bucket, label]) => (
+                                    <Chip
+                                        key={bucket}
+                                        size="small"
+                                        color={bucketColors[bucket]}
+                                        variant="outlined"
+                                        label={`${label}: ${counts[bucket] || 0}`}
+                                    />
+                                ))}
+                            </Stack>
+                        </Box>
+                        <Stack direction="row" spacing={1} alignItems="center">
+                            {can('worklist.viewOthers') && (
+                                <TextField
+                                    select
+                                    size="small"
+                                    label="תור של"
+                                    value={managedBy}
+                                    onChange={handleManagedByChange}
+                                    sx={{ minWidth: 180 }}
+                                    SelectProps={{ displayEmpty: true }}
+                                    InputLabelProps={{ shrink: true }}
+                                >
+                                    <MenuItem value="">שלי</MenuItem>
+                                    {users.map((u) => (
+                                        <MenuItem key={u.id} value={u.id}>
+                                            {u.full_name || u.username}
+                                        </MenuItem>
+                                    ))}
+                                </TextField>
+                            )}
+                            <Button
+                                onClick={() => refetch()}
+                                variant="outlined"
+                                disabled={isFetching}
+                                sx={{ borderRadius: 999, px: 2 }}
+                            >
+                                רענן תור
+                            </Button>
+                            <Button onClick={() => navigate('/customers')} variant="outlined" sx={{ borderRadius: 999, px: 2 }}>
+                                חזרה
+                            </Button>
+                        </Stack>
+                    </Stack>
+                </Paper>
+
+                {isLoading ? (
+                    <Box sx={{ p: 4, textAlign: 'center' }}>
+                        <CircularProgress />
+                    </Box>
+                ) : isError ? (
+                    <Alert severity="error">{error?.response?.data?.error || 'טעינת התור נכשלה'}</Alert>
+                ) : items.length === 0 ? (
+                    <Alert severity="success">אין לקוחות בתור.</Alert>
+                ) : (
+                    <Stack direction={{ xs: 'column', md: 'row' }} spacing={2.5} alignItems="flex-start">
+                        <Paper sx={{ ...glassCardSx, width: { xs: '100%', md: 340 }, flexShrink: 0, overflow: 'hidden' }}>
+                            <List dense disablePadding sx={{ maxHeight: '75vh', overflowY: 'auto' }}>
+                                {items.map((item, index) => (
+                                    <ListItemButton
+                                        key={item.customer_id}
+                                        selected={index === currentIndex}
+                                        onClick={() => goTo(index)}
+                                        sx={{ borderBottom: '1px solid', borderColor: 'divider', textAlign: 'right' }}
+                                    >
+                                        <ListItemText
+                                            primary={item.account_name || item.account_key || `#${item.customer_id}`}
+                                            secondary={
+                                                item.next_follow_up
+                                                    ? `מעקב: ${formatDate(item.next_follow_up)} · יתרה: ${formatNumber(item.account_balance)}`
+                                                    : `יתרה: ${formatNumber(item.account_balance)}`
+                                            }
+                                        />
+                                        <Chip
+                                            size="small"
+                                            color={bucketColors[item.bucket]}
+                                            label={bucketLabels[item.bucket]}
+                                            sx={{ mr: 1 }}
+                                        />
+                                    </ListItemButton>
+                                ))}
+                            </List>
+                        </Paper>
+
+                        <Paper sx={{ ...glassCardSx, p: 3, flexGrow: 1, width: '100%' }}>
+                            <Stack direction="row" justifyContent="space-between" alignItems="center" sx={{ mb: 2 }}>
+                                <Box>
+                                    <Typography variant="h5" sx={{ fontWeight: 800, color: '#102a43' }}>
+                                        {current.account_name || current.account_key || `#${current.customer_id}`}
+                                    </Typography>
+                                    <Typography variant="body2" color="text.secondary">
+                                        {current.last_contact_at
+                                            ? `טיפול אחרון: ${formatDate(current.last_contact_at)}${current.last_contact_by ? ` (${current.last_contact_by})` : ''}`
+                                            : 'לא היה טיפול בלקוח'}
+                                        {current.phone ? ` · ${current.phone}` : ''}
+                                    </Typography>
+                                </Box>
+                                <Stack direction="row" spacing={1} alignItems="center">
+                                    <Button disabled={currentIndex <= 0} onClick={() => goTo(currentIndex - 1)} sx={{ borderRadius: 999 }}>
+                                        הקודם
+                                    </Button>
+                                    <Typography variant="body2" sx={{ fontWeight: 700, color: 'text.secondary' }}>
+                                        {currentIndex + 1} מתוך {items.length}
+                                    </Typography>
+                                    <Button
+                                        variant="contained"
+                                        disabled={currentIndex >= items.length - 1}
+                                        onClick={() => goTo(currentIndex + 1)}
+                                        sx={{ borderRadius: 999 }}
+                                    >
+                                        הבא
+                                    </Button>
+                                </Stack>
+                            </Stack>
+
+                            <CustomerDetailsPanel key={current.customer_id} customerId={current.customer_id} />
+                        </Paper>
+                    </Stack>
+                )}
+            </Container>
+        </Box>
+    );
+}
+
+export default Worklist;
@@ -19,6 +19,70 @@ api.interceptors.request.use((config) => {
     return config;
 });
 
+export const storeTokens = ({ token, refreshToken }) => {
+    if (token) localStorage.setItem('token', token);
+    if (refreshToken) localStorage.setItem('refreshToken', refreshToken);
+};
+
+export const clearTokens = () => {
+    localStorage.removeItem('token');
+    localStorage.removeItem('refreshToken');
+};
+
+const authFreeUrls = ['/login', '/token/refresh', '/password-reset', '/login-users'];
+
+// One refresh at a time - concurrent 401s wait for the same request
+let refreshPromise = null;
+
+const refreshAccessToken = async () => {
+    const usedRefreshToken = localStorage.getItem('refreshToken');
+    if (!usedRefreshToken) throw new Error('No refresh token');
+
+    try {
+        const response = await axios.post(`${API_URL}/token/refresh`, { refreshToken: usedRefreshToken });
+        storeTokens(response.data);
+        return response.data.token;
+    } catch (error) {
+        // Another tab may have rotated the refresh token first - use its result
+        const latestRefreshToken = localStorage.getItem('refreshToken');
+        if (latestRefreshToken && latestRefreshToken !== usedRefreshToken) {
+            return localStorage.getItem('token');
+        }
+        throw error;
+    }
+};
+
+// Refresh expired access tokens transparently; send the user to /login when that fails
+api.interceptors.response.use(
+    (response) => response,
+    async (error) => {
+        const originalRequest = error.config;
+        const isAuthFree = authFreeUrls.some((url) => originalRequest?.url?.startsWith(url));
+
+        if (error.response?.status !== 401 || !originalRequest || originalRequest._retry || isAuthFree) {
+            return Promise.reject(error);
+        }
+
+        originalRequest._retry = true;
+        try {
+            if (!refreshPromise) {
+                refreshPromise = refreshAccessToken().finally(() => {
+                    refreshPromise = null;
+                });
+            }
+            const token = await refreshPromise;
+            originalRequest.headers.Authorization = `Bearer ${token}`;
+            return api(originalRequest);
+        } catch (refreshError) {
+            clearTokens();
+            if (window.location.pathname !== '/login') {
+                window.location.assign('/login');
+            }
+            return Promise.reject(error);
+        }
+    }
+);
+
 // Auth API
 export const authAPI = {
     getLoginUsers: async () => {
@@ -37,6 +101,57 @@ export const authAPI = {
     getProfile: async () => {
         const response = await api.get('/me');
         return response.data;
+    },
+
+    logout: async () => {
+        const response = await api.post('/logout');
+        return response.data;
+    },
+
+    logoutAll: async () => {
+        const response = await api.post('/logout-all');
+        return response.data;
+    },
+
+    getSessions: async () => {
+        const response = await api.get('/me/sessions');
+        return response.data;
+    },
+
+    revokeSession: async (sessionId) => {
+        const response = await api.delete(`/me/sessions/${sessionId}`);
+        return response.data;
+    },
+
+    changePassword: async (currentPassword, newPassword) => {
+        const response = await api.post('/me/password', {
+            current_password: currentPassword,
+            new_password: newPassword
+        });
+        return response.data;
+    },
+
+    resetPassword: async (token, newPassword) => {
+        const response = await api.post('/password-reset', {
+            token,
+            new_password: newPassword
+        });
+        return response.data;
+    },
+
+    getDigestSettings: async () => {
+        const response = await api.get('/me/digest');
+        return response.data;
+    },
+
+    updateDigestSettings: async (settings) => {
+        const response = await api.put('/me/digest', settings);
+        return response.data;
+    },
+
+    sendDigest: async () => {
+        const response = await api.post('/me/digest/send');
+        return response.data;
     }
 };
 
@@ -44,6 +159,42 @@ export const authAPI = {
 export const usersAPI = {
     getAll: () =>
         api.get('/users').then(r => r.data),
+    create: (data) =>
+        api.post('/users', data).then(r => r.data),
+    update: (id, data) =>
+        api.put(`/users/${id}`, data).then(r => r.data),
+    setRole: (id, role) =>
+        api.put(`/users/${id}/role`, { role }).then(r => r.data),
+    setPassword: (id, password) =>
+        api.put(`/users/${id}/password`, { password }).then(r => r.data),
+    createResetToken: (id) =>
+        api.post(`/users/${id}/reset-token`).then(r => r.data),
+    revokeSessions: (id) =>
+        api.delete(`/users/${id}/sessions`).then(r => r.data),
+    setActive: (id, isActive) =>
+        api.put(`/users/${id}/active`, { is_active: isActive }).then(r => r.data),
+    offboard: (id, successorId) =>
+        api.delete(`/users/${id}`, { data: successorId ? { successor_id: successorId } : {} }).then(r => r.data),
+    getGroups: (id) =>
+        api.get(`/users/${id}/groups`).then(r => r.data),
+    setGroups: (id, groupIds) =>
+        api.put(`/users/${id}/groups`, { group_ids: groupIds }).then(r => r.data),
+};
+
+// Login lockouts API (admin)
+export const loginLockoutsAPI = {
+    getAll: () =>
+        api.get('/login-lockouts').then(r => r.data),
+    clear: (id) =>
+        api.delete(`/login-lockouts/${id}`).then(r => r.data),
+};
+
+// Audit log API
+export const auditAPI = {
+    getAll: (filters = {}) =>
+        api.get('/audit', { params: filters }).then(r => r.data),
+    getForCustomer: (customerId, page = 1, limit = 50) =>
+        api.get('/audit', { params: { customerId, page, limit } }).then(r => r.data),
 };
 
 // Customers API
@@ -65,12 +216,18 @@ export const customersAPI = {
         api.get(`/customers/${id}`).then(r => r.data),
     getBasicReports: (id) =>
         api.get(`/customers/${id}/basic-reports`).then(r => r.data),
-    getReport180: (id) =>
-        api.get(`/customers/${id}/report-180`).then(r => r.data),
+    getReport180: (id, params = {}) =>
+        api.get(`/customers/${id}/report-180`, { params }).then(r => r.data),
+    getBalanceHistory: (id, days = 180) =>
+        api.get(`/customers/${id}/balance-history`, { params: { days } }).then(r => r.data),
     getNotes: (id) =>
         api.get(`/customers/${id}/notes`).then(r => r.data),
     getTransfers: (id) =>
         api.get(`/customers/${id}/transfers`).then(r => r.data),
+    getFollowUps: (id) =>
+        api.get(`/customers/${id}/follow-ups`).then(r => r.data),
+    getPromises: (id) =>
+        api.get(`/customers/${id}/promises`).then(r => r.data),
     addNote: (id, payload) =>
         api.post(`/customers/${id}/notes`, payload).then(r => r.data),
     addTransfer: (id, payload) =>
@@ -79,10 +236,14 @@ export const customersAPI = {
         api.get(`/customers/${id}/groups`).then(r => r.data),
     assignGroup: (id, groupId) =>
         api.post(`/customers/${id}/groups`, { group_id: groupId }).then(r => r.data),
-    sync: () =>
-        api.post('/customers/sync').then(r => r.data),
+    sync: (dateRange = {}) =>
+        api.post('/customers/sync', dateRange).then(r => r.data),
     getSyncStatus: () =>
         api.get('/customers/sync/status').then(r => r.data),
+    getSyncRuns: (filters = {}) =>
+        api.get('/customers/sync/runs', { params: filters }).then(r => r.data),
+    getSyncRunResult: (runId) =>
+        api.get(`/customers/sync/runs/${runId}/result`).then(r => r.data),
     create: (data) =>
         api.post('/customers', data).then(r => r.data),
     update: (id, data) =>
@@ -91,6 +252,29 @@ export const customersAPI = {
         api.delete(`/customers/${id}`).then(r => r.data),
 };
 
+// Follow-up tasks API
+export const followUpsAPI = {
+    update: (id, data) =>
+        api.patch(`/follow-ups/${id}`, data).then(r => r.data),
+};
+
+export const promisesAPI = {
+    update: (id, data) =>
+        api.patch(`/promises/${id}`, data).then(r => r.data),
+};
+
+// Worklist API
+export const worklistAPI = {
+    get: (managedBy) =>
+        api.get('/worklist', { params: managedBy ? { managedBy } : {} }).then(r => r.data),
+};
+
+// Dashboard API
+export const dashboardAPI = {
+    getOverdue: (filters = {}) =>
+        api.get('/dashboard/overdue', { params: filters }).then(r => r.data),
+};
+
 // Groups API
 export const groupsAPI = {
     getAll: () =>